@@ -2,6 +2,9 @@ module.exports = {
   transform: {
     '^.+\\.jsx?$': 'babel-jest'
   },
+  moduleNameMapper: {
+    '^@webxr-input-profiles/motion-controllers$': '<rootDir>/packages/motion-controllers/src/index.js'
+  },
   testMatch: [
     '<rootDir>/**/*.test.js'
   ]
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ExitCode } from '../validateCommand';
+import { bundleCommand, buildBundle } from '../bundleCommand';
+import { fetchProfile } from '../../../motion-controllers/src/profiles';
+
+const profilesFolder = path.join(__dirname, 'fixtures', 'bundle');
+
+let stdoutWrite;
+let outFolder;
+beforeEach(() => {
+  stdoutWrite = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+  outFolder = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bundle-')), 'out');
+});
+
+afterEach(() => {
+  stdoutWrite.mockRestore();
+  fs.removeSync(path.dirname(outFolder));
+});
+
+/**
+ * @param {...string} segments - The path of a file within the bundle
+ */
+function readBundledJson(...segments) {
+  return fs.readJsonSync(path.join(outFolder, ...segments));
+}
+
+test('Profiles without assets bring in the profiles they fall back to', () => {
+  const result = buildBundle(['vendor-assetless'], { out: outFolder, profiles: profilesFolder });
+  expect(result.profileIds).toEqual(['vendor-assetless', 'vendor-device']);
+  expect(Object.keys(result.files).sort()).toEqual([
+    'bundle.json',
+    'profilesList.json',
+    'vendor-device/left.glb',
+    'vendor-device/profile.json'
+  ]);
+  expect(result.missingFiles).toEqual(['vendor-device/right.glb']);
+
+  const fullProfilesList = fs.readJsonSync(path.join(profilesFolder, 'profilesList.json'));
+  expect(readBundledJson('profilesList.json')).toEqual({
+    'vendor-device': fullProfilesList['vendor-device'],
+    fallbackProfiles: {
+      'vendor-assetless': fullProfilesList.fallbackProfiles['vendor-assetless']
+    }
+  });
+});
+
+test('Every profile reachable via fallbacks is bundled on request', () => {
+  const result = buildBundle(['vendor-device-old'], {
+    out: outFolder, profiles: profilesFolder, fallbacks: true
+  });
+  expect(result.profileIds).toEqual(['generic-trigger', 'vendor-device-old']);
+  expect(fs.existsSync(path.join(outFolder, 'generic-trigger', 'none.glb'))).toBe(true);
+});
+
+test('The manifest lists the integrity and size of each file', () => {
+  buildBundle(['vendor-device'], { out: outFolder, profiles: profilesFolder });
+
+  const { files } = readBundledJson('manifest.json');
+  Object.keys(files).forEach((relativePath) => {
+    const contents = fs.readFileSync(path.join(outFolder, relativePath));
+    const hash = crypto.createHash('sha256').update(contents).digest('base64');
+    expect(files[relativePath]).toEqual({ integrity: `sha256-${hash}`, size: contents.length });
+  });
+  expect(Object.keys(files)).toContain('bundle.json');
+});
+
+test('fetchProfile loads profiles from the bundle without fetching', async () => {
+  buildBundle(['vendor-assetless'], { out: outFolder, profiles: profilesFolder });
+  const bundle = { ...readBundledJson('bundle.json'), basePath: outFolder };
+  const xrInputSource = { profiles: ['vendor-assetless'], handedness: 'left' };
+
+  const { profile, assetPath, resolutionPath } = await fetchProfile(xrInputSource, bundle);
+  expect(profile).toEqual(readBundledJson('vendor-device', 'profile.json'));
+  expect(assetPath).toEqual(`${outFolder}/vendor-device/left.glb`);
+  expect(fs.existsSync(assetPath)).toBe(true);
+  expect(resolutionPath).toEqual(['vendor-assetless', 'vendor-device']);
+});
+
+test('Writes the bundled profiles and missing files', () => {
+  expect(bundleCommand(['vendor-device'], { out: outFolder, profiles: profilesFolder }))
+    .toEqual(ExitCode.VALID);
+  const output = stdoutWrite.mock.calls[0][0];
+  expect(output).toMatch(/^Bundled 1 profile\(s\) and 4 file\(s\) into /);
+  expect(output).toMatch(/ {2}vendor-device\n/);
+  expect(output).toMatch(/Warning: vendor-device\/right\.glb does not exist and was not bundled\n$/);
+});
+
+test('Fails for unknown profile ids and unusable folders', () => {
+  expect(() => { buildBundle(['vendor-unknown'], { out: outFolder, profiles: profilesFolder }); })
+    .toThrow('Profile vendor-unknown is not in the profiles list');
+
+  expect(() => { buildBundle(['vendor-device'], { out: outFolder, profiles: outFolder }); })
+    .toThrow(/^No profiles list at /);
+
+  fs.outputFileSync(path.join(outFolder, 'existing.txt'), '');
+  expect(() => { buildBundle(['vendor-device'], { out: outFolder, profiles: profilesFolder }); })
+    .toThrow(/is not empty$/);
+
+  expect(() => { bundleCommand([], { out: outFolder }); }).toThrow('No profile ids supplied to bundle');
+  expect(() => { bundleCommand(['vendor-device'], {}); }).toThrow('The --out option is required');
+});
@@ -0,0 +1,169 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ExitCode } from '../validateCommand';
+import { checkAssetsCommand, checkAssetFiles } from '../checkAssetsCommand';
+import checkAssets from '../../gulpTasks/checkAssetsTask';
+import taskPaths from '../../gulpTasks/taskPaths';
+
+/**
+ * Builds a built asset profile with a single left layout animating a trigger
+ */
+function buildAssetProfile() {
+  return {
+    profileId: 'test-profile',
+    layouts: {
+      left: {
+        rootNodeName: 'test-profile-left',
+        assetPath: 'left.glb',
+        components: {
+          'xr-standard-trigger': {
+            rootNodeName: 'xr_standard_trigger',
+            visualResponses: {
+              xr_standard_trigger_pressed: {
+                valueNodeProperty: 'transform',
+                valueNodeName: 'xr_standard_trigger_pressed_value',
+                minNodeName: 'xr_standard_trigger_pressed_min',
+                maxNodeName: 'xr_standard_trigger_pressed_max'
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+const modelNodeNames = [
+  'test-profile-left',
+  'xr_standard_trigger',
+  'xr_standard_trigger_pressed_value',
+  'xr_standard_trigger_pressed_min',
+  'xr_standard_trigger_pressed_max'
+];
+
+let stdoutWrite;
+let profilesFolder;
+let profilesDest;
+beforeEach(() => {
+  stdoutWrite = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+  profilesFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'check-assets-'));
+  ({ profilesDest } = taskPaths);
+  taskPaths.profilesDest = profilesFolder;
+});
+
+afterEach(() => {
+  stdoutWrite.mockRestore();
+  taskPaths.profilesDest = profilesDest;
+  fs.removeSync(profilesFolder);
+});
+
+/**
+ * Writes a binary glTF file with a scene made of the named nodes
+ * @param {string} file
+ * @param {string[]} nodeNames
+ */
+function writeGlb(file, nodeNames) {
+  const gltf = {
+    asset: { version: '2.0' },
+    scenes: [{ nodes: nodeNames.map((name, index) => index) }],
+    nodes: nodeNames.map(name => ({ name }))
+  };
+  const json = JSON.stringify(gltf);
+  const chunk = Buffer.from(json.padEnd(Math.ceil(json.length / 4) * 4, ' '));
+
+  const header = Buffer.alloc(20);
+  header.writeUInt32LE(0x46546C67, 0);
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(header.length + chunk.length, 8);
+  header.writeUInt32LE(chunk.length, 12);
+  header.writeUInt32LE(0x4E4F534A, 16);
+  fs.outputFileSync(file, Buffer.concat([header, chunk]));
+}
+
+/**
+ * Writes a built asset profile, and a model with the named nodes, to the profiles folder
+ * @param {Object} assetProfile
+ * @param {string[]} [nodeNames] - The nodes of the model, or undefined to write no model
+ */
+function writeProfile(assetProfile, nodeNames) {
+  const profileFolder = path.join(profilesFolder, assetProfile.profileId);
+  fs.outputJsonSync(path.join(profileFolder, 'profile.json'), assetProfile);
+  if (nodeNames) {
+    writeGlb(path.join(profileFolder, 'left.glb'), nodeNames);
+  }
+}
+
+/**
+ * @returns {string[]} The severity and rule id of each diagnostic of the only profile checked
+ */
+function getFindings() {
+  const [result] = checkAssetFiles([profilesFolder]);
+  return result.diagnostics.map(({ severity, ruleId }) => `${severity} ${ruleId}`);
+}
+
+test('A model with every node passes the build', async () => {
+  writeProfile(buildAssetProfile(), modelNodeNames);
+  expect(getFindings()).toEqual([]);
+  expect(checkAssetsCommand([profilesFolder], {})).toEqual(ExitCode.VALID);
+  await expect(checkAssets()).resolves.toBeUndefined();
+});
+
+test('A layout without an assetPath has no model to check', async () => {
+  const assetProfile = buildAssetProfile();
+  delete assetProfile.layouts.left.assetPath;
+  writeProfile(assetProfile);
+  expect(getFindings()).toEqual([]);
+  await expect(checkAssets()).resolves.toBeUndefined();
+});
+
+test('A missing model fails the build', async () => {
+  writeProfile(buildAssetProfile());
+  expect(checkAssetFiles([profilesFolder])[0].diagnostics).toEqual([{
+    profileId: 'test-profile',
+    handedness: 'left',
+    severity: 'error',
+    pointer: '/layouts/left/assetPath',
+    message: 'Could not find the model left.glb',
+    ruleId: 'missing-asset'
+  }]);
+  expect(checkAssetsCommand([profilesFolder], {})).toEqual(ExitCode.SEMANTIC);
+  await expect(checkAssets()).rejects.toThrow('Asset check failed with errors:\n[test-profile] [left] /layouts/left/assetPath: Could not find the model left.glb');
+});
+
+test('A model which cannot be read fails the build', async () => {
+  writeProfile(buildAssetProfile());
+  fs.outputFileSync(path.join(profilesFolder, 'test-profile', 'left.glb'), 'not a model');
+  expect(getFindings()).toEqual(['error asset-file']);
+  await expect(checkAssets()).rejects.toThrow('Unable to read left.glb');
+});
+
+test('A visual response missing all of its nodes fails the build', async () => {
+  writeProfile(buildAssetProfile(), ['test-profile-left', 'xr_standard_trigger']);
+  expect(getFindings()).toEqual(['error unmodeled-visual-response']);
+  await expect(checkAssets()).rejects.toThrow('left.glb has none of the nodes animated by xr_standard_trigger_pressed');
+});
+
+test('A visual response missing one of its nodes fails the build', async () => {
+  writeProfile(buildAssetProfile(), modelNodeNames.filter(name => !name.endsWith('_min')));
+  expect(getFindings()).toEqual(['error visual-response-node']);
+  await expect(checkAssets()).rejects.toThrow('Could not find xr_standard_trigger_pressed_min in left.glb');
+});
+
+test('A missing touch point node fails the build', async () => {
+  const assetProfile = buildAssetProfile();
+  const trigger = assetProfile.layouts.left.components['xr-standard-trigger'];
+  trigger.touchPointNodeName = 'xr_standard_trigger_axes_touched_value';
+  writeProfile(assetProfile, modelNodeNames);
+  expect(getFindings()).toEqual(['error touch-point-node']);
+  await expect(checkAssets()).rejects.toThrow('Could not find xr_standard_trigger_axes_touched_value in left.glb');
+});
+
+test('Missing root nodes are reported without failing the build', async () => {
+  const rootNodeNames = ['test-profile-left', 'xr_standard_trigger'];
+  writeProfile(buildAssetProfile(), modelNodeNames.filter(name => !rootNodeNames.includes(name)));
+  expect(getFindings()).toEqual(['warning root-node', 'warning root-node']);
+  expect(checkAssetsCommand([profilesFolder], {})).toEqual(ExitCode.VALID);
+  expect(stdoutWrite.mock.calls[0][0]).toMatch(/warning \(asset root-node\) \[left\] \/layouts\/left\/rootNodeName: Could not find test-profile-left in left\.glb\n/);
+  await expect(checkAssets()).resolves.toBeUndefined();
+});
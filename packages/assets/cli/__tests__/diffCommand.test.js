@@ -0,0 +1,51 @@
+import path from 'path';
+import { ExitCode } from '../validateCommand';
+import { diffCommand } from '../diffCommand';
+
+const fixturesFolder = path.join(__dirname, 'fixtures');
+
+let stdoutWrite;
+beforeEach(() => {
+  stdoutWrite = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+});
+
+afterEach(() => {
+  stdoutWrite.mockRestore();
+});
+
+/**
+ * Runs the diff command with JSON output and returns the output
+ * @param {string} before - The path of the earlier profile within the fixtures folder
+ * @param {string} after - The path of the later profile within the fixtures folder
+ */
+function diffFixtures(before, after) {
+  const paths = [before, after].map(file => path.join(fixturesFolder, file));
+  const exitCode = diffCommand(paths, { json: true });
+  const output = JSON.parse(stdoutWrite.mock.calls[0][0]);
+  expect(output.exitCode).toEqual(exitCode);
+  return output;
+}
+
+test('A registry profile is expanded before being compared', () => {
+  const output = diffFixtures('valid/generic-button.json', 'diff/generic-button-expanded.json');
+  expect(output.exitCode).toEqual(ExitCode.VALID);
+  expect(output.changes).toEqual([]);
+});
+
+test('Changes to a registry profile are reported for each handedness', () => {
+  const output = diffFixtures('valid/generic-button.json', 'diff/generic-button-renamed.json');
+  expect(output.exitCode).toEqual(ExitCode.BREAKING);
+  expect(output.changes.map(({ handedness }) => handedness)).toEqual([
+    'left', 'left', 'left', 'right', 'right', 'right', 'none', 'none', 'none'
+  ]);
+});
+
+test('Profiles which cannot be compared are rejected', () => {
+  expect(() => {
+    diffFixtures('diff/generic-button-invalid.json', 'valid/generic-button.json');
+  }).toThrow(/is not a valid registry profile or a built asset profile/);
+
+  expect(() => {
+    diffFixtures('valid/generic-button/profile.json', 'valid/generic-button.json');
+  }).toThrow(/is not a registry profile or a built asset profile/);
+});
@@ -0,0 +1,55 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ExitCode } from '../validateCommand';
+import { migrateCommand } from '../migrateCommand';
+
+const migrateFixturesFolder = path.join(__dirname, 'fixtures', 'migrate');
+
+let stdoutWrite;
+let tempFolder;
+beforeEach(() => {
+  stdoutWrite = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+  tempFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-'));
+  ['legacy', 'current'].forEach((name) => {
+    fs.copySync(path.join(migrateFixturesFolder, name), path.join(tempFolder, name));
+  });
+});
+
+afterEach(() => {
+  stdoutWrite.mockRestore();
+  fs.removeSync(tempFolder);
+});
+
+test('Legacy asset profiles are rewritten in place', () => {
+  const currentFile = path.join(tempFolder, 'current', 'profile.json');
+  const currentContents = fs.readFileSync(currentFile, 'utf8');
+
+  expect(migrateCommand([tempFolder], { json: true })).toEqual(ExitCode.VALID);
+  const migrated = fs.readJsonSync(path.join(tempFolder, 'legacy', 'profile.json'));
+  const expected = fs.readJsonSync(path.join(migrateFixturesFolder, 'migrated', 'profile.json'));
+  expect(migrated).toEqual(expected);
+  expect(fs.readFileSync(currentFile, 'utf8')).toEqual(currentContents);
+
+  const output = JSON.parse(stdoutWrite.mock.calls[0][0]);
+  const changeCounts = {};
+  output.files.forEach(({ path: file, diagnostics }) => {
+    changeCounts[path.relative(tempFolder, file)] = diagnostics.length;
+  });
+  expect(changeCounts).toEqual({
+    [path.join('current', 'profile.json')]: 0,
+    [path.join('legacy', 'profile.json')]: 3
+  });
+});
+
+test('Migrating twice makes no further changes', () => {
+  migrateCommand([tempFolder], {});
+  stdoutWrite.mockClear();
+
+  migrateCommand([path.join(tempFolder, 'legacy', 'profile.json')], {});
+  expect(stdoutWrite.mock.calls[0][0]).toMatch(/profile\.json: up to date\n$/);
+});
+
+test('Throws when no paths are supplied', () => {
+  expect(() => { migrateCommand([], {}); }).toThrow('No paths supplied to migrate');
+});
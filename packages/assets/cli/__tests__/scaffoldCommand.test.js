@@ -0,0 +1,176 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ExitCode, validateCommand } from '../validateCommand';
+import { scaffoldCommand, scaffoldProfile } from '../scaffoldCommand';
+import buildAssetProfile from '../../src/buildAssetProfile';
+import checkAssetNodes from '../../src/checkAssetNodes';
+import expandRegistryProfile from '../../src/expandRegistryProfile';
+
+let stdoutWrite;
+let outFolder;
+beforeEach(() => {
+  stdoutWrite = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+  outFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-'));
+});
+
+afterEach(() => {
+  stdoutWrite.mockRestore();
+  fs.removeSync(outFolder);
+});
+
+/**
+ * Builds the options for a left and right handed controller with a trigger, a thumbstick, and a
+ * button. The fallback profile id is supplied so it does not depend on the registry being built.
+ * @param {Object} [overrides] - Options which replace the defaults
+ */
+function buildOptions(overrides = {}) {
+  return {
+    vendor: 'acme',
+    device: 'wand-pro',
+    layouts: 'left-right',
+    components: 'xr-standard-trigger:trigger,xr-standard-thumbstick:thumbstick,a-button:button',
+    mapping: 'xr-standard',
+    fallback: 'generic-trigger-thumbstick',
+    out: outFolder,
+    ...overrides
+  };
+}
+
+describe('Profile id validation', () => {
+  test('Rejects vendors which are not lowercase letters and numbers', () => {
+    expect(() => { scaffoldProfile(buildOptions({ vendor: 'Acme' })); })
+      .toThrow('Vendor Acme must only contain lowercase letters and numbers');
+    expect(() => { scaffoldProfile(buildOptions({ vendor: 'acme-labs' })); })
+      .toThrow('Vendor acme-labs must only contain lowercase letters and numbers');
+    expect(fs.readdirSync(outFolder)).toEqual([]);
+  });
+
+  test('Rejects device names which do not form a valid profile id', () => {
+    expect(() => { scaffoldProfile(buildOptions({ device: 'Wand_Pro' })); })
+      .toThrow(/^Profile id acme-Wand_Pro does not match the pattern /);
+    expect(() => { scaffoldProfile(buildOptions({ device: '' })); })
+      .toThrow(/^Profile id acme- does not match the pattern /);
+    expect(fs.readdirSync(outFolder)).toEqual([]);
+  });
+
+  test('Rejects components which are not id:type', () => {
+    expect(() => { scaffoldProfile(buildOptions({ components: 'a-button' })); })
+      .toThrow('Component a-button must be in the form id:type');
+    expect(() => { scaffoldProfile(buildOptions({ components: ' , ' })); })
+      .toThrow('At least one component is required');
+  });
+
+  test('Rejects profiles the registry considers invalid', () => {
+    expect(() => { scaffoldProfile(buildOptions({ components: 'a-button:lever' })); })
+      .toThrow(/^The generated registry profile is invalid:/);
+    expect(() => { scaffoldProfile(buildOptions({ components: 'a-button:button' })); })
+      .toThrow(/xr-standard-trigger/);
+    expect(fs.readdirSync(outFolder)).toEqual([]);
+  });
+});
+
+describe('Generated profiles', () => {
+  test('The registry and asset profiles validate', () => {
+    const { profileId, files } = scaffoldProfile(buildOptions());
+    expect(profileId).toEqual('acme-wand-pro');
+    expect(files).toEqual({
+      registryProfile: path.join(outFolder, 'registry', 'profiles', 'acme', 'acme-wand-pro.json'),
+      assetProfile: path.join(outFolder, 'assets', 'profiles', 'acme-wand-pro', 'profile.json')
+    });
+
+    const exitCode = validateCommand([files.registryProfile, files.assetProfile], { json: true });
+    expect(exitCode).toEqual(ExitCode.VALID);
+  });
+
+  test('Components are placed at the indices the mapping requires', () => {
+    const { files } = scaffoldProfile(buildOptions());
+    const registryProfile = fs.readJsonSync(files.registryProfile);
+    expect(Object.keys(registryProfile.layouts)).toEqual(['left-right']);
+    expect(registryProfile.fallbackProfileIds).toEqual(['generic-trigger-thumbstick']);
+
+    const layout = registryProfile.layouts['left-right'];
+    expect(layout.selectComponentId).toEqual('xr-standard-trigger');
+    expect(layout.gamepad).toEqual({
+      mapping: 'xr-standard',
+      buttons: ['xr-standard-trigger', null, null, 'xr-standard-thumbstick', 'a-button'],
+      axes: [
+        null,
+        null,
+        { componentId: 'xr-standard-thumbstick', axis: 'x-axis' },
+        { componentId: 'xr-standard-thumbstick', axis: 'y-axis' }
+      ]
+    });
+  });
+
+  test('Components are listed in order without a mapping', () => {
+    const { files } = scaffoldProfile(buildOptions({
+      layouts: 'none',
+      components: 'pad:touchpad,grip:squeeze',
+      mapping: 'none',
+      fallback: 'generic-touchpad'
+    }));
+    const layout = fs.readJsonSync(files.registryProfile).layouts.none;
+    expect(layout.selectComponentId).toEqual('pad');
+    expect(layout.gamepad).toEqual({
+      mapping: '',
+      buttons: ['pad', 'grip'],
+      axes: [{ componentId: 'pad', axis: 'x-axis' }, { componentId: 'pad', axis: 'y-axis' }]
+    });
+
+    const exitCode = validateCommand([files.registryProfile, files.assetProfile], { json: true });
+    expect(exitCode).toEqual(ExitCode.VALID);
+  });
+
+  test('Lists the nodes each model must contain', () => {
+    const { nodeChecklist } = scaffoldProfile(buildOptions());
+    expect(Object.keys(nodeChecklist)).toEqual(['left.glb', 'right.glb']);
+    expect(nodeChecklist['left.glb'].required).toEqual(expect.arrayContaining([
+      'xr_standard_trigger_pressed_value',
+      'xr_standard_thumbstick_xaxis_pressed_value',
+      'a_button_pressed_value'
+    ]));
+    expect(nodeChecklist['left.glb'].recommended).toEqual([
+      'acme-wand-pro-left',
+      'xr_standard_trigger',
+      'xr_standard_thumbstick',
+      'a_button'
+    ]);
+  });
+
+  test('The checklist matches the nodes the asset check looks for', () => {
+    const { files, nodeChecklist } = scaffoldProfile(buildOptions());
+    const assetInfo = fs.readJsonSync(files.assetProfile);
+    const registryProfile = expandRegistryProfile(fs.readJsonSync(files.registryProfile));
+    const assetProfile = buildAssetProfile(assetInfo, registryProfile);
+    const { required, recommended } = nodeChecklist['left.glb'];
+
+    expect(checkAssetNodes(assetProfile, 'left', required)
+      .map(({ severity, ruleId }) => `${severity} ${ruleId}`))
+      .toEqual(recommended.map(() => 'warning root-node'));
+    expect(checkAssetNodes(assetProfile, 'left', [...required, ...recommended])).toEqual([]);
+  });
+
+  test('Existing files are not overwritten', () => {
+    const { files } = scaffoldProfile(buildOptions());
+    expect(() => { scaffoldProfile(buildOptions({ components: 'xr-standard-trigger:trigger' })); })
+      .toThrow(`${files.registryProfile} already exists`);
+    expect(fs.readJsonSync(files.registryProfile).layouts['left-right'].components['a-button'])
+      .toEqual({ type: 'button' });
+  });
+});
+
+describe('scaffoldCommand', () => {
+  test('Writes the created files and node checklist', async () => {
+    expect(await scaffoldCommand([], buildOptions())).toEqual(ExitCode.VALID);
+    const output = stdoutWrite.mock.calls[0][0];
+    expect(output).toMatch(/^Created acme-wand-pro:\n/);
+    expect(output).toMatch(/\nleft\.glb\n {2}Required:\n {4}\[ \] xr_standard_trigger_pressed_value\n/);
+    expect(output).toMatch(/\n {2}Recommended:\n {4}\[ \] acme-wand-pro-left\n/);
+  });
+
+  test('Fails when a required option is missing and there is no terminal to ask', async () => {
+    const { vendor, ...options } = buildOptions();
+    await expect(scaffoldCommand([], options)).rejects.toThrow('Option --vendor is required');
+  });
+});
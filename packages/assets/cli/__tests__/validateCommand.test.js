@@ -0,0 +1,153 @@
+import path from 'path';
+import { ExitCode, validateCommand } from '../validateCommand';
+import { main } from '../webxr-input-profiles';
+
+const fixturesFolder = path.join(__dirname, 'fixtures');
+
+/**
+ * @param {...string} segments - The path of a fixture within the fixtures folder
+ */
+function fixture(...segments) {
+  return path.join(fixturesFolder, ...segments);
+}
+
+let stdoutWrite;
+let stderrWrite;
+beforeEach(() => {
+  stdoutWrite = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+  stderrWrite = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterEach(() => {
+  stdoutWrite.mockRestore();
+  stderrWrite.mockRestore();
+});
+
+describe('validateCommand', () => {
+  test('Valid registry and asset profiles', () => {
+    expect(validateCommand([fixture('valid')], {})).toEqual(ExitCode.VALID);
+  });
+
+  test('A profile which does not conform to its schema', () => {
+    expect(validateCommand([fixture('schema')], {})).toEqual(ExitCode.SCHEMA);
+  });
+
+  test('A profile which conforms to its schema but has other errors', () => {
+    expect(validateCommand([fixture('semantic')], {})).toEqual(ExitCode.SEMANTIC);
+  });
+
+  test('Schema errors take precedence over semantic errors', () => {
+    expect(validateCommand([fixture('semantic'), fixture('schema')], {})).toEqual(ExitCode.SCHEMA);
+  });
+
+  test('Writes the exit code with the results as JSON', () => {
+    validateCommand([fixture('semantic')], { json: true });
+    const output = JSON.parse(stdoutWrite.mock.calls[0][0]);
+    expect(output.valid).toBe(false);
+    expect(output.exitCode).toEqual(ExitCode.SEMANTIC);
+    expect(output.files[0].diagnostics[0].ruleId).toEqual('button-component');
+  });
+
+  test('Writes the diagnostics of an asset profile as JSON', () => {
+    const registryProfile = fixture('valid', 'generic-button.json');
+    const assetProfile = fixture('asset', 'generic-button', 'profile.json');
+    expect(validateCommand([registryProfile, assetProfile], { json: true }))
+      .toEqual(ExitCode.SEMANTIC);
+
+    const output = JSON.parse(stdoutWrite.mock.calls[0][0]);
+    expect(output.files[0]).toEqual({
+      path: registryProfile, kind: 'registry', profileId: 'generic-button', diagnostics: []
+    });
+    expect(output.files[1].kind).toEqual('asset');
+    const { diagnostics } = output.files[1];
+    expect(diagnostics.map(({ handedness, severity, ruleId }) => `${handedness} ${severity} ${ruleId}`)).toEqual([
+      'left warning redundant-override',
+      'left error component',
+      'right error component',
+      'none error component'
+    ]);
+    expect(diagnostics[1]).toEqual({
+      type: 'semantic',
+      profileId: 'generic-button',
+      handedness: 'left',
+      pointer: '/overrides/left-right-none/components/grip',
+      severity: 'error',
+      message: 'Cannot apply component overrides for grip because it isn\'t defined in the registry',
+      ruleId: 'component'
+    });
+  });
+
+  test('Writes each diagnostic of an asset profile as text', () => {
+    const assetProfile = fixture('asset', 'generic-button', 'profile.json');
+    validateCommand([fixture('valid', 'generic-button.json'), assetProfile], {});
+    const lines = stdoutWrite.mock.calls[0][0].split('\n');
+    expect(lines[0]).toMatch(/generic-button\.json: valid$/);
+    expect(lines[1]).toMatch(/generic-button\/profile\.json: 3 error\(s\), 1 warning\(s\)$/);
+    expect(lines[2]).toEqual('  warning (semantic redundant-override) [left] /overrides/left-right-none/assetPath: The assetPath override matches the default left.glb');
+    expect(lines[3]).toEqual('  error (semantic component) [left] /overrides/left-right-none/components/grip: Cannot apply component overrides for grip because it isn\'t defined in the registry');
+  });
+
+  test('An asset profile whose registry profile is invalid', () => {
+    const registryProfile = fixture('semantic', 'generic-button.json');
+    const assetProfile = fixture('asset', 'generic-button', 'profile.json');
+    expect(validateCommand([registryProfile, assetProfile], { json: true }))
+      .toEqual(ExitCode.SEMANTIC);
+    const output = JSON.parse(stdoutWrite.mock.calls[0][0]);
+    expect(output.files[1].diagnostics).toEqual([{
+      type: 'semantic',
+      severity: 'error',
+      pointer: '/profileId',
+      message: 'Unable to apply overrides because the registry profile for generic-button is invalid',
+      ruleId: 'registry-profile'
+    }]);
+  });
+
+  test('Asset profiles are migrated before they are validated', () => {
+    const assetProfile = fixture('asset', 'generic-trigger-touchpad', 'profile.json');
+    const registry = path.join(__dirname, '../../../registry/profiles');
+    expect(validateCommand([assetProfile], { json: true, registry })).toEqual(ExitCode.VALID);
+
+    const output = JSON.parse(stdoutWrite.mock.calls[0][0]);
+    expect(output.files[0].diagnostics).toEqual([{
+      type: 'schema',
+      profileId: 'generic-trigger-touchpad',
+      handedness: 'left-right-none',
+      pointer: '/overrides/left-right-none/components/xr-standard-touchpad/visualResponses/xaxis_pressed/componentProperty',
+      severity: 'warning',
+      message: 'The componentProperty x-axis has been replaced by xAxis',
+      ruleId: 'legacy-component-property'
+    }]);
+  });
+
+  test('Throws when no paths are supplied', () => {
+    expect(() => { validateCommand([], {}); }).toThrow('No paths supplied to validate');
+  });
+});
+
+describe('Command line exit codes', () => {
+  test('VALID', async () => {
+    expect(await main(['validate', fixture('valid')])).toEqual(ExitCode.VALID);
+  });
+
+  test('USAGE', async () => {
+    expect(await main(['validate'])).toEqual(ExitCode.USAGE);
+    expect(await main(['validate', fixture('missing')])).toEqual(ExitCode.USAGE);
+    expect(await main(['validate', '--registry'])).toEqual(ExitCode.USAGE);
+    expect(await main(['unknown-command'])).toEqual(ExitCode.USAGE);
+  });
+
+  test('SCHEMA', async () => {
+    expect(await main(['validate', fixture('schema')])).toEqual(ExitCode.SCHEMA);
+  });
+
+  test('SEMANTIC', async () => {
+    expect(await main(['validate', fixture('semantic')])).toEqual(ExitCode.SEMANTIC);
+  });
+
+  test('BREAKING', async () => {
+    const before = fixture('valid', 'generic-button.json');
+    const after = fixture('diff', 'generic-button-renamed.json');
+    expect(await main(['diff', before, after])).toEqual(ExitCode.BREAKING);
+    expect(await main(['diff', before, before])).toEqual(ExitCode.VALID);
+  });
+});
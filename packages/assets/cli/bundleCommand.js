@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+
+const { ExitCode } = require('./validateCommand');
+
+const DEFAULT_PROFILES_FOLDER = path.join(__dirname, '../dist/profiles');
+const PROFILES_LIST_FILE = 'profilesList.json';
+const MANIFEST_FILE = 'manifest.json';
+const BUNDLE_FILE = 'bundle.json';
+const FALLBACK_PROFILES_KEY = 'fallbackProfiles';
+
+/**
+ * Builds a subresource integrity string for the contents of a file
+ * @param {Buffer} contents
+ */
+function computeIntegrity(contents) {
+  return `sha256-${crypto.createHash('sha256').update(contents).digest('base64')}`;
+}
+
+/**
+ * Lists the profiles without assets of their own, which the profiles list keeps under the
+ * fallbackProfiles key, alongside its other entries
+ * @param {Object} profilesList - The contents of a profilesList.json file
+ */
+function flattenProfilesList(profilesList) {
+  const { [FALLBACK_PROFILES_KEY]: fallbackProfiles, ...profileEntries } = profilesList;
+  return Object.assign({}, fallbackProfiles, profileEntries);
+}
+
+/**
+ * Finds the profile ids which must be listed in a bundle for each of the supplied profile ids to
+ * resolve to the same profile as it does from the full profiles list. Entries without a path bring
+ * in their fallback profile ids. When includeFallbacks is set, the fallback profile ids of every
+ * included profile are brought in too, so applications can fall back to them as well.
+ * @param {string[]} profileIds - The profile ids requested
+ * @param {Object} profilesList - The contents of the full profilesList.json file
+ * @param {Function} readProfile - Returns the built asset profile at a path in the list
+ * @param {boolean} includeFallbacks - Whether to include every profile reachable via fallbacks
+ * @returns {string[]} The profile ids to list, in the order they were found
+ */
+function collectProfileIds(profileIds, profilesList, readProfile, includeFallbacks) {
+  const collectedIds = [];
+  const pendingIds = [...profileIds];
+  while (pendingIds.length > 0) {
+    const profileId = pendingIds.shift();
+    if (!collectedIds.includes(profileId)) {
+      const entry = profilesList[profileId];
+      if (!entry) {
+        throw new Error(`Profile ${profileId} is not in the profiles list`);
+      }
+
+      collectedIds.push(profileId);
+      if (!entry.path) {
+        pendingIds.push(...(entry.fallbackProfileIds || []));
+      } else if (includeFallbacks) {
+        pendingIds.push(...(readProfile(entry.path).fallbackProfileIds || []));
+      }
+    }
+  }
+  return collectedIds;
+}
+
+/**
+ * Lists the files, relative to the profiles folder, needed by the bundled profiles list. These are
+ * the asset profile of each entry with a path, and the model of each of its layouts.
+ * @param {Object[]} entries - The entries of the trimmed profiles list
+ * @param {Function} readProfile - Returns the built asset profile at a path in the list
+ */
+function collectFiles(entries, readProfile) {
+  const files = new Set();
+  entries.forEach(({ path: profilePath }) => {
+    if (profilePath) {
+      files.add(profilePath);
+      Object.values(readProfile(profilePath).layouts).forEach(({ assetPath }) => {
+        if (assetPath) {
+          files.add(path.posix.join(path.posix.dirname(profilePath), assetPath));
+        }
+      });
+    }
+  });
+  return Array.from(files).sort();
+}
+
+/**
+ * Copies the built profiles, and their models, needed by the supplied profile ids into a folder
+ * which can be served or packaged without access to the CDN. Alongside the copies are written a
+ * trimmed profilesList.json, a manifest.json giving the integrity and size of each file, and a
+ * bundle.json containing every JSON file, which fetchProfile() accepts as a source in place of a
+ * basePath.
+ * @param {string[]} profileIds - The profile ids to bundle
+ * @param {Object} options
+ * @param {string} options.out - The folder to create the bundle in. Must be empty or missing.
+ * @param {string} [options.profiles] - The folder of built profiles. Defaults to dist/profiles.
+ * @param {boolean} [options.fallbacks] - Also bundle every profile reachable via fallbacks
+ * @returns {Object} The profile ids and files bundled, and the models which could not be found
+ */
+function buildBundle(profileIds, options) {
+  const profilesFolder = path.resolve(options.profiles || DEFAULT_PROFILES_FOLDER);
+  const outFolder = path.resolve(options.out);
+  const fullProfilesListPath = path.join(profilesFolder, PROFILES_LIST_FILE);
+  if (!fs.existsSync(fullProfilesListPath)) {
+    throw new Error(`No profiles list at ${fullProfilesListPath}. Build the assets package first.`);
+  }
+
+  if (fs.existsSync(outFolder) && fs.readdirSync(outFolder).length > 0) {
+    throw new Error(`Output folder ${outFolder} is not empty`);
+  }
+
+  const profiles = {};
+  const readProfile = (profilePath) => {
+    if (!profiles[profilePath]) {
+      profiles[profilePath] = fs.readJsonSync(path.join(profilesFolder, profilePath));
+    }
+    return profiles[profilePath];
+  };
+
+  const fullProfilesList = flattenProfilesList(fs.readJsonSync(fullProfilesListPath));
+  const bundledIds = collectProfileIds(
+    profileIds, fullProfilesList, readProfile, !!options.fallbacks
+  );
+  const profilesList = {};
+  const fallbackProfiles = {};
+  bundledIds.sort().forEach((profileId) => {
+    const entry = fullProfilesList[profileId];
+    if (entry.path) {
+      profilesList[profileId] = entry;
+    } else {
+      fallbackProfiles[profileId] = entry;
+    }
+  });
+  if (Object.keys(fallbackProfiles).length > 0) {
+    profilesList[FALLBACK_PROFILES_KEY] = fallbackProfiles;
+  }
+
+  const manifest = { files: {} };
+  const writeFile = (relativePath, contents) => {
+    fs.outputFileSync(path.join(outFolder, relativePath), contents);
+    manifest.files[relativePath] = { integrity: computeIntegrity(contents), size: contents.length };
+  };
+
+  const bundle = { files: {} };
+  const missingFiles = [];
+  const entries = bundledIds.map(profileId => fullProfilesList[profileId]);
+  collectFiles(entries, readProfile).forEach((relativePath) => {
+    // Models which have not been made yet are reported by the check-assets command too
+    const file = path.join(profilesFolder, relativePath);
+    if (!fs.existsSync(file)) {
+      missingFiles.push(relativePath);
+      return;
+    }
+
+    writeFile(relativePath, fs.readFileSync(file));
+    if (relativePath.endsWith('.json')) {
+      bundle.files[relativePath] = readProfile(relativePath);
+    }
+  });
+
+  writeFile(PROFILES_LIST_FILE, Buffer.from(`${JSON.stringify(profilesList, null, 2)}\n`));
+  bundle.files[PROFILES_LIST_FILE] = profilesList;
+
+  // The bundle is listed in the manifest, but the manifest cannot list itself
+  writeFile(BUNDLE_FILE, Buffer.from(`${JSON.stringify(bundle)}\n`));
+  fs.outputJsonSync(path.join(outFolder, MANIFEST_FILE), manifest, { spaces: 2 });
+
+  return {
+    out: outFolder, profileIds: bundledIds, files: manifest.files, missingFiles
+  };
+}
+
+/**
+ * Runs the bundle command
+ * @param {string[]} profileIds - The profile ids to bundle
+ * @param {Object} options - The options accepted by buildBundle, and json to write the result as
+ * JSON rather than text
+ * @returns {number} The process exit code
+ */
+function bundleCommand(profileIds, options) {
+  if (profileIds.length === 0) {
+    throw new Error('No profile ids supplied to bundle');
+  }
+
+  if (!options.out) {
+    throw new Error('The --out option is required');
+  }
+
+  const result = buildBundle(profileIds, options);
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  } else {
+    const fileCount = Object.keys(result.files).length;
+    const lines = [
+      `Bundled ${result.profileIds.length} profile(s) and ${fileCount} file(s) into ${path.relative(process.cwd(), result.out) || '.'}`,
+      ...result.profileIds.map(profileId => `  ${profileId}`),
+      ...result.missingFiles.map(file => `Warning: ${file} does not exist and was not bundled`)
+    ];
+    process.stdout.write(`${lines.join('\n')}\n`);
+  }
+  return ExitCode.VALID;
+}
+
+module.exports = {
+  bundleCommand,
+  buildBundle
+};
@@ -0,0 +1,194 @@
+const path = require('path');
+const fs = require('fs-extra');
+const glob = require('glob');
+
+const checkAssetNodes = require('../src/checkAssetNodes');
+const { ExitCode } = require('./validateCommand');
+
+const GLB_MAGIC = 0x46546C67;
+const GLB_VERSION = 2;
+const GLB_HEADER_LENGTH = 12;
+const GLB_CHUNK_HEADER_LENGTH = 8;
+const GLB_JSON_CHUNK_TYPE = 0x4E4F534A;
+
+/**
+ * Reads the names of the nodes in a binary glTF file without loading its meshes or textures
+ * @param {string} file - Path to the .glb file
+ * @returns {string[]} The name of every named node
+ */
+function readGlbNodeNames(file) {
+  const buffer = fs.readFileSync(file);
+  if (buffer.length < GLB_HEADER_LENGTH + GLB_CHUNK_HEADER_LENGTH
+      || buffer.readUInt32LE(0) !== GLB_MAGIC) {
+    throw new Error(`${file} is not a binary glTF file`);
+  }
+
+  const version = buffer.readUInt32LE(4);
+  if (version !== GLB_VERSION) {
+    throw new Error(`${file} is glTF version ${version} rather than ${GLB_VERSION}`);
+  }
+
+  // The JSON chunk is always the first chunk
+  const chunkLength = buffer.readUInt32LE(GLB_HEADER_LENGTH);
+  const chunkType = buffer.readUInt32LE(GLB_HEADER_LENGTH + 4);
+  if (chunkType !== GLB_JSON_CHUNK_TYPE) {
+    throw new Error(`${file} does not start with a JSON chunk`);
+  }
+
+  const chunkStart = GLB_HEADER_LENGTH + GLB_CHUNK_HEADER_LENGTH;
+  const gltf = JSON.parse(buffer.toString('utf8', chunkStart, chunkStart + chunkLength));
+  if (!gltf.scenes || gltf.scenes.length === 0) {
+    throw new Error(`${file} has no scene to use as the layout's root`);
+  }
+  return (gltf.nodes || []).filter(node => node.name !== undefined).map(node => node.name);
+}
+
+/**
+ * Expands the supplied paths into the asset profiles they refer to. Folders are searched
+ * recursively.
+ * @param {string[]} paths
+ */
+function findProfileFiles(paths) {
+  const files = [];
+  paths.forEach((suppliedPath) => {
+    if (!fs.existsSync(suppliedPath)) {
+      throw new Error(`No such file or folder ${suppliedPath}`);
+    }
+
+    if (fs.statSync(suppliedPath).isDirectory()) {
+      files.push(...glob.sync('**/profile.json', { cwd: suppliedPath, absolute: true, nodir: true }));
+    } else {
+      files.push(path.resolve(suppliedPath));
+    }
+  });
+  return files;
+}
+
+/**
+ * Checks the models of built asset profiles against the node names in the profiles. Each layout's
+ * model is found at its assetPath relative to the profile. Models which are missing or cannot be
+ * read are errors; layouts without a model have no assetPath.
+ * @param {string[]} paths - The built asset profiles, or folders of them, to check
+ * @returns {Object[]} The path, profileId, and diagnostics of each profile
+ */
+function checkAssetFiles(paths) {
+  return findProfileFiles(paths).map((file) => {
+    const assetProfile = fs.readJsonSync(file);
+    const { profileId } = assetProfile;
+    const result = { path: file, profileId, diagnostics: [] };
+    if (!assetProfile.layouts) {
+      result.diagnostics.push({
+        profileId,
+        severity: 'error',
+        pointer: '',
+        message: 'Only built asset profiles can be checked',
+        ruleId: 'asset-profile'
+      });
+      return result;
+    }
+
+    Object.keys(assetProfile.layouts).forEach((handedness) => {
+      // Layouts without an asset, such as hands, are drawn from other data
+      const { assetPath } = assetProfile.layouts[handedness];
+      if (!assetPath) {
+        return;
+      }
+
+      const assetFile = path.join(path.dirname(file), assetPath);
+      if (!fs.existsSync(assetFile)) {
+        result.diagnostics.push({
+          profileId,
+          handedness,
+          severity: 'error',
+          pointer: `/layouts/${handedness}/assetPath`,
+          message: `Could not find the model ${assetPath}`,
+          ruleId: 'missing-asset'
+        });
+        return;
+      }
+
+      let nodeNames;
+      try {
+        nodeNames = readGlbNodeNames(assetFile);
+      } catch (error) {
+        result.diagnostics.push({
+          profileId,
+          handedness,
+          severity: 'error',
+          pointer: `/layouts/${handedness}/assetPath`,
+          message: `Unable to read ${assetPath}: ${error.message}`,
+          ruleId: 'asset-file'
+        });
+        return;
+      }
+
+      result.diagnostics.push(...checkAssetNodes(assetProfile, handedness, nodeNames));
+    });
+
+    return result;
+  });
+}
+
+/**
+ * @param {Object[]} results - The results of checkAssetFiles
+ * @returns {Object[]} The diagnostics which are errors rather than warnings
+ */
+function getAssetErrors(results) {
+  const diagnostics = [].concat(...results.map(result => result.diagnostics));
+  return diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+}
+
+/**
+ * @param {Object[]} results - The results of checkAssetFiles
+ */
+function formatAssetResults(results) {
+  const lines = [];
+  results.forEach((result) => {
+    const relativePath = path.relative(process.cwd(), result.path);
+    const errorCount = getAssetErrors([result]).length;
+    const warningCount = result.diagnostics.length - errorCount;
+    if (result.diagnostics.length === 0) {
+      lines.push(`${relativePath}: valid`);
+      return;
+    }
+
+    lines.push(`${relativePath}: ${errorCount} error(s), ${warningCount} warning(s)`);
+    result.diagnostics.forEach(({
+      severity, handedness, pointer, message, ruleId
+    }) => {
+      const location = handedness ? `[${handedness}] ${pointer || '/'}` : pointer || '/';
+      lines.push(`  ${severity} (asset ${ruleId}) ${location}: ${message}`);
+    });
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Runs the check-assets command
+ * @param {string[]} paths - The built asset profiles, or folders of them, to check
+ * @param {Object} options
+ * @param {boolean} [options.json] - Write the results as JSON rather than text
+ * @returns {number} The process exit code
+ */
+function checkAssetsCommand(paths, options) {
+  if (paths.length === 0) {
+    throw new Error('No paths supplied to check');
+  }
+
+  const results = checkAssetFiles(paths);
+  const exitCode = (getAssetErrors(results).length > 0) ? ExitCode.SEMANTIC : ExitCode.VALID;
+  if (options.json) {
+    const output = { valid: exitCode === ExitCode.VALID, exitCode, files: results };
+    process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+  } else {
+    process.stdout.write(`${formatAssetResults(results)}\n`);
+  }
+  return exitCode;
+}
+
+module.exports = {
+  checkAssetsCommand,
+  checkAssetFiles,
+  getAssetErrors,
+  readGlbNodeNames
+};
@@ -0,0 +1,90 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+const expandRegistryProfile = require('../src/expandRegistryProfile');
+const diffProfiles = require('../src/diffProfiles');
+const { ExitCode, buildSchemaValidator, getRegistryRoot } = require('./validateCommand');
+
+const HANDEDNESS_VALUES = ['left', 'right', 'none'];
+
+/**
+ * Reads a profile and splits its layouts by handedness. Profiles which conform to the registry
+ * schema are expanded. Expanded registry profiles and built asset profiles, which have a layout
+ * per handedness and describe no gamepad, are used as they are.
+ * @param {string} file - Path to the profile
+ * @param {Function} registryValidator - Validates a profile against the registry schema
+ */
+function readExpandedProfile(file, registryValidator) {
+  const profile = fs.readJsonSync(file);
+  if (profile.overrides !== undefined || !profile.layouts) {
+    throw new Error(`${file} is not a registry profile or a built asset profile`);
+  }
+
+  if (!registryValidator(profile)) {
+    const isExpanded = Object.keys(profile.layouts).every(
+      layoutId => HANDEDNESS_VALUES.includes(layoutId) && !profile.layouts[layoutId].gamepad
+    );
+    if (!isExpanded) {
+      throw new Error(`${file} is not a valid registry profile or a built asset profile`);
+    }
+    return profile;
+  }
+
+  // Deprecated ids are not part of the expanded profile, but apps may still request them
+  const expandedProfile = expandRegistryProfile(profile);
+  if (profile.deprecatedProfileIds) {
+    expandedProfile.deprecatedProfileIds = profile.deprecatedProfileIds;
+  }
+  return expandedProfile;
+}
+
+/**
+ * @param {Object[]} changes - The result of diffProfiles
+ */
+function formatChanges(changes) {
+  if (changes.length === 0) {
+    return 'No changes';
+  }
+
+  const breakingCount = changes.filter(change => change.breaking).length;
+  const lines = [`${changes.length} change(s), ${breakingCount} breaking`];
+  changes.forEach(({
+    handedness, pointer, breaking, message
+  }) => {
+    const location = handedness ? `[${handedness}] ${pointer}` : pointer;
+    lines.push(`  ${breaking ? 'breaking' : 'compatible'} ${location}: ${message}`);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Runs the diff command
+ * @param {string[]} paths - The earlier and later versions of the profile
+ * @param {Object} options
+ * @param {boolean} [options.json] - Write the changes as JSON rather than text
+ * @returns {number} The process exit code
+ */
+function diffCommand(paths, options) {
+  if (paths.length !== 2) {
+    throw new Error('Two profiles must be supplied to diff');
+  }
+
+  const registryValidator = buildSchemaValidator(path.join(getRegistryRoot(), 'schemas'));
+  const [before, after] = paths.map(
+    file => readExpandedProfile(path.resolve(file), registryValidator)
+  );
+  const changes = diffProfiles(before, after);
+  const exitCode = changes.some(change => change.breaking) ? ExitCode.BREAKING : ExitCode.VALID;
+  if (options.json) {
+    const output = { breaking: exitCode === ExitCode.BREAKING, exitCode, changes };
+    process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+  } else {
+    process.stdout.write(`${formatChanges(changes)}\n`);
+  }
+  return exitCode;
+}
+
+module.exports = {
+  diffCommand,
+  readExpandedProfile
+};
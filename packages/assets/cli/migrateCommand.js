@@ -0,0 +1,72 @@
+const path = require('path');
+const fs = require('fs-extra');
+const glob = require('glob');
+
+const migrateAssetOverrides = require('../src/migrateAssetOverrides');
+const { ExitCode } = require('./validateCommand');
+
+/**
+ * Expands the supplied paths into the asset profiles they refer to. Folders are searched
+ * recursively.
+ * @param {string[]} paths
+ */
+function findAssetProfiles(paths) {
+  const files = [];
+  paths.forEach((suppliedPath) => {
+    if (!fs.existsSync(suppliedPath)) {
+      throw new Error(`No such file or folder ${suppliedPath}`);
+    }
+
+    if (fs.statSync(suppliedPath).isDirectory()) {
+      files.push(...glob.sync('**/profile.json', { cwd: suppliedPath, absolute: true, nodir: true }));
+    } else {
+      files.push(path.resolve(suppliedPath));
+    }
+  });
+
+  // Built asset profiles have no overrides to migrate
+  return files.filter(file => fs.readJsonSync(file).overrides !== undefined);
+}
+
+/**
+ * Runs the migrate command, rewriting any asset profiles whose overrides were written for older
+ * versions of the schema. Profiles which need no changes are left untouched.
+ * @param {string[]} paths - The asset profiles, or folders of them, to migrate
+ * @param {Object} options
+ * @param {boolean} [options.json] - Write the changes as JSON rather than text
+ * @returns {number} The process exit code
+ */
+function migrateCommand(paths, options) {
+  if (paths.length === 0) {
+    throw new Error('No paths supplied to migrate');
+  }
+
+  const results = findAssetProfiles(paths).map((file) => {
+    const diagnostics = [];
+    const migratedAssetInfo = migrateAssetOverrides(fs.readJsonSync(file), diagnostics);
+    if (diagnostics.length > 0) {
+      fs.writeJsonSync(file, migratedAssetInfo, { spaces: 4 });
+    }
+    return { path: file, diagnostics };
+  });
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify({ files: results }, null, 2)}\n`);
+  } else {
+    const lines = results.map(({ path: file, diagnostics }) => {
+      const relativePath = path.relative(process.cwd(), file);
+      if (diagnostics.length === 0) {
+        return `${relativePath}: up to date`;
+      }
+
+      const changes = diagnostics.map(({ pointer, message }) => `  ${pointer}: ${message}`);
+      return [`${relativePath}: migrated`, ...changes].join('\n');
+    });
+    process.stdout.write(`${lines.join('\n')}\n`);
+  }
+  return ExitCode.VALID;
+}
+
+module.exports = {
+  migrateCommand
+};
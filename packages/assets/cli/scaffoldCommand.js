@@ -0,0 +1,324 @@
+const path = require('path');
+const readline = require('readline');
+const fs = require('fs-extra');
+
+const optionalRequire = require('optional-require')(require);
+
+const expandRegistryProfile = require('../src/expandRegistryProfile');
+const buildAssetProfile = require('../src/buildAssetProfile');
+const { listLayoutNodes } = require('../src/checkAssetNodes');
+const { buildSchemaValidator, getRegistryRoot, ExitCode } = require('./validateCommand');
+
+const validateRegistryProfile = optionalRequire('@webxr-input-profiles/registry/src/validateRegistryProfile');
+
+/**
+ * The components the 'xr-standard' mapping places at fixed indices, in button order
+ */
+const XR_STANDARD_COMPONENT_TYPES = {
+  'xr-standard-trigger': 'trigger',
+  'xr-standard-squeeze': 'squeeze',
+  'xr-standard-touchpad': 'touchpad',
+  'xr-standard-thumbstick': 'thumbstick'
+};
+
+/**
+ * The component types which report x and y axes
+ */
+const AXES_TYPES = ['touchpad', 'thumbstick'];
+
+/**
+ * The component types a generic fallback profile id is built from, in the order they appear in it
+ */
+const GENERIC_PROFILE_TYPES = ['trigger', 'squeeze', 'touchpad', 'thumbstick'];
+
+/**
+ * The values which can be supplied as options or answered at a prompt. Values without a default
+ * are required.
+ */
+const SCAFFOLD_QUESTIONS = [
+  { name: 'vendor', question: 'Vendor prefix (e.g. acme)' },
+  { name: 'device', question: 'Device name (e.g. wand-pro)' },
+  { name: 'layouts', question: 'Layouts, comma separated', defaultValue: 'left-right' },
+  { name: 'components', question: 'Components as id:type, comma separated, in button order' },
+  { name: 'mapping', question: 'Gamepad mapping (xr-standard or none)', defaultValue: 'xr-standard' }
+];
+
+/**
+ * Asks for any required values which were not supplied as options
+ * @param {Object} options - The command line options
+ * @returns {Promise<Object>} The options with every value filled in
+ */
+function promptForMissingOptions(options) {
+  const answers = { ...options };
+  const missing = SCAFFOLD_QUESTIONS.filter(({ name }) => answers[name] === undefined);
+  if (missing.length === 0 || !process.stdin.isTTY) {
+    return Promise.resolve(answers);
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  const ask = ({ name, question, defaultValue }) => new Promise((resolve) => {
+    const suffix = defaultValue ? ` [${defaultValue}]` : '';
+    rl.question(`${question}${suffix}: `, (answer) => {
+      answers[name] = answer.trim() || defaultValue;
+      resolve();
+    });
+  });
+
+  return missing.reduce((promise, question) => promise.then(() => ask(question)), Promise.resolve())
+    .then(() => {
+      rl.close();
+      return answers;
+    });
+}
+
+/**
+ * Parses a list of components in the form id:type
+ * @param {string} componentsList
+ * @returns {Object[]} The id and type of each component, in the order listed
+ */
+function parseComponents(componentsList) {
+  return componentsList.split(',').map(entry => entry.trim()).filter(entry => entry).map((entry) => {
+    const [id, type, ...rest] = entry.split(':');
+    if (!id || !type || rest.length > 0) {
+      throw new Error(`Component ${entry} must be in the form id:type`);
+    }
+    return { id, type };
+  });
+}
+
+/**
+ * Aligns the components to the gamepad's buttons and axes. Components are added in the order
+ * listed, after the components the 'xr-standard' mapping places at fixed indices.
+ * @param {Object[]} components - The id and type of each component
+ * @param {string} mapping - The Gamepad.mapping value
+ */
+function buildGamepad(components, mapping) {
+  let buttonComponents = components;
+  let axesComponents = components.filter(({ type }) => AXES_TYPES.includes(type));
+  const buttons = [];
+  const axes = [];
+
+  if (mapping === 'xr-standard') {
+    Object.keys(XR_STANDARD_COMPONENT_TYPES).forEach((componentId) => {
+      const isPresent = components.some(({ id }) => id === componentId);
+      buttons.push(isPresent ? componentId : null);
+    });
+    ['xr-standard-touchpad', 'xr-standard-thumbstick'].forEach((componentId) => {
+      const isPresent = components.some(({ id }) => id === componentId);
+      axes.push(...(isPresent
+        ? [{ componentId, axis: 'x-axis' }, { componentId, axis: 'y-axis' }] : [null, null]));
+    });
+    buttonComponents = components.filter(({ id }) => !XR_STANDARD_COMPONENT_TYPES[id]);
+    axesComponents = axesComponents.filter(({ id }) => !XR_STANDARD_COMPONENT_TYPES[id]);
+  }
+
+  buttons.push(...buttonComponents.map(({ id }) => id));
+  axesComponents.forEach(({ id }) => {
+    axes.push({ componentId: id, axis: 'x-axis' }, { componentId: id, axis: 'y-axis' });
+  });
+
+  // Unused indices at the end of the arrays are not reported by the Gamepad API
+  while (buttons.length > 0 && buttons[buttons.length - 1] === null) {
+    buttons.pop();
+  }
+  while (axes.length > 0 && axes[axes.length - 1] === null) {
+    axes.pop();
+  }
+
+  return { mapping, buttons, axes };
+}
+
+/**
+ * Finds the generic profile with the same kinds of components, if the registry has one
+ * @param {Object[]} components - The id and type of each component
+ * @param {string} registryRoot
+ * @returns {string[]} The fallback profile ids
+ */
+function findGenericFallback(components, registryRoot) {
+  const types = GENERIC_PROFILE_TYPES.filter(
+    type => components.some(component => component.type === type)
+  );
+  if (types.length === 0) {
+    return [];
+  }
+
+  const genericProfileId = `generic-${types.join('-')}`;
+  const genericProfilePath = path.join(registryRoot, 'dist', 'profiles', 'generic', `${genericProfileId}.json`);
+  return fs.existsSync(genericProfilePath) ? [genericProfileId] : [];
+}
+
+/**
+ * Builds a registry profile from the scaffold options
+ * @param {Object} options
+ * @param {string} registryRoot
+ */
+function buildRegistryProfile(options, registryRoot) {
+  const commonSchema = fs.readJsonSync(path.join(registryRoot, 'schemas', 'common.schema.json'));
+  const profileIdPattern = new RegExp(commonSchema.definitions.profileId.pattern);
+  const vendorPattern = /^[a-z0-9]+$/;
+
+  // The vendor is the first part of the profile id, so cannot contain a hyphen
+  if (!vendorPattern.test(options.vendor)) {
+    throw new Error(`Vendor ${options.vendor} must only contain lowercase letters and numbers`);
+  }
+
+  const profileId = `${options.vendor}-${options.device}`;
+  if (!profileIdPattern.test(profileId)) {
+    throw new Error(`Profile id ${profileId} does not match the pattern ${profileIdPattern.source}`);
+  }
+
+  const mapping = (options.mapping === 'none') ? '' : options.mapping;
+  const components = parseComponents(options.components);
+  if (components.length === 0) {
+    throw new Error('At least one component is required');
+  }
+
+  // The trigger is the conventional select component, otherwise the first component is used
+  const selectComponent = components.find(({ type }) => type === 'trigger') || components[0];
+  const layout = {
+    selectComponentId: selectComponent.id,
+    components: {},
+    gamepad: buildGamepad(components, mapping)
+  };
+  components.forEach(({ id, type }) => {
+    layout.components[id] = { type };
+  });
+
+  const fallbackProfileIds = options.fallback
+    ? options.fallback.split(',').map(id => id.trim()) : findGenericFallback(components, registryRoot);
+
+  const layouts = {};
+  options.layouts.split(',').forEach((layoutId) => {
+    layouts[layoutId.trim()] = JSON.parse(JSON.stringify(layout));
+  });
+
+  return { profileId, fallbackProfileIds, layouts };
+}
+
+/**
+ * Lists the nodes each model should contain for the asset profile built from the registry profile.
+ * The nodes are those the check-assets command looks for, so required nodes are the ones whose
+ * absence is an error and recommended nodes are the root nodes whose absence is a warning.
+ * @param {Object} assetProfile - The built asset profile
+ * @returns {Object} The required and recommended node names, keyed by the asset path of each model
+ */
+function buildNodeChecklist(assetProfile) {
+  const checklist = {};
+  Object.values(assetProfile.layouts).forEach((layout) => {
+    if (!layout.assetPath) {
+      return;
+    }
+
+    const nodeNames = checklist[layout.assetPath] || { required: [], recommended: [] };
+    listLayoutNodes(layout).forEach(({ nodeName, severity }) => {
+      const list = (severity === 'error') ? nodeNames.required : nodeNames.recommended;
+      if (!list.includes(nodeName)) {
+        list.push(nodeName);
+      }
+    });
+    checklist[layout.assetPath] = nodeNames;
+  });
+  return checklist;
+}
+
+/**
+ * Generates the files needed to add a device to the registry and assets packages. The registry
+ * profile is checked against the registry schemas and validateRegistryProfile before anything is
+ * written, and existing files are never overwritten.
+ * @param {Object} options
+ * @param {string} options.vendor - The vendor prefix of the profile id
+ * @param {string} options.device - The rest of the profile id
+ * @param {string} options.layouts - Comma separated layout ids, such as 'left-right,none'
+ * @param {string} options.components - Comma separated components in the form id:type
+ * @param {string} options.mapping - The Gamepad.mapping, or 'none' for an empty mapping
+ * @param {string} [options.fallback] - Comma separated fallback profile ids. Defaults to the
+ * generic profile with the same kinds of components.
+ * @param {string} [options.out] - The folder containing the registry and assets packages
+ * @returns {Object} The paths of the files written and the node checklist
+ */
+function scaffoldProfile(options) {
+  const registryRoot = getRegistryRoot();
+  const registryProfile = buildRegistryProfile(options, registryRoot);
+  const { profileId } = registryProfile;
+
+  const schemaValidator = buildSchemaValidator(path.join(registryRoot, 'schemas'));
+  if (!schemaValidator(registryProfile)) {
+    const messages = schemaValidator.errors.map(({ dataPath, message }) => `${dataPath || '/'}: ${message}`);
+    throw new Error(`The generated registry profile is invalid:\n${messages.join('\n')}`);
+  }
+  validateRegistryProfile(registryProfile);
+
+  const assetInfo = { profileId, overrides: {} };
+  const assetProfile = buildAssetProfile(assetInfo, expandRegistryProfile(registryProfile));
+
+  const outFolder = options.out || '.';
+  const vendorId = profileId.split('-', 1)[0];
+  const files = {
+    registryProfile: path.join(outFolder, 'registry', 'profiles', vendorId, `${profileId}.json`),
+    assetProfile: path.join(outFolder, 'assets', 'profiles', profileId, 'profile.json')
+  };
+  Object.values(files).forEach((file) => {
+    if (fs.existsSync(file)) {
+      throw new Error(`${file} already exists`);
+    }
+  });
+
+  fs.outputJsonSync(files.registryProfile, registryProfile, { spaces: 4 });
+  fs.outputJsonSync(files.assetProfile, assetInfo, { spaces: 4 });
+  return { profileId, files, nodeChecklist: buildNodeChecklist(assetProfile) };
+}
+
+/**
+ * @param {Object} result - The result of scaffoldProfile
+ */
+function formatScaffoldResult({ profileId, files, nodeChecklist }) {
+  const lines = [
+    `Created ${profileId}:`,
+    `  ${files.registryProfile}`,
+    `  ${files.assetProfile}`,
+    '',
+    'Each model must contain the required nodes, and should contain the recommended root nodes:'
+  ];
+  Object.keys(nodeChecklist).forEach((assetPath) => {
+    const { required, recommended } = nodeChecklist[assetPath];
+    lines.push('', `${assetPath}`, '  Required:');
+    lines.push(...required.map(nodeName => `    [ ] ${nodeName}`));
+    lines.push('  Recommended:');
+    lines.push(...recommended.map(nodeName => `    [ ] ${nodeName}`));
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Runs the scaffold command. Any required options which are missing are asked for when run
+ * interactively.
+ * @param {string[]} paths - Unused
+ * @param {Object} options - The options of scaffoldProfile, and json to write the result as JSON
+ * @returns {Promise<number>} The process exit code
+ */
+function scaffoldCommand(paths, options) {
+  return promptForMissingOptions(options).then((answers) => {
+    const scaffoldOptions = { ...answers };
+    SCAFFOLD_QUESTIONS.forEach(({ name, defaultValue }) => {
+      if (scaffoldOptions[name] === undefined) {
+        if (defaultValue === undefined) {
+          throw new Error(`Option --${name} is required`);
+        }
+        scaffoldOptions[name] = defaultValue;
+      }
+    });
+
+    const result = scaffoldProfile(scaffoldOptions);
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    } else {
+      process.stdout.write(`${formatScaffoldResult(result)}\n`);
+    }
+    return ExitCode.VALID;
+  });
+}
+
+module.exports = {
+  scaffoldCommand,
+  scaffoldProfile
+};
@@ -0,0 +1,257 @@
+const path = require('path');
+const fs = require('fs-extra');
+const glob = require('glob');
+const Ajv = require('ajv');
+
+const optionalRequire = require('optional-require')(require);
+
+const expandRegistryProfile = require('../src/expandRegistryProfile');
+const buildAssetProfile = require('../src/buildAssetProfile');
+const migrateAssetOverrides = require('../src/migrateAssetOverrides');
+
+const validateRegistryProfile = optionalRequire('@webxr-input-profiles/registry/src/validateRegistryProfile');
+const registryPackagePath = optionalRequire.resolve('@webxr-input-profiles/registry/package.json');
+
+const ASSET_SCHEMAS_FOLDER = path.join(__dirname, '../schemas');
+const MAIN_SCHEMA_FILENAME = 'profile.schema.json';
+
+/**
+ * The process exit codes of the commands. Schema errors take precedence over semantic errors when
+ * both are found. The diff command exits with BREAKING if any change would break applications.
+ */
+const ExitCode = {
+  VALID: 0,
+  USAGE: 1,
+  SCHEMA: 2,
+  SEMANTIC: 3,
+  BREAKING: 4
+};
+
+/**
+ * Finds the root folder of the @webxr-input-profiles/registry package
+ * @returns {string}
+ */
+function getRegistryRoot() {
+  if (!registryPackagePath || !validateRegistryProfile) {
+    throw new Error('Unable to find the @webxr-input-profiles/registry package');
+  }
+  return path.dirname(registryPackagePath);
+}
+
+/**
+ * Compiles an AJV validator which reports every schema error in a profile
+ * @param {string} schemasFolder - Folder containing the profile schema and its dependencies
+ */
+function buildSchemaValidator(schemasFolder) {
+  const ajv = new Ajv({ allErrors: true, jsonPointers: true });
+  let mainSchema;
+  fs.readdirSync(schemasFolder).forEach((filename) => {
+    const schema = fs.readJsonSync(path.join(schemasFolder, filename));
+    if (filename === MAIN_SCHEMA_FILENAME) {
+      mainSchema = schema;
+    } else {
+      ajv.addSchema(schema);
+    }
+  });
+  return ajv.compile(mainSchema);
+}
+
+/**
+ * Expands the supplied paths into the JSON files they refer to. Folders are searched recursively.
+ * @param {string[]} paths
+ */
+function findJsonFiles(paths) {
+  const files = [];
+  paths.forEach((suppliedPath) => {
+    if (!fs.existsSync(suppliedPath)) {
+      throw new Error(`No such file or folder ${suppliedPath}`);
+    }
+
+    if (fs.statSync(suppliedPath).isDirectory()) {
+      files.push(...glob.sync('**/*.json', { cwd: suppliedPath, absolute: true, nodir: true }));
+    } else {
+      files.push(path.resolve(suppliedPath));
+    }
+  });
+  return files;
+}
+
+/**
+ * Builds a diagnostic for a problem found before the semantic checks could run
+ * @param {string} type - Either 'schema' or 'semantic'
+ * @param {string} ruleId - The id of the rule which was broken
+ * @param {string} pointer - The JSON pointer to the problem
+ * @param {string} message
+ */
+function buildDiagnostic(type, ruleId, pointer, message) {
+  return {
+    type, severity: 'error', pointer, message, ruleId
+  };
+}
+
+/**
+ * @param {Object} result - The result for a single file
+ * @returns {Object[]} The diagnostics which are errors rather than warnings
+ */
+function getErrors(result) {
+  return result.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+}
+
+/**
+ * Validates a set of registry and asset profiles against their schemas and the requirements which
+ * cannot be expressed in schemas. Every problem found in each file is reported. Asset profiles are
+ * checked against a registry profile supplied alongside them, or else against the one in the
+ * registry package.
+ * @param {string[]} paths - The files, or folders of files, to validate
+ * @param {Object} options
+ * @param {string} [options.registryFolder] - Folder of registry profiles used to check asset
+ * profiles whose registry profile is not supplied. Defaults to the registry package's profiles.
+ * @returns {Object[]} The path, kind, profileId, and diagnostics of each file
+ */
+function validateFiles(paths, { registryFolder } = {}) {
+  const registryRoot = getRegistryRoot();
+
+  const validators = {
+    registry: buildSchemaValidator(path.join(registryRoot, 'schemas')),
+    asset: buildSchemaValidator(ASSET_SCHEMAS_FOLDER)
+  };
+
+  // Parse every file and check it against its schema
+  const results = findJsonFiles(paths).map((file) => {
+    const result = {
+      path: file, kind: null, profileId: null, diagnostics: []
+    };
+    try {
+      result.json = fs.readJsonSync(file);
+    } catch (error) {
+      result.diagnostics.push(buildDiagnostic('schema', 'json', '', `Unable to parse JSON: ${error.message}`));
+      return result;
+    }
+
+    // Asset profiles describe overrides to the layouts of a registry profile. Overrides written for
+    // older versions of the schema are checked as the build will migrate them.
+    result.kind = (result.json.overrides !== undefined) ? 'asset' : 'registry';
+    result.profileId = result.json.profileId || null;
+    if (result.kind === 'asset') {
+      const migrationDiagnostics = [];
+      result.json = migrateAssetOverrides(result.json, migrationDiagnostics);
+      result.diagnostics.push(...migrationDiagnostics.map(diagnostic => ({ type: 'schema', ...diagnostic })));
+    }
+
+    const schemaValidator = validators[result.kind];
+    if (!schemaValidator(result.json)) {
+      schemaValidator.errors.forEach(({ keyword, dataPath, message }) => {
+        result.diagnostics.push(buildDiagnostic('schema', keyword, dataPath, message));
+      });
+    }
+    return result;
+  });
+
+  // The semantic checks assume the profile has passed schema validation
+  const registryProfiles = {};
+  results.filter(result => result.kind === 'registry').forEach((result) => {
+    if (result.diagnostics.length === 0) {
+      const diagnostics = validateRegistryProfile(result.json, []);
+      result.diagnostics.push(...diagnostics.map(diagnostic => ({ type: 'semantic', ...diagnostic })));
+    }
+    registryProfiles[result.profileId] = result;
+  });
+
+  const assetResults = results.filter(result => result.kind === 'asset');
+  assetResults.filter(result => getErrors(result).length === 0).forEach((result) => {
+    const { profileId } = result;
+    let registryJson;
+    if (registryProfiles[profileId]) {
+      if (getErrors(registryProfiles[profileId]).length > 0) {
+        result.diagnostics.push(buildDiagnostic('semantic', 'registry-profile', '/profileId', `Unable to apply overrides because the registry profile for ${profileId} is invalid`));
+        return;
+      }
+      registryJson = registryProfiles[profileId].json;
+    } else {
+      const vendorId = profileId.split('-', 1)[0];
+      const profilesFolder = registryFolder || path.join(registryRoot, 'dist', 'profiles');
+      const registryFile = path.join(profilesFolder, vendorId, `${profileId}.json`);
+      if (!fs.existsSync(registryFile)) {
+        result.diagnostics.push(buildDiagnostic('semantic', 'registry-profile', '/profileId', `No registry profile found for ${profileId} at ${registryFile}`));
+        return;
+      }
+      registryJson = fs.readJsonSync(registryFile);
+    }
+
+    const diagnostics = [];
+    buildAssetProfile(result.json, expandRegistryProfile(registryJson), diagnostics);
+    result.diagnostics.push(...diagnostics.map(diagnostic => ({ type: 'semantic', ...diagnostic })));
+  });
+
+  return results.map(({ json, ...result }) => result);
+}
+
+/**
+ * @param {Object[]} results - The results of validateFiles
+ * @returns {number} The ExitCode describing the most severe error found. Warnings do not affect
+ * the exit code.
+ */
+function getExitCode(results) {
+  const errors = [].concat(...results.map(getErrors));
+  if (errors.some(error => error.type === 'schema')) {
+    return ExitCode.SCHEMA;
+  }
+  return (errors.length > 0) ? ExitCode.SEMANTIC : ExitCode.VALID;
+}
+
+/**
+ * @param {Object[]} results - The results of validateFiles
+ */
+function formatResults(results) {
+  const lines = [];
+  results.forEach((result) => {
+    const relativePath = path.relative(process.cwd(), result.path);
+    const errorCount = getErrors(result).length;
+    const warningCount = result.diagnostics.length - errorCount;
+    if (result.diagnostics.length === 0) {
+      lines.push(`${relativePath}: valid`);
+      return;
+    }
+
+    lines.push(`${relativePath}: ${errorCount} error(s), ${warningCount} warning(s)`);
+    result.diagnostics.forEach(({
+      type, severity, handedness, pointer, message, ruleId
+    }) => {
+      const location = handedness ? `[${handedness}] ${pointer || '/'}` : pointer || '/';
+      lines.push(`  ${severity} (${type} ${ruleId}) ${location}: ${message}`);
+    });
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Runs the validate command
+ * @param {string[]} paths - The files, or folders of files, to validate
+ * @param {Object} options
+ * @param {boolean} [options.json] - Write the results as JSON rather than text
+ * @param {string} [options.registry] - Folder of registry profiles
+ * @returns {number} The process exit code
+ */
+function validateCommand(paths, options) {
+  if (paths.length === 0) {
+    throw new Error('No paths supplied to validate');
+  }
+
+  const results = validateFiles(paths, { registryFolder: options.registry });
+  const exitCode = getExitCode(results);
+  if (options.json) {
+    const output = { valid: exitCode === ExitCode.VALID, exitCode, files: results };
+    process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+  } else {
+    process.stdout.write(`${formatResults(results)}\n`);
+  }
+  return exitCode;
+}
+
+module.exports = {
+  validateCommand,
+  validateFiles,
+  buildSchemaValidator,
+  getRegistryRoot,
+  ExitCode
+};
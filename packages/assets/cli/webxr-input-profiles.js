@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+const { validateCommand, ExitCode } = require('./validateCommand');
+const { checkAssetsCommand } = require('./checkAssetsCommand');
+const { scaffoldCommand } = require('./scaffoldCommand');
+const { diffCommand } = require('./diffCommand');
+const { migrateCommand } = require('./migrateCommand');
+const { bundleCommand } = require('./bundleCommand');
+
+const USAGE = `Usage: webxr-input-profiles <command> [options]
+
+Commands:
+  validate <paths...>    Validate registry and asset profiles, or folders containing them
+  check-assets <paths...>
+                         Check the models of built asset profiles, or folders containing
+                         them, contain the nodes named in the profiles
+  diff <before> <after>  List the changes between two versions of a registry profile or a
+                         built asset profile, and whether they would break applications
+  migrate <paths...>     Rewrite asset profiles written for older versions of the schema
+  bundle <profileIds...> Copy the built profiles and models needed by the profile ids into
+                         a folder which can be used without network access
+  scaffold               Create the registry and asset profiles for a new device, and
+                         list the nodes its models must contain. Options which are not
+                         supplied are asked for.
+
+Options:
+  --json                 Write the results as JSON
+  --registry <folder>    Folder of registry profiles used to check asset profiles whose
+                         registry profile is not also being validated
+  --help                 Show this message
+
+Scaffold options:
+  --vendor <vendor>      The vendor prefix of the profile id
+  --device <name>        The rest of the profile id
+  --layouts <ids>        Comma separated layout ids. Defaults to left-right
+  --components <list>    Comma separated components in button order, as id:type
+  --mapping <mapping>    The gamepad mapping, xr-standard or none. Defaults to xr-standard
+  --fallback <ids>       Comma separated fallback profile ids. Defaults to the matching
+                         generic profile
+  --out <folder>         Folder containing the registry and assets packages, in which
+                         the profiles are created. Defaults to the current folder
+
+Bundle options:
+  --out <folder>         The empty folder to create the bundle in
+  --profiles <folder>    The folder of built profiles. Defaults to dist/profiles
+  --fallbacks            Also bundle every profile reachable via fallback profile ids
+`;
+
+const COMMANDS = {
+  validate: validateCommand,
+  'check-assets': checkAssetsCommand,
+  scaffold: scaffoldCommand,
+  diff: diffCommand,
+  migrate: migrateCommand,
+  bundle: bundleCommand
+};
+
+const VALUE_OPTIONS = [
+  'registry', 'vendor', 'device', 'layouts', 'components', 'mapping', 'fallback', 'out', 'profiles'
+];
+
+/**
+ * Splits the command line into a command, its positional arguments, and its options
+ * @param {string[]} args - The command line arguments following the script name
+ */
+function parseArgs(args) {
+  const [command, ...rest] = args;
+  const positionals = [];
+  const options = {};
+  for (let i = 0; i < rest.length; i += 1) {
+    const arg = rest[i];
+    if (arg.startsWith('--')) {
+      const name = arg.substr(2);
+      if (VALUE_OPTIONS.includes(name)) {
+        i += 1;
+        if (i >= rest.length) {
+          throw new Error(`Option ${arg} requires a value`);
+        }
+        options[name] = rest[i];
+      } else {
+        options[name] = true;
+      }
+    } else {
+      positionals.push(arg);
+    }
+  }
+  return { command, positionals, options };
+}
+
+/**
+ * Runs the command described by the command line
+ * @param {string[]} args - The command line arguments following the script name
+ * @returns {Promise<number>} The process exit code
+ */
+function main(args) {
+  let parsedArgs;
+  try {
+    parsedArgs = parseArgs(args);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return Promise.resolve(ExitCode.USAGE);
+  }
+
+  const { command, positionals, options } = parsedArgs;
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return Promise.resolve(ExitCode.VALID);
+  }
+
+  if (!COMMANDS[command]) {
+    process.stderr.write(command ? `Unknown command ${command}\n\n${USAGE}` : USAGE);
+    return Promise.resolve(ExitCode.USAGE);
+  }
+
+  // Commands which ask questions complete asynchronously
+  return Promise.resolve()
+    .then(() => COMMANDS[command](positionals, options))
+    .catch((error) => {
+      process.stderr.write(`${error.message}\n`);
+      return ExitCode.USAGE;
+    });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = {
+  main
+};
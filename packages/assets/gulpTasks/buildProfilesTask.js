@@ -11,6 +11,7 @@ const registryModulePath = optionalRequire.resolve('@webxr-input-profiles/regist
 const taskPaths = require('./taskPaths');
 const expandRegistryProfile = require('../src/expandRegistryProfile');
 const buildAssetProfile = require('../src/buildAssetProfile');
+const migrateAssetOverrides = require('../src/migrateAssetOverrides');
 
 /**
  * Validate the profile against the schema
@@ -26,6 +27,19 @@ function buildValidator() {
   return ajv.compile(schemas.mainSchema);
 }
 
+/**
+ * Rewrites overrides written for older versions of the schema, so they are validated and built
+ * as the current schema describes them
+ */
+function migrateAssetInfo() {
+  return through.obj((vinylFile, encoding, callback) => {
+    const assetInfo = JSON.parse(vinylFile.contents.toString());
+    const migratedFile = vinylFile.clone();
+    migratedFile.contents = Buffer.from(JSON.stringify(migrateAssetOverrides(assetInfo)));
+    callback(null, migratedFile);
+  });
+}
+
 function validateAssetInfo(schemaValidator) {
   return through.obj((vinylFile, encoding, callback) => {
     const assetInfo = JSON.parse(vinylFile.contents.toString());
@@ -63,6 +77,7 @@ function buildProfilesTask() {
   const schemaValidator = buildValidator();
 
   return gulp.src(taskPaths.profilesGlob)
+    .pipe(migrateAssetInfo())
     .pipe(validateAssetInfo(schemaValidator))
     .pipe(buildProfile())
     .pipe(gulp.dest(taskPaths.profilesDest));
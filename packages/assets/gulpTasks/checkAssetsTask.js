@@ -0,0 +1,20 @@
+const taskPaths = require('./taskPaths');
+const { checkAssetFiles, getAssetErrors } = require('../cli/checkAssetsCommand');
+
+/**
+ * Checks that the models of the built asset profiles contain the nodes the profiles name, so broken
+ * models fail the build instead of being found when they are animated. Warnings do not fail the
+ * build and can be listed with the check-assets command.
+ */
+function checkAssets() {
+  const errors = getAssetErrors(checkAssetFiles([taskPaths.profilesDest]));
+  if (errors.length > 0) {
+    const messages = errors.map(({
+      profileId, handedness, pointer, message
+    }) => `[${profileId}] [${handedness}] ${pointer}: ${message}`);
+    return Promise.reject(new Error(`Asset check failed with errors:\n${messages.join('\n')}`));
+  }
+  return Promise.resolve();
+}
+
+module.exports = checkAssets;
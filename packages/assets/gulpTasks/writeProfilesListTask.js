@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs-extra');
 const glob = require('glob');
@@ -9,9 +10,72 @@ const taskPaths = require('./taskPaths');
 const registryModulePath = optionalRequire.resolve('@webxr-input-profiles/registry', '');
 const profilesListDest = path.join(taskPaths.profilesDest, 'profilesList.json');
 
+/**
+ * The version of the built asset profile format. Increase the major version when a change would
+ * break existing versions of the motion-controllers package, which reject other major versions.
+ */
+const SCHEMA_VERSION = '1.0';
+
+/**
+ * The key of the profiles list under which profiles without assets of their own are listed. It
+ * has no hyphen, so cannot collide with a profile id.
+ */
+const FALLBACK_PROFILES_KEY = 'fallbackProfiles';
+
+/**
+ * Builds the subresource integrity metadata of a file
+ * @param {string} file
+ */
+function computeIntegrity(file) {
+  const hash = crypto.createHash('sha256').update(fs.readFileSync(file)).digest('base64');
+  return `sha256-${hash}`;
+}
+
+/**
+ * Builds the list entry for a built asset profile, recording the schema version and the integrity
+ * of the profile and of each of its layouts' models. Models which are missing have no integrity
+ * recorded; they are reported by the checkAssets task.
+ * @param {string} relativePath - The path of the asset profile within the profiles folder
+ */
+function buildEntry(relativePath) {
+  const builtProfilePath = path.join(taskPaths.profilesDest, relativePath);
+  const profileFolder = path.dirname(relativePath);
+  const assetIntegrity = {};
+  Object.values(fs.readJsonSync(builtProfilePath).layouts).forEach(({ assetPath }) => {
+    const assetFile = assetPath && path.join(taskPaths.profilesSrc, profileFolder, assetPath);
+    if (assetFile && !assetIntegrity[assetPath] && fs.existsSync(assetFile)) {
+      assetIntegrity[assetPath] = computeIntegrity(assetFile);
+    }
+  });
+
+  return {
+    path: relativePath,
+    schemaVersion: SCHEMA_VERSION,
+    integrity: computeIntegrity(builtProfilePath),
+    assetIntegrity
+  };
+}
+
+/**
+ * Builds list entries for any deprecated profile ids listed in the registry file. Each points to
+ * the same entry as the standard profile id.
+ * @param {Object} registryJson
+ * @param {Object} entry
+ */
+function buildDeprecatedEntries(registryJson, entry) {
+  const deprecatedEntries = {};
+  if (registryJson.deprecatedProfileIds) {
+    registryJson.deprecatedProfileIds.forEach((deprecatedId) => {
+      deprecatedEntries[deprecatedId] = Object.assign({}, entry, { deprecated: true });
+    });
+  }
+  return deprecatedEntries;
+}
+
 function generate() {
   return new Promise((resolve, reject) => {
     const profilesList = {};
+    const registryFolder = path.join(path.dirname(registryModulePath), 'profiles');
     glob(taskPaths.profilesGlob, null, (error, files) => {
       if (error) {
         reject(error);
@@ -19,22 +83,29 @@ function generate() {
         files.forEach((file) => {
           const profileId = path.basename(path.dirname(file));
           const relativePath = file.substr((taskPaths.profilesSrc.length) + 1);
-          profilesList[profileId] = { path: relativePath };
+          const entry = buildEntry(relativePath);
+          profilesList[profileId] = entry;
 
-          // If there are any deprecated profile ids listed in the registry file,
-          // list them as pointing to the same path as the standard profile id.
           const vendorId = profileId.split('-', 1)[0];
-          const registryFolder = path.join(path.dirname(registryModulePath), 'profiles');
           const registryJson = fs.readJsonSync(path.join(registryFolder, vendorId, `${profileId}.json`));
-          if (registryJson.deprecatedProfileIds) {
-            registryJson.deprecatedProfileIds.forEach((deprecatedId) => {
-              profilesList[deprecatedId] = {
-                path: relativePath,
-                deprecated: true
-              };
-            });
+          Object.assign(profilesList, buildDeprecatedEntries(registryJson, entry));
+        });
+
+        // Registry profiles without assets are listed with their fallback profile ids, but no
+        // path, so that fetchProfile() can walk the fallback chain to a profile that has assets.
+        // They are kept under their own key so that clients which look up every profile id they
+        // find at the top level never request a profile without a path.
+        const fallbackProfiles = {};
+        glob.sync(path.join(registryFolder, '**/*.json')).forEach((file) => {
+          const registryJson = fs.readJsonSync(file);
+          const { profileId, fallbackProfileIds } = registryJson;
+          if (!profilesList[profileId] && fallbackProfileIds && fallbackProfileIds.length > 0) {
+            const entry = { fallbackProfileIds };
+            fallbackProfiles[profileId] = entry;
+            Object.assign(fallbackProfiles, buildDeprecatedEntries(registryJson, entry));
           }
         });
+        profilesList[FALLBACK_PROFILES_KEY] = fallbackProfiles;
 
         resolve(profilesList);
       }
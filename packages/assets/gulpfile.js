@@ -3,6 +3,7 @@ const fs = require('fs-extra');
 
 const taskPaths = require('./gulpTasks/taskPaths');
 const buildProfiles = require('./gulpTasks/buildProfilesTask');
+const checkAssets = require('./gulpTasks/checkAssetsTask');
 const copySchemas = require('./gulpTasks/copySchemasTask');
 const copyTools = require('./gulpTasks/copyToolsTask');
 const writeProfilesList = require('./gulpTasks/writeProfilesListTask');
@@ -18,7 +19,8 @@ function copyAssets() {
 const build = gulp.series(
   copySchemas,
   buildProfiles,
-  gulp.parallel(copyAssets, copyTools, writeProfilesList)
+  gulp.parallel(copyAssets, copyTools, writeProfilesList),
+  checkAssets
 );
 
 const cleanBuild = gulp.series(clean, build);
@@ -0,0 +1,328 @@
+import buildAssetProfile from '../buildAssetProfile';
+import expandRegistryProfile from '../expandRegistryProfile';
+
+/**
+ * Builds an expanded registry profile with a left and right layout, each of which has a trigger
+ * and a touchpad divided into quadrants
+ */
+function buildRegistryProfile() {
+  return expandRegistryProfile({
+    profileId: 'test-profile',
+    fallbackProfileIds: [],
+    layouts: {
+      'left-right': {
+        selectComponentId: 'trigger',
+        components: {
+          trigger: { type: 'trigger' },
+          touchpad: { type: 'touchpad', regions: 'quadrants' }
+        },
+        gamepad: {
+          mapping: '',
+          buttons: ['trigger', null, 'touchpad'],
+          axes: [
+            { componentId: 'touchpad', axis: 'x-axis' },
+            { componentId: 'touchpad', axis: 'y-axis' }
+          ]
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Builds a visual response override driven by a componentProperty
+ * @param {string} componentProperty
+ * @param {string} [valueNodeProperty]
+ */
+function buildVisualResponse(componentProperty, valueNodeProperty = 'visibility') {
+  return { componentProperty, states: ['pressed'], valueNodeProperty };
+}
+
+/**
+ * Builds the asset profile and returns the diagnostics collected
+ * @param {Object} layoutOverrides - The overrides for the left-right layout
+ */
+function getDiagnostics(layoutOverrides) {
+  const diagnostics = [];
+  const assetInfo = { profileId: 'test-profile', overrides: { 'left-right': layoutOverrides } };
+  buildAssetProfile(assetInfo, buildRegistryProfile(), diagnostics);
+  return diagnostics;
+}
+
+test('Valid overrides have no diagnostics', () => {
+  const assetInfo = {
+    profileId: 'test-profile',
+    overrides: {
+      'left-right': {
+        assetPath: 'controller.glb',
+        components: {
+          trigger: {
+            rootNodeName: 'trigger_root',
+            visualResponses: { glow: buildVisualResponse('state') }
+          },
+          touchpad: {
+            touchPointNodeName: 'touch_dot',
+            regions: {
+              up: { visualResponses: { pressed: buildVisualResponse('button') } }
+            }
+          }
+        }
+      }
+    }
+  };
+
+  const diagnostics = [];
+  const profile = buildAssetProfile(assetInfo, buildRegistryProfile(), diagnostics);
+  expect(diagnostics).toEqual([]);
+  expect(buildAssetProfile(assetInfo, buildRegistryProfile())).toEqual(profile);
+
+  const { trigger, touchpad } = profile.layouts.right.components;
+  expect(profile.layouts.right.assetPath).toEqual('controller.glb');
+  expect(trigger.rootNodeName).toEqual('trigger_root');
+  expect(trigger.visualResponses.trigger_glow).toEqual({
+    ...buildVisualResponse('state'), valueNodeName: 'trigger_glow_value'
+  });
+  expect(touchpad.touchPointNodeName).toEqual('touch_dot');
+  expect(touchpad.regions.up.visualResponses.touchpad_up_pressed).toEqual({
+    ...buildVisualResponse('button'), valueNodeName: 'touchpad_up_pressed_value'
+  });
+});
+
+test('A null assetPath removes the model of a layout', () => {
+  const assetInfo = { profileId: 'test-profile', overrides: { right: { assetPath: null } } };
+  const diagnostics = [];
+  const { layouts } = buildAssetProfile(assetInfo, buildRegistryProfile(), diagnostics);
+  expect(diagnostics).toEqual([]);
+  expect(layouts.left.assetPath).toEqual('left.glb');
+  expect(layouts.right).not.toHaveProperty('assetPath');
+});
+
+describe('Visual response overrides', () => {
+  /**
+   * Builds the asset profile and returns the visual responses of the left trigger
+   * @param {Object} visualResponses - The overrides for the trigger's visual responses
+   */
+  function getTriggerVisualResponses(visualResponses) {
+    const assetInfo = {
+      profileId: 'test-profile',
+      overrides: { 'left-right': { components: { trigger: { visualResponses } } } }
+    };
+    return buildAssetProfile(assetInfo, buildRegistryProfile()).layouts.left.components
+      .trigger.visualResponses;
+  }
+
+  test('Use the same names as the default responses', () => {
+    const defaults = getTriggerVisualResponses({});
+    expect(Object.keys(defaults)).toEqual(['trigger_pressed']);
+
+    const visualResponses = getTriggerVisualResponses({
+      pressed: buildVisualResponse('button', 'transform')
+    });
+    expect(visualResponses).toEqual({
+      trigger_pressed: { ...defaults.trigger_pressed, states: ['pressed'] }
+    });
+  });
+
+  test('Remove a default response', () => {
+    expect(getTriggerVisualResponses({ pressed: null })).toEqual({});
+  });
+
+  test('Name the nodes of added responses in the same way as the defaults', () => {
+    const visualResponses = getTriggerVisualResponses({
+      tilt: buildVisualResponse('button', 'transform'),
+      glow: buildVisualResponse('state')
+    });
+    expect(visualResponses.trigger_tilt).toEqual({
+      ...buildVisualResponse('button', 'transform'),
+      valueNodeName: 'trigger_tilt_value',
+      minNodeName: 'trigger_tilt_min',
+      maxNodeName: 'trigger_tilt_max'
+    });
+    expect(visualResponses.trigger_glow).toEqual({
+      ...buildVisualResponse('state'), valueNodeName: 'trigger_glow_value'
+    });
+  });
+
+  test('Do not modify the registry profile', () => {
+    const registryProfile = buildRegistryProfile();
+    const assetInfo = {
+      profileId: 'test-profile',
+      overrides: { left: { components: { trigger: { visualResponses: { pressed: null } } } } }
+    };
+    buildAssetProfile(assetInfo, registryProfile);
+    expect(registryProfile).toEqual(buildRegistryProfile());
+  });
+});
+
+test('The first error is thrown when no diagnostics array is supplied', () => {
+  const assetInfo = {
+    profileId: 'test-profile',
+    overrides: {
+      'left-right': {
+        rootNodeName: 'test-profile-left',
+        components: { grip: {} }
+      }
+    }
+  };
+  expect(() => { buildAssetProfile(assetInfo, buildRegistryProfile()); })
+    .toThrow(expect.objectContaining({
+      name: 'AssetProfileError',
+      profileId: 'test-profile',
+      handedness: 'left',
+      pointer: '/overrides/left-right/components/grip',
+      ruleId: 'component'
+    }));
+});
+
+test('A profile id which does not match the registry profile', () => {
+  const assetInfo = { profileId: 'other-profile', overrides: {} };
+  expect(() => { buildAssetProfile(assetInfo, buildRegistryProfile(), []); })
+    .toThrow('Profile id mismatch registry=test-profile asset=other-profile');
+});
+
+describe('Errors', () => {
+  test('An unknown layout', () => {
+    const diagnostics = [];
+    const assetInfo = { profileId: 'test-profile', overrides: { none: {} } };
+    buildAssetProfile(assetInfo, buildRegistryProfile(), diagnostics);
+    expect(diagnostics).toEqual([{
+      profileId: 'test-profile',
+      handedness: 'none',
+      pointer: '/overrides/none',
+      severity: 'error',
+      message: 'Cannot apply layout overrides for a layout that isn\'t defined in the registry entry',
+      ruleId: 'layout'
+    }]);
+  });
+
+  test('An unknown component is reported for each handedness', () => {
+    const diagnostics = getDiagnostics({ components: { grip: { rootNodeName: 'grip' } } });
+    expect(diagnostics).toEqual(['left', 'right'].map(handedness => ({
+      profileId: 'test-profile',
+      handedness,
+      pointer: '/overrides/left-right/components/grip',
+      severity: 'error',
+      message: 'Cannot apply component overrides for grip because it isn\'t defined in the registry',
+      ruleId: 'component'
+    })));
+  });
+
+  test('A touchPointNodeName on a component which is not a touchpad', () => {
+    const diagnostics = getDiagnostics({
+      components: { trigger: { touchPointNodeName: 'touch_dot' } }
+    });
+    expect(diagnostics[0]).toEqual({
+      profileId: 'test-profile',
+      handedness: 'left',
+      pointer: '/overrides/left-right/components/trigger/touchPointNodeName',
+      severity: 'error',
+      message: 'Cannot set the touchPointNodeName on trigger of type trigger',
+      ruleId: 'touch-point'
+    });
+  });
+
+  test('Removing a visual response which is not present', () => {
+    const diagnostics = getDiagnostics({
+      components: { trigger: { visualResponses: { glow: null } } }
+    });
+    expect(diagnostics[0]).toMatchObject({
+      pointer: '/overrides/left-right/components/trigger/visualResponses/glow',
+      message: 'Cannot remove visual response glow from trigger because it is not present',
+      ruleId: 'visual-response-removal'
+    });
+  });
+
+  test('A visual response driven by a property the component does not have', () => {
+    const diagnostics = getDiagnostics({
+      components: { trigger: { visualResponses: { tilt: buildVisualResponse('xAxis') } } }
+    });
+    expect(diagnostics[0]).toMatchObject({
+      pointer: '/overrides/left-right/components/trigger/visualResponses/tilt/componentProperty',
+      message: 'Visual response trigger_tilt cannot have a componentProperty of xAxis because trigger does not have \'gamepadIndices.xAxis\'',
+      ruleId: 'visual-response-property'
+    });
+  });
+
+  test('A region visual response driven by an axis', () => {
+    const diagnostics = getDiagnostics({
+      components: {
+        touchpad: { regions: { up: { visualResponses: { tilt: buildVisualResponse('xAxis') } } } }
+      }
+    });
+    expect(diagnostics[0]).toMatchObject({
+      pointer: '/overrides/left-right/components/touchpad/regions/up/visualResponses/tilt/componentProperty',
+      ruleId: 'visual-response-property'
+    });
+  });
+
+  test('An unknown region', () => {
+    const diagnostics = getDiagnostics({
+      components: { touchpad: { regions: { center: { rootNodeName: 'center' } } } }
+    });
+    expect(diagnostics[0]).toMatchObject({
+      pointer: '/overrides/left-right/components/touchpad/regions/center',
+      message: 'Cannot apply region overrides for center because it isn\'t defined on touchpad in the registry',
+      ruleId: 'region'
+    });
+  });
+
+  test('Every problem in every layout is reported', () => {
+    const diagnostics = getDiagnostics({
+      components: {
+        grip: {},
+        trigger: {
+          touchPointNodeName: 'touch_dot',
+          visualResponses: { glow: null, tilt: buildVisualResponse('xAxis') }
+        },
+        touchpad: { regions: { center: {} } }
+      }
+    });
+    expect(diagnostics.map(({ handedness, ruleId }) => `${handedness} ${ruleId}`)).toEqual([
+      'left component',
+      'left touch-point',
+      'left visual-response-removal',
+      'left visual-response-property',
+      'left region',
+      'right component',
+      'right touch-point',
+      'right visual-response-removal',
+      'right visual-response-property',
+      'right region'
+    ]);
+  });
+});
+
+describe('Warnings', () => {
+  test('A rootNodeName which matches the default', () => {
+    const diagnostics = getDiagnostics({ rootNodeName: 'test-profile-left' });
+    expect(diagnostics).toEqual([{
+      profileId: 'test-profile',
+      handedness: 'left',
+      pointer: '/overrides/left-right/rootNodeName',
+      severity: 'warning',
+      message: 'The rootNodeName override matches the default test-profile-left',
+      ruleId: 'redundant-override'
+    }]);
+  });
+
+  test('Component rootNodeNames and assetPaths which match the default', () => {
+    const diagnostics = getDiagnostics({
+      assetPath: 'right.glb',
+      components: { touchpad: { rootNodeName: 'touchpad' } }
+    });
+    expect(diagnostics.map(({ handedness, pointer }) => `${handedness} ${pointer}`)).toEqual([
+      'left /overrides/left-right/components/touchpad/rootNodeName',
+      'right /overrides/left-right/assetPath',
+      'right /overrides/left-right/components/touchpad/rootNodeName'
+    ]);
+    expect(diagnostics.every(({ severity }) => severity === 'warning')).toBe(true);
+  });
+
+  test('Warnings are not thrown', () => {
+    const assetInfo = {
+      profileId: 'test-profile',
+      overrides: { 'left-right': { rootNodeName: 'test-profile-left' } }
+    };
+    expect(() => { buildAssetProfile(assetInfo, buildRegistryProfile()); }).not.toThrow();
+  });
+});
@@ -0,0 +1,180 @@
+import checkAssetNodes from '../checkAssetNodes';
+
+const assetProfile = {
+  profileId: 'test-profile',
+  layouts: {
+    left: {
+      rootNodeName: 'test-profile-left',
+      assetPath: 'left.glb',
+      components: {
+        'xr-standard-trigger': {
+          rootNodeName: 'xr_standard_trigger',
+          visualResponses: {
+            xr_standard_trigger_pressed: {
+              valueNodeProperty: 'transform',
+              valueNodeName: 'xr_standard_trigger_pressed_value',
+              minNodeName: 'xr_standard_trigger_pressed_min',
+              maxNodeName: 'xr_standard_trigger_pressed_max'
+            }
+          }
+        },
+        'xr-standard-touchpad': {
+          rootNodeName: 'xr_standard_touchpad',
+          touchPointNodeName: 'xr_standard_touchpad_axes_touched_value',
+          visualResponses: {}
+        }
+      }
+    }
+  }
+};
+
+const modelNodeNames = [
+  'test-profile-left',
+  'xr_standard_trigger',
+  'xr_standard_touchpad',
+  'xr_standard_trigger_pressed_value',
+  'xr_standard_trigger_pressed_min',
+  'xr_standard_trigger_pressed_max',
+  'xr_standard_touchpad_axes_touched_value'
+];
+
+test('A model with every named node is valid', () => {
+  expect(checkAssetNodes(assetProfile, 'left', modelNodeNames)).toEqual([]);
+});
+
+test('Missing layout and component root nodes are warnings', () => {
+  const nodeNames = modelNodeNames.filter(
+    nodeName => !['test-profile-left', 'xr_standard_touchpad'].includes(nodeName)
+  );
+  expect(checkAssetNodes(assetProfile, 'left', nodeNames)).toEqual([
+    {
+      profileId: 'test-profile',
+      handedness: 'left',
+      pointer: '/layouts/left/rootNodeName',
+      severity: 'warning',
+      message: 'Could not find test-profile-left in left.glb',
+      ruleId: 'root-node'
+    },
+    {
+      profileId: 'test-profile',
+      handedness: 'left',
+      pointer: '/layouts/left/components/xr-standard-touchpad/rootNodeName',
+      severity: 'warning',
+      message: 'Could not find xr_standard_touchpad in left.glb',
+      ruleId: 'root-node'
+    }
+  ]);
+});
+
+test('Root nodes of regions are only looked up for regions with visual responses', () => {
+  const touchpad = assetProfile.layouts.left.components['xr-standard-touchpad'];
+  const regionsProfile = JSON.parse(JSON.stringify(assetProfile));
+  regionsProfile.layouts.left.components['xr-standard-touchpad'] = {
+    ...touchpad,
+    regions: {
+      up: {
+        rootNodeName: 'xr_standard_touchpad_up',
+        visualResponses: {
+          xr_standard_touchpad_up_pressed: {
+            valueNodeProperty: 'visibility',
+            valueNodeName: 'xr_standard_touchpad_up_pressed_value'
+          }
+        }
+      },
+      down: { rootNodeName: 'xr_standard_touchpad_down', visualResponses: {} }
+    }
+  };
+
+  const nodeNames = [...modelNodeNames, 'xr_standard_touchpad_up_pressed_value'];
+  expect(checkAssetNodes(regionsProfile, 'left', nodeNames)).toEqual([{
+    profileId: 'test-profile',
+    handedness: 'left',
+    pointer: '/layouts/left/components/xr-standard-touchpad/regions/up/rootNodeName',
+    severity: 'warning',
+    message: 'Could not find xr_standard_touchpad_up in left.glb',
+    ruleId: 'root-node'
+  }]);
+});
+
+test('A missing touch point node is an error', () => {
+  const nodeNames = modelNodeNames.filter(
+    nodeName => nodeName !== 'xr_standard_touchpad_axes_touched_value'
+  );
+  expect(checkAssetNodes(assetProfile, 'left', nodeNames)).toEqual([{
+    profileId: 'test-profile',
+    handedness: 'left',
+    pointer: '/layouts/left/components/xr-standard-touchpad/touchPointNodeName',
+    severity: 'error',
+    message: 'Could not find xr_standard_touchpad_axes_touched_value in left.glb',
+    ruleId: 'touch-point-node'
+  }]);
+});
+
+test('A visual response missing some of its nodes is an error', () => {
+  const nodeNames = modelNodeNames.filter(nodeName => nodeName !== 'xr_standard_trigger_pressed_min');
+  expect(checkAssetNodes(assetProfile, 'left', nodeNames)).toEqual([{
+    profileId: 'test-profile',
+    handedness: 'left',
+    pointer: '/layouts/left/components/xr-standard-trigger/visualResponses/xr_standard_trigger_pressed/minNodeName',
+    severity: 'error',
+    message: 'Could not find xr_standard_trigger_pressed_min in left.glb',
+    ruleId: 'visual-response-node'
+  }]);
+});
+
+test('A visual response missing all of its nodes is a single error', () => {
+  const nodeNames = modelNodeNames.filter(nodeName => !nodeName.startsWith('xr_standard_trigger_'));
+  expect(checkAssetNodes(assetProfile, 'left', nodeNames)).toEqual([{
+    profileId: 'test-profile',
+    handedness: 'left',
+    pointer: '/layouts/left/components/xr-standard-trigger/visualResponses/xr_standard_trigger_pressed',
+    severity: 'error',
+    message: 'left.glb has none of the nodes animated by xr_standard_trigger_pressed',
+    ruleId: 'unmodeled-visual-response'
+  }]);
+});
+
+test('Unused animation nodes of the layout\'s components are warnings', () => {
+  const nodeNames = [...modelNodeNames, 'xr_standard_trigger_presed_value', 'menu_pressed_value'];
+  expect(checkAssetNodes(assetProfile, 'left', nodeNames)).toEqual([{
+    profileId: 'test-profile',
+    handedness: 'left',
+    pointer: '/layouts/left/assetPath',
+    severity: 'warning',
+    message: 'left.glb contains xr_standard_trigger_presed_value, which no visual response uses',
+    ruleId: 'unused-node'
+  }]);
+});
+
+test('Animation nodes used by another layout sharing the model are not reported', () => {
+  const leftLayout = assetProfile.layouts.left;
+  const noneLayout = JSON.parse(JSON.stringify(leftLayout));
+  noneLayout.components['xr-standard-trigger'].visualResponses.xr_standard_trigger_pressed_mirror = {
+    valueNodeProperty: 'visibility',
+    valueNodeName: 'xr_standard_trigger_pressed_mirror_value'
+  };
+  const sharedModelProfile = {
+    ...assetProfile,
+    layouts: { left: leftLayout, none: noneLayout }
+  };
+
+  const nodeNames = [...modelNodeNames, 'xr_standard_trigger_pressed_mirror_value'];
+  expect(checkAssetNodes(sharedModelProfile, 'left', nodeNames)).toEqual([]);
+  expect(checkAssetNodes(sharedModelProfile, 'none', nodeNames)).toEqual([]);
+});
+
+test('Lists the nodes which are checked with the severity of their absence', () => {
+  const nodes = checkAssetNodes.listLayoutNodes(assetProfile.layouts.left);
+  expect(nodes.map(({ nodeName, severity, ruleId }) => `${severity} ${ruleId} ${nodeName}`)).toEqual([
+    'warning root-node test-profile-left',
+    'warning root-node xr_standard_trigger',
+    'error visual-response-node xr_standard_trigger_pressed_value',
+    'error visual-response-node xr_standard_trigger_pressed_min',
+    'error visual-response-node xr_standard_trigger_pressed_max',
+    'warning root-node xr_standard_touchpad',
+    'error touch-point-node xr_standard_touchpad_axes_touched_value'
+  ]);
+  expect(nodes[2].path).toEqual([
+    'components', 'xr-standard-trigger', 'visualResponses', 'xr_standard_trigger_pressed', 'valueNodeName'
+  ]);
+});
@@ -0,0 +1,266 @@
+import diffProfiles from '../diffProfiles';
+
+/**
+ * Builds an expanded profile with a single layout, which has a trigger and a touchpad
+ */
+function buildProfile() {
+  return {
+    profileId: 'test-profile',
+    fallbackProfileIds: ['generic-trigger-touchpad'],
+    deprecatedProfileIds: ['test-profile-old'],
+    layouts: {
+      left: {
+        selectComponentId: 'trigger',
+        gamepadMapping: 'xr-standard',
+        components: {
+          trigger: {
+            type: 'trigger',
+            gamepadIndices: { button: 0 },
+            visualResponses: {
+              trigger_pressed: { componentProperty: 'button', valueNodeName: 'trigger_pressed_value' }
+            }
+          },
+          touchpad: {
+            type: 'touchpad',
+            gamepadIndices: { button: 2, xAxis: 0, yAxis: 1 },
+            regions: {
+              center: { minRadius: 0, maxRadius: 0.5, visualResponses: {} }
+            },
+            visualResponses: {}
+          }
+        }
+      }
+    }
+  };
+}
+
+test('Identical profiles have no changes', () => {
+  expect(diffProfiles(buildProfile(), buildProfile())).toEqual([]);
+});
+
+describe('Breaking changes', () => {
+  test('Changing the profile id', () => {
+    const after = buildProfile();
+    after.profileId = 'test-profile-2';
+    const changes = diffProfiles(buildProfile(), after);
+    expect(changes).toEqual([{
+      handedness: undefined,
+      pointer: '/profileId',
+      before: 'test-profile',
+      after: 'test-profile-2',
+      breaking: true,
+      message: 'The profile id changed from test-profile to test-profile-2'
+    }]);
+  });
+
+  test('Removing a layout', () => {
+    const after = buildProfile();
+    delete after.layouts.left;
+    const changes = diffProfiles(buildProfile(), after);
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ handedness: 'left', pointer: '/layouts/left', breaking: true });
+  });
+
+  test('Removing a component', () => {
+    const after = buildProfile();
+    delete after.layouts.left.components.touchpad;
+    const changes = diffProfiles(buildProfile(), after);
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({
+      pointer: '/layouts/left/components/touchpad',
+      breaking: true,
+      message: 'Component touchpad was removed'
+    });
+  });
+
+  test('Removing a region', () => {
+    const after = buildProfile();
+    delete after.layouts.left.components.touchpad.regions.center;
+    const changes = diffProfiles(buildProfile(), after);
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({
+      pointer: '/layouts/left/components/touchpad/regions/center',
+      breaking: true
+    });
+  });
+
+  test('Removing a visual response', () => {
+    const after = buildProfile();
+    delete after.layouts.left.components.trigger.visualResponses.trigger_pressed;
+    const changes = diffProfiles(buildProfile(), after);
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({
+      pointer: '/layouts/left/components/trigger/visualResponses/trigger_pressed',
+      breaking: true
+    });
+  });
+
+  test('Removing a deprecated profile id', () => {
+    const after = buildProfile();
+    after.deprecatedProfileIds = [];
+    const changes = diffProfiles(buildProfile(), after);
+    expect(changes).toEqual([{
+      handedness: undefined,
+      pointer: '/deprecatedProfileIds',
+      before: 'test-profile-old',
+      after: undefined,
+      breaking: true,
+      message: 'The deprecated profile id test-profile-old was removed'
+    }]);
+  });
+
+  test('Changing a gamepad index', () => {
+    const after = buildProfile();
+    after.layouts.left.components.touchpad.gamepadIndices.button = 3;
+    const changes = diffProfiles(buildProfile(), after);
+    expect(changes).toEqual([{
+      handedness: 'left',
+      pointer: '/layouts/left/components/touchpad/gamepadIndices/button',
+      before: 2,
+      after: 3,
+      breaking: true,
+      message: 'touchpad gamepadIndices.button changed from 2 to 3'
+    }]);
+  });
+
+  test('Removing a gamepad index', () => {
+    const after = buildProfile();
+    delete after.layouts.left.components.touchpad.gamepadIndices.yAxis;
+    const changes = diffProfiles(buildProfile(), after);
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({
+      pointer: '/layouts/left/components/touchpad/gamepadIndices/yAxis',
+      before: 1,
+      after: undefined,
+      breaking: true
+    });
+  });
+
+  test('Changing the gamepad mapping', () => {
+    const after = buildProfile();
+    after.layouts.left.gamepadMapping = '';
+    const changes = diffProfiles(buildProfile(), after);
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ pointer: '/layouts/left/gamepadMapping', breaking: true });
+  });
+
+  test('Changing a component type', () => {
+    const after = buildProfile();
+    after.layouts.left.components.trigger.type = 'button';
+    const changes = diffProfiles(buildProfile(), after);
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({
+      pointer: '/layouts/left/components/trigger/type',
+      before: 'trigger',
+      after: 'button',
+      breaking: true
+    });
+  });
+
+  test('Changing the selectComponentId', () => {
+    const after = buildProfile();
+    after.layouts.left.selectComponentId = 'touchpad';
+    const changes = diffProfiles(buildProfile(), after);
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ pointer: '/layouts/left/selectComponentId', breaking: true });
+  });
+
+  test('Changing a visual response', () => {
+    const after = buildProfile();
+    after.layouts.left.components.trigger.visualResponses.trigger_pressed.valueNodeName = 'trigger';
+    const changes = diffProfiles(buildProfile(), after);
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({
+      pointer: '/layouts/left/components/trigger/visualResponses/trigger_pressed',
+      breaking: true
+    });
+  });
+});
+
+describe('Compatible changes', () => {
+  test('Adding a layout', () => {
+    const after = buildProfile();
+    after.layouts.right = JSON.parse(JSON.stringify(after.layouts.left));
+    const changes = diffProfiles(buildProfile(), after);
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ pointer: '/layouts/right', breaking: false });
+  });
+
+  test('Adding a component', () => {
+    const after = buildProfile();
+    after.layouts.left.components.menu = {
+      type: 'button', gamepadIndices: { button: 4 }, visualResponses: {}
+    };
+    const changes = diffProfiles(buildProfile(), after);
+    expect(changes).toEqual([{
+      handedness: 'left',
+      pointer: '/layouts/left/components/menu',
+      before: undefined,
+      after: { type: 'button', gamepadIndices: { button: 4 }, visualResponses: {} },
+      breaking: false,
+      message: 'Component menu was added'
+    }]);
+  });
+
+  test('Adding a region', () => {
+    const after = buildProfile();
+    after.layouts.left.components.touchpad.regions.up = {
+      startAngle: 315, endAngle: 45, minRadius: 0.5, maxRadius: 1, visualResponses: {}
+    };
+    const changes = diffProfiles(buildProfile(), after);
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({
+      pointer: '/layouts/left/components/touchpad/regions/up',
+      breaking: false
+    });
+  });
+
+  test('Adding a visual response', () => {
+    const after = buildProfile();
+    after.layouts.left.components.touchpad.visualResponses.touchpad_pressed = {
+      componentProperty: 'button', valueNodeName: 'touchpad_pressed_value'
+    };
+    const changes = diffProfiles(buildProfile(), after);
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({
+      pointer: '/layouts/left/components/touchpad/visualResponses/touchpad_pressed',
+      breaking: false
+    });
+  });
+
+  test('Adding a gamepad index', () => {
+    const after = buildProfile();
+    after.layouts.left.components.touchpad.gamepadIndices.zAxis = 2;
+    const changes = diffProfiles(buildProfile(), after);
+    expect(changes).toEqual([{
+      handedness: 'left',
+      pointer: '/layouts/left/components/touchpad/gamepadIndices/zAxis',
+      before: undefined,
+      after: 2,
+      breaking: false,
+      message: 'touchpad gained gamepadIndices.zAxis 2'
+    }]);
+  });
+
+  test('Adding a deprecated profile id', () => {
+    const after = buildProfile();
+    after.deprecatedProfileIds.push('test-profile-older');
+    const changes = diffProfiles(buildProfile(), after);
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ pointer: '/deprecatedProfileIds', breaking: false });
+  });
+
+  test('Changing the fallback profile ids', () => {
+    const after = buildProfile();
+    after.fallbackProfileIds = ['generic-trigger'];
+    const changes = diffProfiles(buildProfile(), after);
+    expect(changes).toEqual([{
+      handedness: undefined,
+      pointer: '/fallbackProfileIds',
+      before: ['generic-trigger-touchpad'],
+      after: ['generic-trigger'],
+      breaking: false,
+      message: 'The fallback profile ids changed from [generic-trigger-touchpad] to [generic-trigger]'
+    }]);
+  });
+});
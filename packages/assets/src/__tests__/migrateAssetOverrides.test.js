@@ -0,0 +1,74 @@
+import path from 'path';
+import fs from 'fs-extra';
+import migrateAssetOverrides from '../migrateAssetOverrides';
+
+const migrateFixturesFolder = path.join(__dirname, '../../cli/__tests__/fixtures/migrate');
+
+/**
+ * @param {string} name - The folder of the fixture within the migrate fixtures folder
+ */
+function readFixture(name) {
+  return fs.readJsonSync(path.join(migrateFixturesFolder, name, 'profile.json'));
+}
+
+test('Legacy componentProperty names are replaced', () => {
+  const legacy = readFixture('legacy');
+  expect(migrateAssetOverrides(legacy)).toEqual(readFixture('migrated'));
+});
+
+test('The supplied asset profile is not modified', () => {
+  const legacy = readFixture('legacy');
+  migrateAssetOverrides(legacy);
+  expect(legacy).toEqual(readFixture('legacy'));
+});
+
+test('Each replacement is reported as a warning', () => {
+  const diagnostics = [];
+  migrateAssetOverrides(readFixture('legacy'), diagnostics);
+
+  const componentPointer = '/overrides/left-right-none/components/xr-standard-touchpad';
+  expect(diagnostics).toEqual([
+    {
+      profileId: 'generic-trigger-touchpad',
+      handedness: 'left-right-none',
+      pointer: `${componentPointer}/visualResponses/xr_standard_touchpad_xaxis_pressed/componentProperty`,
+      severity: 'warning',
+      message: 'The componentProperty x-axis has been replaced by xAxis',
+      ruleId: 'legacy-component-property'
+    },
+    {
+      profileId: 'generic-trigger-touchpad',
+      handedness: 'left-right-none',
+      pointer: `${componentPointer}/visualResponses/xr_standard_touchpad_yaxis_pressed/componentProperty`,
+      severity: 'warning',
+      message: 'The componentProperty y-axis has been replaced by yAxis',
+      ruleId: 'legacy-component-property'
+    },
+    {
+      profileId: 'generic-trigger-touchpad',
+      handedness: 'left-right-none',
+      pointer: `${componentPointer}/regions/up/visualResponses/xr_standard_touchpad_up_zaxis/componentProperty`,
+      severity: 'warning',
+      message: 'The componentProperty z-axis has been replaced by zAxis',
+      ruleId: 'legacy-component-property'
+    }
+  ]);
+});
+
+test('Overrides which are already current are copied unchanged', () => {
+  const diagnostics = [];
+  const current = readFixture('current');
+  expect(migrateAssetOverrides(current, diagnostics)).toEqual(current);
+  expect(diagnostics).toEqual([]);
+
+  const migrated = readFixture('migrated');
+  expect(migrateAssetOverrides(migrated, diagnostics)).toEqual(migrated);
+  expect(diagnostics).toEqual([]);
+});
+
+test('Asset profiles without overrides are copied unchanged', () => {
+  const diagnostics = [];
+  const assetInfo = { profileId: 'generic-button' };
+  expect(migrateAssetOverrides(assetInfo, diagnostics)).toEqual(assetInfo);
+  expect(diagnostics).toEqual([]);
+});
@@ -33,6 +33,16 @@ const STANDARD_VISUAL_RESPONSES = {
     componentProperty: 'state',
     states: ['touched', 'pressed'],
     valueNodeProperty: 'visibility'
+  },
+  curled: {
+    componentProperty: 'button',
+    states: ['default', 'touched', 'pressed'],
+    valueNodeProperty: 'transform'
+  },
+  touched: {
+    componentProperty: 'state',
+    states: ['touched', 'pressed'],
+    valueNodeProperty: 'visibility'
   }
 };
 
@@ -42,21 +52,30 @@ const DEFAULT_COMPONENT_VISUAL_RESPONSES = {
     squeeze: ['pressed'],
     touchpad: ['pressed', 'xaxis_pressed', 'yaxis_pressed', 'xaxis_touched', 'yaxis_touched', 'axes_touched'],
     thumbstick: ['pressed', 'xaxis_pressed', 'yaxis_pressed'],
-    button: ['pressed']
+    button: ['pressed'],
+    'finger-curl': ['curled'],
+    'force-sensor': ['pressed'],
+    proximity: ['touched']
   },
   right: {
     trigger: ['pressed'],
     squeeze: ['pressed'],
     touchpad: ['pressed', 'xaxis_pressed', 'yaxis_pressed', 'xaxis_touched', 'yaxis_touched', 'axes_touched'],
     thumbstick: ['pressed', 'xaxis_pressed', 'yaxis_pressed'],
-    button: ['pressed']
+    button: ['pressed'],
+    'finger-curl': ['curled'],
+    'force-sensor': ['pressed'],
+    proximity: ['touched']
   },
   none: {
     trigger: ['pressed'],
     squeeze: ['pressed', 'pressed_mirror'],
     touchpad: ['pressed', 'xaxis_pressed', 'yaxis_pressed', 'xaxis_touched', 'yaxis_touched', 'axes_touched'],
     thumbstick: ['pressed', 'xaxis_pressed', 'yaxis_pressed'],
-    button: ['pressed']
+    button: ['pressed'],
+    'finger-curl': ['curled'],
+    'force-sensor': ['pressed'],
+    proximity: ['touched']
   }
 };
 
@@ -73,6 +92,21 @@ class AssetProfileError extends Error {
   }
 }
 
+/**
+ * Builds the names of the nodes a visual response animates, which are based on the name of the
+ * response
+ * @param {string} visualResponseName
+ * @param {string} valueNodeProperty
+ */
+function buildNodeNames(visualResponseName, valueNodeProperty) {
+  const nodeNames = { valueNodeName: `${visualResponseName}_value` };
+  if (valueNodeProperty === 'transform') {
+    nodeNames.minNodeName = `${visualResponseName}_min`;
+    nodeNames.maxNodeName = `${visualResponseName}_max`;
+  }
+  return nodeNames;
+}
+
 /**
  * Build the set of default visual responses for a given component type.  Node names are based
  * on the component's id and the name of the response.
@@ -88,87 +122,211 @@ function buildDefaultVisualResponses({ rootNodeName, type }, handedness) {
     // Copy the default response definition and add the node names
     const visualResponse = JSON.parse(JSON.stringify(STANDARD_VISUAL_RESPONSES[responseId]));
     const visualResponseName = `${rootNodeName}_${responseId}`;
-    visualResponse.valueNodeName = `${visualResponseName}_value`;
-    if (visualResponse.valueNodeProperty === 'transform') {
-      visualResponse.minNodeName = `${visualResponseName}_min`;
-      visualResponse.maxNodeName = `${visualResponseName}_max`;
-    }
-
-    visualResponses[visualResponseName] = visualResponse;
+    visualResponses[visualResponseName] = {
+      ...visualResponse,
+      ...buildNodeNames(visualResponseName, visualResponse.valueNodeProperty)
+    };
   });
 
   return visualResponses;
 }
 
 /**
- * Unpacks the asset JSON and applies any specified overrides to the asset profile passed in
+ * Returns a copy of a component's or touchpad region's visual responses with overrides applied.
+ * Overrides are named in the same way as the default responses, so a default can be changed or
+ * removed, and responses added by an override animate nodes named in the same way as the defaults.
+ * @param {string} targetId - The id of the component, or of the region's synthetic component
+ * @param {Object} visualResponses - The visual responses before overrides are applied
+ * @param {Object} visualResponseOverrides
+ * @param {Function} hasComponentProperty - Returns true if the target reports a componentProperty
+ * @param {Function} report - Reports a problem with an override, given a rule id, the path of the
+ * override within visualResponseOverrides, and a message
+ */
+function applyVisualResponseOverrides(
+  targetId, visualResponses, visualResponseOverrides, hasComponentProperty, report
+) {
+  const overriddenVisualResponses = { ...visualResponses };
+
+  Object.keys(visualResponseOverrides).forEach((shortResponseName) => {
+    const fullResponseName = `${targetId.replace(/-/g, '_')}_${shortResponseName}`;
+
+    // If the overridden response is null, remove it the profile.  Otherwise, update its
+    // properties based on the override
+    if (visualResponseOverrides[shortResponseName] === null) {
+      if (!overriddenVisualResponses[fullResponseName]) {
+        report('visual-response-removal', [shortResponseName], `Cannot remove visual response ${shortResponseName} from ${targetId} because it is not present`);
+      } else {
+        delete overriddenVisualResponses[fullResponseName];
+      }
+    } else {
+      const visualResponseOverride = visualResponseOverrides[shortResponseName];
+
+      const { componentProperty } = visualResponseOverride;
+      if (!hasComponentProperty(componentProperty)) {
+        report('visual-response-property', [shortResponseName, 'componentProperty'], `Visual response ${fullResponseName} cannot have a componentProperty of ${componentProperty} because ${targetId} does not have 'gamepadIndices.${componentProperty}'`);
+        return;
+      }
+
+      const visualResponse = {
+        ...overriddenVisualResponses[fullResponseName], ...visualResponseOverride
+      };
+      overriddenVisualResponses[fullResponseName] = {
+        ...buildNodeNames(fullResponseName, visualResponse.valueNodeProperty),
+        ...visualResponse
+      };
+    }
+  });
+
+  return overriddenVisualResponses;
+}
+
+/**
+ * Builds a JSON pointer from a list of property names and array indices
+ * @param {Array} path
+ */
+function toJsonPointer(path) {
+  const escapedPath = path.map(segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1'));
+  return escapedPath.map(segment => `/${segment}`).join('');
+}
+
+/**
+ * Unpacks the asset JSON and applies any specified overrides to the asset profile passed in. By
+ * default the first error found is thrown as an AssetProfileError and warnings are ignored. If a
+ * diagnostics array is supplied, a diagnostic describing every problem found is added to it
+ * instead and the overrides which caused errors are skipped.
+ *
+ * Each diagnostic has the profileId, the handedness of the layout, a JSON pointer to the problem in
+ * the asset JSON, a severity, a message, and the id of the rule which was broken.
  * @param {Object} profile
  * @param {Object} assetInfo
+ * @param {Object[]} [diagnostics] - Collects the problems found
  */
-function applyAssetOverrides(profile, assetInfo) {
+function applyAssetOverrides(profile, assetInfo, diagnostics) {
+  const { profileId } = assetInfo;
   Object.keys(assetInfo.overrides).forEach((layoutId) => {
     // Split the layoutId string so a layout exists for each handedness separately
     (layoutId.split('-')).forEach((handedness) => {
+      const report = (ruleId, path, message, severity = 'error') => {
+        const pointer = toJsonPointer(['overrides', layoutId, ...path]);
+        if (diagnostics) {
+          diagnostics.push({
+            profileId,
+            handedness,
+            pointer,
+            severity,
+            message,
+            ruleId
+          });
+        } else if (severity === 'error') {
+          const error = new AssetProfileError(profileId, handedness, message);
+          Object.assign(error, { pointer, ruleId });
+          throw error;
+        }
+      };
+
+      // Overrides which match the default value have no effect, so may be a mistake
+      const reportRedundant = (path, name, value, defaultValue) => {
+        if (value === defaultValue) {
+          report('redundant-override', path, `The ${name} override matches the default ${defaultValue}`, 'warning');
+        }
+      };
+
       if (!profile.layouts[handedness]) {
-        throw new AssetProfileError(assetInfo.profileId, handedness, 'Cannot apply layout overrides for a layout that isn\'t defined in the registry entry');
+        report('layout', [], 'Cannot apply layout overrides for a layout that isn\'t defined in the registry entry');
+        return;
       }
 
       const layout = profile.layouts[handedness];
       const layoutOverrides = assetInfo.overrides[layoutId];
 
-      // Override the asset path and rootNodeName if supplied
+      // Override the asset path and rootNodeName if supplied. A null asset path means the layout
+      // has no model.
+      reportRedundant(
+        ['rootNodeName'], 'rootNodeName', layoutOverrides.rootNodeName, layout.rootNodeName
+      );
+      reportRedundant(['assetPath'], 'assetPath', layoutOverrides.assetPath, layout.assetPath);
       layout.rootNodeName = layoutOverrides.rootNodeName || layout.rootNodeName;
-      layout.assetPath = layoutOverrides.assetPath || layout.assetPath;
+      if (layoutOverrides.assetPath === null) {
+        delete layout.assetPath;
+      } else {
+        layout.assetPath = layoutOverrides.assetPath || layout.assetPath;
+      }
 
       // Iterate through components with overrides and apply them
       if (layoutOverrides.components) {
         Object.keys(layoutOverrides.components).forEach((componentId) => {
           if (!layout.components[componentId]) {
-            throw new AssetProfileError(assetInfo.profileId, handedness, `Cannot apply component overrides for ${componentId} because it isn't defined in the registry`);
+            report('component', ['components', componentId], `Cannot apply component overrides for ${componentId} because it isn't defined in the registry`);
+            return;
           }
 
           const component = layout.components[componentId];
           const componentOverrides = layoutOverrides.components[componentId];
 
           // Override the rootNodeName if supplied
+          reportRedundant(
+            ['components', componentId, 'rootNodeName'],
+            `${componentId} rootNodeName`,
+            componentOverrides.rootNodeName,
+            component.rootNodeName
+          );
           component.rootNodeName = componentOverrides.rootNodeName || component.rootNodeName;
 
+          // Override the dead zones and response curves, if supplied
+          if (componentOverrides.inputProcessing) {
+            component.inputProcessing = Object.assign(
+              {}, component.inputProcessing, componentOverrides.inputProcessing
+            );
+          }
+
           // Override the touchPointNodeName, if supplied
           if (componentOverrides.touchPointNodeName) {
             if (component.type !== 'touchpad') {
-              throw new AssetProfileError(assetInfo.profileId, handedness, `Cannot set the touchPointNodeName on ${componentId} of type ${component.type}`);
+              report('touch-point', ['components', componentId, 'touchPointNodeName'], `Cannot set the touchPointNodeName on ${componentId} of type ${component.type}`);
+            } else {
+              component.touchPointNodeName = componentOverrides.touchPointNodeName;
             }
-
-            component.touchPointNodeName = componentOverrides.touchPointNodeName;
           }
 
           // Iterate through visualResponses with overrides and apply them
           if (componentOverrides.visualResponses) {
-            const visualResponseOverrides = componentOverrides.visualResponses;
-            component.visualResponses = component.visualResponses || {};
-
-            Object.keys(visualResponseOverrides).forEach((shortResponseName) => {
-              const fullResponseName = `${componentId}-${shortResponseName}`;
-
-              // If the overridden response is null, remove it the profile.  Otherwise, update its
-              // properties based on the override
-              if (visualResponseOverrides[shortResponseName] === null) {
-                if (!component.visualResponses[fullResponseName]) {
-                  throw new AssetProfileError(assetInfo.profileId, handedness, `Cannot remove visual response ${shortResponseName} from ${componentId} because it is not present`);
-                } else {
-                  delete component.visualResponses[fullResponseName];
-                }
-              } else {
-                const visualResponseOverride = visualResponseOverrides[shortResponseName];
-
-                const { componentProperty } = visualResponseOverride;
-                if (component.gamepadIndices[componentProperty] === undefined) {
-                  throw new AssetProfileError(assetInfo.profileId, handedness, `Visual response ${fullResponseName} cannot have a componentProperty of ${componentProperty} because ${componentId} does not have 'gamepadIndices.${componentProperty}'`);
-                }
-
-                let visualResponse = component.visualResponses[fullResponseName] || {};
-                visualResponse = Object.assign(visualResponse, visualResponseOverride);
-                component.visualResponses[fullResponseName] = visualResponse;
+            component.visualResponses = applyVisualResponseOverrides(
+              componentId,
+              component.visualResponses,
+              componentOverrides.visualResponses,
+              componentProperty => componentProperty === 'state'
+                || component.gamepadIndices[componentProperty] !== undefined,
+              (ruleId, path, message) => report(
+                ruleId, ['components', componentId, 'visualResponses', ...path], message
+              )
+            );
+          }
+
+          // Iterate through regions with overrides and apply them
+          if (componentOverrides.regions) {
+            Object.keys(componentOverrides.regions).forEach((regionId) => {
+              if (!component.regions || !component.regions[regionId]) {
+                report('region', ['components', componentId, 'regions', regionId], `Cannot apply region overrides for ${regionId} because it isn't defined on ${componentId} in the registry`);
+                return;
+              }
+
+              const region = component.regions[regionId];
+              const regionOverrides = componentOverrides.regions[regionId];
+              region.rootNodeName = regionOverrides.rootNodeName || region.rootNodeName;
+
+              // Regions act as buttons, so only have a button value and a state
+              if (regionOverrides.visualResponses) {
+                region.visualResponses = applyVisualResponseOverrides(
+                  `${componentId}-${regionId}`,
+                  region.visualResponses,
+                  regionOverrides.visualResponses,
+                  componentProperty => ['button', 'state'].includes(componentProperty),
+                  (ruleId, path, message) => report(
+                    ruleId,
+                    ['components', componentId, 'regions', regionId, 'visualResponses', ...path],
+                    message
+                  )
+                );
               }
             });
           }
@@ -183,8 +341,10 @@ function applyAssetOverrides(profile, assetInfo) {
  * overrides as defined in the assetInfo object
  * @param {Object} assetInfo
  * @param {Object} expandedRegistryProfile
+ * @param {Object[]} [diagnostics] - If supplied, collects the problems found in the overrides
+ * rather than throwing the first error
  */
-function buildAssetProfile(assetInfo, expandedRegistryProfile) {
+function buildAssetProfile(assetInfo, expandedRegistryProfile, diagnostics) {
   if (expandedRegistryProfile.profileId !== assetInfo.profileId) {
     throw new Error(
       `Profile id mismatch registry=${expandedRegistryProfile.profileId} asset=${assetInfo.profileId}`
@@ -198,22 +358,36 @@ function buildAssetProfile(assetInfo, expandedRegistryProfile) {
   Object.keys(profile.layouts).forEach((handedness) => {
     const layout = profile.layouts[handedness];
     layout.rootNodeName = `${profile.profileId}-${handedness}`;
-    layout.assetPath = `${handedness}.glb`;
+
+    // Hands are normally drawn from their joint poses, so only have an asset if one is overridden
+    if (!layout.hand) {
+      layout.assetPath = `${handedness}.glb`;
+    }
 
     // Add the default node names and visual responses for the components based on their type
     Object.keys(layout.components).forEach((componentId) => {
       const component = layout.components[componentId];
       const rootNodeName = componentId.replace(/-/g, '_');
       component.rootNodeName = rootNodeName;
-      component.visualResponses = buildDefaultVisualResponses(component, handedness);
+      component.visualResponses = layout.hand
+        ? {} : buildDefaultVisualResponses(component, handedness);
       if (component.type === 'touchpad') {
         component.touchPointNodeName = `${rootNodeName}_axes_touched_value`;
       }
+
+      // Regions are not modeled unless their visual responses are overridden
+      if (component.regions) {
+        Object.keys(component.regions).forEach((regionId) => {
+          const region = component.regions[regionId];
+          region.rootNodeName = `${rootNodeName}_${regionId.replace(/-/g, '_')}`;
+          region.visualResponses = {};
+        });
+      }
     });
   });
 
   // Override any properties enumerated in the asset description file
-  applyAssetOverrides(profile, assetInfo);
+  applyAssetOverrides(profile, assetInfo, diagnostics);
 
   return profile;
 }
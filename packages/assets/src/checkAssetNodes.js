@@ -0,0 +1,167 @@
+/**
+ * Matches the names of nodes which exist to be animated by a visual response
+ */
+const ANIMATION_NODE_NAME_PATTERN = /_(value|min|max)$/;
+
+/**
+ * Applies the same changes to a node name that three.js makes when loading a model, so that names
+ * are compared as they will be looked up at runtime
+ * @param {string} name
+ */
+function sanitizeNodeName(name) {
+  return name.replace(/\s/g, '_').replace(/[[\]./:\\]/g, '');
+}
+
+/**
+ * Builds a JSON pointer from a list of property names
+ * @param {string[]} path
+ */
+function toJsonPointer(path) {
+  const escapedPath = path.map(segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1'));
+  return escapedPath.map(segment => `/${segment}`).join('');
+}
+
+/**
+ * Lists the nodes a layout's model should contain, in the order they are checked. Touch point and
+ * visual response nodes are looked up when the model is animated, so their severity is error.
+ * Root nodes of the layout, its components, and any regions with visual responses are not looked
+ * up, because the model's scene is used as the layout's root and components are found through the
+ * nodes of their visual responses, so their severity is warning.
+ *
+ * Each entry has the nodeName, the path to it within the layout, its severity, and the id of the
+ * rule which reports it when missing. The nodes of a visual response share the same responsePath.
+ * @param {Object} layout - A layout of a built asset profile
+ * @returns {Object[]}
+ */
+function listLayoutNodes(layout) {
+  const nodes = [];
+  const addRootNode = (path, nodeName) => {
+    nodes.push({
+      nodeName, path: [...path, 'rootNodeName'], severity: 'warning', ruleId: 'root-node'
+    });
+  };
+
+  const addVisualResponses = (path, visualResponses) => {
+    Object.keys(visualResponses).forEach((responseName) => {
+      const responsePath = [...path, 'visualResponses', responseName];
+      ['valueNodeName', 'minNodeName', 'maxNodeName'].forEach((property) => {
+        const nodeName = visualResponses[responseName][property];
+        if (nodeName) {
+          nodes.push({
+            nodeName,
+            path: [...responsePath, property],
+            responsePath,
+            severity: 'error',
+            ruleId: 'visual-response-node'
+          });
+        }
+      });
+    });
+  };
+
+  addRootNode([], layout.rootNodeName);
+  Object.keys(layout.components).forEach((componentId) => {
+    const component = layout.components[componentId];
+    const componentPath = ['components', componentId];
+    addRootNode(componentPath, component.rootNodeName);
+
+    if (component.touchPointNodeName) {
+      nodes.push({
+        nodeName: component.touchPointNodeName,
+        path: [...componentPath, 'touchPointNodeName'],
+        severity: 'error',
+        ruleId: 'touch-point-node'
+      });
+    }
+
+    addVisualResponses(componentPath, component.visualResponses);
+
+    // Regions are only modeled if they have visual responses
+    Object.keys(component.regions || {}).forEach((regionId) => {
+      const region = component.regions[regionId];
+      const regionPath = [...componentPath, 'regions', regionId];
+      if (Object.keys(region.visualResponses).length > 0) {
+        addRootNode(regionPath, region.rootNodeName);
+        addVisualResponses(regionPath, region.visualResponses);
+      }
+    });
+  });
+  return nodes;
+}
+
+/**
+ * Checks that the model of a layout in a built asset profile contains the nodes listed by
+ * listLayoutNodes, so missing touch point and visual response nodes are errors and missing root
+ * nodes are warnings. A visual response missing all of its nodes is reported once, as an
+ * unmodeled-visual-response error, rather than once for each node.
+ *
+ * Nodes named for an animation of one of the layout's components, but which no layout sharing the
+ * model animates, are warnings, as they usually indicate a misspelled node name. Models may animate
+ * buttons which the profile does not have, so nodes named for other components are not reported.
+ *
+ * Each diagnostic has the profileId, the handedness of the layout, a JSON pointer to the node name
+ * in the asset profile, a severity, a message, and the id of the rule which was broken.
+ * @param {Object} assetProfile - An asset profile built by buildAssetProfile
+ * @param {string} handedness - The layout whose model is being checked
+ * @param {string[]} nodeNames - The names of every node in the layout's model
+ * @returns {Object[]} The problems found
+ */
+function checkAssetNodes(assetProfile, handedness, nodeNames) {
+  const { profileId } = assetProfile;
+  const layout = assetProfile.layouts[handedness];
+  const modelNodeNames = new Set(nodeNames.map(sanitizeNodeName));
+  const diagnostics = [];
+
+  const report = (ruleId, path, message, severity = 'error') => {
+    diagnostics.push({
+      profileId,
+      handedness,
+      pointer: toJsonPointer(['layouts', handedness, ...path]),
+      severity,
+      message,
+      ruleId
+    });
+  };
+
+  const layoutNodes = listLayoutNodes(layout);
+  const isMissing = ({ nodeName }) => !modelNodeNames.has(nodeName);
+  const unmodeledResponses = new Set();
+  layoutNodes.filter(isMissing).forEach(({
+    nodeName, path, responsePath, severity, ruleId
+  }) => {
+    // A visual response missing all of its nodes is reported once rather than for each node
+    const isUnmodeled = responsePath && layoutNodes
+      .filter(node => node.responsePath === responsePath)
+      .every(isMissing);
+    if (!isUnmodeled) {
+      report(ruleId, path, `Could not find ${nodeName} in ${layout.assetPath}`, severity);
+    } else if (!unmodeledResponses.has(responsePath)) {
+      unmodeledResponses.add(responsePath);
+      const responseName = responsePath[responsePath.length - 1];
+      report('unmodeled-visual-response', responsePath, `${layout.assetPath} has none of the nodes animated by ${responseName}`, severity);
+    }
+  });
+
+  // Animation nodes which nothing refers to are usually the result of a misspelled name
+  const animatedNodeNames = new Set();
+  Object.values(assetProfile.layouts)
+    .filter(({ assetPath }) => assetPath === layout.assetPath)
+    .forEach(sharingLayout => listLayoutNodes(sharingLayout)
+      .filter(({ ruleId }) => ruleId !== 'root-node')
+      .forEach(({ nodeName }) => animatedNodeNames.add(nodeName)));
+  const componentPrefixes = Object.values(layout.components)
+    .map(({ rootNodeName }) => `${rootNodeName}_`);
+  modelNodeNames.forEach((nodeName) => {
+    if (ANIMATION_NODE_NAME_PATTERN.test(nodeName)
+        && !animatedNodeNames.has(nodeName)
+        && componentPrefixes.some(prefix => nodeName.startsWith(prefix))) {
+      report('unused-node', ['assetPath'], `${layout.assetPath} contains ${nodeName}, which no visual response uses`, 'warning');
+    }
+  });
+
+  return diagnostics;
+}
+
+checkAssetNodes.listLayoutNodes = listLayoutNodes;
+
+module.exports = checkAssetNodes;
@@ -0,0 +1,177 @@
+/**
+ * Builds a JSON pointer from a list of property names
+ * @param {string[]} path
+ */
+function toJsonPointer(path) {
+  const escapedPath = path.map(segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1'));
+  return escapedPath.map(segment => `/${segment}`).join('');
+}
+
+/**
+ * Compares the keys of two objects, either of which may be missing
+ * @param {Object} [before]
+ * @param {Object} [after]
+ * @returns {Object} The keys only in before, only in after, and in both
+ */
+function compareKeys(before = {}, after = {}) {
+  const beforeKeys = Object.keys(before);
+  const afterKeys = Object.keys(after);
+  return {
+    removed: beforeKeys.filter(key => !afterKeys.includes(key)),
+    added: afterKeys.filter(key => !beforeKeys.includes(key)),
+    common: beforeKeys.filter(key => afterKeys.includes(key))
+  };
+}
+
+/**
+ * Lists the differences between two versions of a profile which matter to applications. Both
+ * profiles must have one layout per handedness, as returned by expandRegistryProfile or
+ * buildAssetProfile, so a layout being split or merged by handedness is not reported as a change.
+ *
+ * Changes which would break an existing application are marked as breaking. These are the removal
+ * of a layout, component, region, visual response, or deprecated profile id, and any change to a
+ * gamepad index, gamepad mapping, component type, selectComponentId, or visual response. Additions
+ * and changes to the fallback profile ids are not breaking.
+ *
+ * Each change has the handedness of the layout, if any, a JSON pointer to the changed value, the
+ * values before and after the change, whether it is breaking, and a message.
+ * @param {Object} before - The earlier version of the profile
+ * @param {Object} after - The later version of the profile
+ * @returns {Object[]} The changes found
+ */
+function diffProfiles(before, after) {
+  const changes = [];
+
+  const report = (handedness, path, beforeValue, afterValue, breaking, message) => {
+    changes.push({
+      handedness,
+      pointer: toJsonPointer(path),
+      before: beforeValue,
+      after: afterValue,
+      breaking,
+      message
+    });
+  };
+
+  const compareValue = (handedness, path, beforeValue, afterValue, name) => {
+    if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      report(handedness, path, beforeValue, afterValue, true, `${name} changed from ${JSON.stringify(beforeValue)} to ${JSON.stringify(afterValue)}`);
+    }
+  };
+
+  // Compare the ids the profile is known by and falls back to
+  if (before.profileId !== after.profileId) {
+    report(undefined, ['profileId'], before.profileId, after.profileId, true, `The profile id changed from ${before.profileId} to ${after.profileId}`);
+  }
+
+  const fallbackBefore = before.fallbackProfileIds || [];
+  const fallbackAfter = after.fallbackProfileIds || [];
+  if (JSON.stringify(fallbackBefore) !== JSON.stringify(fallbackAfter)) {
+    report(undefined, ['fallbackProfileIds'], fallbackBefore, fallbackAfter, false, `The fallback profile ids changed from [${fallbackBefore.join(', ')}] to [${fallbackAfter.join(', ')}]`);
+  }
+
+  const deprecatedBefore = before.deprecatedProfileIds || [];
+  const deprecatedAfter = after.deprecatedProfileIds || [];
+  deprecatedBefore.filter(id => !deprecatedAfter.includes(id)).forEach((id) => {
+    report(undefined, ['deprecatedProfileIds'], id, undefined, true, `The deprecated profile id ${id} was removed`);
+  });
+  deprecatedAfter.filter(id => !deprecatedBefore.includes(id)).forEach((id) => {
+    report(undefined, ['deprecatedProfileIds'], undefined, id, false, `The deprecated profile id ${id} was added`);
+  });
+
+  const compareVisualResponses = (handedness, path, responsesBefore, responsesAfter) => {
+    const responseKeys = compareKeys(responsesBefore, responsesAfter);
+    responseKeys.removed.forEach((responseName) => {
+      report(handedness, [...path, responseName], responsesBefore[responseName], undefined, true, `Visual response ${responseName} was removed`);
+    });
+    responseKeys.added.forEach((responseName) => {
+      report(handedness, [...path, responseName], undefined, responsesAfter[responseName], false, `Visual response ${responseName} was added`);
+    });
+    responseKeys.common.forEach((responseName) => {
+      compareValue(
+        handedness,
+        [...path, responseName],
+        responsesBefore[responseName],
+        responsesAfter[responseName],
+        `Visual response ${responseName}`
+      );
+    });
+  };
+
+  // Compare each layout, and the components within it
+  const layoutKeys = compareKeys(before.layouts, after.layouts);
+  layoutKeys.removed.forEach((handedness) => {
+    report(handedness, ['layouts', handedness], before.layouts[handedness], undefined, true, `The ${handedness} layout was removed`);
+  });
+  layoutKeys.added.forEach((handedness) => {
+    report(handedness, ['layouts', handedness], undefined, after.layouts[handedness], false, `The ${handedness} layout was added`);
+  });
+
+  layoutKeys.common.forEach((handedness) => {
+    const layoutBefore = before.layouts[handedness];
+    const layoutAfter = after.layouts[handedness];
+    const layoutPath = ['layouts', handedness];
+
+    compareValue(handedness, [...layoutPath, 'selectComponentId'], layoutBefore.selectComponentId, layoutAfter.selectComponentId, 'The selectComponentId');
+    compareValue(handedness, [...layoutPath, 'gamepadMapping'], layoutBefore.gamepadMapping, layoutAfter.gamepadMapping, 'The gamepad mapping');
+
+    const componentKeys = compareKeys(layoutBefore.components, layoutAfter.components);
+    componentKeys.removed.forEach((componentId) => {
+      report(handedness, [...layoutPath, 'components', componentId], layoutBefore.components[componentId], undefined, true, `Component ${componentId} was removed`);
+    });
+    componentKeys.added.forEach((componentId) => {
+      report(handedness, [...layoutPath, 'components', componentId], undefined, layoutAfter.components[componentId], false, `Component ${componentId} was added`);
+    });
+
+    componentKeys.common.forEach((componentId) => {
+      const componentBefore = layoutBefore.components[componentId];
+      const componentAfter = layoutAfter.components[componentId];
+      const componentPath = [...layoutPath, 'components', componentId];
+
+      compareValue(handedness, [...componentPath, 'type'], componentBefore.type, componentAfter.type, `The type of ${componentId}`);
+
+      // Adding an index is not breaking, but moving or removing one is
+      const indexKeys = compareKeys(componentBefore.gamepadIndices, componentAfter.gamepadIndices);
+      indexKeys.added.forEach((indexName) => {
+        const index = componentAfter.gamepadIndices[indexName];
+        report(handedness, [...componentPath, 'gamepadIndices', indexName], undefined, index, false, `${componentId} gained gamepadIndices.${indexName} ${index}`);
+      });
+      [...indexKeys.removed, ...indexKeys.common].forEach((indexName) => {
+        compareValue(
+          handedness,
+          [...componentPath, 'gamepadIndices', indexName],
+          componentBefore.gamepadIndices[indexName],
+          componentAfter.gamepadIndices[indexName],
+          `${componentId} gamepadIndices.${indexName}`
+        );
+      });
+
+      const regionKeys = compareKeys(componentBefore.regions, componentAfter.regions);
+      regionKeys.removed.forEach((regionId) => {
+        report(handedness, [...componentPath, 'regions', regionId], componentBefore.regions[regionId], undefined, true, `Region ${regionId} of ${componentId} was removed`);
+      });
+      regionKeys.added.forEach((regionId) => {
+        report(handedness, [...componentPath, 'regions', regionId], undefined, componentAfter.regions[regionId], false, `Region ${regionId} of ${componentId} was added`);
+      });
+      regionKeys.common.forEach((regionId) => {
+        compareVisualResponses(
+          handedness,
+          [...componentPath, 'regions', regionId, 'visualResponses'],
+          componentBefore.regions[regionId].visualResponses,
+          componentAfter.regions[regionId].visualResponses
+        );
+      });
+
+      compareVisualResponses(
+        handedness,
+        [...componentPath, 'visualResponses'],
+        componentBefore.visualResponses,
+        componentAfter.visualResponses
+      );
+    });
+  });
+
+  return changes;
+}
+
+module.exports = diffProfiles;
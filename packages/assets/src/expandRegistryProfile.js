@@ -1,3 +1,36 @@
+const REGION_PRESETS = {
+  quadrants: {
+    up: { startAngle: 315, endAngle: 45 },
+    right: { startAngle: 45, endAngle: 135 },
+    down: { startAngle: 135, endAngle: 225 },
+    left: { startAngle: 225, endAngle: 315 }
+  },
+  'quadrants-center': {
+    center: { maxRadius: 0.5 },
+    up: { startAngle: 315, endAngle: 45, minRadius: 0.5 },
+    right: { startAngle: 45, endAngle: 135, minRadius: 0.5 },
+    down: { startAngle: 135, endAngle: 225, minRadius: 0.5 },
+    left: { startAngle: 225, endAngle: 315, minRadius: 0.5 }
+  }
+};
+
+/**
+ * Replaces any region preset with the regions it names, and fills in the default radii
+ * @param {string|Object} regions
+ */
+function expandRegions(regions) {
+  const regionDescriptions = (typeof regions === 'string') ? REGION_PRESETS[regions] : regions;
+  const expandedRegions = {};
+  Object.keys(regionDescriptions).forEach((regionId) => {
+    expandedRegions[regionId] = {
+      minRadius: 0,
+      maxRadius: 1,
+      ...regionDescriptions[regionId]
+    };
+  });
+  return expandedRegions;
+}
+
 function expandRegistryProfile(registryProfile) {
   const expandedProfile = {
     profileId: registryProfile.profileId,
@@ -18,6 +51,14 @@ function expandRegistryProfile(registryProfile) {
         layout.gamepadMapping = layoutInfo.gamepad.mapping;
       }
 
+      if (layoutInfo.haptics) {
+        layout.haptics = { ...layoutInfo.haptics };
+      }
+
+      if (layoutInfo.hand) {
+        layout.hand = JSON.parse(JSON.stringify(layoutInfo.hand));
+      }
+
       Object.keys(layoutInfo.components).forEach((componentId) => {
         const component = {
           type: layoutInfo.components[componentId].type
@@ -45,9 +86,18 @@ function expandRegistryProfile(registryProfile) {
             }
           });
 
+          if (layoutInfo.components[componentId].regions) {
+            component.regions = expandRegions(layoutInfo.components[componentId].regions);
+          }
+
           if (Object.keys(component.gamepadIndices).length > 0) {
             layout.components[componentId] = component;
           }
+        } else if (layoutInfo.hand) {
+          // Hand gestures are reported through buttons of a virtual gamepad in component order
+          component.gesture = layoutInfo.components[componentId].gesture;
+          component.gamepadIndices = { button: Object.keys(layout.components).length };
+          layout.components[componentId] = component;
         }
       });
 
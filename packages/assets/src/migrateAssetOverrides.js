@@ -0,0 +1,74 @@
+/**
+ * The componentProperty values used by older asset profiles, and the values which replace them.
+ * Visual responses use the same names as Constants.ComponentProperty and gamepadIndices.
+ */
+const LEGACY_COMPONENT_PROPERTIES = {
+  'x-axis': 'xAxis',
+  'y-axis': 'yAxis',
+  'z-axis': 'zAxis'
+};
+
+/**
+ * Builds a JSON pointer from a list of property names
+ * @param {string[]} path
+ */
+function toJsonPointer(path) {
+  const escapedPath = path.map(segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1'));
+  return escapedPath.map(segment => `/${segment}`).join('');
+}
+
+/**
+ * Returns a copy of an asset profile with any overrides written for older versions of the schema
+ * rewritten to match the current schema. Asset profiles which need no changes are copied as they
+ * are. If a diagnostics array is supplied, a warning describing each change is added to it.
+ *
+ * Each diagnostic has the profileId, the id of the layout, a JSON pointer to the changed value in
+ * the asset JSON, a severity, a message, and the id of the rule which was broken.
+ * @param {Object} assetInfo - The asset profile to migrate
+ * @param {Object[]} [diagnostics] - Collects the changes made
+ */
+function migrateAssetOverrides(assetInfo, diagnostics) {
+  const migratedAssetInfo = JSON.parse(JSON.stringify(assetInfo));
+  const { profileId, overrides = {} } = migratedAssetInfo;
+
+  Object.keys(overrides).forEach((layoutId) => {
+    const migrateVisualResponses = (path, visualResponses) => {
+      Object.keys(visualResponses || {}).forEach((responseName) => {
+        const visualResponse = visualResponses[responseName];
+        const legacyProperty = visualResponse && visualResponse.componentProperty;
+        const componentProperty = LEGACY_COMPONENT_PROPERTIES[legacyProperty];
+        if (!componentProperty) {
+          return;
+        }
+
+        visualResponse.componentProperty = componentProperty;
+        if (diagnostics) {
+          diagnostics.push({
+            profileId,
+            handedness: layoutId,
+            pointer: toJsonPointer(['overrides', layoutId, ...path, responseName, 'componentProperty']),
+            severity: 'warning',
+            message: `The componentProperty ${legacyProperty} has been replaced by ${componentProperty}`,
+            ruleId: 'legacy-component-property'
+          });
+        }
+      });
+    };
+
+    const { components = {} } = overrides[layoutId];
+    Object.keys(components).forEach((componentId) => {
+      const { visualResponses, regions = {} } = components[componentId];
+      migrateVisualResponses(['components', componentId, 'visualResponses'], visualResponses);
+      Object.keys(regions).forEach((regionId) => {
+        migrateVisualResponses(
+          ['components', componentId, 'regions', regionId, 'visualResponses'],
+          regions[regionId].visualResponses
+        );
+      });
+    });
+  });
+
+  return migratedAssetInfo;
+}
+
+module.exports = migrateAssetOverrides;
@@ -0,0 +1,222 @@
+import { Constants } from '../constants';
+import { MotionController } from '../motionController';
+import { ActionMap } from '../actionMap';
+
+const profile = {
+  profileId: 'mock-controller',
+  layouts: {
+    none: {
+      selectComponentId: 'mock-trigger',
+      components: {
+        'mock-trigger': {
+          type: Constants.ComponentType.TRIGGER,
+          gamepadIndices: { button: 0 },
+          visualResponses: {}
+        },
+        'mock-squeeze': {
+          type: Constants.ComponentType.SQUEEZE,
+          gamepadIndices: { button: 1 },
+          visualResponses: {}
+        },
+        'mock-thumbstick': {
+          type: Constants.ComponentType.THUMBSTICK,
+          gamepadIndices: { button: 2, xAxis: 0, yAxis: 1 },
+          visualResponses: {}
+        }
+      }
+    }
+  }
+};
+
+const actionDescriptions = {
+  fire: {
+    type: Constants.ActionType.BOOLEAN,
+    bindings: [{ select: true }]
+  },
+  grab: {
+    type: Constants.ActionType.AXIS_1D,
+    bindings: [{ componentId: 'made-up-squeeze' }, { componentType: Constants.ComponentType.SQUEEZE }]
+  },
+  teleport: {
+    type: Constants.ActionType.AXIS_2D,
+    bindings: [
+      { componentType: Constants.ComponentType.TOUCHPAD },
+      { componentType: Constants.ComponentType.THUMBSTICK }
+    ]
+  },
+  menu: {
+    type: Constants.ActionType.BOOLEAN,
+    bindings: [{ componentId: 'made-up-menu' }]
+  }
+};
+
+function buildMotionController() {
+  const gamepad = {
+    buttons: [0, 1, 2].map(() => ({ value: 0, touched: false, pressed: false })),
+    axes: [0, 0]
+  };
+  const xrInputSource = { handedness: Constants.Handedness.NONE, gamepad };
+  const motionController = new MotionController(xrInputSource, profile, 'assetUrl string');
+  return { motionController, gamepad };
+}
+
+describe('Binding', () => {
+  test('Bad arguments', () => {
+    const { motionController } = buildMotionController();
+    expect(() => new ActionMap(null, actionDescriptions)).toThrow();
+    expect(() => new ActionMap(motionController, null)).toThrow();
+    const unknownTypeDescriptions = /** @type {any} */ ({ jump: { type: 'made up type' } });
+    expect(() => new ActionMap(motionController, unknownTypeDescriptions))
+      .toThrow('Action jump has unknown type made up type');
+  });
+
+  test('Binds to the first usable binding', () => {
+    const { motionController } = buildMotionController();
+    const actionMap = new ActionMap(motionController, actionDescriptions);
+    const { components } = motionController;
+
+    expect(actionMap.actions.fire.component).toBe(components['mock-trigger']);
+    expect(actionMap.actions.grab.component).toBe(components['mock-squeeze']);
+    expect(actionMap.actions.teleport.component).toBe(components['mock-thumbstick']);
+    expect(actionMap.actions.menu.isBound).toBe(false);
+  });
+
+  test('Skips components which cannot supply the action type', () => {
+    const { motionController } = buildMotionController();
+    const actionMap = new ActionMap(motionController, {
+      aim: {
+        type: Constants.ActionType.AXIS_2D,
+        bindings: [{ select: true }, { componentId: 'mock-thumbstick' }]
+      }
+    });
+    expect(actionMap.actions.aim.component).toBe(motionController.components['mock-thumbstick']);
+  });
+
+  test('Profile bindings replace the default bindings', () => {
+    const { motionController } = buildMotionController();
+    const actionMap = new ActionMap(motionController, actionDescriptions, {
+      profileBindings: {
+        'mock-controller': { fire: [{ componentId: 'mock-squeeze' }] },
+        'other-controller': { grab: [{ componentId: 'mock-trigger' }] }
+      }
+    });
+
+    const { components } = motionController;
+    expect(actionMap.actions.fire.component).toBe(components['mock-squeeze']);
+    expect(actionMap.actions.grab.component).toBe(components['mock-squeeze']);
+  });
+});
+
+describe('Values and events', () => {
+  test('Unbound actions report default values', () => {
+    const actionMap = new ActionMap(buildMotionController().motionController, actionDescriptions);
+    expect(actionMap.getValue('menu')).toEqual(false);
+    expect(() => actionMap.getValue('made up action')).toThrow();
+  });
+
+  test('Boolean action', () => {
+    const { motionController, gamepad } = buildMotionController();
+    const actionMap = new ActionMap(motionController, actionDescriptions);
+    const events = [];
+    Object.values(Constants.ActionEvent).forEach((eventType) => {
+      actionMap.addEventListener(eventType, (event) => { events.push(event); });
+    });
+
+    gamepad.buttons[0] = { value: 1, touched: true, pressed: true };
+    motionController.updateFromGamepad();
+    expect(actionMap.getValue('fire')).toEqual(true);
+    expect(events.map(event => event.type)).toEqual([
+      Constants.ActionEvent.START,
+      Constants.ActionEvent.CHANGE
+    ]);
+    expect(events[0].action).toEqual('fire');
+    expect(events[0].previousValue).toEqual(false);
+    expect(events[0].value).toEqual(true);
+
+    events.length = 0;
+    gamepad.buttons[0] = { value: 0, touched: false, pressed: false };
+    motionController.updateFromGamepad();
+    expect(actionMap.getValue('fire')).toEqual(false);
+    expect(events.map(event => event.type)).toEqual([
+      Constants.ActionEvent.END,
+      Constants.ActionEvent.CHANGE
+    ]);
+  });
+
+  test('Boolean action bound to the touched state', () => {
+    const { motionController, gamepad } = buildMotionController();
+    const actionMap = new ActionMap(motionController, {
+      hover: {
+        type: Constants.ActionType.BOOLEAN,
+        bindings: [{ select: true, state: Constants.ComponentState.TOUCHED }]
+      }
+    });
+
+    gamepad.buttons[0] = { value: 0.5, touched: true, pressed: false };
+    motionController.updateFromGamepad();
+    expect(actionMap.getValue('hover')).toEqual(true);
+  });
+
+  test('1D and 2D actions', () => {
+    const { motionController, gamepad } = buildMotionController();
+    const actionMap = new ActionMap(motionController, actionDescriptions);
+    const events = [];
+    actionMap.addEventListener(Constants.ActionEvent.CHANGE, (event) => { events.push(event); });
+
+    gamepad.buttons[1] = { value: 0.4, touched: true, pressed: false };
+    gamepad.axes[0] = 0.5;
+    motionController.updateFromGamepad();
+
+    expect(actionMap.getValue('grab')).toEqual(0.4);
+    expect(actionMap.getValue('teleport')).toEqual({ x: 0.5, y: 0 });
+    expect(events.map(event => event.action)).toEqual(['grab', 'teleport']);
+    expect(events[1].previousValue).toEqual({ x: 0, y: 0 });
+  });
+
+  test('Disposed action maps stop dispatching events', () => {
+    const { motionController, gamepad } = buildMotionController();
+    const actionMap = new ActionMap(motionController, actionDescriptions);
+    const listener = jest.fn();
+    actionMap.addEventListener(Constants.ActionEvent.CHANGE, listener);
+    actionMap.dispose();
+
+    gamepad.buttons[0] = { value: 1, touched: true, pressed: true };
+    motionController.updateFromGamepad();
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('Rebinds when the motion controller layout changes', () => {
+    const buildLayout = triggerId => ({
+      selectComponentId: triggerId,
+      components: {
+        [triggerId]: {
+          type: Constants.ComponentType.TRIGGER,
+          gamepadIndices: { button: 0 },
+          visualResponses: {}
+        }
+      }
+    });
+    const leftRightProfile = {
+      profileId: 'mock-left-right',
+      layouts: { left: buildLayout('left-trigger'), right: buildLayout('right-trigger') }
+    };
+    const gamepad = { buttons: [{ value: 1, touched: true, pressed: true }], axes: [] };
+    const xrInputSource = { handedness: Constants.Handedness.LEFT, gamepad };
+    const motionController = new MotionController(
+      xrInputSource, leftRightProfile, 'assetUrl string'
+    );
+    const actionMap = new ActionMap(motionController, { fire: actionDescriptions.fire });
+    expect(actionMap.getValue('fire')).toBe(true);
+
+    const events = [];
+    actionMap.addEventListener(Constants.ActionEvent.END, (event) => { events.push(event); });
+
+    // The new layout's trigger starts released, then reports the gamepad's pressed state
+    xrInputSource.handedness = Constants.Handedness.RIGHT;
+    gamepad.buttons[0] = { value: 0, touched: false, pressed: false };
+    motionController.updateFromGamepad();
+    expect(actionMap.actions.fire.component).toBe(motionController.components['right-trigger']);
+    expect(actionMap.getValue('fire')).toBe(false);
+    expect(events).toHaveLength(1);
+  });
+});
@@ -1,5 +1,5 @@
 import { Constants } from '../constants';
-import { Component } from '../components';
+import { Component, TouchpadRegion } from '../components';
 
 const buttonComponent = {
   id: 'buttonComponent',
@@ -140,3 +140,362 @@ describe('Construction', () => {
 describe('Update from Gamepad', () => {
   test.todo('something here');
 });
+
+describe('Input processing', () => {
+  test('Dead zone prevents drift from touching the component', () => {
+    const component = new Component('thumbstick', {
+      visualResponses: {},
+      gamepadIndices: { xAxis: 0, yAxis: 1 },
+      inputProcessing: { radialDeadZone: 0.2 }
+    });
+
+    component.updateFromGamepad({ buttons: [], axes: [0.15, -0.1] });
+    expect(component.values.xAxis).toEqual(0);
+    expect(component.values.yAxis).toEqual(0);
+    expect(component.values.state).toEqual(Constants.ComponentState.DEFAULT);
+
+    component.updateFromGamepad({ buttons: [], axes: [0.6, 0] });
+    expect(component.values.xAxis).toBeCloseTo(0.5, 4);
+    expect(component.values.state).toEqual(Constants.ComponentState.TOUCHED);
+  });
+
+  test('Custom touch threshold', () => {
+    const component = new Component('trigger', {
+      visualResponses: {},
+      gamepadIndices: { button: 0 },
+      inputProcessing: { buttonTouchThreshold: 0.5 }
+    });
+
+    component.updateFromGamepad({ buttons: [{ value: 0.3 }], axes: [] });
+    expect(component.values.state).toEqual(Constants.ComponentState.DEFAULT);
+
+    component.updateFromGamepad({ buttons: [{ value: 0.6 }], axes: [] });
+    expect(component.values.state).toEqual(Constants.ComponentState.TOUCHED);
+  });
+
+  test('Z axis is clamped but not otherwise processed', () => {
+    const component = new Component('touchpad', {
+      visualResponses: {},
+      gamepadIndices: { xAxis: 0, yAxis: 1, zAxis: 2 },
+      inputProcessing: { radialDeadZone: 0.5 }
+    });
+    expect(component.values.zAxis).toEqual(0);
+
+    const axisChange = jest.fn();
+    component.addEventListener(Constants.ComponentEvent.AXIS_CHANGE, axisChange);
+
+    component.updateFromGamepad({ buttons: [], axes: [0, 0, 0.3] });
+    expect(component.values.zAxis).toEqual(0.3);
+    expect(component.values.state).toEqual(Constants.ComponentState.TOUCHED);
+    expect(axisChange).toHaveBeenCalledTimes(1);
+
+    component.updateFromGamepad({ buttons: [], axes: [0, 0, 1.5] });
+    expect(component.values.zAxis).toEqual(1);
+  });
+
+  test('Z axis is undefined when not in the gamepadIndices', () => {
+    const { id, description } = axesComponent;
+    const component = new Component(id, description);
+    component.updateFromGamepad({ buttons: [], axes: [0, 0, 1] });
+    expect(component.values.zAxis).toBeUndefined();
+  });
+});
+
+describe('Sensor components', () => {
+  function buildSensor(type) {
+    return new Component(type, { type, visualResponses: {}, gamepadIndices: { button: 0 } });
+  }
+
+  test('Finger curl is touched but never pressed', () => {
+    const component = buildSensor(Constants.ComponentType.FINGER_CURL);
+
+    component.updateFromGamepad({ buttons: [{ value: 0.4 }], axes: [] });
+    expect(component.values.button).toEqual(0.4);
+    expect(component.values.state).toEqual(Constants.ComponentState.TOUCHED);
+
+    component.updateFromGamepad({ buttons: [{ value: 1, pressed: true }], axes: [] });
+    expect(component.values.button).toEqual(1);
+    expect(component.values.state).toEqual(Constants.ComponentState.TOUCHED);
+  });
+
+  test('Force sensor is pressed like a button', () => {
+    const component = buildSensor(Constants.ComponentType.FORCE_SENSOR);
+
+    component.updateFromGamepad({ buttons: [{ value: 0.4 }], axes: [] });
+    expect(component.values.state).toEqual(Constants.ComponentState.TOUCHED);
+
+    component.updateFromGamepad({ buttons: [{ value: 1 }], axes: [] });
+    expect(component.values.state).toEqual(Constants.ComponentState.PRESSED);
+  });
+
+  test('Proximity is only touched on contact', () => {
+    const component = buildSensor(Constants.ComponentType.PROXIMITY);
+
+    component.updateFromGamepad({ buttons: [{ value: 0.8 }], axes: [] });
+    expect(component.values.button).toEqual(0.8);
+    expect(component.values.state).toEqual(Constants.ComponentState.DEFAULT);
+
+    component.updateFromGamepad({ buttons: [{ value: 0.8, touched: true }], axes: [] });
+    expect(component.values.state).toEqual(Constants.ComponentState.TOUCHED);
+
+    component.updateFromGamepad({ buttons: [{ value: 1, pressed: true }], axes: [] });
+    expect(component.values.state).toEqual(Constants.ComponentState.TOUCHED);
+  });
+});
+
+describe('Events', () => {
+  function buildGamepad(buttonValue = 0, xAxis = 0, yAxis = 0) {
+    return {
+      buttons: [{ value: buttonValue, touched: buttonValue > 0, pressed: buttonValue === 1 }],
+      axes: [xAxis, yAxis]
+    };
+  }
+
+  function recordEvents(component) {
+    const events = [];
+    Object.values(Constants.ComponentEvent).forEach((eventType) => {
+      component.addEventListener(eventType, (event) => { events.push(event); });
+    });
+    return events;
+  }
+
+  const thumbstickComponent = {
+    id: 'thumbstickComponent',
+    description: {
+      visualResponses: {},
+      gamepadIndices: {
+        [Constants.ComponentProperty.BUTTON]: 0,
+        [Constants.ComponentProperty.X_AXIS]: 0,
+        [Constants.ComponentProperty.Y_AXIS]: 1
+      }
+    }
+  };
+
+  test('No events when nothing changes', () => {
+    const { id, description } = thumbstickComponent;
+    const component = new Component(id, description);
+    const events = recordEvents(component);
+
+    component.updateFromGamepad(buildGamepad());
+    expect(events).toHaveLength(0);
+  });
+
+  test('Touch then press then release', () => {
+    const { id, description } = thumbstickComponent;
+    const component = new Component(id, description);
+    const events = recordEvents(component);
+
+    component.updateFromGamepad(buildGamepad(0.5));
+    expect(events.map(event => event.type)).toEqual([
+      Constants.ComponentEvent.TOUCH_START,
+      Constants.ComponentEvent.VALUE_CHANGE
+    ]);
+    expect(events[0].target).toBe(component);
+    expect(events[0].component).toBe(component);
+    expect(events[0].previousValues.state).toEqual(Constants.ComponentState.DEFAULT);
+    expect(events[0].values.state).toEqual(Constants.ComponentState.TOUCHED);
+    expect(events[1].previousValues.button).toEqual(0);
+    expect(events[1].values.button).toEqual(0.5);
+
+    events.length = 0;
+    component.updateFromGamepad(buildGamepad(1));
+    expect(events.map(event => event.type)).toEqual([
+      Constants.ComponentEvent.PRESS_START,
+      Constants.ComponentEvent.VALUE_CHANGE
+    ]);
+
+    events.length = 0;
+    component.updateFromGamepad(buildGamepad(0));
+    expect(events.map(event => event.type)).toEqual([
+      Constants.ComponentEvent.PRESS_END,
+      Constants.ComponentEvent.TOUCH_END,
+      Constants.ComponentEvent.VALUE_CHANGE
+    ]);
+  });
+
+  test('Press directly from default', () => {
+    const { id, description } = thumbstickComponent;
+    const component = new Component(id, description);
+    const events = recordEvents(component);
+
+    component.updateFromGamepad(buildGamepad(1));
+    expect(events.map(event => event.type)).toEqual([
+      Constants.ComponentEvent.TOUCH_START,
+      Constants.ComponentEvent.PRESS_START,
+      Constants.ComponentEvent.VALUE_CHANGE
+    ]);
+  });
+
+  test('Axis change', () => {
+    const { id, description } = thumbstickComponent;
+    const component = new Component(id, description);
+    const events = recordEvents(component);
+
+    component.updateFromGamepad(buildGamepad(0, 0.05, 0));
+    expect(events.map(event => event.type)).toEqual([Constants.ComponentEvent.AXIS_CHANGE]);
+    expect(events[0].previousValues.xAxis).toEqual(0);
+    expect(events[0].values.xAxis).toEqual(0.05);
+
+    events.length = 0;
+    component.updateFromGamepad(buildGamepad(0, 0.05, -0.5));
+    expect(events.map(event => event.type)).toEqual([
+      Constants.ComponentEvent.TOUCH_START,
+      Constants.ComponentEvent.AXIS_CHANGE
+    ]);
+  });
+
+  test('Removed listener is not called', () => {
+    const { id, description } = thumbstickComponent;
+    const component = new Component(id, description);
+    const listener = jest.fn();
+
+    component.addEventListener(Constants.ComponentEvent.PRESS_START, listener);
+    component.removeEventListener(Constants.ComponentEvent.PRESS_START, listener);
+    component.updateFromGamepad(buildGamepad(1));
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
+
+describe('Touchpad regions', () => {
+  const touchpadDescription = {
+    type: Constants.ComponentType.TOUCHPAD,
+    visualResponses: {},
+    gamepadIndices: { button: 0, xAxis: 0, yAxis: 1 }
+  };
+
+  /**
+   * @description Builds a gamepad for the touchpad
+   * @param {Object} values
+   */
+  function buildTouchpadGamepad({
+    x = 0, y = 0, touched = false, pressed = false
+  } = {}) {
+    return {
+      buttons: [{ value: pressed ? 1 : 0, touched, pressed }],
+      axes: [x, y]
+    };
+  }
+
+  /**
+   * @description Updates the touchpad then the region, as a MotionController does
+   * @param {TouchpadRegion} region
+   * @param {Object} values
+   */
+  function update(region, values) {
+    const gamepad = buildTouchpadGamepad(values);
+    region.parentComponent.updateFromGamepad(gamepad);
+    region.updateFromGamepad();
+  }
+
+  test('Fails to construct without a touchpad button', () => {
+    const touchpad = new Component('touchpad', axesComponent.description);
+    expect(() => {
+      // eslint-disable-next-line no-unused-vars
+      const region = new TouchpadRegion('touchpad-up', {}, touchpad);
+    }).toThrow();
+
+    expect(() => {
+      // eslint-disable-next-line no-unused-vars
+      const region = new TouchpadRegion('touchpad-up', {}, undefined);
+    }).toThrow();
+  });
+
+  test('Created as a button sharing the touchpad button', () => {
+    const touchpad = new Component('touchpad', touchpadDescription);
+    const region = new TouchpadRegion('touchpad-center', { maxRadius: 0.5 }, touchpad);
+    expect(region.id).toEqual('touchpad-center');
+    expect(region.type).toEqual(Constants.ComponentType.BUTTON);
+    expect(region.gamepadIndices).toEqual({ button: 0 });
+    expect(region.minRadius).toEqual(0);
+    expect(region.maxRadius).toEqual(0.5);
+    expect(region.values).toEqual({
+      state: Constants.ComponentState.DEFAULT,
+      button: 0,
+      xAxis: undefined,
+      yAxis: undefined
+    });
+  });
+
+  test('Contains angular regions', () => {
+    const touchpad = new Component('touchpad', touchpadDescription);
+    const right = new TouchpadRegion('touchpad-right', { startAngle: 45, endAngle: 135 }, touchpad);
+    expect(right.contains(1, 0)).toBe(true);
+    expect(right.contains(0.5, 0.4)).toBe(true);
+    expect(right.contains(0, -1)).toBe(false);
+    expect(right.contains(-1, 0)).toBe(false);
+
+    // Regions may span the top of the touchpad
+    const up = new TouchpadRegion('touchpad-up', { startAngle: 315, endAngle: 45 }, touchpad);
+    expect(up.contains(0, -1)).toBe(true);
+    expect(up.contains(-0.3, -0.9)).toBe(true);
+    expect(up.contains(0.3, -0.9)).toBe(true);
+    expect(up.contains(1, 0)).toBe(false);
+    expect(up.contains(0, 1)).toBe(false);
+  });
+
+  test('Contains radial regions', () => {
+    const touchpad = new Component('touchpad', touchpadDescription);
+    const center = new TouchpadRegion('touchpad-center', { maxRadius: 0.5 }, touchpad);
+    expect(center.contains(0, 0)).toBe(true);
+    expect(center.contains(0.3, 0.3)).toBe(true);
+    expect(center.contains(0.6, 0)).toBe(false);
+
+    // Positions off the edge of the touchpad are treated as on its edge
+    const ring = new TouchpadRegion('touchpad-ring', { minRadius: 0.9 }, touchpad);
+    expect(ring.contains(1, 1)).toBe(true);
+    expect(ring.contains(0.5, 0)).toBe(false);
+  });
+
+  test('Follows the touchpad within the region', () => {
+    const touchpad = new Component('touchpad', touchpadDescription);
+    const down = new TouchpadRegion('touchpad-down', { startAngle: 135, endAngle: 225 }, touchpad);
+
+    update(down, { y: 0.8, touched: true });
+    expect(down.values.state).toEqual(Constants.ComponentState.TOUCHED);
+    expect(down.values.button).toEqual(0);
+
+    update(down, { y: 0.8, touched: true, pressed: true });
+    expect(down.values.state).toEqual(Constants.ComponentState.PRESSED);
+    expect(down.values.button).toEqual(1);
+
+    update(down, { y: -0.8, touched: true, pressed: true });
+    expect(down.values.state).toEqual(Constants.ComponentState.DEFAULT);
+    expect(down.values.button).toEqual(0);
+
+    update(down, {});
+    expect(down.values.state).toEqual(Constants.ComponentState.DEFAULT);
+  });
+
+  test('Dispatches events and updates visual responses', () => {
+    const touchpad = new Component('touchpad', touchpadDescription);
+    const left = new TouchpadRegion('touchpad-left', {
+      startAngle: 225,
+      endAngle: 315,
+      visualResponses: {
+        'touchpad-left-pressed': {
+          componentProperty: Constants.ComponentProperty.BUTTON,
+          states: [Constants.ComponentState.PRESSED],
+          valueNodeProperty: Constants.VisualResponseProperty.TRANSFORM,
+          valueNodeName: 'touchpad_left_pressed_value',
+          minNodeName: 'touchpad_left_pressed_min',
+          maxNodeName: 'touchpad_left_pressed_max'
+        }
+      }
+    }, touchpad);
+    const eventTypes = [];
+    Object.values(Constants.ComponentEvent).forEach((eventType) => {
+      left.addEventListener(eventType, (event) => { eventTypes.push(event.type); });
+    });
+
+    update(left, { x: -1, touched: true, pressed: true });
+    expect(eventTypes).toEqual([
+      Constants.ComponentEvent.TOUCH_START,
+      Constants.ComponentEvent.PRESS_START,
+      Constants.ComponentEvent.VALUE_CHANGE
+    ]);
+    expect(left.visualResponses['touchpad-left-pressed'].value).toEqual(1);
+
+    update(left, { x: -1 });
+    expect(left.visualResponses['touchpad-left-pressed'].value).toEqual(0);
+  });
+});
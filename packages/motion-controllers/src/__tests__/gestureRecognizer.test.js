@@ -0,0 +1,332 @@
+import { Constants } from '../constants';
+import { Component } from '../components';
+import { GestureRecognizer, DefaultGestureThresholds } from '../gestureRecognizer';
+
+/**
+ * @description Builds a component of the supplied type with a button and both axes
+ * @param {string} type - The Constants.ComponentType of the component
+ */
+function buildComponent(type = Constants.ComponentType.TOUCHPAD) {
+  return new Component('mock-component', {
+    type,
+    gamepadIndices: { button: 0, xAxis: 0, yAxis: 1 },
+    visualResponses: {}
+  });
+}
+
+/**
+ * @description Builds a recognizer along with a helper which applies a frame of gamepad data and
+ * a log of every gesture event dispatched
+ * @param {string} type - The Constants.ComponentType of the component
+ * @param {Object} thresholds - Thresholds passed to the recognizer
+ */
+function buildRecognizer(type, thresholds = {}) {
+  const component = buildComponent(type);
+  const recognizer = new GestureRecognizer(component, thresholds);
+  const events = [];
+  Object.values(Constants.GestureEvent).forEach((eventType) => {
+    recognizer.addEventListener(eventType, (event) => { events.push(event); });
+  });
+
+  const applyFrame = (timestamp, { x = 0, y = 0, touched = false } = {}) => {
+    const gamepad = {
+      buttons: [{ value: 0, touched, pressed: false }],
+      axes: [x, y]
+    };
+    component.updateFromGamepad(gamepad);
+    recognizer.update(timestamp);
+  };
+
+  const gestures = () => events
+    .filter(event => event.type !== Constants.GestureEvent.DPAD_CHANGE)
+    .map(event => event.type);
+
+  return {
+    component, recognizer, events, applyFrame, gestures
+  };
+}
+
+describe('GestureRecognizer construction', () => {
+  test('Uses default thresholds', () => {
+    const { recognizer } = buildRecognizer(Constants.ComponentType.TOUCHPAD);
+    expect(recognizer.thresholds).toEqual(DefaultGestureThresholds);
+  });
+
+  test('Overrides thresholds', () => {
+    const { recognizer } = buildRecognizer(
+      Constants.ComponentType.THUMBSTICK, { tapMaxDuration: 100 }
+    );
+    expect(recognizer.thresholds.tapMaxDuration).toEqual(100);
+    expect(recognizer.thresholds.swipeMinDistance)
+      .toEqual(DefaultGestureThresholds.swipeMinDistance);
+  });
+
+  test('Fails to construct for unsupported components', () => {
+    expect(() => {
+      // eslint-disable-next-line no-unused-vars
+      const recognizer = new GestureRecognizer(undefined);
+    }).toThrow();
+
+    const trigger = buildComponent(Constants.ComponentType.TRIGGER);
+    expect(() => {
+      // eslint-disable-next-line no-unused-vars
+      const recognizer = new GestureRecognizer(trigger);
+    }).toThrow();
+
+    const component = new Component('mock-touchpad', {
+      type: Constants.ComponentType.TOUCHPAD,
+      gamepadIndices: { button: 0 },
+      visualResponses: {}
+    });
+    expect(() => {
+      // eslint-disable-next-line no-unused-vars
+      const recognizer = new GestureRecognizer(component);
+    }).toThrow();
+  });
+
+  test('Fails to update without a timestamp', () => {
+    const { recognizer } = buildRecognizer(Constants.ComponentType.TOUCHPAD);
+    expect(() => {
+      recognizer.update(undefined);
+    }).toThrow();
+  });
+});
+
+describe('Taps', () => {
+  test('Recognizes a tap', () => {
+    const { applyFrame, events, gestures } = buildRecognizer(Constants.ComponentType.TOUCHPAD);
+    applyFrame(0, { x: 0.2, y: 0.2, touched: true });
+    applyFrame(100, { x: 0.25, y: 0.2, touched: true });
+    applyFrame(150);
+    expect(gestures()).toEqual([Constants.GestureEvent.TAP]);
+
+    const tap = events.find(event => event.type === Constants.GestureEvent.TAP);
+    expect(tap.timestamp).toEqual(150);
+    expect(tap.duration).toEqual(150);
+  });
+
+  test('Ignores long and moving touches', () => {
+    const { applyFrame, gestures } = buildRecognizer(Constants.ComponentType.TOUCHPAD);
+    applyFrame(0, { touched: true });
+    applyFrame(400);
+
+    applyFrame(1000, { x: -0.2, touched: true });
+    applyFrame(1100, { x: 0.1, touched: true });
+    applyFrame(1150);
+    expect(gestures()).toEqual([]);
+  });
+
+  test('Recognizes a double tap', () => {
+    const { applyFrame, gestures } = buildRecognizer(Constants.ComponentType.TOUCHPAD);
+    applyFrame(0, { touched: true });
+    applyFrame(100);
+    applyFrame(300, { touched: true });
+    applyFrame(400);
+    applyFrame(500, { touched: true });
+    applyFrame(600);
+    expect(gestures()).toEqual([
+      Constants.GestureEvent.TAP,
+      Constants.GestureEvent.TAP,
+      Constants.GestureEvent.DOUBLE_TAP,
+      Constants.GestureEvent.TAP
+    ]);
+  });
+
+  test('Does not recognize widely spaced taps as a double tap', () => {
+    const { applyFrame, gestures } = buildRecognizer(Constants.ComponentType.TOUCHPAD);
+    applyFrame(0, { touched: true });
+    applyFrame(100);
+    applyFrame(500, { touched: true });
+    applyFrame(600);
+    expect(gestures()).toEqual([Constants.GestureEvent.TAP, Constants.GestureEvent.TAP]);
+  });
+
+  test('Recognizes a long press once', () => {
+    const { applyFrame, gestures } = buildRecognizer(Constants.ComponentType.TOUCHPAD);
+    applyFrame(0, { touched: true });
+    applyFrame(499, { touched: true });
+    expect(gestures()).toEqual([]);
+
+    applyFrame(500, { touched: true });
+    applyFrame(900, { touched: true });
+    applyFrame(1000);
+    expect(gestures()).toEqual([Constants.GestureEvent.LONG_PRESS]);
+  });
+});
+
+describe('Swipes and flicks', () => {
+  test('Recognizes a swipe from the point of first contact', () => {
+    const { applyFrame, events, gestures } = buildRecognizer(Constants.ComponentType.TOUCHPAD);
+    applyFrame(0, { x: -0.4, y: 0.1, touched: true });
+    applyFrame(200, { x: 0, y: 0.1, touched: true });
+    applyFrame(400, { x: 0.4, y: 0.15, touched: true });
+    applyFrame(450);
+    expect(gestures()).toEqual([Constants.GestureEvent.SWIPE]);
+
+    const swipe = events.find(event => event.type === Constants.GestureEvent.SWIPE);
+    expect(swipe.direction).toEqual(Constants.GestureDirection.RIGHT);
+    expect(swipe.distance).toBeCloseTo(0.8016);
+    expect(swipe.duration).toEqual(450);
+    expect(swipe.speed).toBeCloseTo(2.004);
+  });
+
+  test('Reports swipes in four directions', () => {
+    const { applyFrame, events } = buildRecognizer(Constants.ComponentType.TOUCHPAD);
+    const swipes = [[0, -0.8], [0.8, 0], [0, 0.8], [-0.8, 0]];
+    swipes.forEach(([x, y], i) => {
+      const start = i * 1000;
+      applyFrame(start, { touched: true });
+      applyFrame(start + 400, { x, y, touched: true });
+      applyFrame(start + 450);
+    });
+
+    const directions = events
+      .filter(event => event.type === Constants.GestureEvent.SWIPE)
+      .map(event => event.direction);
+    expect(directions).toEqual([
+      Constants.GestureDirection.UP,
+      Constants.GestureDirection.RIGHT,
+      Constants.GestureDirection.DOWN,
+      Constants.GestureDirection.LEFT
+    ]);
+  });
+
+  test('Recognizes a flick', () => {
+    const { applyFrame, events, gestures } = buildRecognizer(Constants.ComponentType.TOUCHPAD);
+    applyFrame(0, { x: 0.4, touched: true });
+    applyFrame(100, { x: -0.4, touched: true });
+    applyFrame(120);
+    expect(gestures()).toEqual([Constants.GestureEvent.FLICK]);
+
+    const flick = events.find(event => event.type === Constants.GestureEvent.FLICK);
+    expect(flick.direction).toEqual(Constants.GestureDirection.LEFT);
+    expect(flick.speed).toBeCloseTo(8);
+  });
+
+  test('Recognizes a thumbstick flick from the center', () => {
+    const { applyFrame, events, gestures } = buildRecognizer(Constants.ComponentType.THUMBSTICK);
+    applyFrame(0);
+    applyFrame(16, { y: -1 });
+    applyFrame(32);
+    expect(gestures()).toEqual([Constants.GestureEvent.FLICK]);
+
+    const flick = events.find(event => event.type === Constants.GestureEvent.FLICK);
+    expect(flick.direction).toEqual(Constants.GestureDirection.UP);
+    expect(flick.distance).toEqual(1);
+  });
+
+  test('Ignores short and slow movements', () => {
+    const { applyFrame, gestures } = buildRecognizer(Constants.ComponentType.TOUCHPAD);
+    applyFrame(0, { touched: true });
+    applyFrame(100, { x: 0.3, touched: true });
+    applyFrame(150);
+
+    applyFrame(1000, { touched: true });
+    applyFrame(2000, { x: 0.8, touched: true });
+    applyFrame(2100);
+    expect(gestures()).toEqual([]);
+  });
+});
+
+describe('Circular scrolling', () => {
+  /**
+   * @description Applies frames moving around the edge of the component
+   * @param {Function} applyFrame - Applies a frame of gamepad data
+   * @param {number[]} degrees - The angle of each frame, clockwise from the positive x axis
+   */
+  function circle(applyFrame, degrees) {
+    degrees.forEach((degree, i) => {
+      const radians = (degree * Math.PI) / 180;
+      applyFrame(i * 20, { x: 0.9 * Math.cos(radians), y: 0.9 * Math.sin(radians), touched: true });
+    });
+    applyFrame(degrees.length * 20);
+  }
+
+  test('Scrolls clockwise', () => {
+    const { applyFrame, events, gestures } = buildRecognizer(Constants.ComponentType.TOUCHPAD);
+    circle(applyFrame, [0, 20, 40, 60, 80, 100]);
+    const scrolls = events.filter(event => event.type === Constants.GestureEvent.CIRCULAR_SCROLL);
+    expect(scrolls.map(event => event.steps)).toEqual([1, 1, 1, 1]);
+    scrolls.forEach((event) => {
+      expect(event.angle).toBeCloseTo(Math.PI / 8);
+    });
+
+    // A scroll does not also produce a swipe or tap
+    expect(gestures().every(type => type === Constants.GestureEvent.CIRCULAR_SCROLL)).toBe(true);
+  });
+
+  test('Scrolls counterclockwise across the wrap point', () => {
+    const { applyFrame, events } = buildRecognizer(Constants.ComponentType.TOUCHPAD);
+    circle(applyFrame, [200, 180, 160, 140]);
+    const steps = events
+      .filter(event => event.type === Constants.GestureEvent.CIRCULAR_SCROLL)
+      .map(event => event.steps);
+    expect(steps).toEqual([-1, -1]);
+  });
+
+  test('Reports multiple steps in a single frame', () => {
+    const { applyFrame, events } = buildRecognizer(Constants.ComponentType.TOUCHPAD);
+    circle(applyFrame, [0, 50]);
+    const scroll = events.find(event => event.type === Constants.GestureEvent.CIRCULAR_SCROLL);
+    expect(scroll.steps).toEqual(2);
+  });
+
+  test('Does not scroll near the center', () => {
+    const { applyFrame, gestures } = buildRecognizer(Constants.ComponentType.TOUCHPAD);
+    [0, 90, 180].forEach((degree, i) => {
+      const radians = (degree * Math.PI) / 180;
+      applyFrame(i * 20, { x: 0.3 * Math.cos(radians), y: 0.3 * Math.sin(radians), touched: true });
+    });
+    expect(gestures()).toEqual([]);
+  });
+});
+
+describe('D-pad', () => {
+  test('Reports eight directions', () => {
+    const { applyFrame, events } = buildRecognizer(Constants.ComponentType.THUMBSTICK);
+    const expectations = [
+      { x: 0, y: -1, direction: Constants.GestureDirection.UP },
+      { x: 0.7, y: -0.7, direction: Constants.GestureDirection.UP_RIGHT },
+      { x: 1, y: 0, direction: Constants.GestureDirection.RIGHT },
+      { x: 0.7, y: 0.7, direction: Constants.GestureDirection.DOWN_RIGHT },
+      { x: 0, y: 1, direction: Constants.GestureDirection.DOWN },
+      { x: -0.7, y: 0.7, direction: Constants.GestureDirection.DOWN_LEFT },
+      { x: -1, y: 0, direction: Constants.GestureDirection.LEFT },
+      { x: -0.7, y: -0.7, direction: Constants.GestureDirection.UP_LEFT }
+    ];
+    expectations.forEach(({ x, y }, i) => { applyFrame(i * 20, { x, y }); });
+    applyFrame(1000);
+
+    const changes = events.filter(event => event.type === Constants.GestureEvent.DPAD_CHANGE);
+    expect(changes.map(event => event.direction)).toEqual([
+      ...expectations.map(({ direction }) => direction),
+      null
+    ]);
+    expect(changes[1].previousDirection).toEqual(Constants.GestureDirection.UP);
+  });
+
+  test('Only reports changes beyond the minimum distance', () => {
+    const { applyFrame, events, recognizer } = buildRecognizer(Constants.ComponentType.TOUCHPAD);
+    applyFrame(0, { x: 0.3, touched: true });
+    expect(recognizer.dpadDirection).toBeNull();
+
+    applyFrame(20, { x: 0.6, touched: true });
+    applyFrame(40, { x: 0.9, y: 0.1, touched: true });
+    expect(recognizer.dpadDirection).toEqual(Constants.GestureDirection.RIGHT);
+
+    const changes = events.filter(event => event.type === Constants.GestureEvent.DPAD_CHANGE);
+    expect(changes).toHaveLength(1);
+  });
+
+  test('Resets', () => {
+    const { applyFrame, recognizer, gestures } = buildRecognizer(
+      Constants.ComponentType.TOUCHPAD
+    );
+    applyFrame(0, { x: 0.9, touched: true });
+    recognizer.reset();
+    expect(recognizer.dpadDirection).toBeNull();
+
+    applyFrame(100);
+    expect(gestures()).toEqual([]);
+  });
+});
@@ -0,0 +1,282 @@
+import { Constants } from '../constants';
+import { HandController, XRHandPoseSource, computeGestureValues } from '../handController';
+import { MotionController } from '../motionController';
+import { ActionMap } from '../actionMap';
+
+const handLayout = {
+  selectComponentId: 'mock-pinch',
+  hand: {
+    pinchDistance: { closed: 0.015, open: 0.05 },
+    curlDistance: { closed: 0.08, open: 0.15 }
+  },
+  components: {
+    'mock-pinch': {
+      type: Constants.ComponentType.TRIGGER,
+      gesture: Constants.HandGesture.PINCH,
+      gamepadIndices: { button: 0 },
+      visualResponses: {}
+    },
+    'mock-grab': {
+      type: Constants.ComponentType.SQUEEZE,
+      gesture: Constants.HandGesture.GRAB,
+      gamepadIndices: { button: 1 },
+      visualResponses: {}
+    },
+    'mock-point': {
+      type: Constants.ComponentType.BUTTON,
+      gesture: Constants.HandGesture.POINT,
+      gamepadIndices: { button: 2 },
+      visualResponses: {}
+    }
+  }
+};
+
+const profile = {
+  profileId: 'mock-hand',
+  layouts: {
+    left: handLayout,
+    right: handLayout
+  }
+};
+
+// Joint positions relative to the wrist, with the fingers pointing along -z
+const openPose = {
+  [Constants.HandJoint.WRIST]: { x: 0, y: 0, z: 0 },
+  [Constants.HandJoint.THUMB_TIP]: { x: 0.05, y: 0, z: -0.08 },
+  [Constants.HandJoint.INDEX_FINGER_TIP]: { x: 0.02, y: 0, z: -0.17 },
+  [Constants.HandJoint.MIDDLE_FINGER_TIP]: { x: 0, y: 0, z: -0.18 },
+  [Constants.HandJoint.RING_FINGER_TIP]: { x: -0.02, y: 0, z: -0.17 },
+  [Constants.HandJoint.PINKY_FINGER_TIP]: { x: -0.04, y: 0, z: -0.155 }
+};
+
+const pinchPose = {
+  ...openPose,
+  [Constants.HandJoint.THUMB_TIP]: { x: 0.03, y: 0, z: -0.1 },
+  [Constants.HandJoint.INDEX_FINGER_TIP]: { x: 0.03, y: 0.005, z: -0.1 }
+};
+
+const fistPose = {
+  [Constants.HandJoint.WRIST]: { x: 0, y: 0, z: 0 },
+  [Constants.HandJoint.THUMB_TIP]: { x: 0.05, y: 0.02, z: -0.04 },
+  [Constants.HandJoint.INDEX_FINGER_TIP]: { x: 0.02, y: -0.03, z: -0.05 },
+  [Constants.HandJoint.MIDDLE_FINGER_TIP]: { x: 0, y: -0.03, z: -0.05 },
+  [Constants.HandJoint.RING_FINGER_TIP]: { x: -0.02, y: -0.03, z: -0.05 },
+  [Constants.HandJoint.PINKY_FINGER_TIP]: { x: -0.035, y: -0.03, z: -0.045 }
+};
+
+const pointPose = {
+  ...fistPose,
+  [Constants.HandJoint.INDEX_FINGER_TIP]: { x: 0.02, y: 0, z: -0.17 }
+};
+
+/**
+ * @description Builds a pose source reporting the supplied joint positions
+ * @param {Object} pose - Joint positions keyed by joint name
+ */
+function buildPoseSource(pose = {}) {
+  return {
+    pose,
+    getJointPosition(jointName) {
+      return this.pose[jointName] || null;
+    }
+  };
+}
+
+function buildXRInputSource(handedness = Constants.Handedness.LEFT) {
+  return { handedness, profiles: ['mock-hand'] };
+}
+
+describe('computeGestureValues', () => {
+  const { hand } = handLayout;
+
+  test('Reports no gestures for an open hand', () => {
+    expect(computeGestureValues(buildPoseSource(openPose), hand)).toEqual({
+      [Constants.HandGesture.PINCH]: 0,
+      [Constants.HandGesture.GRAB]: 0,
+      [Constants.HandGesture.POINT]: 0
+    });
+  });
+
+  test('Reports a pinch', () => {
+    const values = computeGestureValues(buildPoseSource(pinchPose), hand);
+    expect(values[Constants.HandGesture.PINCH]).toEqual(1);
+    expect(values[Constants.HandGesture.GRAB]).toBeLessThan(0.5);
+  });
+
+  test('Reports a grab', () => {
+    const values = computeGestureValues(buildPoseSource(fistPose), hand);
+    expect(values[Constants.HandGesture.GRAB]).toEqual(1);
+    expect(values[Constants.HandGesture.POINT]).toEqual(0);
+    expect(values[Constants.HandGesture.PINCH]).toEqual(0);
+  });
+
+  test('Reports a point', () => {
+    const values = computeGestureValues(buildPoseSource(pointPose), hand);
+    expect(values[Constants.HandGesture.POINT]).toEqual(1);
+    expect(values[Constants.HandGesture.GRAB]).toBeCloseTo(0.75);
+  });
+
+  test('Interpolates between the closed and open distances', () => {
+    const pose = {
+      ...openPose,
+      [Constants.HandJoint.THUMB_TIP]: { x: 0.02, y: 0, z: -0.2025 }
+    };
+    const values = computeGestureValues(buildPoseSource(pose), hand);
+    expect(values[Constants.HandGesture.PINCH]).toBeCloseTo(0.5);
+  });
+
+  test('Uses default distances', () => {
+    const values = computeGestureValues(buildPoseSource(pinchPose), undefined);
+    expect(values[Constants.HandGesture.PINCH]).toEqual(1);
+  });
+
+  test('Reports no gestures when a joint is untracked', () => {
+    const pose = { ...fistPose, [Constants.HandJoint.WRIST]: undefined };
+    const values = computeGestureValues(buildPoseSource(pose), hand);
+    expect(values[Constants.HandGesture.GRAB]).toEqual(0);
+    expect(computeGestureValues(undefined, hand)[Constants.HandGesture.GRAB]).toEqual(0);
+  });
+});
+
+describe('XRHandPoseSource', () => {
+  test('Reads joint poses from the xrFrame', () => {
+    const wristSpace = { joint: Constants.HandJoint.WRIST };
+    const xrInputSource = {
+      hand: new Map([[Constants.HandJoint.WRIST, wristSpace]])
+    };
+    const referenceSpace = {};
+    const xrFrame = {
+      getJointPose: jest.fn(() => ({ transform: { position: { x: 1, y: 2, z: 3 } } }))
+    };
+
+    const poseSource = new XRHandPoseSource(xrInputSource);
+    poseSource.update(xrFrame, referenceSpace);
+    expect(xrFrame.getJointPose).toHaveBeenCalledWith(wristSpace, referenceSpace);
+    expect(poseSource.getJointPosition(Constants.HandJoint.WRIST)).toEqual({ x: 1, y: 2, z: 3 });
+    expect(poseSource.getJointPosition(Constants.HandJoint.THUMB_TIP)).toBeNull();
+  });
+
+  test('Reports no joints without a hand', () => {
+    const poseSource = new XRHandPoseSource({});
+    poseSource.update({ getJointPose: jest.fn() }, {});
+    expect(poseSource.getJointPosition(Constants.HandJoint.WRIST)).toBeNull();
+  });
+});
+
+describe('HandController', () => {
+  test('Fails to construct without a hand layout', () => {
+    const controllerProfile = {
+      profileId: 'mock-controller',
+      layouts: {
+        none: {
+          selectComponentId: 'mock-trigger',
+          components: {
+            'mock-trigger': {
+              type: Constants.ComponentType.TRIGGER,
+              gamepadIndices: { button: 0 },
+              visualResponses: {}
+            }
+          }
+        }
+      }
+    };
+    const xrInputSource = buildXRInputSource(Constants.Handedness.NONE);
+    const options = { poseSource: buildPoseSource() };
+    expect(() => {
+      // eslint-disable-next-line no-unused-vars
+      const handController = new HandController(xrInputSource, controllerProfile, '', options);
+    }).toThrow('Profile mock-controller has no hand layout for none');
+  });
+
+  test('Is a MotionController', () => {
+    const handController = new HandController(buildXRInputSource(), profile, undefined, {
+      poseSource: buildPoseSource(openPose)
+    });
+    expect(handController).toBeInstanceOf(MotionController);
+    expect(handController.handedness).toEqual(Constants.Handedness.LEFT);
+    expect(Object.keys(handController.components)).toEqual(
+      Object.keys(handLayout.components)
+    );
+  });
+
+  test('Updates components from gestures', () => {
+    const poseSource = buildPoseSource(openPose);
+    const handController = new HandController(buildXRInputSource(), profile, undefined, {
+      poseSource
+    });
+    const pinch = handController.components['mock-pinch'];
+    const grab = handController.components['mock-grab'];
+    expect(pinch.values.state).toEqual(Constants.ComponentState.DEFAULT);
+
+    poseSource.pose = pinchPose;
+    handController.updateFromGamepad();
+    expect(pinch.values.button).toEqual(1);
+    expect(pinch.values.state).toEqual(Constants.ComponentState.PRESSED);
+    expect(grab.values.state).not.toEqual(Constants.ComponentState.PRESSED);
+
+    poseSource.pose = fistPose;
+    handController.updateFromGamepad();
+    expect(pinch.values.state).toEqual(Constants.ComponentState.DEFAULT);
+    expect(grab.values.state).toEqual(Constants.ComponentState.PRESSED);
+  });
+
+  test('Releases components when the hand is lost', () => {
+    const poseSource = buildPoseSource(fistPose);
+    const handController = new HandController(buildXRInputSource(), profile, undefined, {
+      poseSource
+    });
+    const grab = handController.components['mock-grab'];
+    expect(grab.values.state).toEqual(Constants.ComponentState.PRESSED);
+
+    poseSource.pose = {};
+    handController.updateFromGamepad();
+    expect(grab.values.button).toEqual(0);
+    expect(grab.values.state).toEqual(Constants.ComponentState.DEFAULT);
+  });
+
+  test('Writes gestures to the buttons of the layout bound for the new handedness', () => {
+    const { 'mock-pinch': pinch, 'mock-grab': grab } = handLayout.components;
+    const swappedProfile = {
+      profileId: 'mock-swapped-hand',
+      layouts: {
+        left: handLayout,
+        right: {
+          ...handLayout,
+          components: {
+            'mock-pinch': { ...pinch, gamepadIndices: { button: 1 } },
+            'mock-grab': { ...grab, gamepadIndices: { button: 0 } }
+          }
+        }
+      }
+    };
+    const xrInputSource = buildXRInputSource(Constants.Handedness.LEFT);
+    const handController = new HandController(xrInputSource, swappedProfile, undefined, {
+      poseSource: buildPoseSource(pinchPose)
+    });
+    const pinchComponent = handController.components['mock-pinch'];
+    expect(pinchComponent.values.state).toEqual(Constants.ComponentState.PRESSED);
+
+    xrInputSource.handedness = Constants.Handedness.RIGHT;
+    handController.updateFromGamepad();
+    expect(handController.handedness).toEqual(Constants.Handedness.RIGHT);
+    expect(handController.components['mock-pinch']).toBe(pinchComponent);
+    expect(pinchComponent.values.state).toEqual(Constants.ComponentState.PRESSED);
+    expect(handController.components['mock-grab'].values.state)
+      .not.toEqual(Constants.ComponentState.PRESSED);
+  });
+
+  test('Drives an ActionMap', () => {
+    const poseSource = buildPoseSource(openPose);
+    const handController = new HandController(buildXRInputSource(), profile, undefined, {
+      poseSource
+    });
+    const actionMap = new ActionMap(handController, {
+      fire: { type: Constants.ActionType.BOOLEAN, bindings: [{ select: true }] }
+    });
+    expect(actionMap.getValue('fire')).toBe(false);
+
+    poseSource.pose = pinchPose;
+    handController.updateFromGamepad();
+    expect(actionMap.getValue('fire')).toBe(true);
+  });
+});
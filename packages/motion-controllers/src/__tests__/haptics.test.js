@@ -0,0 +1,173 @@
+import { Constants } from '../constants';
+import { Haptics, findHapticActuator } from '../haptics';
+
+/**
+ * @description Builds an XRInputSource whose gamepad has the supplied actuators
+ * @param {Object} actuators
+ */
+function buildXRInputSource(actuators = {}) {
+  return {
+    handedness: Constants.Handedness.NONE,
+    gamepad: { buttons: [], axes: [], ...actuators }
+  };
+}
+
+function buildHapticActuator() {
+  return { pulse: jest.fn(() => Promise.resolve(true)) };
+}
+
+function buildVibrationActuator() {
+  return { playEffect: jest.fn(() => Promise.resolve('complete')) };
+}
+
+// Resolves timers immediately, recording each wait
+function buildSetTimeout() {
+  const waits = [];
+  const setTimeoutFunction = (callback, milliseconds) => {
+    waits.push(milliseconds);
+    callback();
+  };
+  return { waits, setTimeoutFunction };
+}
+
+describe('findHapticActuator', () => {
+  test('Finds no actuator', () => {
+    expect(findHapticActuator(undefined)).toBeNull();
+    expect(findHapticActuator(buildXRInputSource().gamepad)).toBeNull();
+    expect(findHapticActuator(buildXRInputSource({ hapticActuators: [] }).gamepad)).toBeNull();
+  });
+
+  test('Prefers hapticActuators over vibrationActuator', async () => {
+    const hapticActuator = buildHapticActuator();
+    const vibrationActuator = buildVibrationActuator();
+    const { gamepad } = buildXRInputSource({
+      hapticActuators: [hapticActuator], vibrationActuator
+    });
+
+    const actuator = findHapticActuator(gamepad);
+    expect(actuator.api).toEqual(Constants.HapticActuatorApi.HAPTIC_ACTUATORS);
+    await actuator.pulse(0.5, 100);
+    expect(hapticActuator.pulse).toHaveBeenCalledWith(0.5, 100);
+    expect(vibrationActuator.playEffect).not.toHaveBeenCalled();
+  });
+
+  test('Falls back to vibrationActuator', async () => {
+    const vibrationActuator = buildVibrationActuator();
+    const { gamepad } = buildXRInputSource({ vibrationActuator });
+
+    const actuator = findHapticActuator(gamepad);
+    expect(actuator.api).toEqual(Constants.HapticActuatorApi.VIBRATION_ACTUATOR);
+    await actuator.pulse(0.5, 100);
+    expect(vibrationActuator.playEffect).toHaveBeenCalledWith('dual-rumble', {
+      duration: 100, strongMagnitude: 0.5, weakMagnitude: 0.5
+    });
+  });
+});
+
+describe('Haptics', () => {
+  test('Fails to construct without an xrInputSource', () => {
+    expect(() => {
+      // eslint-disable-next-line no-unused-vars
+      const haptics = new Haptics(undefined);
+    }).toThrow();
+  });
+
+  test('Pulses the actuator', async () => {
+    const hapticActuator = buildHapticActuator();
+    const haptics = new Haptics(buildXRInputSource({ hapticActuators: [hapticActuator] }));
+    expect(haptics.supported).toBe(true);
+    expect(await haptics.pulse(0.25, 50)).toBe(true);
+    expect(hapticActuator.pulse).toHaveBeenCalledWith(0.25, 50);
+  });
+
+  test('Rejects invalid pulses', async () => {
+    const haptics = new Haptics(buildXRInputSource({ hapticActuators: [buildHapticActuator()] }));
+    await expect(haptics.pulse(1.5, 50)).rejects.toThrow(/intensity/);
+    await expect(haptics.pulse(0.5, -1)).rejects.toThrow(/duration/);
+  });
+
+  test('Does not pulse without an actuator', async () => {
+    const haptics = new Haptics(buildXRInputSource());
+    expect(haptics.supported).toBe(false);
+    expect(await haptics.pulse(1, 50)).toBe(false);
+  });
+
+  test('Respects the profile capabilities', async () => {
+    const hapticActuator = buildHapticActuator();
+    const xrInputSource = buildXRInputSource({ hapticActuators: [hapticActuator] });
+
+    const noActuators = new Haptics(xrInputSource, { actuators: 0 });
+    expect(noActuators.supported).toBe(false);
+    expect(await noActuators.pulse(1, 50)).toBe(false);
+
+    const fixedIntensity = new Haptics(xrInputSource, { actuators: 1, variableIntensity: false });
+    await fixedIntensity.pulse(0.3, 50);
+    expect(hapticActuator.pulse).toHaveBeenCalledWith(1, 50);
+  });
+
+  test('Plays patterns', async () => {
+    const hapticActuator = buildHapticActuator();
+    const { waits, setTimeoutFunction } = buildSetTimeout();
+    const haptics = new Haptics(buildXRInputSource({ hapticActuators: [hapticActuator] }), null, {
+      patterns: {
+        custom: [{ intensity: 0.1, duration: 5, pause: 5 }, { intensity: 0.2, duration: 5 }]
+      },
+      setTimeout: setTimeoutFunction
+    });
+
+    expect(await haptics.playPattern('doubleTap')).toBe(true);
+    expect(hapticActuator.pulse.mock.calls).toEqual([[0.5, 20], [0.5, 20]]);
+    expect(waits).toEqual([80, 20]);
+
+    hapticActuator.pulse.mockClear();
+    expect(await haptics.playPattern('custom')).toBe(true);
+    expect(hapticActuator.pulse.mock.calls).toEqual([[0.1, 5], [0.2, 5]]);
+
+    hapticActuator.pulse.mockClear();
+    expect(await haptics.playPattern([{ intensity: 1, duration: 1 }])).toBe(true);
+    expect(hapticActuator.pulse).toHaveBeenCalledWith(1, 1);
+
+    await expect(haptics.playPattern('made up pattern')).rejects.toThrow(/Unknown/);
+  });
+
+  test('Waits for each pulse and its pause when the actuator resolves immediately', async () => {
+    let now = 0;
+    const pulseTimes = [];
+    const hapticActuator = {
+      pulse: jest.fn(() => {
+        pulseTimes.push(now);
+        return Promise.resolve(true);
+      })
+    };
+    const setTimeoutFunction = (callback, milliseconds) => {
+      now += milliseconds;
+      callback();
+    };
+    const haptics = new Haptics(buildXRInputSource({ hapticActuators: [hapticActuator] }), null, {
+      setTimeout: setTimeoutFunction
+    });
+
+    expect(await haptics.playPattern([
+      { intensity: 1, duration: 20, pause: 60 },
+      { intensity: 1, duration: 30 },
+      { intensity: 1, duration: 40, pause: 10 },
+      { intensity: 1, duration: 20 }
+    ])).toBe(true);
+    expect(pulseTimes).toEqual([0, 80, 110, 160]);
+  });
+
+  test('Stops patterns before their next pulse', async () => {
+    const hapticActuator = buildHapticActuator();
+    let haptics;
+    const setTimeoutFunction = (callback) => {
+      haptics.stop();
+      callback();
+    };
+    haptics = new Haptics(buildXRInputSource({ hapticActuators: [hapticActuator] }), null, {
+      setTimeout: setTimeoutFunction
+    });
+
+    expect(await haptics.playPattern('heartbeat')).toBe(false);
+    expect(hapticActuator.pulse).toHaveBeenCalledTimes(1);
+  });
+});
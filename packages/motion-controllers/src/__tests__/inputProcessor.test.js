@@ -0,0 +1,88 @@
+import { Constants } from '../constants';
+import { InputProcessor } from '../inputProcessor';
+
+describe('Construction', () => {
+  test('Defaults', () => {
+    const inputProcessor = new InputProcessor();
+    expect(inputProcessor.axialDeadZone).toEqual(0);
+    expect(inputProcessor.radialDeadZone).toEqual(0);
+    expect(inputProcessor.buttonDeadZone).toEqual(0);
+    expect(inputProcessor.outerSaturation).toEqual(1);
+    expect(inputProcessor.responseCurve).toEqual(Constants.ResponseCurve.LINEAR);
+    expect(inputProcessor.buttonTouchThreshold).toEqual(Constants.ButtonTouchThreshold);
+    expect(inputProcessor.axisTouchThreshold).toEqual(Constants.AxisTouchThreshold);
+  });
+
+  test('Invalid ranges', () => {
+    expect(() => new InputProcessor({ radialDeadZone: -0.1 })).toThrow();
+    expect(() => new InputProcessor({ axialDeadZone: 1.5 })).toThrow();
+    expect(() => new InputProcessor({ outerSaturation: 0.1, radialDeadZone: 0.2 })).toThrow();
+  });
+
+  test('Unknown response curve', () => {
+    const responseCurve = /** @type {any} */ ('made up curve');
+    expect(() => new InputProcessor({ responseCurve }))
+      .toThrow('Unknown responseCurve made up curve');
+  });
+});
+
+describe('Processing', () => {
+  test('Values are untouched by default', () => {
+    const inputProcessor = new InputProcessor();
+    expect(inputProcessor.processButton(0.3)).toEqual(0.3);
+    expect(inputProcessor.processAxes(1, 1)).toEqual({ xAxis: 1, yAxis: 1 });
+    expect(inputProcessor.processAxes(undefined, -0.2)).toEqual({ xAxis: undefined, yAxis: -0.2 });
+  });
+
+  /* eslint-disable indent */
+  test.each`
+    xAxis   | yAxis   | expectedX | expectedY
+    ${0.1}  | ${0.1}  | ${0}      | ${0}
+    ${0.2}  | ${0}    | ${0}      | ${0}
+    ${0.6}  | ${0}    | ${0.5}    | ${0}
+    ${0}    | ${-0.6} | ${0}      | ${-0.5}
+    ${1}    | ${0}    | ${1}      | ${0}
+    ${1}    | ${1}    | ${0.7071} | ${0.7071}
+  `('radial dead zone x=$xAxis y=$yAxis', ({
+    xAxis, yAxis, expectedX, expectedY
+  }) => {
+    const inputProcessor = new InputProcessor({ radialDeadZone: 0.2 });
+    const result = inputProcessor.processAxes(xAxis, yAxis);
+    expect(result.xAxis).toBeCloseTo(expectedX, 4);
+    expect(result.yAxis).toBeCloseTo(expectedY, 4);
+  });
+  /* eslint-enable */
+
+  test('Axial dead zone', () => {
+    const inputProcessor = new InputProcessor({ axialDeadZone: 0.2 });
+    const result = inputProcessor.processAxes(0.15, 0.6);
+    expect(result.xAxis).toEqual(0);
+    expect(result.yAxis).toBeCloseTo(0.5, 4);
+  });
+
+  test('Outer saturation', () => {
+    const inputProcessor = new InputProcessor({ outerSaturation: 0.8 });
+    expect(inputProcessor.processButton(0.4)).toBeCloseTo(0.5, 4);
+    expect(inputProcessor.processButton(0.9)).toEqual(1);
+    expect(inputProcessor.processAxes(-0.9, undefined)).toEqual({ xAxis: -1, yAxis: undefined });
+  });
+
+  test('Quadratic response curve', () => {
+    const inputProcessor = new InputProcessor({ responseCurve: Constants.ResponseCurve.QUADRATIC });
+    expect(inputProcessor.processButton(0.5)).toBeCloseTo(0.25, 4);
+    expect(inputProcessor.processAxes(0, -0.5).yAxis).toBeCloseTo(-0.25, 4);
+  });
+
+  test('Custom response curve', () => {
+    const inputProcessor = new InputProcessor({ responseCurve: t => t * 2 });
+    expect(inputProcessor.processButton(0.25)).toBeCloseTo(0.5, 4);
+    expect(inputProcessor.processButton(0.75)).toEqual(1);
+  });
+
+  test('Button dead zone', () => {
+    const inputProcessor = new InputProcessor({ buttonDeadZone: 0.1 });
+    expect(inputProcessor.processButton(0.05)).toEqual(0);
+    expect(inputProcessor.processButton(0.55)).toBeCloseTo(0.5, 4);
+    expect(inputProcessor.processButton(1)).toEqual(1);
+  });
+});
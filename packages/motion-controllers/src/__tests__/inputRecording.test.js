@@ -0,0 +1,225 @@
+import { Constants } from '../constants';
+import { MotionController } from '../motionController';
+import { InputRecorder, InputPlayer, RecordingFormatVersion } from '../inputRecording';
+
+const profile = {
+  profileId: 'mock-controller',
+  layouts: {
+    left: {
+      selectComponentId: 'mock-trigger',
+      components: {
+        'mock-trigger': {
+          type: Constants.ComponentType.TRIGGER,
+          gamepadIndices: { button: 0 },
+          visualResponses: {}
+        },
+        'mock-thumbstick': {
+          type: Constants.ComponentType.THUMBSTICK,
+          gamepadIndices: { button: 1, xAxis: 0, yAxis: 1 },
+          visualResponses: {}
+        }
+      }
+    }
+  }
+};
+
+function buildXRInputSource() {
+  return {
+    handedness: Constants.Handedness.LEFT,
+    profiles: ['mock-controller', 'generic-trigger-thumbstick'],
+    gamepad: {
+      id: '',
+      mapping: 'xr-standard',
+      buttons: [0, 1].map(() => ({ value: 0, touched: false, pressed: false })),
+      axes: [0, 0]
+    }
+  };
+}
+
+/**
+ * @description Records a trigger pull followed by a thumbstick push
+ */
+function buildRecording() {
+  const xrInputSource = buildXRInputSource();
+  const { buttons, axes } = xrInputSource.gamepad;
+  const recorder = new InputRecorder(xrInputSource);
+
+  recorder.captureFrame(1000);
+  Object.assign(buttons[0], { value: 1, touched: true, pressed: true });
+  recorder.captureFrame(1011);
+  Object.assign(buttons[0], { value: 0, touched: false, pressed: false });
+  axes[1] = -1;
+  recorder.captureFrame(1022);
+
+  // Round trip through JSON as a recording loaded from disk would be
+  return JSON.parse(JSON.stringify(recorder));
+}
+
+describe('InputRecorder', () => {
+  test('Fails to construct without an xrInputSource', () => {
+    expect(() => {
+      // eslint-disable-next-line no-unused-vars
+      const recorder = new InputRecorder(undefined);
+    }).toThrow();
+  });
+
+  test('Captures the input source and each frame', () => {
+    const recording = buildRecording();
+    expect(recording.version).toEqual(RecordingFormatVersion);
+    expect(recording.handedness).toEqual(Constants.Handedness.LEFT);
+    expect(recording.profiles).toEqual(['mock-controller', 'generic-trigger-thumbstick']);
+    expect(recording.gamepad).toEqual({ id: '', mapping: 'xr-standard' });
+    expect(recording.frames.map(frame => frame.timestamp)).toEqual([1000, 1011, 1022]);
+    expect(recording.frames.map(frame => frame.handedness)).toEqual([
+      Constants.Handedness.LEFT, Constants.Handedness.LEFT, Constants.Handedness.LEFT
+    ]);
+    expect(recording.frames[1].buttons[0]).toEqual({ value: 1, touched: true, pressed: true });
+    expect(recording.frames[2].axes).toEqual([0, -1]);
+  });
+
+  test('Frames are unaffected by later gamepad changes', () => {
+    const xrInputSource = buildXRInputSource();
+    const recorder = new InputRecorder(xrInputSource);
+    recorder.captureFrame(0);
+    xrInputSource.gamepad.buttons[0].value = 1;
+    xrInputSource.gamepad.axes[0] = 1;
+    expect(recorder.frames[0].buttons[0].value).toEqual(0);
+    expect(recorder.frames[0].axes[0]).toEqual(0);
+  });
+
+  test('Clears frames', () => {
+    const recorder = new InputRecorder(buildXRInputSource());
+    recorder.captureFrame(0);
+    recorder.clear();
+    expect(recorder.toJSON().frames).toHaveLength(0);
+  });
+
+  test('Fails to capture without a gamepad', () => {
+    const recorder = new InputRecorder({ handedness: 'none', profiles: [] });
+    expect(() => { recorder.captureFrame(0); }).toThrow();
+  });
+});
+
+describe('InputPlayer', () => {
+  test('Fails to construct with an invalid recording', () => {
+    expect(() => {
+      // eslint-disable-next-line no-unused-vars
+      const player = new InputPlayer(undefined);
+    }).toThrow();
+
+    const recording = buildRecording();
+    expect(() => {
+      // eslint-disable-next-line no-unused-vars
+      const player = new InputPlayer({ ...recording, frames: [] });
+    }).toThrow();
+
+    expect(() => {
+      // eslint-disable-next-line no-unused-vars
+      const player = new InputPlayer({ ...recording, version: 0 });
+    }).toThrow(/version/);
+  });
+
+  test('Starts at the first frame', () => {
+    const player = new InputPlayer(buildRecording());
+    const { xrInputSource } = player;
+    expect(xrInputSource.handedness).toEqual(Constants.Handedness.LEFT);
+    expect(xrInputSource.profiles).toEqual(['mock-controller', 'generic-trigger-thumbstick']);
+    expect(xrInputSource.gamepad.mapping).toEqual('xr-standard');
+    expect(xrInputSource.gamepad.timestamp).toEqual(1000);
+    expect(player.frameIndex).toEqual(0);
+    expect(player.frameCount).toEqual(3);
+    expect(player.done).toBe(false);
+  });
+
+  test('Advances the gamepad in place', () => {
+    const player = new InputPlayer(buildRecording());
+    const { gamepad } = player.xrInputSource;
+
+    expect(player.nextFrame()).toBe(true);
+    expect(gamepad.timestamp).toEqual(1011);
+    expect(gamepad.buttons[0].pressed).toBe(true);
+
+    expect(player.nextFrame()).toBe(true);
+    expect(gamepad.buttons[0].pressed).toBe(false);
+    expect(gamepad.axes).toEqual([0, -1]);
+    expect(player.done).toBe(true);
+
+    expect(player.nextFrame()).toBe(false);
+    expect(gamepad.timestamp).toEqual(1022);
+  });
+
+  test('Applies the handedness of each frame', () => {
+    const recording = buildRecording();
+    recording.frames[1].handedness = Constants.Handedness.RIGHT;
+    delete recording.frames[2].handedness;
+    const player = new InputPlayer(recording);
+    const { xrInputSource } = player;
+
+    player.nextFrame();
+    expect(xrInputSource.handedness).toEqual(Constants.Handedness.RIGHT);
+
+    // Frames recorded without a handedness use that of the recording
+    player.nextFrame();
+    expect(xrInputSource.handedness).toEqual(Constants.Handedness.LEFT);
+  });
+
+  test('Replays a handedness change into a MotionController', () => {
+    const xrInputSource = buildXRInputSource();
+    const recorder = new InputRecorder(xrInputSource);
+    recorder.captureFrame(1000);
+    xrInputSource.handedness = Constants.Handedness.RIGHT;
+    recorder.captureFrame(1011);
+
+    const player = new InputPlayer(JSON.parse(JSON.stringify(recorder)));
+    const leftRightProfile = {
+      ...profile,
+      layouts: { left: profile.layouts.left, right: profile.layouts.left }
+    };
+    const motionController = new MotionController(
+      player.xrInputSource, leftRightProfile, 'assetUrl string'
+    );
+
+    const layoutChanges = [];
+    motionController.addEventListener(Constants.MotionControllerEvent.LAYOUT_CHANGE, (event) => {
+      layoutChanges.push(`${player.frameIndex} ${event.handedness}`);
+    });
+    player.playToEnd(() => { motionController.updateFromGamepad(); });
+    expect(layoutChanges).toEqual(['1 right']);
+  });
+
+  test('Seeks to a frame', () => {
+    const player = new InputPlayer(buildRecording());
+    player.seek(2);
+    expect(player.xrInputSource.gamepad.timestamp).toEqual(1022);
+    player.seek(0);
+    expect(player.xrInputSource.gamepad.timestamp).toEqual(1000);
+    expect(() => { player.seek(3); }).toThrow();
+  });
+
+  test('Replays identically into a MotionController', () => {
+    const runReplay = () => {
+      const player = new InputPlayer(buildRecording());
+      const motionController = new MotionController(
+        player.xrInputSource, profile, 'assetUrl string'
+      );
+
+      const log = [];
+      Object.values(Constants.ComponentEvent).forEach((type) => {
+        motionController.addEventListener(type, (event) => {
+          log.push(`${player.frameIndex} ${event.component.id} ${event.type}`);
+        });
+      });
+
+      player.playToEnd(() => { motionController.updateFromGamepad(); });
+      return log;
+    };
+
+    const log = runReplay();
+    expect(log).toEqual(expect.arrayContaining([
+      '1 mock-trigger pressstart',
+      '2 mock-trigger pressend',
+      '2 mock-thumbstick axischange'
+    ]));
+    expect(runReplay()).toEqual(log);
+  });
+});
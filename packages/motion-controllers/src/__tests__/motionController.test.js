@@ -1,5 +1,6 @@
 import { Constants } from '../constants';
 import { MotionController } from '../motionController';
+import { TouchpadRegion } from '../components';
 
 const profile = {
   id: 'mock-one-button',
@@ -62,3 +63,333 @@ test('Successful construction', () => {
   const motionController = new MotionController(mockXRInputSource, profile, assetUrl);
   expect(motionController).toBeDefined();
 });
+
+test('Component events are dispatched by the motion controller', () => {
+  const gamepad = {
+    buttons: [{ value: 0, touched: false, pressed: false }],
+    axes: []
+  };
+  const xrInputSource = { handedness: Constants.Handedness.NONE, gamepad };
+  const motionController = new MotionController(xrInputSource, profile, assetUrl);
+
+  const events = [];
+  motionController.addEventListener(Constants.ComponentEvent.PRESS_START, (event) => {
+    events.push(event);
+  });
+
+  gamepad.buttons[0] = { value: 1, touched: true, pressed: true };
+  motionController.updateFromGamepad();
+
+  expect(events).toHaveLength(1);
+  expect(events[0].target).toBe(motionController);
+  expect(events[0].component).toBe(motionController.components.mockButtonComponent);
+  expect(events[0].values.state).toEqual(Constants.ComponentState.PRESSED);
+});
+
+test('Input processing options override the profile', () => {
+  const thumbstickProfile = {
+    id: 'mock-thumbstick',
+    layouts: {
+      none: {
+        components: {
+          thumbstick: {
+            type: Constants.ComponentType.THUMBSTICK,
+            gamepadIndices: { xAxis: 0, yAxis: 1 },
+            visualResponses: [],
+            inputProcessing: { radialDeadZone: 0.1, outerSaturation: 0.9 }
+          },
+          otherThumbstick: {
+            type: Constants.ComponentType.THUMBSTICK,
+            gamepadIndices: { xAxis: 2, yAxis: 3 },
+            visualResponses: []
+          }
+        }
+      }
+    }
+  };
+  const xrInputSource = {
+    handedness: Constants.Handedness.NONE,
+    gamepad: { buttons: [], axes: [0, 0, 0, 0] }
+  };
+
+  const motionController = new MotionController(xrInputSource, thumbstickProfile, assetUrl, {
+    inputProcessing: {
+      types: { [Constants.ComponentType.THUMBSTICK]: { radialDeadZone: 0.3 } },
+      components: { thumbstick: { responseCurve: Constants.ResponseCurve.QUADRATIC } }
+    }
+  });
+
+  const { inputProcessor } = motionController.components.thumbstick;
+  expect(inputProcessor.radialDeadZone).toEqual(0.3);
+  expect(inputProcessor.outerSaturation).toEqual(0.9);
+  expect(inputProcessor.responseCurve).toEqual(Constants.ResponseCurve.QUADRATIC);
+
+  const otherInputProcessor = motionController.components.otherThumbstick.inputProcessor;
+  expect(otherInputProcessor.radialDeadZone).toEqual(0.3);
+  expect(otherInputProcessor.responseCurve).toEqual(Constants.ResponseCurve.LINEAR);
+
+  // The profile itself is not modified
+  expect(thumbstickProfile.layouts.none.components.thumbstick.inputProcessing.radialDeadZone)
+    .toEqual(0.1);
+});
+
+test('Touchpad regions are added as components', () => {
+  const touchpadProfile = {
+    id: 'mock-touchpad',
+    layouts: {
+      none: {
+        components: {
+          touchpad: {
+            type: Constants.ComponentType.TOUCHPAD,
+            gamepadIndices: { button: 0, xAxis: 0, yAxis: 1 },
+            visualResponses: {},
+            regions: {
+              center: { maxRadius: 0.5 },
+              up: { startAngle: 315, endAngle: 45, minRadius: 0.5 }
+            }
+          }
+        }
+      }
+    }
+  };
+  const gamepad = {
+    buttons: [{ value: 0, touched: false, pressed: false }],
+    axes: [0, 0]
+  };
+  const xrInputSource = { handedness: Constants.Handedness.NONE, gamepad };
+  const motionController = new MotionController(xrInputSource, touchpadProfile, assetUrl);
+  expect(Object.keys(motionController.components)).toEqual([
+    'touchpad', 'touchpad-center', 'touchpad-up'
+  ]);
+
+  const pressed = [];
+  motionController.addEventListener(Constants.ComponentEvent.PRESS_START, (event) => {
+    pressed.push(event.component.id);
+  });
+
+  gamepad.buttons[0] = { value: 1, touched: true, pressed: true };
+  gamepad.axes[1] = -0.9;
+  motionController.updateFromGamepad();
+  expect(pressed).toEqual(['touchpad', 'touchpad-up']);
+  expect(motionController.components['touchpad-center'].values.state)
+    .toEqual(Constants.ComponentState.DEFAULT);
+});
+
+describe('Handedness', () => {
+  const leftRightProfile = {
+    profileId: 'mock-left-right',
+    layouts: {
+      left: {
+        assetPath: 'left.glb',
+        components: {
+          leftButton: { gamepadIndices: { button: 0 }, visualResponses: [] }
+        }
+      },
+      right: {
+        assetPath: 'right.glb',
+        components: {
+          rightButton: { gamepadIndices: { button: 0 }, visualResponses: [] }
+        }
+      }
+    }
+  };
+
+  /**
+   * @param {string} handedness
+   */
+  function buildXRInputSource(handedness) {
+    return {
+      handedness,
+      gamepad: { buttons: [{ value: 0, touched: false, pressed: false }], axes: [] }
+    };
+  }
+
+  test('Falls back from none to the left layout', () => {
+    const xrInputSource = buildXRInputSource(Constants.Handedness.NONE);
+    const motionController = new MotionController(xrInputSource, leftRightProfile, assetUrl);
+    expect(motionController.handedness).toEqual(Constants.Handedness.LEFT);
+    expect(motionController.layoutDescription).toBe(leftRightProfile.layouts.left);
+    expect(Object.keys(motionController.components)).toEqual(['leftButton']);
+  });
+
+  test('Fails when no layout fits', () => {
+    const xrInputSource = buildXRInputSource(Constants.Handedness.LEFT);
+    expect(() => {
+      // eslint-disable-next-line no-unused-vars
+      const motionController = new MotionController(xrInputSource, profile, assetUrl);
+    }).toThrow(/No matching handedness, left/);
+  });
+
+  test('Rebinds the layout when the handedness changes', () => {
+    const xrInputSource = buildXRInputSource(Constants.Handedness.NONE);
+    const motionController = new MotionController(
+      xrInputSource, leftRightProfile, 'profiles/mock-left-right/left.glb'
+    );
+
+    const events = [];
+    motionController.addEventListener(Constants.MotionControllerEvent.LAYOUT_CHANGE, (event) => {
+      events.push(event);
+    });
+
+    // Reporting left still matches the bound layout
+    xrInputSource.handedness = Constants.Handedness.LEFT;
+    motionController.updateFromGamepad();
+    expect(events).toHaveLength(0);
+
+    xrInputSource.handedness = Constants.Handedness.RIGHT;
+    xrInputSource.gamepad.buttons[0] = { value: 1, touched: true, pressed: true };
+    motionController.updateFromGamepad();
+    expect(events).toHaveLength(1);
+    expect(events[0].previousHandedness).toEqual(Constants.Handedness.LEFT);
+    expect(events[0].handedness).toEqual(Constants.Handedness.RIGHT);
+    expect(events[0].assetUrl).toEqual('profiles/mock-left-right/right.glb');
+    expect(motionController.assetUrl).toEqual('profiles/mock-left-right/right.glb');
+    expect(Object.keys(motionController.components)).toEqual(['rightButton']);
+    expect(motionController.components.rightButton.values.state)
+      .toEqual(Constants.ComponentState.PRESSED);
+  });
+
+  test('Keeps the layout when no layout matches the new handedness', () => {
+    const leftOnlyProfile = {
+      profileId: 'mock-left-only',
+      layouts: { left: leftRightProfile.layouts.left }
+    };
+    const xrInputSource = buildXRInputSource(Constants.Handedness.LEFT);
+    const motionController = new MotionController(xrInputSource, leftOnlyProfile, assetUrl);
+    const { leftButton } = motionController.components;
+
+    const errorEvents = [];
+    motionController.addEventListener(Constants.MotionControllerEvent.LAYOUT_ERROR, (event) => {
+      errorEvents.push(event);
+    });
+    const layoutChangeListener = jest.fn();
+    motionController.addEventListener(
+      Constants.MotionControllerEvent.LAYOUT_CHANGE, layoutChangeListener
+    );
+
+    xrInputSource.handedness = Constants.Handedness.RIGHT;
+    xrInputSource.gamepad.buttons[0] = { value: 1, touched: true, pressed: true };
+    expect(() => { motionController.updateFromGamepad(); }).not.toThrow();
+    expect(errorEvents).toHaveLength(1);
+    expect(errorEvents[0].handedness).toEqual(Constants.Handedness.RIGHT);
+    expect(errorEvents[0].error.message).toMatch(/No matching handedness, right/);
+
+    // The bound layout is still updated, and the failure is not repeated every frame
+    expect(motionController.handedness).toEqual(Constants.Handedness.LEFT);
+    expect(motionController.components.leftButton).toBe(leftButton);
+    expect(leftButton.values.state).toEqual(Constants.ComponentState.PRESSED);
+    motionController.updateFromGamepad();
+    expect(errorEvents).toHaveLength(1);
+
+    // Returning to a matching handedness finds the bound layout again
+    xrInputSource.handedness = Constants.Handedness.LEFT;
+    motionController.updateFromGamepad();
+    expect(errorEvents).toHaveLength(1);
+    expect(layoutChangeListener).not.toHaveBeenCalled();
+  });
+
+  test('Keeps the layout when the new layout cannot be built', () => {
+    const haptics = { actuators: 1, variableIntensity: false };
+    const brokenRightProfile = {
+      profileId: 'mock-broken-right',
+      layouts: {
+        left: {
+          assetPath: 'left.glb',
+          haptics,
+          components: {
+            sharedButton: { gamepadIndices: { button: 0 }, visualResponses: {} }
+          }
+        },
+        right: {
+          assetPath: 'right.glb',
+          components: {
+            sharedButton: { gamepadIndices: { button: 1 }, visualResponses: {} },
+            brokenButton: { visualResponses: {} }
+          }
+        }
+      }
+    };
+    const xrInputSource = buildXRInputSource(Constants.Handedness.LEFT);
+    const motionController = new MotionController(
+      xrInputSource, brokenRightProfile, 'profiles/mock-broken-right/left.glb'
+    );
+    const { sharedButton } = motionController.components;
+
+    const errorEvents = [];
+    motionController.addEventListener(Constants.MotionControllerEvent.LAYOUT_ERROR, (event) => {
+      errorEvents.push(event);
+    });
+
+    xrInputSource.handedness = Constants.Handedness.RIGHT;
+    xrInputSource.gamepad.buttons[0] = { value: 1, touched: true, pressed: true };
+    motionController.updateFromGamepad();
+    expect(errorEvents).toHaveLength(1);
+    expect(errorEvents[0].error.message).toEqual('Invalid arguments supplied');
+
+    expect(motionController.handedness).toEqual(Constants.Handedness.LEFT);
+    expect(motionController.layoutDescription).toBe(brokenRightProfile.layouts.left);
+    expect(motionController.haptics.description).toBe(haptics);
+    expect(motionController.assetUrl).toEqual('profiles/mock-broken-right/left.glb');
+    expect(Object.keys(motionController.components)).toEqual(['sharedButton']);
+    expect(motionController.components.sharedButton).toBe(sharedButton);
+    expect(sharedButton.gamepadIndices).toEqual({ button: 0 });
+    expect(sharedButton.values.state).toEqual(Constants.ComponentState.PRESSED);
+  });
+
+  test('Reuses components whose ids are in both layouts', () => {
+    const touchpad = {
+      type: Constants.ComponentType.TOUCHPAD,
+      visualResponses: {},
+      regions: { center: { maxRadius: 0.5 } }
+    };
+    const sharedComponentsProfile = {
+      profileId: 'mock-shared-components',
+      layouts: {
+        left: {
+          components: {
+            touchpad: { ...touchpad, gamepadIndices: { button: 0, xAxis: 0, yAxis: 1 } },
+            leftButton: { gamepadIndices: { button: 1 }, visualResponses: {} }
+          }
+        },
+        right: {
+          components: {
+            touchpad: { ...touchpad, gamepadIndices: { button: 1, xAxis: 0, yAxis: 1 } },
+            rightButton: { gamepadIndices: { button: 0 }, visualResponses: {} }
+          }
+        }
+      }
+    };
+    const xrInputSource = buildXRInputSource(Constants.Handedness.LEFT);
+    xrInputSource.gamepad.buttons.push({ value: 0, touched: false, pressed: false });
+    xrInputSource.gamepad.axes.push(0, 0);
+    const motionController = new MotionController(
+      xrInputSource, sharedComponentsProfile, assetUrl
+    );
+    const leftTouchpad = motionController.components.touchpad;
+    const leftCenter = /** @type {TouchpadRegion} */ (motionController.components['touchpad-center']);
+
+    const pressed = [];
+    [leftTouchpad, leftCenter].forEach((component) => {
+      component.addEventListener(Constants.ComponentEvent.PRESS_START, (event) => {
+        pressed.push(event.component.id);
+      });
+    });
+
+    xrInputSource.handedness = Constants.Handedness.RIGHT;
+    motionController.updateFromGamepad();
+    expect(Object.keys(motionController.components)).toEqual([
+      'touchpad', 'touchpad-center', 'rightButton'
+    ]);
+    expect(motionController.components.touchpad).toBe(leftTouchpad);
+    expect(motionController.components['touchpad-center']).toBe(leftCenter);
+    expect(leftCenter).toBeInstanceOf(TouchpadRegion);
+    expect(leftTouchpad.gamepadIndices.button).toEqual(1);
+    expect(leftCenter.gamepadIndices.button).toEqual(1);
+    expect(leftCenter.parentComponent).toBe(leftTouchpad);
+
+    // Listeners attached before the layout changed observe the rebuilt components
+    xrInputSource.gamepad.buttons[1] = { value: 1, touched: true, pressed: true };
+    motionController.updateFromGamepad();
+    expect(pressed).toEqual(['touchpad', 'touchpad-center']);
+  });
+});
@@ -0,0 +1,545 @@
+import { ProfileCache, InMemoryCacheAdapter } from '../profileCache';
+import {
+  ProfileAbortError,
+  ProfileHttpError,
+  ProfileIntegrityError,
+  ProfileNetworkError,
+  ProfileParseError,
+  ProfileSchemaError,
+  ProfileTimeoutError
+} from '../profileErrors';
+import { fetchProfile, fetchProfilesList } from '../profiles';
+import { Constants } from '../constants';
+
+const { createHash } = require('crypto');
+
+const basePath = 'madeup/base/path';
+const profilesListPath = `${basePath}/profilesList.json`;
+const validProfileId = 'generic-trigger';
+const validProfilePath = `${basePath}/${validProfileId}/profile.json`;
+
+const files = {
+  [profilesListPath]: {
+    [validProfileId]: { path: `${validProfileId}/profile.json` }
+  },
+  [validProfilePath]: {
+    profileId: validProfileId,
+    layouts: { none: { assetPath: 'none.glb' } }
+  }
+};
+
+/**
+ * Builds a fetch function that serves the supplied files from memory and records each request
+ * @param {Object} servedFiles - The file contents keyed by path
+ */
+function buildFetchStub(servedFiles = files) {
+  const fetchStub = jest.fn(async (path) => {
+    const file = servedFiles[path];
+    if (!file) {
+      return { ok: false, statusText: 'Not Found', json: async () => null };
+    }
+    return {
+      ok: true,
+      json: async () => JSON.parse(JSON.stringify(file)),
+      text: async () => JSON.stringify(file)
+    };
+  });
+  return fetchStub;
+}
+
+/**
+ * Hashes text with Node's crypto module, as the Web Crypto API is not available to the tests
+ * @param {string} algorithm - The Web Crypto name of the hash algorithm
+ * @param {string} text
+ */
+async function nodeDigest(algorithm, text) {
+  return createHash(algorithm.replace('-', '').toLowerCase()).update(text).digest('base64');
+}
+
+/**
+ * Builds the sha256 integrity metadata of a file as served by buildFetchStub()
+ * @param {Object} file
+ */
+function buildIntegrity(file) {
+  return `sha256-${createHash('sha256').update(JSON.stringify(file)).digest('base64')}`;
+}
+
+describe('ProfileCache', () => {
+  test('Downloads a file only once', async () => {
+    const fetchStub = buildFetchStub();
+    const cache = new ProfileCache({ fetch: fetchStub });
+
+    const first = await cache.fetchJson(profilesListPath);
+    const second = await cache.fetchJson(profilesListPath);
+    expect(first).toEqual(files[profilesListPath]);
+    expect(second).toEqual(files[profilesListPath]);
+    expect(fetchStub).toHaveBeenCalledTimes(1);
+  });
+
+  test('Returns a new copy on each call', async () => {
+    const cache = new ProfileCache({ fetch: buildFetchStub() });
+
+    const first = await cache.fetchJson(profilesListPath);
+    first.extraProperty = true;
+    const second = await cache.fetchJson(profilesListPath);
+    expect(second.extraProperty).toBeUndefined();
+  });
+
+  test('Shares concurrent downloads of the same file', async () => {
+    const fetchStub = buildFetchStub();
+    const cache = new ProfileCache({ fetch: fetchStub });
+
+    const results = await Promise.all([
+      cache.fetchJson(profilesListPath),
+      cache.fetchJson(profilesListPath)
+    ]);
+    expect(results[0]).toEqual(results[1]);
+    expect(fetchStub).toHaveBeenCalledTimes(1);
+  });
+
+  test('Downloads again once the ttl expires', async () => {
+    const fetchStub = buildFetchStub();
+    let currentTime = 1000;
+    const cache = new ProfileCache({ fetch: fetchStub, ttl: 500, now: () => currentTime });
+
+    await cache.fetchJson(profilesListPath);
+    currentTime += 499;
+    await cache.fetchJson(profilesListPath);
+    expect(fetchStub).toHaveBeenCalledTimes(1);
+
+    currentTime += 1;
+    await cache.fetchJson(profilesListPath);
+    expect(fetchStub).toHaveBeenCalledTimes(2);
+  });
+
+  test('Downloads again after invalidation', async () => {
+    const fetchStub = buildFetchStub();
+    const cache = new ProfileCache({ fetch: fetchStub });
+
+    await cache.fetchJson(profilesListPath);
+    await cache.fetchJson(validProfilePath);
+    await cache.invalidate(profilesListPath);
+    await cache.fetchJson(profilesListPath);
+    await cache.fetchJson(validProfilePath);
+    expect(fetchStub).toHaveBeenCalledTimes(3);
+
+    await cache.clear();
+    await cache.fetchJson(profilesListPath);
+    await cache.fetchJson(validProfilePath);
+    expect(fetchStub).toHaveBeenCalledTimes(5);
+  });
+
+  test('Does not cache failed downloads', async () => {
+    const servedFiles = {};
+    const fetchStub = buildFetchStub(servedFiles);
+    const cache = new ProfileCache({ fetch: fetchStub });
+
+    await expect(cache.fetchJson(profilesListPath)).rejects.toEqual(new Error('Not Found'));
+
+    servedFiles[profilesListPath] = files[profilesListPath];
+    await expect(cache.fetchJson(profilesListPath)).resolves.toEqual(files[profilesListPath]);
+    expect(fetchStub).toHaveBeenCalledTimes(2);
+  });
+
+  test('Uses the supplied adapter', async () => {
+    const adapter = new InMemoryCacheAdapter();
+    const cache = new ProfileCache({ adapter, fetch: buildFetchStub() });
+
+    await cache.fetchJson(profilesListPath);
+    const entry = await adapter.get(profilesListPath);
+    expect(JSON.parse(entry.json)).toEqual(files[profilesListPath]);
+
+    // A second cache sharing the adapter does not need to download the file
+    const otherFetchStub = buildFetchStub();
+    const otherCache = new ProfileCache({ adapter, fetch: otherFetchStub });
+    await otherCache.fetchJson(profilesListPath);
+    expect(otherFetchStub).not.toHaveBeenCalled();
+  });
+});
+
+describe('Integrity checks', () => {
+  test('Accepts a file matching its integrity metadata', async () => {
+    const cache = new ProfileCache({ fetch: buildFetchStub(), digest: nodeDigest });
+    const integrity = buildIntegrity(files[profilesListPath]);
+
+    const profilesList = await cache.fetchJson(profilesListPath, { integrity });
+    expect(profilesList).toEqual(files[profilesListPath]);
+  });
+
+  test('Accepts a file matching any of several hashes', async () => {
+    const cache = new ProfileCache({ fetch: buildFetchStub(), digest: nodeDigest });
+    const integrity = `sha384-incorrect md5-ignored ${buildIntegrity(files[profilesListPath])}`;
+
+    await expect(cache.fetchJson(profilesListPath, { integrity }))
+      .resolves.toEqual(files[profilesListPath]);
+  });
+
+  test('Rejects and does not cache a file which does not match', async () => {
+    const fetchStub = buildFetchStub();
+    const cache = new ProfileCache({ fetch: fetchStub, digest: nodeDigest });
+    const integrity = buildIntegrity(files[validProfilePath]);
+
+    await expect(cache.fetchJson(profilesListPath, { integrity })).rejects.toEqual(
+      new Error(`${profilesListPath} does not match its integrity metadata ${integrity}`)
+    );
+    await cache.fetchJson(profilesListPath);
+    expect(fetchStub).toHaveBeenCalledTimes(2);
+  });
+
+  test('Downloads again if the cached copy does not match', async () => {
+    const adapter = new InMemoryCacheAdapter();
+    await adapter.set(profilesListPath, { json: '{"corrupted":true}', timestamp: 0 });
+    const fetchStub = buildFetchStub();
+    const cache = new ProfileCache({ adapter, fetch: fetchStub, digest: nodeDigest });
+    const integrity = buildIntegrity(files[profilesListPath]);
+
+    await expect(cache.fetchJson(profilesListPath, { integrity }))
+      .resolves.toEqual(files[profilesListPath]);
+    expect(fetchStub).toHaveBeenCalledTimes(1);
+
+    await cache.fetchJson(profilesListPath, { integrity });
+    expect(fetchStub).toHaveBeenCalledTimes(1);
+  });
+
+  test('Rejects unsupported integrity metadata', async () => {
+    const cache = new ProfileCache({ fetch: buildFetchStub(), digest: nodeDigest });
+
+    await expect(cache.fetchJson(profilesListPath, { integrity: 'md5-abc' }))
+      .rejects.toEqual(new Error('Unsupported integrity metadata md5-abc'));
+  });
+});
+
+/**
+ * Builds a fetch function which responds to each request with the next of the supplied responses.
+ * A response which is an Error is thrown, a promise is returned as it is, and 'stall' never settles
+ * unless the request is aborted.
+ * @param {Array} responses
+ */
+function buildSequenceFetchStub(responses) {
+  const remaining = [...responses];
+  return jest.fn((path, { signal } = {}) => {
+    const response = remaining.shift();
+    if (response instanceof Error) {
+      return Promise.reject(response);
+    }
+
+    if (response instanceof Promise) {
+      return response;
+    }
+
+    if (response === 'stall') {
+      return new Promise((resolve, reject) => {
+        if (signal) {
+          signal.addEventListener('abort', () => { reject(new Error('The user aborted a request.')); });
+        }
+      });
+    }
+
+    return Promise.resolve(response);
+  });
+}
+
+/**
+ * Waits until a fetch stub has been called
+ * @param {jest.Mock} fetchStub
+ */
+async function waitForCall(fetchStub) {
+  while (fetchStub.mock.calls.length === 0) {
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((resolve) => { setTimeout(resolve, 0); });
+  }
+}
+
+const okResponse = {
+  ok: true,
+  status: 200,
+  json: async () => files[profilesListPath],
+  text: async () => JSON.stringify(files[profilesListPath])
+};
+
+describe('Typed errors', () => {
+  test('Distinguishes network failures', async () => {
+    const cache = new ProfileCache({ fetch: buildSequenceFetchStub([new TypeError('Offline')]) });
+
+    const error = await cache.fetchJson(profilesListPath).catch(e => e);
+    expect(error).toBeInstanceOf(ProfileNetworkError);
+    expect(error.path).toEqual(profilesListPath);
+    expect(error.cause).toEqual(new TypeError('Offline'));
+  });
+
+  test('Distinguishes HTTP status failures', async () => {
+    const response = { ok: false, status: 503, statusText: '' };
+    const cache = new ProfileCache({ fetch: buildSequenceFetchStub([response]) });
+
+    const error = await cache.fetchJson(profilesListPath).catch(e => e);
+    expect(error).toBeInstanceOf(ProfileHttpError);
+    expect(error.status).toEqual(503);
+    expect(error.message).toEqual('HTTP status 503');
+    expect(error.retryable).toBe(true);
+  });
+
+  test('Distinguishes JSON parse failures', async () => {
+    const response = {
+      ok: true,
+      json: async () => JSON.parse('{'),
+      text: async () => '{'
+    };
+    const cache = new ProfileCache({ fetch: buildSequenceFetchStub([response, response]) });
+
+    await expect(cache.fetchJson(profilesListPath)).rejects.toBeInstanceOf(ProfileParseError);
+
+    const integrity = `sha256-${createHash('sha256').update('{').digest('base64')}`;
+    const otherCache = new ProfileCache({
+      fetch: buildSequenceFetchStub([response]), digest: nodeDigest
+    });
+    await expect(otherCache.fetchJson(profilesListPath, { integrity }))
+      .rejects.toBeInstanceOf(ProfileParseError);
+  });
+
+  test('Distinguishes integrity failures', async () => {
+    const cache = new ProfileCache({ fetch: buildFetchStub(), digest: nodeDigest });
+    const integrity = buildIntegrity(files[validProfilePath]);
+
+    await expect(cache.fetchJson(profilesListPath, { integrity }))
+      .rejects.toBeInstanceOf(ProfileIntegrityError);
+  });
+});
+
+describe('Retries, timeouts, and cancellation', () => {
+  test('Retries network failures and server errors', async () => {
+    const fetchStub = buildSequenceFetchStub([
+      new TypeError('Offline'), { ok: false, status: 500, statusText: 'Server Error' }, okResponse
+    ]);
+    const cache = new ProfileCache({ fetch: fetchStub, retries: 2, retryDelay: 1 });
+
+    await expect(cache.fetchJson(profilesListPath)).resolves.toEqual(files[profilesListPath]);
+    expect(fetchStub).toHaveBeenCalledTimes(3);
+  });
+
+  test('Gives up once the retries are used', async () => {
+    const fetchStub = buildSequenceFetchStub([
+      new TypeError('Offline'), new TypeError('Still offline'), okResponse
+    ]);
+    const cache = new ProfileCache({ fetch: fetchStub, retries: 1, retryDelay: 1 });
+
+    await expect(cache.fetchJson(profilesListPath)).rejects.toEqual(new Error('Still offline'));
+    expect(fetchStub).toHaveBeenCalledTimes(2);
+  });
+
+  test('Does not retry client errors or parse failures', async () => {
+    const fetchStub = buildSequenceFetchStub([
+      { ok: false, status: 404, statusText: 'Not Found' }, okResponse
+    ]);
+    const cache = new ProfileCache({ fetch: fetchStub, retries: 3, retryDelay: 1 });
+
+    await expect(cache.fetchJson(profilesListPath)).rejects.toBeInstanceOf(ProfileHttpError);
+    expect(fetchStub).toHaveBeenCalledTimes(1);
+  });
+
+  test('Per request options override those of the cache', async () => {
+    const fetchStub = buildSequenceFetchStub([new TypeError('Offline'), okResponse]);
+    const cache = new ProfileCache({ fetch: fetchStub });
+
+    await expect(cache.fetchJson(profilesListPath, { retries: 1, retryDelay: 1 }))
+      .resolves.toEqual(files[profilesListPath]);
+  });
+
+  test('Times out stalled requests and retries them', async () => {
+    const fetchStub = buildSequenceFetchStub(['stall', okResponse]);
+    const cache = new ProfileCache({ fetch: fetchStub, timeout: 10 });
+
+    const error = await cache.fetchJson(profilesListPath).catch(e => e);
+    expect(error).toBeInstanceOf(ProfileTimeoutError);
+    expect(error).toBeInstanceOf(ProfileNetworkError);
+    expect(error.message).toEqual(`Fetching ${profilesListPath} timed out after 10ms`);
+
+    const retryingStub = buildSequenceFetchStub(['stall', okResponse]);
+    const retryingCache = new ProfileCache({
+      fetch: retryingStub, timeout: 10, retries: 1, retryDelay: 1
+    });
+    await expect(retryingCache.fetchJson(profilesListPath))
+      .resolves.toEqual(files[profilesListPath]);
+    expect(retryingStub.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+
+  test('Aborts a request with the supplied signal', async () => {
+    const fetchStub = buildSequenceFetchStub(['stall']);
+    const cache = new ProfileCache({ fetch: fetchStub });
+    const controller = new AbortController();
+
+    const request = cache.fetchJson(profilesListPath, { signal: controller.signal });
+    await waitForCall(fetchStub);
+    controller.abort();
+    const error = await request.catch(e => e);
+    expect(error).toBeInstanceOf(ProfileAbortError);
+    expect(error.name).toEqual('AbortError');
+    expect(fetchStub.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+
+  test('Rejects immediately if the signal is already aborted', async () => {
+    const fetchStub = buildFetchStub();
+    const cache = new ProfileCache({ fetch: fetchStub });
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(cache.fetchJson(profilesListPath, { signal: controller.signal }))
+      .rejects.toBeInstanceOf(ProfileAbortError);
+    expect(fetchStub).not.toHaveBeenCalled();
+  });
+
+  test('Aborts the wait between retries', async () => {
+    const fetchStub = buildSequenceFetchStub([new TypeError('Offline'), okResponse]);
+    const cache = new ProfileCache({ fetch: fetchStub, retries: 1, retryDelay: 60000 });
+    const controller = new AbortController();
+
+    const request = cache.fetchJson(profilesListPath, { signal: controller.signal });
+    await new Promise((resolve) => { setTimeout(resolve, 10); });
+    controller.abort();
+    await expect(request).rejects.toBeInstanceOf(ProfileAbortError);
+    expect(fetchStub).toHaveBeenCalledTimes(1);
+  });
+
+  test('Aborting one of several shared requests does not cancel the download', async () => {
+    const delayedResponse = new Promise((resolve) => { setTimeout(resolve, 20, okResponse); });
+    const fetchStub = buildSequenceFetchStub([delayedResponse]);
+    const cache = new ProfileCache({ fetch: fetchStub });
+    const controller = new AbortController();
+
+    const aborted = cache.fetchJson(profilesListPath, { signal: controller.signal });
+    const shared = cache.fetchJson(profilesListPath);
+    await waitForCall(fetchStub);
+    controller.abort();
+    await expect(aborted).rejects.toBeInstanceOf(ProfileAbortError);
+    await expect(shared).resolves.toEqual(files[profilesListPath]);
+    expect(fetchStub).toHaveBeenCalledTimes(1);
+    expect(fetchStub.mock.calls[0][1].signal.aborted).toBe(false);
+  });
+
+  test('Requests made after a shared download is aborted start a new download', async () => {
+    const fetchStub = buildSequenceFetchStub(['stall', okResponse]);
+    const cache = new ProfileCache({ fetch: fetchStub });
+    const controller = new AbortController();
+
+    const aborted = cache.fetchJson(profilesListPath, { signal: controller.signal });
+    await waitForCall(fetchStub);
+    controller.abort();
+    const later = cache.fetchJson(profilesListPath);
+    await expect(aborted).rejects.toBeInstanceOf(ProfileAbortError);
+    await expect(later).resolves.toEqual(files[profilesListPath]);
+    expect(fetchStub).toHaveBeenCalledTimes(2);
+    expect(fetchStub.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+});
+
+describe('Cached fetching', () => {
+  test('fetchProfilesList uses the supplied cache', async () => {
+    const fetchStub = buildFetchStub();
+    const cache = new ProfileCache({ fetch: fetchStub });
+
+    const profilesList = await fetchProfilesList(basePath, { cache });
+    expect(profilesList).toEqual(files[profilesListPath]);
+    expect(fetchStub).toHaveBeenCalledWith(profilesListPath);
+  });
+
+  test('fetchProfile shares the cached profiles list and profile', async () => {
+    const fetchStub = buildFetchStub();
+    const cache = new ProfileCache({ fetch: fetchStub });
+    const xrInputSource = { profiles: [validProfileId], handedness: Constants.Handedness.NONE };
+
+    const first = await fetchProfile(xrInputSource, basePath, null, true, { cache });
+    const second = await fetchProfile(xrInputSource, basePath, null, true, { cache });
+    expect(first).toEqual(second);
+    expect(first.profile).toEqual(files[validProfilePath]);
+    expect(fetchStub).toHaveBeenCalledTimes(2);
+  });
+
+  test('fetchProfile checks the integrity and schema version listed for the profile', async () => {
+    const listedFiles = {
+      ...files,
+      [profilesListPath]: {
+        [validProfileId]: {
+          path: `${validProfileId}/profile.json`,
+          schemaVersion: '1.2',
+          integrity: buildIntegrity(files[validProfilePath]),
+          assetIntegrity: { 'none.glb': 'sha256-asset' }
+        }
+      }
+    };
+    const cache = new ProfileCache({ fetch: buildFetchStub(listedFiles), digest: nodeDigest });
+    const xrInputSource = { profiles: [validProfileId], handedness: Constants.Handedness.NONE };
+
+    const { profile, assetIntegrity } = await fetchProfile(
+      xrInputSource, basePath, null, true, { cache }
+    );
+    expect(profile).toEqual(files[validProfilePath]);
+    expect(assetIntegrity).toEqual('sha256-asset');
+  });
+
+  test('fetchProfile rejects a profile which does not match its integrity', async () => {
+    const integrity = buildIntegrity({ corrupted: true });
+    const listedFiles = {
+      ...files,
+      [profilesListPath]: {
+        [validProfileId]: { path: `${validProfileId}/profile.json`, integrity }
+      }
+    };
+    const cache = new ProfileCache({ fetch: buildFetchStub(listedFiles), digest: nodeDigest });
+    const xrInputSource = { profiles: [validProfileId], handedness: Constants.Handedness.NONE };
+
+    await expect(fetchProfile(xrInputSource, basePath, null, true, { cache })).rejects.toEqual(
+      new Error(`${validProfilePath} does not match its integrity metadata ${integrity}`)
+    );
+  });
+
+  test('fetchProfile rejects an incompatible schema version', async () => {
+    const listedFiles = {
+      ...files,
+      [profilesListPath]: {
+        [validProfileId]: { path: `${validProfileId}/profile.json`, schemaVersion: '2.0' }
+      }
+    };
+    const fetchStub = buildFetchStub(listedFiles);
+    const cache = new ProfileCache({ fetch: fetchStub });
+    const xrInputSource = { profiles: [validProfileId], handedness: Constants.Handedness.NONE };
+
+    const error = await fetchProfile(xrInputSource, basePath, null, true, { cache }).catch(e => e);
+    expect(error).toBeInstanceOf(ProfileSchemaError);
+    expect(error.message).toEqual(
+      `Profile ${validProfileId} uses schema version 2.0, but only version 1.x is supported`
+    );
+    expect(error).toMatchObject({
+      path: validProfilePath, profileId: validProfileId, schemaVersion: '2.0', supportedVersion: 1
+    });
+    expect(fetchStub).not.toHaveBeenCalledWith(validProfilePath);
+  });
+
+  test('fetchProfile does not check the integrity of bundled and loaded profiles', async () => {
+    const integrity = buildIntegrity({ corrupted: true });
+    const bundledFiles = {
+      'profilesList.json': {
+        [validProfileId]: {
+          path: `${validProfileId}/profile.json`,
+          integrity,
+          assetIntegrity: { 'none.glb': integrity }
+        }
+      },
+      [`${validProfileId}/profile.json`]: files[validProfilePath]
+    };
+    const digest = jest.fn(nodeDigest);
+    const cache = new ProfileCache({ fetch: buildFetchStub(), digest });
+    const xrInputSource = { profiles: [validProfileId], handedness: Constants.Handedness.NONE };
+
+    const bundled = await fetchProfile(
+      xrInputSource, { files: bundledFiles }, null, true, { cache }
+    );
+    expect(bundled.profile).toEqual(files[validProfilePath]);
+    expect(bundled.assetIntegrity).toEqual(integrity);
+
+    const loaded = await fetchProfile(
+      xrInputSource, relativePath => bundledFiles[relativePath], null, true, { cache }
+    );
+    expect(loaded.profile).toEqual(files[validProfilePath]);
+    expect(loaded.assetIntegrity).toEqual(integrity);
+    expect(digest).not.toHaveBeenCalled();
+  });
+});
@@ -1,5 +1,10 @@
-import { fetchProfile, fetchProfilesList } from '../profiles';
+import {
+  fetchProfile, fetchProfilesList, findLayoutHandedness, defaultProfileCache
+} from '../profiles';
 import { Constants } from '../constants';
+import {
+  NoMatchingProfileError, ProfileAbortError, ProfileHttpError, ProfileNetworkError
+} from '../profileErrors';
 
 const fetchMock = require('fetch-mock');
 
@@ -31,7 +36,10 @@ function buildXRInputSource(profiles = [], handedness = Constants.Handedness.NON
   return xrInputSource;
 }
 
-afterEach(fetchMock.reset);
+afterEach(async () => {
+  fetchMock.reset();
+  await defaultProfileCache.clear();
+});
 
 describe('fetchProfilesList', () => {
   test('Successfully fetch profilesList', async () => {
@@ -41,6 +49,16 @@ describe('fetchProfilesList', () => {
     expect(fetchedProfilesList).toEqual(profilesList);
   });
 
+  test('List profiles without assets alongside the other profiles', async () => {
+    const fallbackProfiles = { 'vendor-assetless': { fallbackProfileIds: [validProfileId] } };
+    fetchMock.getOnce(profilesListPath, {
+      status: 200, body: { ...profilesList, fallbackProfiles }
+    });
+
+    const fetchedProfilesList = await fetchProfilesList(basePath);
+    expect(fetchedProfilesList).toEqual({ ...profilesList, ...fallbackProfiles });
+  });
+
   test('Bad arguments', async () => {
     await expect(fetchProfilesList(null))
       .rejects.toEqual(new Error('No basePath supplied'));
@@ -50,6 +68,28 @@ describe('fetchProfilesList', () => {
   });
 });
 
+describe('findLayoutHandedness', () => {
+  const leftRightProfile = { layouts: { left: {}, right: {} } };
+  const allProfile = { layouts: { none: {}, left: {}, right: {} } };
+
+  test('Matches the reported handedness', () => {
+    expect(findLayoutHandedness(allProfile, Constants.Handedness.NONE)).toEqual('none');
+    expect(findLayoutHandedness(allProfile, Constants.Handedness.LEFT)).toEqual('left');
+    expect(findLayoutHandedness(leftRightProfile, Constants.Handedness.RIGHT)).toEqual('right');
+  });
+
+  test('Falls back from none and any', () => {
+    expect(findLayoutHandedness(leftRightProfile, Constants.Handedness.NONE)).toEqual('left');
+    expect(findLayoutHandedness(leftRightProfile, 'any')).toEqual('left');
+    expect(findLayoutHandedness(allProfile, 'any')).toEqual('none');
+  });
+
+  test('Does not match left or right to another layout', () => {
+    expect(findLayoutHandedness(validProfile, Constants.Handedness.LEFT)).toBeUndefined();
+    expect(findLayoutHandedness(validProfile, 'made up handedness')).toBeUndefined();
+  });
+});
+
 describe('fetchProfile', () => {
   test('Bad arguments', async () => {
     const xrInputSource = buildXRInputSource();
@@ -168,4 +208,330 @@ describe('fetchProfile', () => {
     await expect(fetchProfile(xrInputSource, basePath))
       .rejects.toEqual(new Error(`No matching handedness, left, in profile ${validProfileId}`));
   });
+
+  test('Successfully fetch the left asset for an input source reporting none', async () => {
+    const xrInputSource = buildXRInputSource([validProfileId], Constants.Handedness.NONE);
+    const leftRightProfile = {
+      layouts: { left: { assetPath: 'left.glb' }, right: { assetPath: 'right.glb' } }
+    };
+    fetchMock.getOnce(profilesListPath, { status: 200, body: profilesList });
+    fetchMock.getOnce(validProfilePath, { status: 200, body: leftRightProfile });
+
+    const { assetPath } = await fetchProfile(xrInputSource, basePath);
+    expect(assetPath).toEqual(`${basePath}/${validProfileId}/left.glb`);
+  });
+
+  describe('Fallback profile ids', () => {
+    const assetlessProfileId = 'vendor-assetless';
+    const otherAssetlessProfileId = 'vendor-other-assetless';
+
+    test('Successfully fetch a fallback profile for a profile without assets', async () => {
+      const xrInputSource = buildXRInputSource([assetlessProfileId]);
+      const fallbackProfilesList = {
+        ...profilesList,
+        [assetlessProfileId]: { fallbackProfileIds: ['made up profile id', validProfileId] }
+      };
+      fetchMock.getOnce(profilesListPath, { status: 200, body: fallbackProfilesList });
+      fetchMock.getOnce(validProfilePath, { status: 200, body: validProfile });
+
+      const { profile, assetPath, resolutionPath } = await fetchProfile(xrInputSource, basePath);
+      expect(profile).toEqual(validProfile);
+      expect(assetPath).toEqual(`${basePath}/${validProfileId}/${validAssetPath}`);
+      expect(resolutionPath).toEqual([assetlessProfileId, validProfileId]);
+    });
+
+    test('Successfully fetch a fallback profile for a profile listed under fallbackProfiles', async () => {
+      const xrInputSource = buildXRInputSource([assetlessProfileId]);
+      const fallbackProfilesList = {
+        ...profilesList,
+        fallbackProfiles: {
+          [assetlessProfileId]: { fallbackProfileIds: [otherAssetlessProfileId] },
+          [otherAssetlessProfileId]: { fallbackProfileIds: [validProfileId] }
+        }
+      };
+      fetchMock.getOnce(profilesListPath, { status: 200, body: fallbackProfilesList });
+      fetchMock.getOnce(validProfilePath, { status: 200, body: validProfile });
+
+      const { profile, resolutionPath } = await fetchProfile(xrInputSource, basePath);
+      expect(profile).toEqual(validProfile);
+      expect(resolutionPath).toEqual([assetlessProfileId, otherAssetlessProfileId, validProfileId]);
+    });
+
+    test('Successfully walk a multi-level fallback chain', async () => {
+      const xrInputSource = buildXRInputSource([assetlessProfileId]);
+      const fallbackProfilesList = {
+        ...profilesList,
+        [assetlessProfileId]: { fallbackProfileIds: [otherAssetlessProfileId] },
+        [otherAssetlessProfileId]: { fallbackProfileIds: [validProfileId] }
+      };
+      fetchMock.getOnce(profilesListPath, { status: 200, body: fallbackProfilesList });
+      fetchMock.getOnce(validProfilePath, { status: 200, body: validProfile });
+
+      const { resolutionPath } = await fetchProfile(xrInputSource, basePath);
+      expect(resolutionPath).toEqual([assetlessProfileId, otherAssetlessProfileId, validProfileId]);
+    });
+
+    test('Successfully resolve the default profile through its fallbacks', async () => {
+      const xrInputSource = buildXRInputSource(['made up profile id']);
+      const fallbackProfilesList = {
+        ...profilesList,
+        [assetlessProfileId]: { fallbackProfileIds: [validProfileId] }
+      };
+      fetchMock.getOnce(profilesListPath, { status: 200, body: fallbackProfilesList });
+      fetchMock.getOnce(validProfilePath, { status: 200, body: validProfile });
+
+      const { resolutionPath } = await fetchProfile(xrInputSource, basePath, assetlessProfileId);
+      expect(resolutionPath).toEqual([assetlessProfileId, validProfileId]);
+    });
+
+    test('Report the directly matched profile as the resolution path', async () => {
+      const xrInputSource = buildXRInputSource([validProfileId]);
+      fetchMock.getOnce(profilesListPath, { status: 200, body: profilesList });
+      fetchMock.getOnce(validProfilePath, { status: 200, body: validProfile });
+
+      const { resolutionPath } = await fetchProfile(xrInputSource, basePath);
+      expect(resolutionPath).toEqual([validProfileId]);
+    });
+
+    test('Fail to fetch when fallback profile ids form a cycle', async () => {
+      const xrInputSource = buildXRInputSource([assetlessProfileId]);
+      const cyclicProfilesList = {
+        ...profilesList,
+        [assetlessProfileId]: { fallbackProfileIds: [otherAssetlessProfileId] },
+        [otherAssetlessProfileId]: { fallbackProfileIds: [assetlessProfileId] }
+      };
+      fetchMock.getOnce(profilesListPath, { status: 200, body: cyclicProfilesList });
+
+      await expect(fetchProfile(xrInputSource, basePath))
+        .rejects.toEqual(new Error('No matching profile name found'));
+    });
+
+    test('Skip a cycle and continue to later profiles', async () => {
+      const xrInputSource = buildXRInputSource([assetlessProfileId, validProfileId]);
+      const cyclicProfilesList = {
+        ...profilesList,
+        [assetlessProfileId]: { fallbackProfileIds: [assetlessProfileId] }
+      };
+      fetchMock.getOnce(profilesListPath, { status: 200, body: cyclicProfilesList });
+      fetchMock.getOnce(validProfilePath, { status: 200, body: validProfile });
+
+      const { resolutionPath } = await fetchProfile(xrInputSource, basePath);
+      expect(resolutionPath).toEqual([validProfileId]);
+    });
+  });
+});
+
+describe('Profile bundles', () => {
+  const bundle = {
+    files: {
+      'profilesList.json': profilesList,
+      [`${validProfileId}/profile.json`]: validProfile
+    }
+  };
+
+  test('Successfully fetch profilesList from a bundle', async () => {
+    const fetchedProfilesList = await fetchProfilesList(bundle);
+    expect(fetchedProfilesList).toEqual(profilesList);
+    expect(fetchMock.called()).toBe(false);
+  });
+
+  test('Successfully fetch profile from a bundle without fetching', async () => {
+    const xrInputSource = buildXRInputSource([validProfileId]);
+
+    const { profile, assetPath } = await fetchProfile(xrInputSource, bundle);
+    expect(profile).toEqual(validProfile);
+    expect(assetPath).toEqual(`${validProfileId}/${validAssetPath}`);
+    expect(fetchMock.called()).toBe(false);
+  });
+
+  test('Resolve asset paths relative to the bundle basePath', async () => {
+    const xrInputSource = buildXRInputSource([validProfileId]);
+
+    const { assetPath } = await fetchProfile(xrInputSource, { ...bundle, basePath });
+    expect(assetPath).toEqual(`${basePath}/${validProfileId}/${validAssetPath}`);
+  });
+
+  test('Returned profiles can be modified without changing the bundle', async () => {
+    const xrInputSource = buildXRInputSource([validProfileId]);
+
+    const { profile } = await fetchProfile(xrInputSource, bundle);
+    Object.assign(profile, { profileId: 'changed' });
+    expect(bundle.files[`${validProfileId}/profile.json`]).toEqual(validProfile);
+  });
+
+  test('Fail to fetch a profile missing from the bundle', async () => {
+    const xrInputSource = buildXRInputSource([validProfileId]);
+    const incompleteBundle = { files: { 'profilesList.json': profilesList } };
+
+    await expect(fetchProfile(xrInputSource, incompleteBundle))
+      .rejects.toEqual(new Error(`${validProfileId}/profile.json is not in the profile bundle`));
+  });
+
+  test('Fail to use a bundle without files', async () => {
+    await expect(fetchProfilesList(/** @type {any} */ ({})))
+      .rejects.toEqual(new Error('Profile bundle has no files'));
+  });
+});
+
+describe('Multiple profile sources', () => {
+  const customProfileId = 'acme-wand';
+  const customProfile = {
+    profileId: customProfileId,
+    layouts: { none: { assetPath: 'wand.glb' } }
+  };
+  const customBundle = {
+    files: {
+      'profilesList.json': {
+        [customProfileId]: { path: `${customProfileId}/profile.json` },
+        [validProfileId]: { path: `${customProfileId}/profile.json` }
+      },
+      [`${customProfileId}/profile.json`]: customProfile
+    },
+    basePath: 'custom'
+  };
+
+  test('Merge the profile lists, preferring earlier sources', async () => {
+    fetchMock.getOnce(profilesListPath, { status: 200, body: profilesList });
+    const conflicts = [];
+
+    const fetchedProfilesList = await fetchProfilesList([customBundle, basePath], { conflicts });
+    expect(fetchedProfilesList).toEqual(customBundle.files['profilesList.json']);
+    expect(conflicts).toEqual([
+      { profileId: validProfileId, sourceIndex: 0, overriddenSourceIndices: [1] }
+    ]);
+  });
+
+  test('Fetch the profile and asset from the source that listed it', async () => {
+    fetchMock.getOnce(profilesListPath, { status: 200, body: profilesList });
+    fetchMock.getOnce(validProfilePath, { status: 200, body: validProfile });
+    const customOnlyBundle = {
+      ...customBundle,
+      files: {
+        ...customBundle.files,
+        'profilesList.json': { [customProfileId]: { path: `${customProfileId}/profile.json` } }
+      }
+    };
+
+    const custom = await fetchProfile(
+      buildXRInputSource([customProfileId]), [customOnlyBundle, basePath]
+    );
+    expect(custom.profile).toEqual(customProfile);
+    expect(custom.assetPath).toEqual(`custom/${customProfileId}/wand.glb`);
+
+    const generic = await fetchProfile(
+      buildXRInputSource([validProfileId]), [customOnlyBundle, basePath]
+    );
+    expect(generic.profile).toEqual(validProfile);
+    expect(generic.assetPath).toEqual(`${basePath}/${validProfileId}/${validAssetPath}`);
+  });
+
+  test('Earlier sources override the same profile id', async () => {
+    fetchMock.getOnce(profilesListPath, { status: 200, body: profilesList });
+
+    const { profile, assetPath } = await fetchProfile(
+      buildXRInputSource([validProfileId]), [customBundle, basePath]
+    );
+    expect(profile).toEqual(customProfile);
+    expect(assetPath).toEqual(`custom/${customProfileId}/wand.glb`);
+    expect(fetchMock.called(validProfilePath)).toBe(false);
+  });
+
+  test('Fall back from one source to a profile in another', async () => {
+    fetchMock.getOnce(profilesListPath, { status: 200, body: profilesList });
+    fetchMock.getOnce(validProfilePath, { status: 200, body: validProfile });
+    const fallbackBundle = {
+      files: {
+        'profilesList.json': { [customProfileId]: { fallbackProfileIds: [validProfileId] } }
+      }
+    };
+
+    const { profile, resolutionPath } = await fetchProfile(
+      buildXRInputSource([customProfileId]), [fallbackBundle, basePath]
+    );
+    expect(profile).toEqual(validProfile);
+    expect(resolutionPath).toEqual([customProfileId, validProfileId]);
+  });
+
+  test('Load files and resolve assets with a loader function', async () => {
+    const loader = jest.fn(relativePath => customBundle.files[relativePath]);
+
+    const { profile, assetPath } = await fetchProfile(
+      buildXRInputSource([customProfileId]), [loader]
+    );
+    expect(profile).toEqual(customProfile);
+    expect(assetPath).toEqual(`${customProfileId}/wand.glb`);
+    expect(loader).toHaveBeenCalledWith('profilesList.json', { signal: undefined });
+  });
+
+  test('Resolve assets with a bundle resolvePath function', async () => {
+    const resolvePath = relativePath => `blob:${relativePath}`;
+
+    const { assetPath } = await fetchProfile(
+      buildXRInputSource([customProfileId]), { ...customBundle, resolvePath }
+    );
+    expect(assetPath).toEqual(`blob:${customProfileId}/wand.glb`);
+  });
+
+  test('Fail when a loader function does not find a file', async () => {
+    await expect(fetchProfilesList(() => undefined))
+      .rejects.toEqual(new Error('profilesList.json was not found by the profile loader'));
+  });
+
+  test('Fail when no sources are supplied', async () => {
+    await expect(fetchProfilesList([]))
+      .rejects.toEqual(new Error('No basePath supplied'));
+  });
+});
+
+describe('Fetch errors and cancellation', () => {
+  test('Reject unmatched profile ids with a NoMatchingProfileError', async () => {
+    fetchMock.getOnce(profilesListPath, { status: 200, body: profilesList });
+    const xrInputSource = buildXRInputSource(['unknown-profile']);
+
+    const error = await fetchProfile(xrInputSource, basePath, 'other-profile').catch(e => e);
+    expect(error).toBeInstanceOf(NoMatchingProfileError);
+    expect(error.profileIds).toEqual(['unknown-profile', 'other-profile']);
+  });
+
+  test('Distinguish network failures from HTTP status failures', async () => {
+    fetchMock.getOnce(profilesListPath, { throws: new TypeError('Failed to fetch') });
+    await expect(fetchProfilesList(basePath)).rejects.toBeInstanceOf(ProfileNetworkError);
+
+    fetchMock.getOnce(profilesListPath, 404, { overwriteRoutes: true });
+    const error = await fetchProfilesList(basePath).catch(e => e);
+    expect(error).toBeInstanceOf(ProfileHttpError);
+    expect(error.status).toEqual(404);
+  });
+
+  test('Retry failed downloads with the supplied options', async () => {
+    fetchMock.get(profilesListPath, 503, { repeat: 1 });
+    const okResponse = { status: 200, body: profilesList };
+    fetchMock.get(profilesListPath, okResponse, { overwriteRoutes: false });
+
+    const fetchedProfilesList = await fetchProfilesList(basePath, { retries: 1, retryDelay: 1 });
+    expect(fetchedProfilesList).toEqual(profilesList);
+    expect(fetchMock.calls(profilesListPath)).toHaveLength(2);
+  });
+
+  test('Abort fetching a profile', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const xrInputSource = buildXRInputSource([validProfileId]);
+
+    await expect(fetchProfile(xrInputSource, basePath, null, true, { signal: controller.signal }))
+      .rejects.toBeInstanceOf(ProfileAbortError);
+    expect(fetchMock.called()).toBe(false);
+  });
+
+  test('Pass the signal to loader functions', async () => {
+    const controller = new AbortController();
+    const loader = jest.fn(() => {
+      controller.abort();
+      return profilesList;
+    });
+
+    await expect(fetchProfilesList(loader, { signal: controller.signal }))
+      .rejects.toBeInstanceOf(ProfileAbortError);
+    expect(loader).toHaveBeenCalledWith('profilesList.json', { signal: controller.signal });
+  });
 });
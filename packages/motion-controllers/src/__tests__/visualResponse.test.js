@@ -18,6 +18,17 @@ describe('Construction tests', () => {
       const visualResponses = new VisualResponse({});
     }).toThrow();
   });
+
+  test('Fail to construct visual response with a legacy componentProperty', () => {
+    expect(() => {
+      // eslint-disable-next-line no-unused-vars
+      const visualResponses = new VisualResponse({
+        componentProperty: 'x-axis',
+        states: [Constants.ComponentState.DEFAULT],
+        valueNodeProperty: Constants.VisualResponseProperty.TRANSFORM
+      });
+    }).toThrow('Unexpected visualResponse componentProperty x-axis');
+  });
 });
 
 describe('Weighting tests', () => {
@@ -119,6 +130,21 @@ describe('Weighting tests', () => {
   });
   /* eslint-enable */
 
+  test('zAxis value', () => {
+    const responseDescription = {
+      componentProperty: Constants.ComponentProperty.Z_AXIS,
+      states: [Constants.ComponentState.DEFAULT, Constants.ComponentState.TOUCHED],
+      valueNodeProperty: Constants.VisualResponseProperty.TRANSFORM
+    };
+    const visualResponse = new VisualResponse(responseDescription);
+
+    visualResponse.updateFromComponent({ state: Constants.ComponentState.TOUCHED, zAxis: 0.5 });
+    expect(visualResponse.value).toEqual(0.75);
+
+    visualResponse.updateFromComponent({ state: Constants.ComponentState.DEFAULT, zAxis: -1 });
+    expect(visualResponse.value).toEqual(0);
+  });
+
   test('state for visibility property', () => {
     const componentValues = {
       state: Constants.ComponentState.DEFAULT
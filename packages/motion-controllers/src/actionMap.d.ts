@@ -0,0 +1,66 @@
+import { Component } from './component';
+import { Constants } from './constants';
+import { DispatchedEvent, EventDispatcher } from './eventDispatcher';
+import { MotionController } from './motionController';
+
+export interface ActionBinding {
+  componentId?: string;
+  componentType?: Constants.ComponentType;
+  select?: boolean;
+  property?: Constants.ComponentProperty;
+  state?: Constants.ComponentState;
+}
+
+export interface ActionDescription {
+  type: Constants.ActionType;
+  bindings?: ActionBinding[];
+}
+
+export type ActionValue = boolean | number | { x: number; y: number };
+
+export interface ActionEvent extends DispatchedEvent {
+  readonly type: Constants.ActionEvent;
+  readonly action: string;
+  readonly component: Component;
+  readonly previousValue: ActionValue;
+  readonly value: ActionValue;
+}
+
+export class Action {
+  constructor(name: string, actionDescription: ActionDescription);
+
+  readonly name: string;
+  readonly type: Constants.ActionType;
+  readonly bindings: ActionBinding[];
+  readonly component: Component | null;
+  readonly binding: ActionBinding | null;
+  readonly lastValue: ActionValue;
+
+  get isBound(): boolean;
+  get value(): ActionValue;
+
+  static getAxisProperty(component: Component, binding: ActionBinding): string | undefined;
+  canBindTo(component: Component, binding: ActionBinding): boolean;
+  bind(motionController: MotionController, bindings?: ActionBinding[]): void;
+  valuesDiffer(a: ActionValue, b: ActionValue): boolean;
+}
+
+export class ActionMap extends EventDispatcher {
+  constructor(
+    motionController: MotionController,
+    actionDescriptions: { [name: string]: ActionDescription },
+    options?: {
+      profileBindings?: { [profileId: string]: { [name: string]: ActionBinding[] } };
+    }
+  );
+
+  readonly motionController: MotionController;
+  readonly actions: { [name: string]: Action };
+
+  bind(): void;
+  getValue(name: string): ActionValue;
+  dispose(): void;
+  onComponentEvent(event: DispatchedEvent): void;
+  onLayoutChange(): void;
+  updateAction(action: Action): void;
+}
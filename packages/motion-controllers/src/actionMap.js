@@ -0,0 +1,303 @@
+import { Constants } from './constants';
+import { EventDispatcher } from './eventDispatcher';
+
+/**
+ * @description Finds the component a binding refers to, if it exists in the motion controller
+ * @param {Object} motionController - The motion controller whose components are searched
+ * @param {Object} binding - The binding to resolve
+ * @param {string} binding.componentId - Binds to the component with this id
+ * @param {string} binding.componentType - Binds to the first component of this type
+ * @param {boolean} binding.select - Binds to the layout's selectComponentId
+ */
+function findBoundComponent(motionController, { componentId, componentType, select }) {
+  const { components, layoutDescription } = motionController;
+  if (componentId) {
+    return components[componentId];
+  }
+
+  if (select) {
+    return components[layoutDescription.selectComponentId];
+  }
+
+  if (componentType) {
+    return Object.values(components).find(component => component.type === componentType);
+  }
+
+  return undefined;
+}
+
+/**
+ * A single named action whose value is derived from one of a motion controller's components
+ */
+class Action {
+  /**
+   * @param {string} name - The name of the action
+   * @param {Object} actionDescription - Description of the action to be created
+   * @param {string} actionDescription.type - The Constants.ActionType of the action's value
+   * @param {Object[]} actionDescription.bindings - Bindings to try, in priority order
+   */
+  constructor(name, actionDescription) {
+    if (!name || !actionDescription) {
+      throw new Error('Invalid arguments supplied');
+    }
+
+    if (!Object.values(Constants.ActionType).includes(actionDescription.type)) {
+      throw new Error(`Action ${name} has unknown type ${actionDescription.type}`);
+    }
+
+    this.name = name;
+    this.type = actionDescription.type;
+    this.bindings = actionDescription.bindings || [];
+    this.component = null;
+    this.binding = null;
+    this.lastValue = this.value;
+  }
+
+  get isBound() {
+    return !!this.component;
+  }
+
+  /**
+   * @description Returns the component property from which an axis value is read, or undefined if
+   * the component does not report the property
+   * @param {Object} component - The bound, or candidate, component
+   * @param {Object} binding - The bound, or candidate, binding
+   */
+  static getAxisProperty(component, binding) {
+    const candidates = binding.property ? [binding.property] : [
+      Constants.ComponentProperty.BUTTON,
+      Constants.ComponentProperty.X_AXIS,
+      Constants.ComponentProperty.Y_AXIS,
+      Constants.ComponentProperty.Z_AXIS
+    ];
+    return candidates.find(property => component.values[property] !== undefined);
+  }
+
+  /**
+   * @description Indicates if the component can supply a value of the action's type
+   * @param {Object} component - The candidate component
+   * @param {Object} binding - The candidate binding
+   */
+  canBindTo(component, binding) {
+    switch (this.type) {
+      case Constants.ActionType.AXIS_1D:
+        return Action.getAxisProperty(component, binding) !== undefined;
+      case Constants.ActionType.AXIS_2D:
+        return component.values.xAxis !== undefined && component.values.yAxis !== undefined;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * @description Binds the action to the component referred to by the first usable binding
+   * @param {Object} motionController - The motion controller whose components are bound
+   * @param {Object[]} bindings - The bindings to try, in priority order
+   */
+  bind(motionController, bindings = this.bindings) {
+    this.component = null;
+    this.binding = null;
+
+    bindings.some((binding) => {
+      const component = findBoundComponent(motionController, binding);
+      if (component && this.canBindTo(component, binding)) {
+        this.component = component;
+        this.binding = binding;
+      }
+      return this.isBound;
+    });
+
+    this.lastValue = this.value;
+  }
+
+  /**
+   * @description The action's current value. Boolean actions are true while the bound component
+   * is pressed, or touched if the binding's state is 'touched'. 1D actions are a number and 2D
+   * actions are an object with x and y properties. Unbound actions report a default value.
+   */
+  get value() {
+    const values = this.component ? this.component.values : null;
+    switch (this.type) {
+      case Constants.ActionType.BOOLEAN: {
+        if (!values) {
+          return false;
+        }
+
+        if (this.binding.state === Constants.ComponentState.TOUCHED) {
+          return values.state !== Constants.ComponentState.DEFAULT;
+        }
+        return values.state === Constants.ComponentState.PRESSED;
+      }
+      case Constants.ActionType.AXIS_1D: {
+        if (!values) {
+          return 0;
+        }
+
+        const property = Action.getAxisProperty(this.component, this.binding);
+        return values[property];
+      }
+      default:
+        return {
+          x: values ? values.xAxis : 0,
+          y: values ? values.yAxis : 0
+        };
+    }
+  }
+
+  /**
+   * @description Indicates if the supplied values differ
+   * @param {boolean|number|Object} a - A value of this action's type
+   * @param {boolean|number|Object} b - A value of this action's type
+   */
+  valuesDiffer(a, b) {
+    if (this.type === Constants.ActionType.AXIS_2D) {
+      return a.x !== b.x || a.y !== b.y;
+    }
+    return a !== b;
+  }
+}
+
+/**
+ * @description Maps named actions such as "teleport" or "grab" onto the components of a
+ * MotionController. Each action lists bindings in priority order, and is bound to the first one
+ * that matches a component able to supply the action's type of value. Bindings can be overridden
+ * for specific profile ids. Events are dispatched as the bound components change.
+ */
+class ActionMap extends EventDispatcher {
+  /**
+   * @param {Object} motionController - The MotionController whose components are bound
+   * @param {Object} actionDescriptions - Action descriptions keyed by action name
+   * @param {Object} options
+   * @param {Object} options.profileBindings - Replacement bindings keyed by profile id, then by
+   * action name
+   */
+  constructor(motionController, actionDescriptions, { profileBindings = {} } = {}) {
+    super();
+
+    if (!motionController) {
+      throw new Error('No motionController supplied');
+    }
+
+    if (!actionDescriptions) {
+      throw new Error('No actionDescriptions supplied');
+    }
+
+    this.motionController = motionController;
+    this.profileBindings = profileBindings;
+
+    this.actions = {};
+    Object.keys(actionDescriptions).forEach((name) => {
+      this.actions[name] = new Action(name, actionDescriptions[name]);
+    });
+
+    this.bind();
+
+    // Update actions as the motion controller's components change
+    this.onComponentEvent = this.onComponentEvent.bind(this);
+    Object.values(Constants.ComponentEvent).forEach((eventType) => {
+      this.motionController.addEventListener(eventType, this.onComponentEvent);
+    });
+
+    // Rebind actions if the motion controller's components are replaced
+    this.onLayoutChange = this.onLayoutChange.bind(this);
+    this.motionController.addEventListener(
+      Constants.MotionControllerEvent.LAYOUT_CHANGE, this.onLayoutChange
+    );
+  }
+
+  /**
+   * @description Binds each action to the motion controller's components, preferring any bindings
+   * supplied for the motion controller's profile id
+   */
+  bind() {
+    const overrides = this.profileBindings[this.motionController.id] || {};
+    Object.values(this.actions).forEach((action) => {
+      action.bind(this.motionController, overrides[action.name] || action.bindings);
+    });
+  }
+
+  /**
+   * @description Returns the current value of the named action
+   * @param {string} name - The name of the action
+   */
+  getValue(name) {
+    const action = this.actions[name];
+    if (!action) {
+      throw new Error(`No action named ${name}`);
+    }
+    return action.value;
+  }
+
+  /**
+   * @description Stops listening to the motion controller
+   */
+  dispose() {
+    Object.values(Constants.ComponentEvent).forEach((eventType) => {
+      this.motionController.removeEventListener(eventType, this.onComponentEvent);
+    });
+    this.motionController.removeEventListener(
+      Constants.MotionControllerEvent.LAYOUT_CHANGE, this.onLayoutChange
+    );
+  }
+
+  /**
+   * @description Rebinds each action to the motion controller's new components, dispatching events
+   * for any action whose value differs from its value before the layout changed
+   */
+  onLayoutChange() {
+    const previousValues = Object.values(this.actions).map(action => action.lastValue);
+    this.bind();
+    Object.values(this.actions).forEach((action, index) => {
+      /* eslint-disable no-param-reassign */
+      action.lastValue = previousValues[index];
+      /* eslint-enable */
+      this.updateAction(action);
+    });
+  }
+
+  /**
+   * @description Updates each action bound to the component which dispatched the event
+   * @param {Object} event - The component event
+   */
+  onComponentEvent(event) {
+    Object.values(this.actions).forEach((action) => {
+      if (action.component === event.component) {
+        this.updateAction(action);
+      }
+    });
+  }
+
+  /**
+   * @description Dispatches events if the action's value has changed since it was last updated
+   * @param {Action} action - The action to update
+   */
+  updateAction(action) {
+    const previousValue = action.lastValue;
+    const { value } = action;
+    if (!action.valuesDiffer(previousValue, value)) {
+      return;
+    }
+
+    /* eslint-disable no-param-reassign */
+    action.lastValue = value;
+    /* eslint-enable */
+
+    const eventTypes = [];
+    if (action.type === Constants.ActionType.BOOLEAN) {
+      eventTypes.push(value ? Constants.ActionEvent.START : Constants.ActionEvent.END);
+    }
+    eventTypes.push(Constants.ActionEvent.CHANGE);
+
+    eventTypes.forEach((type) => {
+      this.dispatchEvent({
+        type,
+        action: action.name,
+        component: action.component,
+        previousValue,
+        value
+      });
+    });
+  }
+}
+
+export { Action, ActionMap };
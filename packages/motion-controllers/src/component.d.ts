@@ -1,23 +1,63 @@
 import { Constants } from './constants';
+import { DispatchedEvent, EventDispatcher } from './eventDispatcher';
+import { InputProcessor } from './inputProcessor';
 import { VisualResponse } from './visualResponse';
 
-export class Component {
+export interface ComponentValues {
+  state: Constants.ComponentState;
+  button?: number;
+  xAxis?: number;
+  yAxis?: number;
+  zAxis?: number;
+}
+
+export interface ComponentEvent extends DispatchedEvent {
+  readonly type: Constants.ComponentEvent;
+  readonly component: Component;
+  readonly previousValues: ComponentValues;
+  readonly values: ComponentValues;
+}
+
+export class Component extends EventDispatcher {
   constructor(componentId: string, componentDescription: object);
 
   readonly id: string;
   readonly type: Constants.ComponentType;
   readonly rootNodeName: string;
   readonly touchPointNodeName: string;
+  readonly inputProcessor: InputProcessor;
 
   readonly visualResponses: { [key: string]: VisualResponse };
-  readonly gamepadIndices: { button: number; xAxis: number; yAxis: number };
-  readonly values: { 
-    state: Constants.ComponentState; 
-    button?: number; 
-    xAxis?: number; 
-    yAxis?: number };
+  readonly gamepadIndices: { button: number; xAxis: number; yAxis: number; zAxis?: number };
+  readonly values: ComponentValues;
 
   get data(): object;
 
+  applyDescription(componentDescription: object): void;
   updateFromGamepad(gamepad: Gamepad): void;
+  getChangeEventTypes(previousValues: ComponentValues): Constants.ComponentEvent[];
+}
+
+export interface RegionDescription {
+  startAngle?: number;
+  endAngle?: number;
+  minRadius?: number;
+  maxRadius?: number;
+  rootNodeName?: string;
+  visualResponses?: object;
+}
+
+export class TouchpadRegion extends Component {
+  constructor(componentId: string, regionDescription: RegionDescription, parentComponent: Component);
+
+  readonly parentComponent: Component;
+  readonly startAngle?: number;
+  readonly endAngle?: number;
+  readonly minRadius: number;
+  readonly maxRadius: number;
+
+  applyRegionDescription(regionDescription: RegionDescription, parentComponent: Component): void;
+  applyRegionBounds(regionDescription: RegionDescription, parentComponent: Component): void;
+  contains(xAxis: number, yAxis: number): boolean;
+  updateFromGamepad(gamepad?: Gamepad): void;
 }
@@ -1,25 +1,79 @@
 import { Constants } from './constants';
-import { VisualResponse } from './visualResponse';
+import { EventDispatcher } from './eventDispatcher';
+import { InputProcessor } from './inputProcessor';
+import { VisualResponse, normalizeAxes } from './visualResponse';
 
-class Component {
+/**
+ * @description Clamps an axis value reported by the Gamepad API to the range -1 to 1
+ * @param {number} value - The reported axis value
+ */
+function clampAxis(value) {
+  return Math.min(Math.max(value, -1), 1);
+}
+
+/**
+ * @description Component types which measure the position of a finger rather than being actuated
+ * by it, so are never pressed
+ * @constant {string[]}
+ */
+const UnpressableTypes = [Constants.ComponentType.FINGER_CURL, Constants.ComponentType.PROXIMITY];
+
+/**
+ * @description Dispatches events of the supplied types describing a change in a component's values
+ * @param {Component} component - The component on which the events are dispatched
+ * @param {string[]} eventTypes - The Constants.ComponentEvent types to dispatch
+ * @param {Object} previousValues - The component's values before the most recent update
+ */
+function dispatchComponentEvents(component, eventTypes, previousValues) {
+  const values = { ...component.values };
+  eventTypes.forEach((type) => {
+    component.dispatchEvent({
+      type,
+      component,
+      previousValues,
+      values
+    });
+  });
+}
+
+class Component extends EventDispatcher {
   /**
    * @param {Object} componentId - Id of the component
    * @param {Object} componentDescription - Description of the component to be created
    */
   constructor(componentId, componentDescription) {
-    if (!componentId
-     || !componentDescription
+    super();
+
+    if (!componentId) {
+      throw new Error('Invalid arguments supplied');
+    }
+
+    this.id = componentId;
+    this.values = { state: Constants.ComponentState.DEFAULT };
+    this.applyDescription(componentDescription);
+  }
+
+  /**
+   * @description Rebuilds the component from a new description, such as when the layout it belongs
+   * to is rebound. The component keeps its listeners, and the values of any gamepad data it still
+   * reports, so changes are dispatched as events on the next update.
+   * @param {Object} componentDescription - Description of the component
+   */
+  applyDescription(componentDescription) {
+    if (!componentDescription
      || !componentDescription.visualResponses
      || !componentDescription.gamepadIndices
      || Object.keys(componentDescription.gamepadIndices).length === 0) {
       throw new Error('Invalid arguments supplied');
     }
 
-    this.id = componentId;
     this.type = componentDescription.type;
     this.rootNodeName = componentDescription.rootNodeName;
     this.touchPointNodeName = componentDescription.touchPointNodeName;
 
+    // Build the processor that applies dead zones and response curves to the gamepad data
+    this.inputProcessor = new InputProcessor(componentDescription.inputProcessing);
+
     // Build all the visual responses for this component
     this.visualResponses = {};
     Object.keys(componentDescription.visualResponses).forEach((responseName) => {
@@ -27,14 +81,22 @@ class Component {
       this.visualResponses[responseName] = visualResponse;
     });
 
-    // Set default values
+    // Set default values for gamepad data which was not previously reported
     this.gamepadIndices = Object.assign({}, componentDescription.gamepadIndices);
 
+    const getValue = (property) => {
+      if (this.gamepadIndices[property] === undefined) {
+        return undefined;
+      }
+      return (this.values[property] !== undefined) ? this.values[property] : 0;
+    };
+
     this.values = {
-      state: Constants.ComponentState.DEFAULT,
-      button: (this.gamepadIndices.button !== undefined) ? 0 : undefined,
-      xAxis: (this.gamepadIndices.xAxis !== undefined) ? 0 : undefined,
-      yAxis: (this.gamepadIndices.yAxis !== undefined) ? 0 : undefined
+      state: this.values.state,
+      button: getValue('button'),
+      xAxis: getValue('xAxis'),
+      yAxis: getValue('yAxis'),
+      zAxis: getValue('zAxis')
     };
   }
 
@@ -48,6 +110,8 @@ class Component {
    * @param {Object} gamepad - The gamepad object from which the component data should be polled
    */
   updateFromGamepad(gamepad) {
+    const previousValues = { ...this.values };
+
     // Set the state to default before processing other data sources
     this.values.state = Constants.ComponentState.DEFAULT;
 
@@ -58,39 +122,59 @@ class Component {
       this.values.button = gamepadButton.value;
       this.values.button = (this.values.button < 0) ? 0 : this.values.button;
       this.values.button = (this.values.button > 1) ? 1 : this.values.button;
+      this.values.button = this.inputProcessor.processButton(this.values.button);
 
-      // Set the state based on the button
-      if (gamepadButton.pressed || this.values.button === 1) {
+      // Set the state based on the button. Proximity sensors report a value before contact is made,
+      // so are only touched once the finger reaches them.
+      const { buttonTouchThreshold } = this.inputProcessor;
+      const touchedByValue = (this.type === Constants.ComponentType.PROXIMITY)
+        ? this.values.button === 1 : this.values.button > buttonTouchThreshold;
+      if (!UnpressableTypes.includes(this.type)
+          && (gamepadButton.pressed || this.values.button === 1)) {
         this.values.state = Constants.ComponentState.PRESSED;
-      } else if (gamepadButton.touched || this.values.button > Constants.ButtonTouchThreshold) {
+      } else if (gamepadButton.touched || touchedByValue) {
         this.values.state = Constants.ComponentState.TOUCHED;
       }
     }
 
-    // Get and normalize x axis value
-    if (this.gamepadIndices.xAxis !== undefined
-        && gamepad.axes.length > this.gamepadIndices.xAxis) {
-      this.values.xAxis = gamepad.axes[this.gamepadIndices.xAxis];
-      this.values.xAxis = (this.values.xAxis < -1) ? -1 : this.values.xAxis;
-      this.values.xAxis = (this.values.xAxis > 1) ? 1 : this.values.xAxis;
+    // Get and normalize the axes values
+    const hasXAxis = this.gamepadIndices.xAxis !== undefined
+      && gamepad.axes.length > this.gamepadIndices.xAxis;
+    const hasYAxis = this.gamepadIndices.yAxis !== undefined
+      && gamepad.axes.length > this.gamepadIndices.yAxis;
 
-      // If the state is still default, check if the xAxis makes it touched
+    if (hasXAxis || hasYAxis) {
+      const { xAxis, yAxis } = this.inputProcessor.processAxes(
+        hasXAxis ? clampAxis(gamepad.axes[this.gamepadIndices.xAxis]) : undefined,
+        hasYAxis ? clampAxis(gamepad.axes[this.gamepadIndices.yAxis]) : undefined
+      );
+
+      if (hasXAxis) {
+        this.values.xAxis = xAxis;
+      }
+
+      if (hasYAxis) {
+        this.values.yAxis = yAxis;
+      }
+
+      // If the state is still default, check if the axes make it touched
+      const { axisTouchThreshold } = this.inputProcessor;
       if (this.values.state === Constants.ComponentState.DEFAULT
-        && Math.abs(this.values.xAxis) > Constants.AxisTouchThreshold) {
+        && ((hasXAxis && Math.abs(this.values.xAxis) > axisTouchThreshold)
+         || (hasYAxis && Math.abs(this.values.yAxis) > axisTouchThreshold))) {
         this.values.state = Constants.ComponentState.TOUCHED;
       }
     }
 
-    // Get and normalize Y axis value
-    if (this.gamepadIndices.yAxis !== undefined
-        && gamepad.axes.length > this.gamepadIndices.yAxis) {
-      this.values.yAxis = gamepad.axes[this.gamepadIndices.yAxis];
-      this.values.yAxis = (this.values.yAxis < -1) ? -1 : this.values.yAxis;
-      this.values.yAxis = (this.values.yAxis > 1) ? 1 : this.values.yAxis;
+    // The z axis, such as the pressure on a touchpad, is independent of the circular x, y range
+    // so has no dead zones or response curves applied
+    if (this.gamepadIndices.zAxis !== undefined
+        && gamepad.axes.length > this.gamepadIndices.zAxis) {
+      this.values.zAxis = clampAxis(gamepad.axes[this.gamepadIndices.zAxis]);
 
-      // If the state is still default, check if the yAxis makes it touched
+      const { axisTouchThreshold } = this.inputProcessor;
       if (this.values.state === Constants.ComponentState.DEFAULT
-        && Math.abs(this.values.yAxis) > Constants.AxisTouchThreshold) {
+        && Math.abs(this.values.zAxis) > axisTouchThreshold) {
         this.values.state = Constants.ComponentState.TOUCHED;
       }
     }
@@ -99,7 +183,174 @@ class Component {
     Object.values(this.visualResponses).forEach((visualResponse) => {
       visualResponse.updateFromComponent(this.values);
     });
+
+    // Notify listeners of any changes since the previous update
+    dispatchComponentEvents(this, this.getChangeEventTypes(previousValues), previousValues);
+  }
+
+  /**
+   * @description Determines which events describe the transition from the supplied values to the
+   * component's current values. Touch events always wrap press events so that a component moving
+   * directly from default to pressed reports touchstart before pressstart.
+   * @param {Object} previousValues - The component's values before the most recent update
+   */
+  getChangeEventTypes(previousValues) {
+    const wasTouched = previousValues.state !== Constants.ComponentState.DEFAULT;
+    const isTouched = this.values.state !== Constants.ComponentState.DEFAULT;
+    const wasPressed = previousValues.state === Constants.ComponentState.PRESSED;
+    const isPressed = this.values.state === Constants.ComponentState.PRESSED;
+
+    const eventTypes = [];
+    if (!wasTouched && isTouched) {
+      eventTypes.push(Constants.ComponentEvent.TOUCH_START);
+    }
+
+    if (!wasPressed && isPressed) {
+      eventTypes.push(Constants.ComponentEvent.PRESS_START);
+    }
+
+    if (wasPressed && !isPressed) {
+      eventTypes.push(Constants.ComponentEvent.PRESS_END);
+    }
+
+    if (wasTouched && !isTouched) {
+      eventTypes.push(Constants.ComponentEvent.TOUCH_END);
+    }
+
+    if (previousValues.button !== this.values.button) {
+      eventTypes.push(Constants.ComponentEvent.VALUE_CHANGE);
+    }
+
+    if (previousValues.xAxis !== this.values.xAxis
+        || previousValues.yAxis !== this.values.yAxis
+        || previousValues.zAxis !== this.values.zAxis) {
+      eventTypes.push(Constants.ComponentEvent.AXIS_CHANGE);
+    }
+
+    return eventTypes;
+  }
+}
+
+/**
+ * @description Builds the description of the synthetic button component for a touchpad region
+ * @param {string} componentId - Id of the region's synthetic component
+ * @param {Object} regionDescription - Description of the region
+ * @param {Component} parentComponent - The touchpad component the region is part of
+ */
+function describeRegion(componentId, regionDescription, parentComponent) {
+  if (!parentComponent || parentComponent.gamepadIndices.button === undefined) {
+    throw new Error(`Region ${componentId} requires a touchpad component with a button`);
+  }
+
+  return {
+    type: Constants.ComponentType.BUTTON,
+    rootNodeName: regionDescription.rootNodeName,
+    visualResponses: regionDescription.visualResponses || {},
+    gamepadIndices: { button: parentComponent.gamepadIndices.button }
+  };
+}
+
+/**
+ * A virtual button for an area of a touchpad, such as one quadrant of a d-pad. Regions are derived
+ * from their touchpad component's values rather than from the gamepad, and are touched or pressed
+ * only while the touchpad is touched or pressed within their area.
+ */
+class TouchpadRegion extends Component {
+  /**
+   * @param {string} componentId - Id of the region's synthetic component
+   * @param {Object} regionDescription - Description of the region to be created
+   * @param {number} [regionDescription.startAngle] - The angle, in degrees clockwise from the top
+   * of the touchpad, at which the region starts. If omitted, the region covers all angles.
+   * @param {number} [regionDescription.endAngle] - The angle at which the region ends
+   * @param {number} [regionDescription.minRadius] - The fraction of the touchpad's radius at which
+   * the region starts
+   * @param {number} [regionDescription.maxRadius] - The fraction of the touchpad's radius at which
+   * the region ends
+   * @param {string} [regionDescription.rootNodeName] - The top node representing the region in
+   * the 3D asset, if it is modeled
+   * @param {Object} [regionDescription.visualResponses] - The region's visual responses
+   * @param {Component} parentComponent - The touchpad component the region is part of
+   */
+  constructor(componentId, regionDescription, parentComponent) {
+    super(componentId, describeRegion(componentId, regionDescription, parentComponent));
+    this.applyRegionBounds(regionDescription, parentComponent);
+  }
+
+  /**
+   * @description Rebuilds the region from a new description, such as when the layout it belongs to
+   * is rebound
+   * @param {Object} regionDescription - Description of the region, as accepted by the constructor
+   * @param {Component} parentComponent - The touchpad component the region is part of
+   */
+  applyRegionDescription(regionDescription, parentComponent) {
+    this.applyDescription(describeRegion(this.id, regionDescription, parentComponent));
+    this.applyRegionBounds(regionDescription, parentComponent);
+  }
+
+  /**
+   * @description Stores the area of the touchpad covered by the region
+   * @param {Object} regionDescription - Description of the region
+   * @param {Component} parentComponent - The touchpad component the region is part of
+   */
+  applyRegionBounds(regionDescription, parentComponent) {
+    this.parentComponent = parentComponent;
+    this.startAngle = regionDescription.startAngle;
+    this.endAngle = regionDescription.endAngle;
+    this.minRadius = (regionDescription.minRadius !== undefined) ? regionDescription.minRadius : 0;
+    this.maxRadius = (regionDescription.maxRadius !== undefined) ? regionDescription.maxRadius : 1;
+  }
+
+  /**
+   * @description Indicates if a touchpad position is within the region. Positions outside the
+   * touchpad's circular bounds are treated as being on its edge.
+   * @param {number} xAxis - The touchpad's x axis value in the range -1 to 1
+   * @param {number} yAxis - The touchpad's y axis value in the range -1 to 1
+   */
+  contains(xAxis, yAxis) {
+    // Shift the normalized position so the center of the touchpad is at the origin
+    const { normalizedXAxis, normalizedYAxis } = normalizeAxes(xAxis, yAxis);
+    const x = normalizedXAxis - 0.5;
+    const y = normalizedYAxis - 0.5;
+
+    const radius = Math.sqrt((x * x) + (y * y)) * 2;
+    if (radius < this.minRadius || radius > this.maxRadius) {
+      return false;
+    }
+
+    if (this.startAngle === undefined) {
+      return true;
+    }
+
+    // The Gamepad API reports the top of the touchpad as negative y
+    const angle = (((Math.atan2(x, -y) * 180) / Math.PI) + 360) % 360;
+    if (this.startAngle < this.endAngle) {
+      return angle >= this.startAngle && angle < this.endAngle;
+    }
+
+    // The region spans the top of the touchpad
+    return angle >= this.startAngle || angle < this.endAngle;
+  }
+
+  /**
+   * @description Updates the region from its touchpad component, which must already have been
+   * updated from the gamepad
+   */
+  updateFromGamepad() {
+    const previousValues = { ...this.values };
+    const {
+      state, button, xAxis, yAxis
+    } = this.parentComponent.values;
+
+    const active = state !== Constants.ComponentState.DEFAULT && this.contains(xAxis, yAxis);
+    this.values.state = active ? state : Constants.ComponentState.DEFAULT;
+    this.values.button = active ? button : 0;
+
+    Object.values(this.visualResponses).forEach((visualResponse) => {
+      visualResponse.updateFromComponent(this.values);
+    });
+
+    dispatchComponentEvents(this, this.getChangeEventTypes(previousValues), previousValues);
   }
 }
 
-export { Component };
+export { Component, TouchpadRegion };
@@ -15,6 +15,7 @@ export namespace Constants {
     BUTTON = 'button',
     X_AXIS = 'xAxis',
     Y_AXIS = 'yAxis',
+    Z_AXIS = 'zAxis',
     STATE = 'state'
   }
 
@@ -23,7 +24,82 @@ export namespace Constants {
     SQUEEZE = 'squeeze',
     TOUCHPAD = 'touchpad',
     THUMBSTICK = 'thumbstick',
-    BUTTON = 'button'
+    BUTTON = 'button',
+    FINGER_CURL = 'finger-curl',
+    FORCE_SENSOR = 'force-sensor',
+    PROXIMITY = 'proximity'
+  }
+
+  export enum ComponentEvent {
+    PRESS_START = 'pressstart',
+    PRESS_END = 'pressend',
+    TOUCH_START = 'touchstart',
+    TOUCH_END = 'touchend',
+    VALUE_CHANGE = 'valuechange',
+    AXIS_CHANGE = 'axischange'
+  }
+
+  export const enum ActionType {
+    BOOLEAN = 'boolean',
+    AXIS_1D = 'axis1d',
+    AXIS_2D = 'axis2d'
+  }
+
+  export enum ActionEvent {
+    START = 'actionstart',
+    END = 'actionend',
+    CHANGE = 'actionchange'
+  }
+
+  export enum GestureEvent {
+    TAP = 'tap',
+    DOUBLE_TAP = 'doubletap',
+    LONG_PRESS = 'longpress',
+    SWIPE = 'swipe',
+    FLICK = 'flick',
+    CIRCULAR_SCROLL = 'circularscroll',
+    DPAD_CHANGE = 'dpadchange'
+  }
+
+  export const enum GestureDirection {
+    UP = 'up',
+    UP_RIGHT = 'up-right',
+    RIGHT = 'right',
+    DOWN_RIGHT = 'down-right',
+    DOWN = 'down',
+    DOWN_LEFT = 'down-left',
+    LEFT = 'left',
+    UP_LEFT = 'up-left'
+  }
+
+  export const enum HandGesture {
+    PINCH = 'pinch',
+    GRAB = 'grab',
+    POINT = 'point'
+  }
+
+  export enum HandJoint {
+    WRIST = 'wrist',
+    THUMB_TIP = 'thumb-tip',
+    INDEX_FINGER_TIP = 'index-finger-tip',
+    MIDDLE_FINGER_TIP = 'middle-finger-tip',
+    RING_FINGER_TIP = 'ring-finger-tip',
+    PINKY_FINGER_TIP = 'pinky-finger-tip'
+  }
+
+  export const enum HapticActuatorApi {
+    HAPTIC_ACTUATORS = 'hapticActuators',
+    VIBRATION_ACTUATOR = 'vibrationActuator'
+  }
+
+  export const enum MotionControllerEvent {
+    LAYOUT_CHANGE = 'layoutchange',
+    LAYOUT_ERROR = 'layouterror'
+  }
+
+  export const enum ResponseCurve {
+    LINEAR = 'linear',
+    QUADRATIC = 'quadratic'
   }
 
   export const ButtonTouchThreshold = 0.05;
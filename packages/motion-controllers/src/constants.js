@@ -15,6 +15,7 @@ const Constants = {
     BUTTON: 'button',
     X_AXIS: 'xAxis',
     Y_AXIS: 'yAxis',
+    Z_AXIS: 'zAxis',
     STATE: 'state'
   }),
 
@@ -23,7 +24,82 @@ const Constants = {
     SQUEEZE: 'squeeze',
     TOUCHPAD: 'touchpad',
     THUMBSTICK: 'thumbstick',
-    BUTTON: 'button'
+    BUTTON: 'button',
+    FINGER_CURL: 'finger-curl',
+    FORCE_SENSOR: 'force-sensor',
+    PROXIMITY: 'proximity'
+  }),
+
+  ComponentEvent: Object.freeze({
+    PRESS_START: 'pressstart',
+    PRESS_END: 'pressend',
+    TOUCH_START: 'touchstart',
+    TOUCH_END: 'touchend',
+    VALUE_CHANGE: 'valuechange',
+    AXIS_CHANGE: 'axischange'
+  }),
+
+  ActionType: Object.freeze({
+    BOOLEAN: 'boolean',
+    AXIS_1D: 'axis1d',
+    AXIS_2D: 'axis2d'
+  }),
+
+  ActionEvent: Object.freeze({
+    START: 'actionstart',
+    END: 'actionend',
+    CHANGE: 'actionchange'
+  }),
+
+  GestureEvent: Object.freeze({
+    TAP: 'tap',
+    DOUBLE_TAP: 'doubletap',
+    LONG_PRESS: 'longpress',
+    SWIPE: 'swipe',
+    FLICK: 'flick',
+    CIRCULAR_SCROLL: 'circularscroll',
+    DPAD_CHANGE: 'dpadchange'
+  }),
+
+  GestureDirection: Object.freeze({
+    UP: 'up',
+    UP_RIGHT: 'up-right',
+    RIGHT: 'right',
+    DOWN_RIGHT: 'down-right',
+    DOWN: 'down',
+    DOWN_LEFT: 'down-left',
+    LEFT: 'left',
+    UP_LEFT: 'up-left'
+  }),
+
+  HandGesture: Object.freeze({
+    PINCH: 'pinch',
+    GRAB: 'grab',
+    POINT: 'point'
+  }),
+
+  HandJoint: Object.freeze({
+    WRIST: 'wrist',
+    THUMB_TIP: 'thumb-tip',
+    INDEX_FINGER_TIP: 'index-finger-tip',
+    MIDDLE_FINGER_TIP: 'middle-finger-tip',
+    RING_FINGER_TIP: 'ring-finger-tip',
+    PINKY_FINGER_TIP: 'pinky-finger-tip'
+  }),
+
+  HapticActuatorApi: Object.freeze({
+    HAPTIC_ACTUATORS: 'hapticActuators',
+    VIBRATION_ACTUATOR: 'vibrationActuator'
+  }),
+
+  MotionControllerEvent: Object.freeze({
+    LAYOUT_CHANGE: 'layoutchange',
+    LAYOUT_ERROR: 'layouterror'
+  }),
+
+  ResponseCurve: Object.freeze({
+    LINEAR: 'linear',
+    QUADRATIC: 'quadratic'
   }),
 
   ButtonTouchThreshold: 0.05,
@@ -0,0 +1,17 @@
+export interface DispatchedEvent {
+  readonly type: string;
+  target?: object;
+  [key: string]: any;
+}
+
+export type EventListenerCallback<T extends DispatchedEvent = DispatchedEvent> =
+  ((event: T) => void) | { handleEvent(event: T): void };
+
+export class EventDispatcher {
+  constructor();
+
+  addEventListener(type: string, listener: EventListenerCallback<any>): void;
+  removeEventListener(type: string, listener: EventListenerCallback<any>): void;
+  hasEventListener(type: string): boolean;
+  dispatchEvent(event: DispatchedEvent): void;
+}
@@ -0,0 +1,78 @@
+/**
+ * @description A minimal implementation of the DOM EventTarget pattern. Used as the base class for
+ * objects in this library that emit events so they behave identically in browsers, workers, and
+ * non-DOM environments such as Node.
+ */
+class EventDispatcher {
+  constructor() {
+    this.eventListeners = {};
+  }
+
+  /**
+   * @description Registers a listener to be called when an event of the given type is dispatched
+   * @param {string} type - The event type to listen for
+   * @param {Function|Object} listener - A function or an object with a handleEvent() method
+   */
+  addEventListener(type, listener) {
+    if (!listener) {
+      return;
+    }
+
+    if (!this.eventListeners[type]) {
+      this.eventListeners[type] = [];
+    }
+
+    if (!this.eventListeners[type].includes(listener)) {
+      this.eventListeners[type].push(listener);
+    }
+  }
+
+  /**
+   * @description Unregisters a listener previously added with addEventListener()
+   * @param {string} type - The event type the listener was registered for
+   * @param {Function|Object} listener - The listener to remove
+   */
+  removeEventListener(type, listener) {
+    const listeners = this.eventListeners[type];
+    if (listeners) {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * @description Returns true if at least one listener is registered for the event type
+   * @param {string} type - The event type to check
+   */
+  hasEventListener(type) {
+    return !!this.eventListeners[type] && this.eventListeners[type].length > 0;
+  }
+
+  /**
+   * @description Calls each listener registered for the event's type in the order they were added
+   * @param {Object} event - The event to dispatch. Must contain a `type` property.
+   */
+  dispatchEvent(event) {
+    if (!event || !event.type) {
+      throw new Error('Invalid event supplied');
+    }
+
+    /* eslint-disable no-param-reassign */
+    event.target = this;
+    /* eslint-enable */
+
+    // Copy the listeners so that changes made by a listener do not affect this dispatch
+    const listeners = (this.eventListeners[event.type] || []).slice();
+    listeners.forEach((listener) => {
+      if (typeof listener === 'function') {
+        listener.call(this, event);
+      } else {
+        listener.handleEvent(event);
+      }
+    });
+  }
+}
+
+export { EventDispatcher };
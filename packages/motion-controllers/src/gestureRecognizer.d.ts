@@ -0,0 +1,42 @@
+import { Component } from './component';
+import { Constants } from './constants';
+import { DispatchedEvent, EventDispatcher } from './eventDispatcher';
+
+export interface GestureThresholds {
+  tapMaxDuration: number;
+  tapMaxDistance: number;
+  doubleTapMaxInterval: number;
+  longPressDuration: number;
+  swipeMinDistance: number;
+  swipeMaxDuration: number;
+  flickMinSpeed: number;
+  circularScrollMinRadius: number;
+  circularScrollStep: number;
+  dpadMinDistance: number;
+}
+
+export const DefaultGestureThresholds: GestureThresholds;
+
+export interface GestureEvent extends DispatchedEvent {
+  readonly type: Constants.GestureEvent;
+  readonly component: Component;
+  readonly timestamp: number;
+  readonly duration?: number;
+  readonly direction?: Constants.GestureDirection | null;
+  readonly previousDirection?: Constants.GestureDirection | null;
+  readonly distance?: number;
+  readonly speed?: number;
+  readonly steps?: number;
+  readonly angle?: number;
+}
+
+export class GestureRecognizer extends EventDispatcher {
+  constructor(component: Component, thresholds?: Partial<GestureThresholds>);
+
+  readonly component: Component;
+  readonly thresholds: GestureThresholds;
+  readonly dpadDirection: Constants.GestureDirection | null;
+
+  reset(): void;
+  update(timestamp: number): void;
+}
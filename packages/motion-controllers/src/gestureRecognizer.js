@@ -0,0 +1,301 @@
+import { Constants } from './constants';
+import { EventDispatcher } from './eventDispatcher';
+
+/**
+ * @description Thresholds used when none are supplied to the GestureRecognizer. Durations are in
+ * milliseconds, distances are in axis units, and angles are in radians.
+ * @constant {Object}
+ */
+const DefaultGestureThresholds = {
+  tapMaxDuration: 250,
+  tapMaxDistance: 0.2,
+  doubleTapMaxInterval: 300,
+  longPressDuration: 500,
+  swipeMinDistance: 0.5,
+  swipeMaxDuration: 1000,
+  flickMinSpeed: 5,
+  circularScrollMinRadius: 0.5,
+  circularScrollStep: Math.PI / 8,
+  dpadMinDistance: 0.5
+};
+
+/**
+ * @description Directions ordered by increasing angle from the positive x axis. The Gamepad API
+ * reports up as negative y, so angles increase clockwise as seen by the user.
+ * @constant {string[]}
+ */
+const EightWayDirections = [
+  Constants.GestureDirection.RIGHT,
+  Constants.GestureDirection.DOWN_RIGHT,
+  Constants.GestureDirection.DOWN,
+  Constants.GestureDirection.DOWN_LEFT,
+  Constants.GestureDirection.LEFT,
+  Constants.GestureDirection.UP_LEFT,
+  Constants.GestureDirection.UP,
+  Constants.GestureDirection.UP_RIGHT
+];
+
+/** @constant {string[]} */
+const FourWayDirections = [
+  Constants.GestureDirection.RIGHT,
+  Constants.GestureDirection.DOWN,
+  Constants.GestureDirection.LEFT,
+  Constants.GestureDirection.UP
+];
+
+/**
+ * @description Returns the direction whose sector contains the supplied offset
+ * @param {number} x - The x offset
+ * @param {number} y - The y offset
+ * @param {string[]} directions - Directions evenly dividing the circle, starting at the positive
+ * x axis
+ */
+function getDirection(x, y, directions) {
+  const sectorAngle = (2 * Math.PI) / directions.length;
+  const sector = Math.round(Math.atan2(y, x) / sectorAngle);
+  return directions[(sector + directions.length) % directions.length];
+}
+
+/**
+ * @description Wraps an angle to the range -PI to PI
+ * @param {number} angle - The angle in radians
+ */
+function wrapAngle(angle) {
+  let wrapped = angle;
+  while (wrapped > Math.PI) {
+    wrapped -= 2 * Math.PI;
+  }
+  while (wrapped < -Math.PI) {
+    wrapped += 2 * Math.PI;
+  }
+  return wrapped;
+}
+
+/**
+ * @description Recognizes gestures made on a touchpad or thumbstick component. The recognizer does
+ * not poll the gamepad itself; update() must be called with a timestamp after each time the
+ * component is updated. Gestures are derived only from the component's values and the supplied
+ * timestamps, so recognition is deterministic.
+ *
+ * Contact begins when the component leaves the default state. Touchpad gestures are measured from
+ * the point of first contact, and thumbstick gestures from the center at which the stick rests.
+ * Taps, swipes, and flicks are dispatched when contact ends. A contact which produces a long press
+ * or circular scroll does not also produce a tap, swipe, or flick.
+ */
+class GestureRecognizer extends EventDispatcher {
+  /**
+   * @param {Object} component - The touchpad or thumbstick Component to recognize gestures on
+   * @param {Object} thresholds - Replacements for any of the DefaultGestureThresholds
+   */
+  constructor(component, thresholds = {}) {
+    super();
+
+    if (!component) {
+      throw new Error('No component supplied');
+    }
+
+    if (component.type !== Constants.ComponentType.TOUCHPAD
+        && component.type !== Constants.ComponentType.THUMBSTICK) {
+      throw new Error(`Component ${component.id} of type ${component.type} does not support gestures`);
+    }
+
+    if (component.values.xAxis === undefined || component.values.yAxis === undefined) {
+      throw new Error(`Component ${component.id} does not have both axes`);
+    }
+
+    this.component = component;
+    this.thresholds = { ...DefaultGestureThresholds, ...thresholds };
+    this.reset();
+  }
+
+  /**
+   * @description Abandons any gesture in progress
+   */
+  reset() {
+    this.contact = null;
+    this.lastTapTime = null;
+    this.dpadDirection = null;
+  }
+
+  /**
+   * @description Recognizes gestures from the component's current values
+   * @param {number} timestamp - The time, in milliseconds, at which the component was updated
+   */
+  update(timestamp) {
+    if (typeof timestamp !== 'number' || Number.isNaN(timestamp)) {
+      throw new Error(`Invalid timestamp ${timestamp}`);
+    }
+
+    const { state, xAxis, yAxis } = this.component.values;
+    const touching = state !== Constants.ComponentState.DEFAULT;
+
+    if (touching) {
+      if (!this.contact) {
+        this.startContact(timestamp, xAxis, yAxis);
+      }
+      this.trackContact(timestamp, xAxis, yAxis);
+    } else if (this.contact) {
+      this.endContact(timestamp);
+    }
+
+    this.updateDpad(timestamp, touching, xAxis, yAxis);
+  }
+
+  /**
+   * @description Dispatches a gesture event
+   * @param {string} type - The Constants.GestureEvent to dispatch
+   * @param {number} timestamp - The time at which the gesture was recognized
+   * @param {Object} details - Additional properties of the event
+   */
+  dispatchGesture(type, timestamp, details = {}) {
+    this.dispatchEvent({
+      type,
+      component: this.component,
+      timestamp,
+      ...details
+    });
+  }
+
+  /**
+   * @param {number} timestamp - The time at which contact began
+   * @param {number} x - The x axis value at first contact
+   * @param {number} y - The y axis value at first contact
+   */
+  startContact(timestamp, x, y) {
+    const isThumbstick = this.component.type === Constants.ComponentType.THUMBSTICK;
+    this.contact = {
+      startTime: timestamp,
+      originX: isThumbstick ? 0 : x,
+      originY: isThumbstick ? 0 : y,
+      peakX: 0,
+      peakY: 0,
+      peakDistance: 0,
+      peakTime: timestamp,
+      longPressed: false,
+      scrolled: false,
+      lastAngle: null,
+      scrollAngle: 0
+    };
+  }
+
+  /**
+   * @param {number} timestamp - The time of the update
+   * @param {number} x - The current x axis value
+   * @param {number} y - The current y axis value
+   */
+  trackContact(timestamp, x, y) {
+    const { contact, thresholds } = this;
+
+    // Remember the furthest point from the origin, which is where a swipe or flick is aimed
+    const offsetX = x - contact.originX;
+    const offsetY = y - contact.originY;
+    const distance = Math.sqrt((offsetX * offsetX) + (offsetY * offsetY));
+    if (distance > contact.peakDistance) {
+      Object.assign(contact, {
+        peakX: offsetX, peakY: offsetY, peakDistance: distance, peakTime: timestamp
+      });
+    }
+
+    const duration = timestamp - contact.startTime;
+    if (!contact.longPressed && !contact.scrolled
+        && contact.peakDistance < thresholds.tapMaxDistance
+        && duration >= thresholds.longPressDuration) {
+      contact.longPressed = true;
+      this.dispatchGesture(Constants.GestureEvent.LONG_PRESS, timestamp, { duration });
+    }
+
+    // Circular scrolling is measured around the center of the component
+    const radius = Math.sqrt((x * x) + (y * y));
+    if (radius < thresholds.circularScrollMinRadius) {
+      contact.lastAngle = null;
+      contact.scrollAngle = 0;
+      return;
+    }
+
+    const angle = Math.atan2(y, x);
+    if (contact.lastAngle !== null) {
+      contact.scrollAngle += wrapAngle(angle - contact.lastAngle);
+      const steps = Math.trunc(contact.scrollAngle / thresholds.circularScrollStep);
+      if (steps !== 0) {
+        const scrolledAngle = steps * thresholds.circularScrollStep;
+        contact.scrollAngle -= scrolledAngle;
+        contact.scrolled = true;
+        this.dispatchGesture(Constants.GestureEvent.CIRCULAR_SCROLL, timestamp, {
+          steps,
+          angle: scrolledAngle
+        });
+      }
+    }
+    contact.lastAngle = angle;
+  }
+
+  /**
+   * @param {number} timestamp - The time at which contact ended
+   */
+  endContact(timestamp) {
+    const { contact, thresholds } = this;
+    this.contact = null;
+    if (contact.longPressed || contact.scrolled) {
+      return;
+    }
+
+    const duration = timestamp - contact.startTime;
+    if (contact.peakDistance < thresholds.tapMaxDistance) {
+      if (duration > thresholds.tapMaxDuration) {
+        return;
+      }
+
+      this.dispatchGesture(Constants.GestureEvent.TAP, timestamp, { duration });
+      if (this.lastTapTime !== null
+          && contact.startTime - this.lastTapTime <= thresholds.doubleTapMaxInterval) {
+        this.lastTapTime = null;
+        this.dispatchGesture(Constants.GestureEvent.DOUBLE_TAP, timestamp, { duration });
+      } else {
+        this.lastTapTime = timestamp;
+      }
+      return;
+    }
+
+    if (contact.peakDistance < thresholds.swipeMinDistance
+        || duration > thresholds.swipeMaxDuration) {
+      return;
+    }
+
+    // A peak reached on the first frame of contact was reached instantly
+    const elapsedSeconds = (contact.peakTime - contact.startTime) / 1000;
+    const speed = (elapsedSeconds > 0) ? contact.peakDistance / elapsedSeconds : Infinity;
+    const type = (speed >= thresholds.flickMinSpeed)
+      ? Constants.GestureEvent.FLICK : Constants.GestureEvent.SWIPE;
+    this.dispatchGesture(type, timestamp, {
+      direction: getDirection(contact.peakX, contact.peakY, FourWayDirections),
+      distance: contact.peakDistance,
+      duration,
+      speed
+    });
+  }
+
+  /**
+   * @param {number} timestamp - The time of the update
+   * @param {boolean} touching - Indicates if the component is in contact
+   * @param {number} x - The current x axis value
+   * @param {number} y - The current y axis value
+   */
+  updateDpad(timestamp, touching, x, y) {
+    let direction = null;
+    if (touching
+        && Math.sqrt((x * x) + (y * y)) >= this.thresholds.dpadMinDistance) {
+      direction = getDirection(x, y, EightWayDirections);
+    }
+
+    if (direction !== this.dpadDirection) {
+      const previousDirection = this.dpadDirection;
+      this.dpadDirection = direction;
+      this.dispatchGesture(Constants.GestureEvent.DPAD_CHANGE, timestamp, {
+        direction,
+        previousDirection
+      });
+    }
+  }
+}
+
+export { GestureRecognizer, DefaultGestureThresholds };
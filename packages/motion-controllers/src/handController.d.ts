@@ -0,0 +1,57 @@
+import { Constants } from './constants';
+import { MotionController, MotionControllerOptions } from './motionController';
+
+export interface JointPosition {
+  x: number;
+  y: number;
+  z: number;
+}
+
+export interface HandPoseSource {
+  getJointPosition(jointName: Constants.HandJoint | string): JointPosition | null;
+}
+
+export interface DistanceRange {
+  closed: number;
+  open: number;
+}
+
+export interface HandDescription {
+  pinchDistance?: DistanceRange;
+  curlDistance?: DistanceRange;
+}
+
+export interface HandControllerOptions extends MotionControllerOptions {
+  poseSource?: HandPoseSource;
+}
+
+export const DefaultHandDistances: Required<HandDescription>;
+
+export function computeGestureValues(
+  poseSource: HandPoseSource | null,
+  handDescription?: HandDescription
+): { [gesture: string]: number };
+
+export class XRHandPoseSource implements HandPoseSource {
+  constructor(xrInputSource: object);
+
+  readonly xrInputSource: object;
+
+  update(xrFrame: object, referenceSpace: object): void;
+  getJointPosition(jointName: Constants.HandJoint | string): JointPosition | null;
+}
+
+export class HandController extends MotionController {
+  constructor(
+    xrInputSource: object,
+    profile: object,
+    assetUrl: string,
+    options?: HandControllerOptions
+  );
+
+  readonly poseSource: HandPoseSource;
+
+  get gamepad(): { buttons: { value: number; touched: boolean; pressed: boolean }[]; axes: number[] };
+
+  updateVirtualGamepad(): void;
+}
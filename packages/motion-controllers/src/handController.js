@@ -0,0 +1,210 @@
+import { Constants } from './constants';
+import { MotionController } from './motionController';
+import { findLayoutHandedness } from './profiles';
+
+/**
+ * @description Distances, in meters, used when a hand layout does not supply its own
+ * @constant {Object}
+ */
+const DefaultHandDistances = {
+  pinchDistance: { closed: 0.015, open: 0.05 },
+  curlDistance: { closed: 0.08, open: 0.15 }
+};
+
+/** @constant {string[]} */
+const FingerTips = [
+  Constants.HandJoint.INDEX_FINGER_TIP,
+  Constants.HandJoint.MIDDLE_FINGER_TIP,
+  Constants.HandJoint.RING_FINGER_TIP,
+  Constants.HandJoint.PINKY_FINGER_TIP
+];
+
+/**
+ * @description Returns the distance between two positions
+ * @param {Object} a - A position with x, y, and z properties
+ * @param {Object} b - A position with x, y, and z properties
+ */
+function distanceBetween(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  const dz = a.z - b.z;
+  return Math.sqrt((dx * dx) + (dy * dy) + (dz * dz));
+}
+
+/**
+ * @description Returns the mean of the supplied numbers
+ * @param {number[]} numbers - The numbers to average
+ */
+function mean(numbers) {
+  return numbers.reduce((sum, number) => sum + number, 0) / numbers.length;
+}
+
+/**
+ * @description Maps a distance onto the range 0 to 1, where 1 is at or below the range's closed
+ * distance and 0 is at or above its open distance
+ * @param {number} distance - The distance to map
+ * @param {Object} range - The closed and open distances
+ */
+function closedness(distance, { closed, open }) {
+  const t = (distance - closed) / (open - closed);
+  return 1 - Math.min(Math.max(t, 0), 1);
+}
+
+/**
+ * @description Derives the value of each Constants.HandGesture from the joint positions reported
+ * by a pose source. All gestures are 0 if any joint they depend on is not tracked.
+ * @param {Object} poseSource - Provides joint positions via getJointPosition(jointName)
+ * @param {Object} handDescription - The pinchDistance and curlDistance ranges to use
+ */
+function computeGestureValues(poseSource, handDescription) {
+  const values = {
+    [Constants.HandGesture.PINCH]: 0,
+    [Constants.HandGesture.GRAB]: 0,
+    [Constants.HandGesture.POINT]: 0
+  };
+
+  const positions = {};
+  const tracked = !!poseSource && Object.values(Constants.HandJoint).every((jointName) => {
+    positions[jointName] = poseSource.getJointPosition(jointName);
+    return !!positions[jointName];
+  });
+  if (!tracked) {
+    return values;
+  }
+
+  const { pinchDistance, curlDistance } = { ...DefaultHandDistances, ...handDescription };
+  const wrist = positions[Constants.HandJoint.WRIST];
+  const curls = FingerTips.map(
+    jointName => closedness(distanceBetween(positions[jointName], wrist), curlDistance)
+  );
+  const [indexCurl, ...otherCurls] = curls;
+
+  values[Constants.HandGesture.PINCH] = closedness(
+    distanceBetween(
+      positions[Constants.HandJoint.THUMB_TIP], positions[Constants.HandJoint.INDEX_FINGER_TIP]
+    ),
+    pinchDistance
+  );
+  values[Constants.HandGesture.GRAB] = mean(curls);
+  values[Constants.HandGesture.POINT] = Math.min(1 - indexCurl, mean(otherCurls));
+  return values;
+}
+
+/**
+ * @description Reads joint positions from an XRInputSource's XRHand each frame
+ */
+class XRHandPoseSource {
+  /**
+   * @param {Object} xrInputSource - The XRInputSource whose hand is tracked
+   */
+  constructor(xrInputSource) {
+    this.xrInputSource = xrInputSource;
+    this.positions = {};
+  }
+
+  /**
+   * @description Reads the current joint poses. Must be called each frame before the
+   * HandController is updated.
+   * @param {Object} xrFrame - The current XRFrame
+   * @param {Object} referenceSpace - The XRSpace in which joint positions are reported
+   */
+  update(xrFrame, referenceSpace) {
+    this.positions = {};
+    const { hand } = this.xrInputSource;
+    if (!hand) {
+      return;
+    }
+
+    Object.values(Constants.HandJoint).forEach((jointName) => {
+      const jointSpace = hand.get(jointName);
+      const pose = jointSpace ? xrFrame.getJointPose(jointSpace, referenceSpace) : null;
+      if (pose) {
+        this.positions[jointName] = pose.transform.position;
+      }
+    });
+  }
+
+  /**
+   * @param {string} jointName - A Constants.HandJoint
+   * @returns {Object} The joint's position, or null if it is not tracked
+   */
+  getJointPosition(jointName) {
+    return this.positions[jointName] || null;
+  }
+}
+
+/**
+ * @description A MotionController for tracked hands. The value of each component is derived from
+ * the gesture named in its description, such as a pinch, using joint positions supplied by a pose
+ * source. Gesture values are reported through a virtual gamepad, so components, visual responses,
+ * events, and action maps behave exactly as they do for motion controllers.
+ */
+class HandController extends MotionController {
+  /**
+   * @param {Object} xrInputSource - The XRInputSource to build the HandController around
+   * @param {Object} profile - The best matched hand profile description for the xrInputSource
+   * @param {Object} assetUrl
+   * @param {Object} options - Accepts all MotionController options, plus:
+   * @param {Object} options.poseSource - Provides joint positions via getJointPosition(jointName).
+   * Defaults to an XRHandPoseSource for the xrInputSource.
+   */
+  constructor(xrInputSource, profile, assetUrl, options = {}) {
+    super(xrInputSource, profile, assetUrl, options);
+
+    // Components were untracked during construction, so update them now the pose source is set
+    this.poseSource = options.poseSource || new XRHandPoseSource(xrInputSource);
+    this.updateFromGamepad();
+  }
+
+  /**
+   * @description Rejects layouts which are not derived from hand joints, leaving any previously
+   * bound layout in place
+   */
+  bindLayout() {
+    const layoutHandedness = findLayoutHandedness(this.profile, this.xrInputSource.handedness);
+    if (layoutHandedness && !this.profile.layouts[layoutHandedness].hand) {
+      throw new Error(`Profile ${this.id} has no hand layout for ${layoutHandedness}`);
+    }
+    return super.bindLayout();
+  }
+
+  /**
+   * @description The virtual gamepad, whose buttons report the value of each component's gesture
+   */
+  get gamepad() {
+    if (!this.virtualGamepad) {
+      this.virtualGamepad = { buttons: [], axes: [] };
+    }
+    return this.virtualGamepad;
+  }
+
+  /**
+   * @description Rebinds the layout if the handedness has changed, so gesture values are written to
+   * the buttons of the bound layout, then derives them from the pose source and updates the
+   * components
+   */
+  updateFromGamepad() {
+    this.updateLayout();
+    this.updateVirtualGamepad();
+    super.updateFromGamepad();
+  }
+
+  /**
+   * @description Writes each component's gesture value into the virtual gamepad's buttons
+   */
+  updateVirtualGamepad() {
+    const gestureValues = computeGestureValues(this.poseSource, this.layoutDescription.hand);
+    const { buttons } = this.gamepad;
+    Object.values(this.layoutDescription.components).forEach(({ gesture, gamepadIndices }) => {
+      const value = gestureValues[gesture] || 0;
+      buttons[gamepadIndices.button] = { value, touched: value > 0, pressed: value >= 1 };
+    });
+  }
+}
+
+export {
+  HandController,
+  XRHandPoseSource,
+  computeGestureValues,
+  DefaultHandDistances
+};
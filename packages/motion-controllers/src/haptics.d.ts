@@ -0,0 +1,45 @@
+import { Constants } from './constants';
+
+export interface HapticsDescription {
+  actuators: number;
+  variableIntensity?: boolean;
+}
+
+export interface HapticPulse {
+  intensity: number;
+  duration: number;
+  pause?: number;
+}
+
+export interface HapticsOptions {
+  patterns?: { [name: string]: HapticPulse[] };
+  setTimeout?: (callback: () => void, milliseconds: number) => any;
+}
+
+export interface HapticActuator {
+  readonly api: Constants.HapticActuatorApi;
+  pulse(intensity: number, duration: number): Promise<any>;
+}
+
+export const DefaultHapticPatterns: { [name: string]: HapticPulse[] };
+
+export function findHapticActuator(gamepad: object): HapticActuator | null;
+
+export class Haptics {
+  constructor(
+    xrInputSource: object,
+    hapticsDescription?: HapticsDescription | null,
+    options?: HapticsOptions
+  );
+
+  readonly xrInputSource: object;
+  description: HapticsDescription | null;
+  readonly patterns: { [name: string]: HapticPulse[] };
+
+  get actuator(): HapticActuator | null;
+  get supported(): boolean;
+
+  pulse(intensity: number, duration: number): Promise<boolean>;
+  playPattern(pattern: string | HapticPulse[]): Promise<boolean>;
+  stop(): void;
+}
@@ -0,0 +1,184 @@
+import { Constants } from './constants';
+
+/**
+ * @description Named haptic patterns available to every MotionController. Each pattern is a
+ * sequence of pulses, with an optional pause in milliseconds after each one.
+ * @constant {Object}
+ */
+const DefaultHapticPatterns = {
+  tap: [{ intensity: 0.5, duration: 20 }],
+  click: [{ intensity: 1, duration: 10 }],
+  doubleTap: [
+    { intensity: 0.5, duration: 20, pause: 60 },
+    { intensity: 0.5, duration: 20 }
+  ],
+  buzz: [{ intensity: 0.8, duration: 250 }],
+  heartbeat: [
+    { intensity: 1, duration: 40, pause: 80 },
+    { intensity: 0.6, duration: 40 }
+  ]
+};
+
+/**
+ * @description Finds a haptic actuator on the gamepad, preferring the WebXR Gamepads Module's
+ * hapticActuators array over the vibrationActuator supported by some browsers. Returns an object
+ * with the Constants.HapticActuatorApi found and a pulse() function with the same signature as
+ * GamepadHapticActuator.pulse(), or null if the gamepad has no usable actuator.
+ * @param {Object} gamepad - The gamepad to search
+ */
+function findHapticActuator(gamepad) {
+  if (!gamepad) {
+    return null;
+  }
+
+  const { hapticActuators, vibrationActuator } = gamepad;
+  if (hapticActuators && hapticActuators.length > 0
+      && typeof hapticActuators[0].pulse === 'function') {
+    const [actuator] = hapticActuators;
+    return {
+      api: Constants.HapticActuatorApi.HAPTIC_ACTUATORS,
+      pulse: (intensity, duration) => actuator.pulse(intensity, duration)
+    };
+  }
+
+  if (vibrationActuator && typeof vibrationActuator.playEffect === 'function') {
+    return {
+      api: Constants.HapticActuatorApi.VIBRATION_ACTUATOR,
+      pulse: (intensity, duration) => vibrationActuator.playEffect('dual-rumble', {
+        duration,
+        strongMagnitude: intensity,
+        weakMagnitude: intensity
+      })
+    };
+  }
+
+  return null;
+}
+
+/**
+ * @description Plays haptic feedback through an XRInputSource's gamepad. The gamepad is searched
+ * for an actuator each time feedback is played, so actuators which appear after construction are
+ * used. Hardware described in its profile as having no actuators is never pulsed.
+ */
+class Haptics {
+  /**
+   * @param {Object} xrInputSource - The XRInputSource whose gamepad provides the actuator
+   * @param {Object} hapticsDescription - The haptics capabilities from the profile's layout
+   * @param {number} hapticsDescription.actuators - The number of actuators the hardware has
+   * @param {boolean} hapticsDescription.variableIntensity - False if the actuators can only be
+   * fully on or off
+   * @param {Object} options
+   * @param {Object} options.patterns - Additional named patterns, which replace any default
+   * patterns with the same name
+   * @param {Function} options.setTimeout - Used to wait between the pulses of a pattern. Defaults
+   * to the global setTimeout().
+   */
+  constructor(xrInputSource, hapticsDescription, {
+    patterns = {},
+    setTimeout: setTimeoutFunction = null
+  } = {}) {
+    if (!xrInputSource) {
+      throw new Error('No xrInputSource supplied');
+    }
+
+    this.xrInputSource = xrInputSource;
+    this.description = hapticsDescription || null;
+    this.patterns = { ...DefaultHapticPatterns, ...patterns };
+    this.setTimeoutFunction = setTimeoutFunction;
+    this.patternGeneration = 0;
+  }
+
+  /**
+   * @description The actuator haptic feedback is played through, or null if there is none
+   */
+  get actuator() {
+    if (this.description && this.description.actuators === 0) {
+      return null;
+    }
+    return findHapticActuator(this.xrInputSource.gamepad);
+  }
+
+  /**
+   * @description Indicates if haptic feedback can currently be played
+   */
+  get supported() {
+    return !!this.actuator;
+  }
+
+  /**
+   * @description Vibrates the actuator once
+   * @param {number} intensity - The strength of the pulse, from 0 to 1
+   * @param {number} duration - The length of the pulse in milliseconds
+   * @returns {Promise<boolean>} Resolves to false if there is no actuator to pulse
+   */
+  async pulse(intensity, duration) {
+    if (typeof intensity !== 'number' || Number.isNaN(intensity) || intensity < 0 || intensity > 1) {
+      throw new Error(`Invalid intensity ${intensity}. Must be a number from 0 to 1`);
+    }
+
+    if (typeof duration !== 'number' || Number.isNaN(duration) || duration < 0) {
+      throw new Error(`Invalid duration ${duration}. Must be a number of milliseconds`);
+    }
+
+    const { actuator } = this;
+    if (!actuator) {
+      return false;
+    }
+
+    let effectiveIntensity = intensity;
+    if (this.description && this.description.variableIntensity === false) {
+      effectiveIntensity = (intensity > 0) ? 1 : 0;
+    }
+
+    await actuator.pulse(effectiveIntensity, duration);
+    return true;
+  }
+
+  /**
+   * @description Plays a sequence of pulses. Starting another pattern, or calling stop(), ends
+   * any pattern already playing before its next pulse.
+   * @param {string|Object[]} pattern - The name of a pattern, or an array of pulses each with an
+   * intensity, duration, and optional pause
+   * @returns {Promise<boolean>} Resolves to true if every pulse in the pattern was played
+   */
+  async playPattern(pattern) {
+    const steps = (typeof pattern === 'string') ? this.patterns[pattern] : pattern;
+    if (!Array.isArray(steps)) {
+      throw new Error(`Unknown haptic pattern ${pattern}`);
+    }
+
+    this.patternGeneration += 1;
+    const generation = this.patternGeneration;
+    const wait = milliseconds => new Promise((resolve) => {
+      (this.setTimeoutFunction || setTimeout)(resolve, milliseconds);
+    });
+
+    for (let i = 0; i < steps.length; i += 1) {
+      if (generation !== this.patternGeneration) {
+        return false;
+      }
+
+      const { intensity, duration, pause = 0 } = steps[i];
+      // Pulses are played one at a time. Actuators usually resolve pulse() as soon as the pulse
+      // has started, so its duration is waited for along with the pause before the next is started.
+      // eslint-disable-next-line no-await-in-loop
+      if (!await this.pulse(intensity, duration)) {
+        return false;
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      await wait(duration + pause);
+    }
+
+    return generation === this.patternGeneration;
+  }
+
+  /**
+   * @description Ends any pattern that is playing before its next pulse
+   */
+  stop() {
+    this.patternGeneration += 1;
+  }
+}
+
+export { Haptics, DefaultHapticPatterns, findHapticActuator };
@@ -1,7 +1,16 @@
 export * from './constants';
 export * from './profiles';
+export * from './profileCache';
+export * from './profileErrors';
 export * from './motionController';
+export * from './handController';
+export * from './actionMap';
+export * from './gestureRecognizer';
 export * from './component';
 export * from './visualResponse';
+export * from './eventDispatcher';
+export * from './inputProcessor';
+export * from './inputRecording';
+export * from './haptics';
 
 export as namespace WebXRInputProfiles;
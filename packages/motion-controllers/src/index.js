@@ -1,3 +1,22 @@
 export { Constants } from './constants';
-export { fetchProfile, fetchProfilesList } from './profiles';
+export {
+  fetchProfile, fetchProfilesList, findLayoutHandedness, defaultProfileCache
+} from './profiles';
+export { ProfileCache, InMemoryCacheAdapter, CacheStorageAdapter } from './profileCache';
+export {
+  ProfileError,
+  ProfileNetworkError,
+  ProfileTimeoutError,
+  ProfileHttpError,
+  ProfileParseError,
+  ProfileIntegrityError,
+  ProfileSchemaError,
+  ProfileAbortError,
+  NoMatchingProfileError
+} from './profileErrors';
 export { MotionController } from './motionController';
+export { HandController, XRHandPoseSource } from './handController';
+export { ActionMap } from './actionMap';
+export { GestureRecognizer, DefaultGestureThresholds } from './gestureRecognizer';
+export { Haptics, DefaultHapticPatterns, findHapticActuator } from './haptics';
+export { InputRecorder, InputPlayer } from './inputRecording';
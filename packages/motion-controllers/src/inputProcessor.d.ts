@@ -0,0 +1,27 @@
+import { Constants } from './constants';
+
+export interface InputProcessingDescription {
+  axialDeadZone?: number;
+  radialDeadZone?: number;
+  buttonDeadZone?: number;
+  outerSaturation?: number;
+  responseCurve?: Constants.ResponseCurve | ((t: number) => number);
+  buttonTouchThreshold?: number;
+  axisTouchThreshold?: number;
+}
+
+export class InputProcessor {
+  constructor(description?: InputProcessingDescription);
+
+  readonly axialDeadZone: number;
+  readonly radialDeadZone: number;
+  readonly buttonDeadZone: number;
+  readonly outerSaturation: number;
+  readonly responseCurve: Constants.ResponseCurve | ((t: number) => number);
+  readonly buttonTouchThreshold: number;
+  readonly axisTouchThreshold: number;
+
+  applyResponseCurve(t: number): number;
+  processButton(value?: number): number;
+  processAxes(xAxis?: number, yAxis?: number): { xAxis?: number; yAxis?: number };
+}
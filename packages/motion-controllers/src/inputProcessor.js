@@ -0,0 +1,160 @@
+import { Constants } from './constants';
+
+/** @constant {Object} */
+const responseCurveFunctions = {
+  [Constants.ResponseCurve.LINEAR]: t => t,
+  [Constants.ResponseCurve.QUADRATIC]: t => t * t
+};
+
+/**
+ * @description Rescales a magnitude in the range 0 to 1 so that magnitudes inside the dead zone
+ * become 0, magnitudes beyond the outer saturation become 1, and those in between are linearly
+ * interpolated.
+ * @param {number} magnitude - The magnitude to rescale
+ * @param {number} deadZone - The magnitude at or below which the result is 0
+ * @param {number} outerSaturation - The magnitude at or above which the result is 1
+ */
+function rescale(magnitude, deadZone, outerSaturation) {
+  if (magnitude <= deadZone) {
+    return 0;
+  }
+
+  if (magnitude >= outerSaturation) {
+    return 1;
+  }
+
+  return (magnitude - deadZone) / (outerSaturation - deadZone);
+}
+
+/**
+ * @description Validates that an option is a number within the supplied range
+ * @param {string} name - The name of the option, used in the error message
+ * @param {number} value - The value to validate
+ * @param {number} min - The minimum allowed value (inclusive)
+ * @param {number} max - The maximum allowed value (inclusive)
+ */
+function validateRange(name, value, min, max) {
+  if (typeof value !== 'number' || Number.isNaN(value) || value < min || value > max) {
+    throw new Error(`Invalid ${name} ${value}. Must be a number from ${min} to ${max}`);
+  }
+}
+
+/**
+ * Adjusts the raw values reported by the Gamepad API before they are stored in a component's
+ * values. Dead zones suppress small values, such as those reported by worn thumbsticks that drift,
+ * outer saturation allows the full range to be reached before the physical limit, and response
+ * curves reshape the values in between.
+ */
+class InputProcessor {
+  /**
+   * @param {Object} description - Description of the processing to apply
+   * @param {number} description.axialDeadZone - Per-axis dead zone applied to each axis separately
+   * @param {number} description.radialDeadZone - Dead zone applied to the magnitude of the axes
+   * @param {number} description.buttonDeadZone - Dead zone applied to the button value
+   * @param {number} description.outerSaturation - The value at which the result reaches 1
+   * @param {string|Function} description.responseCurve - A Constants.ResponseCurve or a function
+   * mapping the range 0 to 1 onto itself
+   * @param {number} description.buttonTouchThreshold - Replaces Constants.ButtonTouchThreshold
+   * @param {number} description.axisTouchThreshold - Replaces Constants.AxisTouchThreshold
+   */
+  constructor({
+    axialDeadZone = 0,
+    radialDeadZone = 0,
+    buttonDeadZone = 0,
+    outerSaturation = 1,
+    responseCurve = Constants.ResponseCurve.LINEAR,
+    buttonTouchThreshold = Constants.ButtonTouchThreshold,
+    axisTouchThreshold = Constants.AxisTouchThreshold
+  } = {}) {
+    validateRange('axialDeadZone', axialDeadZone, 0, 1);
+    validateRange('radialDeadZone', radialDeadZone, 0, 1);
+    validateRange('buttonDeadZone', buttonDeadZone, 0, 1);
+    validateRange('outerSaturation', outerSaturation, 0, 1);
+    validateRange('buttonTouchThreshold', buttonTouchThreshold, 0, 1);
+    validateRange('axisTouchThreshold', axisTouchThreshold, 0, 1);
+
+    if (outerSaturation <= Math.max(axialDeadZone, radialDeadZone, buttonDeadZone)) {
+      throw new Error(`Invalid outerSaturation ${outerSaturation}. Must be greater than all dead zones`);
+    }
+
+    if (typeof responseCurve === 'function') {
+      this.responseCurveFunction = responseCurve;
+    } else {
+      this.responseCurveFunction = responseCurveFunctions[responseCurve];
+      if (!this.responseCurveFunction) {
+        throw new Error(`Unknown responseCurve ${responseCurve}`);
+      }
+    }
+
+    this.axialDeadZone = axialDeadZone;
+    this.radialDeadZone = radialDeadZone;
+    this.buttonDeadZone = buttonDeadZone;
+    this.outerSaturation = outerSaturation;
+    this.responseCurve = responseCurve;
+    this.buttonTouchThreshold = buttonTouchThreshold;
+    this.axisTouchThreshold = axisTouchThreshold;
+
+    // Values are passed through untouched unless some processing has been requested
+    const hasCurve = responseCurve !== Constants.ResponseCurve.LINEAR;
+    const hasSaturation = outerSaturation < 1;
+    this.processesAxes = hasCurve || hasSaturation || axialDeadZone > 0 || radialDeadZone > 0;
+    this.processesButton = hasCurve || hasSaturation || buttonDeadZone > 0;
+  }
+
+  /**
+   * @description Applies the response curve, clamping its result to the range 0 to 1
+   * @param {number} t - A value in the range 0 to 1
+   */
+  applyResponseCurve(t) {
+    const result = this.responseCurveFunction(t);
+    return Math.min(Math.max(result, 0), 1);
+  }
+
+  /**
+   * @description Applies the button dead zone, outer saturation, and response curve
+   * @param {number} value - The button value in the range 0 to 1
+   */
+  processButton(value) {
+    if (!this.processesButton || value === undefined) {
+      return value;
+    }
+
+    return this.applyResponseCurve(rescale(value, this.buttonDeadZone, this.outerSaturation));
+  }
+
+  /**
+   * @description Applies the axial dead zone to each axis, then the radial dead zone, outer
+   * saturation, and response curve to the magnitude of the combined axes. The direction of the
+   * axes is preserved and the resulting magnitude never exceeds 1.
+   * @param {number} xAxis - The x axis value in the range -1 to 1, or undefined if not present
+   * @param {number} yAxis - The y axis value in the range -1 to 1, or undefined if not present
+   */
+  processAxes(xAxis, yAxis) {
+    if (!this.processesAxes) {
+      return { xAxis, yAxis };
+    }
+
+    // Remove each axis' dead zone separately, rescaling so the full range is still reachable
+    const [x, y] = [xAxis, yAxis].map((axis) => {
+      if (axis === undefined) {
+        return 0;
+      }
+      return Math.sign(axis) * rescale(Math.abs(axis), this.axialDeadZone, 1);
+    });
+
+    // Remove the radial dead zone and apply the response curve to the magnitude
+    const magnitude = Math.sqrt((x * x) + (y * y));
+    const processedMagnitude = this.applyResponseCurve(
+      rescale(magnitude, this.radialDeadZone, this.outerSaturation)
+    );
+    const scale = (magnitude > 0) ? processedMagnitude / magnitude : 0;
+
+    // Adding 0 ensures axes in the dead zone are reported as 0 rather than -0
+    return {
+      xAxis: (xAxis === undefined) ? undefined : (x * scale) + 0,
+      yAxis: (yAxis === undefined) ? undefined : (y * scale) + 0
+    };
+  }
+}
+
+export { InputProcessor };
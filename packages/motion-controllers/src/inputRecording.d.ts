@@ -0,0 +1,66 @@
+import { Constants } from './constants';
+
+export const RecordingFormatVersion: number;
+
+export interface RecordedButton {
+  value: number;
+  touched: boolean;
+  pressed: boolean;
+}
+
+export interface RecordedFrame {
+  timestamp: number;
+  handedness?: Constants.Handedness;
+  buttons: RecordedButton[];
+  axes: number[];
+}
+
+export interface InputRecording {
+  version: number;
+  handedness: Constants.Handedness;
+  profiles: string[];
+  gamepad: {
+    id?: string;
+    mapping?: string;
+  };
+  frames: RecordedFrame[];
+}
+
+export interface ReplayedXRInputSource {
+  readonly handedness: Constants.Handedness;
+  readonly profiles: ReadonlyArray<string>;
+  readonly gamepad: {
+    readonly id?: string;
+    readonly mapping?: string;
+    readonly connected: boolean;
+    readonly timestamp: number;
+    readonly buttons: RecordedButton[];
+    readonly axes: number[];
+  };
+}
+
+export class InputRecorder {
+  constructor(xrInputSource: object);
+
+  readonly xrInputSource: object;
+  readonly frames: RecordedFrame[];
+
+  captureFrame(timestamp: number): void;
+  clear(): void;
+  toJSON(): InputRecording;
+}
+
+export class InputPlayer {
+  constructor(recording: InputRecording);
+
+  readonly recording: InputRecording;
+  readonly xrInputSource: ReplayedXRInputSource;
+  readonly frameIndex: number;
+
+  get frameCount(): number;
+  get done(): boolean;
+
+  seek(frameIndex: number): void;
+  nextFrame(): boolean;
+  playToEnd(callback: (timestamp: number, frameIndex: number) => void): void;
+}
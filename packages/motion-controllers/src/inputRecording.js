@@ -0,0 +1,166 @@
+/** @constant {number} */
+const RecordingFormatVersion = 1;
+
+/**
+ * @description Captures the state of an XRInputSource's gamepad on each frame so that it can be
+ * saved as JSON and later replayed by an InputPlayer without the original hardware.
+ */
+class InputRecorder {
+  /**
+   * @param {Object} xrInputSource - The XRInputSource to record
+   */
+  constructor(xrInputSource) {
+    if (!xrInputSource) {
+      throw new Error('No xrInputSource supplied');
+    }
+
+    this.xrInputSource = xrInputSource;
+    this.frames = [];
+  }
+
+  /**
+   * @description Records the current handedness and state of the gamepad. Should be called once
+   * per frame, typically from the XRSession.requestAnimationFrame() callback.
+   * @param {number} timestamp - The frame's timestamp in milliseconds
+   */
+  captureFrame(timestamp) {
+    const { gamepad } = this.xrInputSource;
+    if (!gamepad) {
+      throw new Error('No gamepad to record');
+    }
+
+    this.frames.push({
+      timestamp,
+      handedness: this.xrInputSource.handedness,
+      buttons: Array.from(gamepad.buttons, ({ value, touched, pressed }) => ({
+        value, touched, pressed
+      })),
+      axes: Array.from(gamepad.axes)
+    });
+  }
+
+  /**
+   * @description Discards all captured frames
+   */
+  clear() {
+    this.frames = [];
+  }
+
+  /**
+   * @description Returns the recording in a form that can be serialized with JSON.stringify()
+   */
+  toJSON() {
+    const { gamepad, handedness, profiles } = this.xrInputSource;
+    return {
+      version: RecordingFormatVersion,
+      handedness,
+      profiles: Array.from(profiles),
+      gamepad: {
+        id: gamepad ? gamepad.id : undefined,
+        mapping: gamepad ? gamepad.mapping : undefined
+      },
+      frames: this.frames
+    };
+  }
+}
+
+/**
+ * @description Replays a recording made by an InputRecorder. The player's xrInputSource can be used
+ * in place of a real XRInputSource, for example to construct a MotionController. Its gamepad is
+ * updated in place each time the player advances to the next frame.
+ */
+class InputPlayer {
+  /**
+   * @param {Object} recording - A recording, as produced by InputRecorder.toJSON()
+   */
+  constructor(recording) {
+    if (!recording || !Array.isArray(recording.frames) || recording.frames.length === 0) {
+      throw new Error('Invalid recording supplied');
+    }
+
+    if (recording.version !== RecordingFormatVersion) {
+      throw new Error(`Unsupported recording version ${recording.version}`);
+    }
+
+    this.recording = recording;
+
+    const { id, mapping } = recording.gamepad || {};
+    this.xrInputSource = {
+      handedness: recording.handedness,
+      profiles: Object.freeze(Array.from(recording.profiles || [])),
+      gamepad: {
+        id,
+        mapping,
+        connected: true,
+        timestamp: 0,
+        buttons: [],
+        axes: []
+      }
+    };
+
+    this.seek(0);
+  }
+
+  get frameCount() {
+    return this.recording.frames.length;
+  }
+
+  /**
+   * @description Indicates if the last frame of the recording has been applied
+   */
+  get done() {
+    return this.frameIndex >= this.frameCount - 1;
+  }
+
+  /**
+   * @description Applies the handedness and gamepad state of the specified frame. Frames without a
+   * handedness use that of the recording.
+   * @param {number} frameIndex - The index of the frame to apply
+   */
+  seek(frameIndex) {
+    const frame = this.recording.frames[frameIndex];
+    if (!frame) {
+      throw new Error(`Frame ${frameIndex} is out of range`);
+    }
+
+    const { handedness = this.recording.handedness } = frame;
+    this.xrInputSource.handedness = handedness;
+
+    const { gamepad } = this.xrInputSource;
+    gamepad.timestamp = frame.timestamp;
+    gamepad.axes.length = 0;
+    gamepad.axes.push(...frame.axes);
+    gamepad.buttons.length = 0;
+    frame.buttons.forEach((button) => {
+      gamepad.buttons.push({ ...button });
+    });
+
+    this.frameIndex = frameIndex;
+  }
+
+  /**
+   * @description Advances the gamepad to the next frame of the recording
+   * @returns {boolean} False if the recording has already finished
+   */
+  nextFrame() {
+    if (this.done) {
+      return false;
+    }
+
+    this.seek(this.frameIndex + 1);
+    return true;
+  }
+
+  /**
+   * @description Calls the supplied callback for each remaining frame, after the frame's state has
+   * been applied to the gamepad
+   * @param {Function} callback - Called with the frame's timestamp and index
+   */
+  playToEnd(callback) {
+    do {
+      callback(this.xrInputSource.gamepad.timestamp, this.frameIndex);
+    } while (this.nextFrame());
+  }
+}
+
+export { InputRecorder, InputPlayer, RecordingFormatVersion };
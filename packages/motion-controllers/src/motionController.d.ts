@@ -1,14 +1,74 @@
 import { Component } from "./component";
+import { Constants } from "./constants";
+import { DispatchedEvent, EventDispatcher } from "./eventDispatcher";
+import { HapticPulse, Haptics, HapticsDescription, HapticsOptions } from "./haptics";
+import { InputProcessingDescription } from "./inputProcessor";
 
-export class MotionController {
-  constructor(xrInputSource: object, profile: object, assetUrl: string);
+export interface InputProcessingOptions {
+  types?: { [componentType: string]: InputProcessingDescription };
+  components?: { [componentId: string]: InputProcessingDescription };
+}
+
+export interface MotionControllerOptions {
+  inputProcessing?: InputProcessingOptions;
+  haptics?: HapticsOptions;
+}
+
+export interface LayoutDescription {
+  selectComponentId?: string;
+  components: object;
+  assetPath?: string;
+  haptics?: HapticsDescription;
+}
+
+export interface LayoutChangeEvent extends DispatchedEvent {
+  readonly type: Constants.MotionControllerEvent;
+  readonly previousHandedness: string;
+  readonly handedness: string;
+  readonly layoutDescription: LayoutDescription;
+  readonly assetUrl: string;
+}
+
+export interface LayoutErrorEvent extends DispatchedEvent {
+  readonly type: Constants.MotionControllerEvent;
+  readonly handedness: string;
+  readonly error: Error;
+}
+
+export class MotionController extends EventDispatcher {
+  constructor(
+    xrInputSource: object,
+    profile: object,
+    assetUrl: string,
+    options?: MotionControllerOptions
+  );
+
+  static applyInputProcessingOptions(
+    componentId: string,
+    componentDescription: object,
+    inputProcessingOptions?: InputProcessingOptions
+  ): object;
 
   readonly xrInputSource: object;
+  readonly profile: object;
   readonly assetUrl: string;
   readonly id: string;
+  readonly options: MotionControllerOptions;
+  readonly handedness: string;
+  readonly inputSourceHandedness: string;
+  readonly layoutDescription: LayoutDescription;
   readonly components: { [key: string]: Component };
+  readonly haptics: Haptics;
 
+  get gamepad(): object;
+  get supportsHaptics(): boolean;
   get data(): object;
 
+  pulse(intensity: number, durationMs: number): Promise<boolean>;
+  playHapticPattern(pattern: string | HapticPulse[]): Promise<boolean>;
+
+  bindLayout(): boolean;
+  updateLayout(): void;
+  addComponent(component: Component): void;
   updateFromGamepad(): void;
 }
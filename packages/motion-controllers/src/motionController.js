@@ -1,17 +1,31 @@
-import { Component } from './components';
+import { Constants } from './constants';
+import { Component, TouchpadRegion } from './components';
+import { EventDispatcher } from './eventDispatcher';
+import { Haptics } from './haptics';
+import { findLayoutHandedness } from './profiles';
 
 /**
   * @description Builds a motion controller with components and visual responses based on the
-  * supplied profile description. Data is polled from the xrInputSource's gamepad.
+  * supplied profile description. Data is polled from the xrInputSource's gamepad. Events
+  * dispatched by any of the components are also dispatched by the MotionController. If the
+  * xrInputSource's handedness changes, the components are rebuilt from the matching layout.
   * @author Nell Waliczek / https://github.com/NellWaliczek
 */
-class MotionController {
+class MotionController extends EventDispatcher {
   /**
    * @param {Object} xrInputSource - The XRInputSource to build the MotionController around
    * @param {Object} profile - The best matched profile description for the supplied xrInputSource
    * @param {Object} assetUrl
+   * @param {Object} options
+   * @param {Object} options.inputProcessing - Dead zones and response curves to apply
+   * @param {Object} options.inputProcessing.types - Input processing keyed by component type
+   * @param {Object} options.inputProcessing.components - Input processing keyed by component id.
+   * Takes precedence over that keyed by type; both take precedence over any in the profile.
+   * @param {Object} options.haptics - Options passed to the Haptics constructor
    */
-  constructor(xrInputSource, profile, assetUrl) {
+  constructor(xrInputSource, profile, assetUrl, options = {}) {
+    super();
+
     if (!xrInputSource) {
       throw new Error('No xrInputSource supplied');
     }
@@ -21,21 +35,152 @@ class MotionController {
     }
 
     this.xrInputSource = xrInputSource;
+    this.profile = profile;
     this.assetUrl = assetUrl;
     this.id = profile.profileId;
+    this.options = options;
+    this.handedness = null;
+    this.haptics = new Haptics(xrInputSource, null, options.haptics);
 
     // Build child components as described in the profile description
-    this.layoutDescription = profile.layouts[xrInputSource.handedness];
-    this.components = {};
-    Object.keys(this.layoutDescription.components).forEach((componentId) => {
-      const componentDescription = this.layoutDescription.components[componentId];
-      this.components[componentId] = new Component(componentId, componentDescription);
-    });
+    this.bindLayout();
 
     // Initialize components based on current gamepad state
     this.updateFromGamepad();
   }
 
+  /**
+   * @description Builds the components described by the profile's layout for the xrInputSource's
+   * current handedness. Components of a previously bound layout whose ids are in the new layout are
+   * rebuilt in place, so listeners attached to them keep working; other components are replaced.
+   * The new layout is built before anything is changed, so if it cannot be built the error is
+   * thrown with the current layout, components, haptics, and assetUrl left as they were.
+   * @returns {boolean} True if a different layout was bound
+   */
+  bindLayout() {
+    const { handedness } = this.xrInputSource;
+    const layoutHandedness = findLayoutHandedness(this.profile, handedness);
+    if (!layoutHandedness) {
+      throw new Error(`No matching handedness, ${handedness}, in profile ${this.id}`);
+    }
+
+    this.inputSourceHandedness = handedness;
+    if (layoutHandedness === this.handedness) {
+      return false;
+    }
+
+    // Build the new layout's components before changing anything, so a layout which cannot be
+    // built leaves the current one bound
+    const layoutDescription = this.profile.layouts[layoutHandedness];
+    const builtComponents = [];
+    Object.keys(layoutDescription.components).forEach((componentId) => {
+      const componentDescription = MotionController.applyInputProcessingOptions(
+        componentId, layoutDescription.components[componentId], this.options.inputProcessing
+      );
+      const component = new Component(componentId, componentDescription);
+      builtComponents.push({ componentId, component, description: componentDescription });
+
+      // Add touchpad regions after their touchpad so they are updated from its latest values
+      const { regions = {} } = componentDescription;
+      Object.keys(regions).forEach((regionId) => {
+        const regionComponentId = `${componentId}-${regionId}`;
+        builtComponents.push({
+          componentId: regionComponentId,
+          component: new TouchpadRegion(regionComponentId, regions[regionId], component),
+          description: regions[regionId],
+          parentComponentId: componentId
+        });
+      });
+    });
+
+    // Layouts for each handedness are normally modeled separately, so swap the asset to match
+    let { assetUrl } = this;
+    const previousLayoutDescription = this.layoutDescription;
+    if (previousLayoutDescription && assetUrl) {
+      const previousAssetPath = previousLayoutDescription.assetPath;
+      const { assetPath } = layoutDescription;
+      if (previousAssetPath && assetPath && assetUrl.endsWith(previousAssetPath)) {
+        assetUrl = assetUrl.slice(0, -previousAssetPath.length) + assetPath;
+      }
+    }
+
+    this.handedness = layoutHandedness;
+    this.layoutDescription = layoutDescription;
+    this.haptics.description = layoutDescription.haptics || null;
+    this.assetUrl = assetUrl;
+
+    // Previous components are rebuilt from descriptions which have already been built successfully
+    const previousComponents = this.components || {};
+    this.components = {};
+    builtComponents.forEach(({
+      componentId, component, description, parentComponentId
+    }) => {
+      const previousComponent = previousComponents[componentId];
+      if (parentComponentId === undefined) {
+        if (previousComponent && !(previousComponent instanceof TouchpadRegion)) {
+          previousComponent.applyDescription(description);
+          this.components[componentId] = previousComponent;
+        } else {
+          this.addComponent(component);
+        }
+      } else if (previousComponent instanceof TouchpadRegion) {
+        previousComponent.applyRegionDescription(description, this.components[parentComponentId]);
+        this.components[componentId] = previousComponent;
+      } else {
+        component.applyRegionBounds(description, this.components[parentComponentId]);
+        this.addComponent(component);
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * @description Adds a component to the motion controller and forwards its events so they can be
+   * observed on the motion controller
+   * @param {Component} component - The component to add
+   */
+  addComponent(component) {
+    this.components[component.id] = component;
+    Object.values(Constants.ComponentEvent).forEach((eventType) => {
+      component.addEventListener(eventType, (event) => {
+        this.dispatchEvent({ ...event });
+      });
+    });
+  }
+
+  /**
+   * @description Merges the inputProcessing options supplied to the constructor with those in the
+   * component's description
+   * @param {string} componentId - The id of the component
+   * @param {Object} componentDescription - The component's description from the profile
+   * @param {Object} inputProcessingOptions - The inputProcessing option supplied to the constructor
+   */
+  static applyInputProcessingOptions(componentId, componentDescription, inputProcessingOptions) {
+    if (!inputProcessingOptions) {
+      return componentDescription;
+    }
+
+    const { types = {}, components = {} } = inputProcessingOptions;
+    const typeOptions = types[componentDescription.type];
+    const idOptions = components[componentId];
+    if (!typeOptions && !idOptions) {
+      return componentDescription;
+    }
+
+    const inputProcessing = Object.assign(
+      {}, componentDescription.inputProcessing, typeOptions, idOptions
+    );
+    return { ...componentDescription, inputProcessing };
+  }
+
+  /**
+   * @description The gamepad the components are updated from
+   */
+  get gamepad() {
+    return this.xrInputSource.gamepad;
+  }
+
   get gripSpace() {
     return this.xrInputSource.gripSpace;
   }
@@ -44,6 +189,32 @@ class MotionController {
     return this.xrInputSource.targetRaySpace;
   }
 
+  /**
+   * @description Indicates if the xrInputSource can currently play haptic feedback
+   */
+  get supportsHaptics() {
+    return this.haptics.supported;
+  }
+
+  /**
+   * @description Vibrates the xrInputSource's haptic actuator once
+   * @param {number} intensity - The strength of the pulse, from 0 to 1
+   * @param {number} durationMs - The length of the pulse in milliseconds
+   * @returns {Promise<boolean>} Resolves to false if there is no actuator to pulse
+   */
+  pulse(intensity, durationMs) {
+    return this.haptics.pulse(intensity, durationMs);
+  }
+
+  /**
+   * @description Plays a named haptic pattern, or an array of pulses, on the xrInputSource
+   * @param {string|Object[]} pattern - The pattern to play
+   * @returns {Promise<boolean>} Resolves to true if every pulse in the pattern was played
+   */
+  playHapticPattern(pattern) {
+    return this.haptics.playPattern(pattern);
+  }
+
   /**
    * @description Returns a subset of component data for simplified debugging
    */
@@ -56,11 +227,48 @@ class MotionController {
   }
 
   /**
-   * @description Poll for updated data based on current gamepad state
+   * @description Rebinds the layout if the xrInputSource's handedness has changed since it was last
+   * bound. If no layout matches the new handedness, or the matching layout cannot be built, the
+   * current layout is kept and a layout error event is dispatched; the layout is not looked up
+   * again until the handedness changes again.
+   */
+  updateLayout() {
+    const { handedness } = this.xrInputSource;
+    if (handedness !== this.inputSourceHandedness) {
+      const previousHandedness = this.handedness;
+      let rebound = false;
+      try {
+        rebound = this.bindLayout();
+      } catch (error) {
+        this.inputSourceHandedness = handedness;
+        this.dispatchEvent({
+          type: Constants.MotionControllerEvent.LAYOUT_ERROR,
+          handedness,
+          error
+        });
+      }
+
+      if (rebound) {
+        this.dispatchEvent({
+          type: Constants.MotionControllerEvent.LAYOUT_CHANGE,
+          previousHandedness,
+          handedness: this.handedness,
+          layoutDescription: this.layoutDescription,
+          assetUrl: this.assetUrl
+        });
+      }
+    }
+  }
+
+  /**
+   * @description Poll for updated data based on current gamepad state. Rebinds the layout first if
+   * the xrInputSource's handedness has changed, as described by updateLayout().
    */
   updateFromGamepad() {
+    this.updateLayout();
+
     Object.values(this.components).forEach((component) => {
-      component.updateFromGamepad(this.xrInputSource.gamepad);
+      component.updateFromGamepad(this.gamepad);
     });
   }
 }
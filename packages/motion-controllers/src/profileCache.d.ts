@@ -0,0 +1,68 @@
+export interface ProfileCacheEntry {
+  json: string;
+  timestamp: number;
+}
+
+export interface ProfileCacheAdapter {
+  get(key: string): Promise<ProfileCacheEntry | undefined>;
+  set(key: string, entry: ProfileCacheEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export class InMemoryCacheAdapter implements ProfileCacheAdapter {
+  constructor();
+
+  get(key: string): Promise<ProfileCacheEntry | undefined>;
+  set(key: string, entry: ProfileCacheEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export class CacheStorageAdapter implements ProfileCacheAdapter {
+  constructor(cacheName?: string);
+
+  static readonly TimestampHeader: string;
+  readonly cacheName: string;
+
+  get(key: string): Promise<ProfileCacheEntry | undefined>;
+  set(key: string, entry: ProfileCacheEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export interface ProfileRequestOptions {
+  signal?: AbortSignal;
+  timeout?: number;
+  retries?: number;
+  retryDelay?: number;
+}
+
+export class ProfileCache {
+  constructor(options?: {
+    adapter?: ProfileCacheAdapter;
+    fetch?: (path: string, init?: { signal: AbortSignal }) => Promise<{
+      status?: number;
+      ok: boolean;
+      statusText?: string;
+      json(): Promise<any>;
+      text?(): Promise<string>;
+    }>;
+    ttl?: number;
+    now?: () => number;
+    digest?: (algorithm: string, text: string) => Promise<string>;
+    timeout?: number;
+    retries?: number;
+    retryDelay?: number;
+  });
+
+  readonly adapter: ProfileCacheAdapter;
+  ttl: number;
+  timeout: number;
+  retries: number;
+  retryDelay: number;
+
+  fetchJson(path: string, options?: ProfileRequestOptions & { integrity?: string }): Promise<any>;
+  invalidate(path: string): Promise<void>;
+  clear(): Promise<void>;
+}
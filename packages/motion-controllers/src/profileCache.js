@@ -0,0 +1,425 @@
+import {
+  ProfileAbortError,
+  ProfileHttpError,
+  ProfileIntegrityError,
+  ProfileNetworkError,
+  ProfileParseError,
+  ProfileTimeoutError
+} from './profileErrors';
+
+/**
+ * @description The Web Crypto names of the hash algorithms allowed in integrity metadata, keyed by
+ * the prefix used in subresource integrity strings
+ * @constant {Object}
+ */
+const IntegrityAlgorithms = {
+  sha256: 'SHA-256',
+  sha384: 'SHA-384',
+  sha512: 'SHA-512'
+};
+
+/**
+ * @description Hashes text with the Web Crypto API
+ * @param {string} algorithm - The Web Crypto name of the hash algorithm
+ * @param {string} text - The text to hash, which is encoded as UTF-8
+ * @returns {Promise<string>} The base64 encoded hash
+ */
+async function digestText(algorithm, text) {
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    throw new Error('Integrity checks require the Web Crypto API');
+  }
+
+  const hash = await crypto.subtle.digest(algorithm, new TextEncoder().encode(text));
+  return btoa(String.fromCharCode(...new Uint8Array(hash)));
+}
+
+/**
+ * @description Checks text against subresource integrity metadata. The metadata may list several
+ * space separated hashes, and the text matches if it matches any of them.
+ * @param {Function} digest - Hashes text, with the same signature as digestText()
+ * @param {string} text - The text to check
+ * @param {string} integrity - The integrity metadata, such as 'sha256-<base64 hash>'
+ * @returns {Promise<boolean>}
+ */
+async function matchesIntegrity(digest, text, integrity) {
+  const hashes = integrity.trim().split(/\s+/).map((token) => {
+    const separatorIndex = token.indexOf('-');
+    return {
+      algorithm: IntegrityAlgorithms[token.substr(0, separatorIndex)],
+      expected: token.substr(separatorIndex + 1).split('?')[0]
+    };
+  }).filter(({ algorithm }) => !!algorithm);
+
+  if (hashes.length === 0) {
+    throw new Error(`Unsupported integrity metadata ${integrity}`);
+  }
+
+  const actualHashes = await Promise.all(hashes.map(({ algorithm }) => digest(algorithm, text)));
+  return hashes.some(({ expected }, index) => actualHashes[index] === expected);
+}
+
+/**
+ * @description Waits for a promise, rejecting early if the signal is aborted first
+ * @param {Promise} promise - The promise to wait for
+ * @param {AbortSignal} [signal] - The signal which ends the wait. The promise is returned as it is
+ * if there is none.
+ * @param {Function} createError - Creates the error to reject with when the signal is aborted
+ */
+function raceSignal(promise, signal, createError) {
+  if (!signal) {
+    return promise;
+  }
+
+  // The promise is always handled, so it may reject after the wait ends without being reported
+  return new Promise((resolve, reject) => {
+    const onAbort = () => { reject(createError()); };
+    signal.addEventListener('abort', onAbort);
+    promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener('abort', onAbort);
+    });
+
+    if (signal.aborted) {
+      onAbort();
+    }
+  });
+}
+
+/**
+ * @description Waits before a download is retried
+ * @param {number} milliseconds - The time to wait
+ * @param {AbortSignal} [signal] - Ends the wait early with a ProfileAbortError
+ * @param {string} path - The path of the file which will be downloaded again
+ */
+function wait(milliseconds, signal, path) {
+  const timer = new Promise((resolve) => { setTimeout(resolve, milliseconds); });
+  return raceSignal(timer, signal, () => new ProfileAbortError(path));
+}
+
+/**
+ * @description Indicates if a failed download may succeed if it is attempted again
+ * @param {Error} error - The error the download failed with
+ */
+function isRetryable(error) {
+  return error instanceof ProfileNetworkError
+    || (error instanceof ProfileHttpError && error.retryable);
+}
+
+/**
+ * @description Stores cache entries in a JavaScript Map. Entries are lost when the page unloads.
+ */
+class InMemoryCacheAdapter {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key);
+  }
+
+  async set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * @description Stores cache entries using the browser's Cache Storage API so they persist across
+ * page loads. Requires a secure context in which the global `caches` object is available.
+ */
+class CacheStorageAdapter {
+  /**
+   * @param {string} cacheName - The name of the cache to open in Cache Storage
+   */
+  constructor(cacheName = 'webxr-input-profiles') {
+    if (typeof caches === 'undefined') {
+      throw new Error('Cache Storage is not available');
+    }
+
+    this.cacheName = cacheName;
+  }
+
+  async get(key) {
+    const cache = await caches.open(this.cacheName);
+    const response = await cache.match(key);
+    if (!response) {
+      return undefined;
+    }
+
+    const timestamp = Number(response.headers.get(CacheStorageAdapter.TimestampHeader));
+    const json = await response.text();
+    return { json, timestamp };
+  }
+
+  async set(key, { json, timestamp }) {
+    const cache = await caches.open(this.cacheName);
+    const response = new Response(json, {
+      headers: {
+        'Content-Type': 'application/json',
+        [CacheStorageAdapter.TimestampHeader]: String(timestamp)
+      }
+    });
+    await cache.put(key, response);
+  }
+
+  async delete(key) {
+    const cache = await caches.open(this.cacheName);
+    await cache.delete(key);
+  }
+
+  async clear() {
+    await caches.delete(this.cacheName);
+  }
+}
+
+CacheStorageAdapter.TimestampHeader = 'X-WebXR-Input-Profiles-Cached-At';
+
+/**
+ * @description Caches JSON files fetched by fetchProfilesList() and fetchProfile() so that
+ * repeated requests for the same file do not cause it to be downloaded again. Concurrent requests
+ * for a file that is not yet cached share a single download.
+ */
+class ProfileCache {
+  /**
+   * @param {Object} options
+   * @param {Object} options.adapter - Storage for cached entries. Must implement async get(),
+   * set(), delete(), and clear() methods. Defaults to an InMemoryCacheAdapter.
+   * @param {Function} options.fetch - The function used to download files. Must have the same
+   * signature as the global fetch(). Defaults to the global fetch().
+   * @param {number} options.ttl - Milliseconds a cached entry remains valid. Defaults to Infinity.
+   * @param {Function} options.now - Returns the current time in milliseconds. Defaults to Date.now.
+   * @param {Function} options.digest - Returns a promise of the base64 encoded hash of some text,
+   * given the Web Crypto name of the hash algorithm and the text. Used to check integrity metadata.
+   * Defaults to using the Web Crypto API.
+   * @param {number} options.timeout - Milliseconds allowed for each attempt to download a file.
+   * Defaults to Infinity.
+   * @param {number} options.retries - The number of times a download failing with a network error,
+   * a timeout, or a server error status is attempted again. Defaults to 0.
+   * @param {number} options.retryDelay - Milliseconds to wait before the first retry. The wait
+   * doubles for each further retry. Defaults to 500.
+   */
+  constructor({
+    adapter = new InMemoryCacheAdapter(),
+    fetch: fetchFunction = null,
+    ttl = Infinity,
+    now = Date.now,
+    digest = digestText,
+    timeout = Infinity,
+    retries = 0,
+    retryDelay = 500
+  } = {}) {
+    this.adapter = adapter;
+    this.fetchFunction = fetchFunction;
+    this.ttl = ttl;
+    this.now = now;
+    this.digest = digest;
+    this.timeout = timeout;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.pendingRequests = new Map();
+  }
+
+  /**
+   * @description Returns the parsed contents of the JSON file at the supplied path, downloading it
+   * only if it is not already cached or the cached copy has expired. A new object is returned on
+   * each call so callers may safely modify it.
+   *
+   * If integrity metadata is supplied, the file must match it. A cached copy which does not match
+   * is downloaded again, and a download which does not match is rejected and not cached.
+   *
+   * Concurrent requests for the same file share a single download, made with the options of the
+   * first request. Aborting one request does not affect the others, and the download is only
+   * cancelled once every request sharing it has been aborted.
+   * @param {string} path - Path to JSON file to be fetched
+   * @param {Object} options
+   * @param {string} options.integrity - Subresource integrity metadata the file must match
+   * @param {AbortSignal} options.signal - Cancels the request with a ProfileAbortError
+   * @param {number} options.timeout - Overrides the timeout the cache was created with
+   * @param {number} options.retries - Overrides the retries the cache was created with
+   * @param {number} options.retryDelay - Overrides the retryDelay the cache was created with
+   */
+  async fetchJson(path, options = {}) {
+    const { integrity, signal } = options;
+    const throwIfAborted = () => {
+      if (signal && signal.aborted) {
+        throw new ProfileAbortError(path);
+      }
+    };
+
+    throwIfAborted();
+    const entry = await this.adapter.get(path);
+    if (entry && (this.now() - entry.timestamp) < this.ttl
+        && (!integrity || await matchesIntegrity(this.digest, entry.json, integrity))) {
+      return JSON.parse(entry.json);
+    }
+
+    // The signal may have been aborted while the cache was read
+    throwIfAborted();
+
+    // Share the download with any other caller already waiting on this path and integrity
+    const requestKey = integrity ? `${path} ${integrity}` : path;
+    const removeRequest = (pendingRequest) => {
+      if (this.pendingRequests.get(requestKey) === pendingRequest) {
+        this.pendingRequests.delete(requestKey);
+      }
+    };
+
+    let request = this.pendingRequests.get(requestKey);
+    if (!request) {
+      const controller = signal ? new AbortController() : null;
+      const download = this.download(path, { ...options, signal: controller && controller.signal });
+      const pendingRequest = { controller, waiting: 0 };
+      pendingRequest.promise = download.finally(() => { removeRequest(pendingRequest); });
+      request = pendingRequest;
+      this.pendingRequests.set(requestKey, request);
+    }
+
+    request.waiting += 1;
+    try {
+      const json = await raceSignal(request.promise, signal, () => new ProfileAbortError(path));
+      return JSON.parse(json);
+    } finally {
+      request.waiting -= 1;
+      if (request.waiting === 0 && request.controller && signal && signal.aborted) {
+        // Later requests start a new download rather than sharing the cancelled one
+        removeRequest(request);
+        request.controller.abort();
+      }
+    }
+  }
+
+  /**
+   * @description Fetches the file at the supplied path and stores its contents in the cache,
+   * retrying failed attempts with an exponentially increasing delay
+   * @param {string} path - Path to JSON file to be fetched
+   * @param {Object} options - The options passed to fetchJson()
+   * @param {number} [attempt] - The number of attempts already made
+   */
+  async download(path, options, attempt = 0) {
+    const { retries = this.retries, retryDelay = this.retryDelay } = options;
+    try {
+      const json = await this.attemptDownload(path, options);
+      await this.adapter.set(path, { json, timestamp: this.now() });
+      return json;
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+    }
+
+    await wait(retryDelay * (2 ** attempt), options.signal, path);
+    return this.download(path, options, attempt + 1);
+  }
+
+  /**
+   * @description Makes a single attempt to fetch the file at the supplied path
+   * @param {string} path - Path to JSON file to be fetched
+   * @param {Object} options - The options passed to fetchJson()
+   * @returns {Promise<string>} The contents of the file
+   */
+  async attemptDownload(path, { integrity, signal, timeout = this.timeout }) {
+    const fetchFunction = this.fetchFunction || fetch;
+
+    // Requests are only given a signal if they may be cancelled, by the caller or a timeout
+    if (!signal && !Number.isFinite(timeout)) {
+      return this.readResponse(path, integrity, () => fetchFunction(path));
+    }
+
+    const controller = new AbortController();
+    const abortAttempt = () => { controller.abort(); };
+    let timedOut = false;
+    const timer = Number.isFinite(timeout) ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout) : undefined;
+    if (signal) {
+      signal.addEventListener('abort', abortAttempt);
+    }
+
+    try {
+      const contents = this.readResponse(
+        path, integrity, () => fetchFunction(path, { signal: controller.signal })
+      );
+      return await raceSignal(contents, controller.signal, () => (
+        timedOut ? new ProfileTimeoutError(path, timeout) : new ProfileAbortError(path)
+      ));
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', abortAttempt);
+      }
+    }
+  }
+
+  /**
+   * @description Reads and checks the contents of a response
+   * @param {string} path - Path of the file being fetched
+   * @param {string} [integrity] - Subresource integrity metadata the file must match
+   * @param {Function} makeRequest - Calls fetch() and returns its result
+   * @returns {Promise<string>} The contents of the file
+   */
+  async readResponse(path, integrity, makeRequest) {
+    let response;
+    try {
+      response = await makeRequest();
+    } catch (error) {
+      throw new ProfileNetworkError(path, error);
+    }
+
+    if (!response.ok) {
+      throw new ProfileHttpError(path, response.status, response.statusText);
+    }
+
+    // Round trip through JSON.parse() to ensure malformed files are never cached. Files with
+    // integrity metadata are cached as served so they can be checked again when read.
+    if (integrity) {
+      let text;
+      try {
+        text = await response.text();
+      } catch (error) {
+        throw new ProfileNetworkError(path, error);
+      }
+
+      if (!await matchesIntegrity(this.digest, text, integrity)) {
+        throw new ProfileIntegrityError(path, integrity);
+      }
+
+      try {
+        JSON.parse(text);
+      } catch (error) {
+        throw new ProfileParseError(path, error);
+      }
+      return text;
+    }
+
+    try {
+      return JSON.stringify(await response.json());
+    } catch (error) {
+      throw error instanceof SyntaxError
+        ? new ProfileParseError(path, error) : new ProfileNetworkError(path, error);
+    }
+  }
+
+  /**
+   * @description Removes the cached copy of a single file
+   * @param {string} path - The path the file was fetched from
+   */
+  async invalidate(path) {
+    await this.adapter.delete(path);
+  }
+
+  /**
+   * @description Removes all cached files
+   */
+  async clear() {
+    await this.adapter.clear();
+  }
+}
+
+export { ProfileCache, InMemoryCacheAdapter, CacheStorageAdapter };
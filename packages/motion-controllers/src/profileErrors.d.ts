@@ -0,0 +1,57 @@
+export class ProfileError extends Error {
+  constructor(message: string, path?: string);
+
+  path?: string;
+}
+
+export class ProfileNetworkError extends ProfileError {
+  constructor(path: string, cause?: Error);
+
+  cause?: Error;
+}
+
+export class ProfileTimeoutError extends ProfileNetworkError {
+  constructor(path: string, timeout: number);
+
+  timeout: number;
+}
+
+export class ProfileHttpError extends ProfileError {
+  constructor(path: string, status: number, statusText?: string);
+
+  status: number;
+  statusText?: string;
+  readonly retryable: boolean;
+}
+
+export class ProfileParseError extends ProfileError {
+  constructor(path: string, cause?: Error);
+
+  cause?: Error;
+}
+
+export class ProfileIntegrityError extends ProfileError {
+  constructor(path: string, integrity: string);
+
+  integrity: string;
+}
+
+export class ProfileSchemaError extends ProfileError {
+  constructor(
+    path: string, profileId: string, schemaVersion: string, supportedVersion: number
+  );
+
+  profileId: string;
+  schemaVersion: string;
+  supportedVersion: number;
+}
+
+export class ProfileAbortError extends ProfileError {
+  constructor(path?: string);
+}
+
+export class NoMatchingProfileError extends ProfileError {
+  constructor(profileIds: string[], message?: string);
+
+  profileIds: string[];
+}
@@ -0,0 +1,166 @@
+/**
+ * @description The base class of the errors thrown when a profile cannot be fetched, so callers
+ * can tell them apart from other failures
+ */
+class ProfileError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [path] - The path of the file being fetched, if any
+   */
+  constructor(message, path) {
+    super(message);
+    this.name = 'ProfileError';
+    this.path = path;
+  }
+}
+
+/**
+ * @description Thrown when a file cannot be downloaded at all, such as when the network is
+ * unavailable. The message is that of the error thrown by fetch(), if any. Downloads failing with
+ * this error are retried.
+ */
+class ProfileNetworkError extends ProfileError {
+  /**
+   * @param {string} path - The path of the file being fetched
+   * @param {Error} [cause] - The error thrown by fetch()
+   */
+  constructor(path, cause) {
+    super(cause ? cause.message : `Unable to fetch ${path}`, path);
+    this.name = 'ProfileNetworkError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * @description Thrown when a download takes longer than the timeout. Downloads failing with this
+ * error are retried.
+ */
+class ProfileTimeoutError extends ProfileNetworkError {
+  /**
+   * @param {string} path - The path of the file being fetched
+   * @param {number} timeout - The number of milliseconds allowed for the download
+   */
+  constructor(path, timeout) {
+    super(path);
+    this.name = 'ProfileTimeoutError';
+    this.message = `Fetching ${path} timed out after ${timeout}ms`;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * @description Thrown when the server responds with an error status. Downloads failing with a
+ * server error or 429 status are retried.
+ */
+class ProfileHttpError extends ProfileError {
+  /**
+   * @param {string} path - The path of the file being fetched
+   * @param {number} status - The HTTP status code of the response
+   * @param {string} [statusText] - The HTTP status message of the response
+   */
+  constructor(path, status, statusText) {
+    super(statusText || `HTTP status ${status}`, path);
+    this.name = 'ProfileHttpError';
+    this.status = status;
+    this.statusText = statusText;
+  }
+
+  /**
+   * @description Whether the same request may succeed if it is made again
+   */
+  get retryable() {
+    return this.status === 429 || this.status >= 500;
+  }
+}
+
+/**
+ * @description Thrown when a downloaded file is not valid JSON
+ */
+class ProfileParseError extends ProfileError {
+  /**
+   * @param {string} path - The path of the file being fetched
+   * @param {Error} [cause] - The error thrown when parsing the file
+   */
+  constructor(path, cause) {
+    super(`${path} is not valid JSON${cause ? `: ${cause.message}` : ''}`, path);
+    this.name = 'ProfileParseError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * @description Thrown when a downloaded file does not match its integrity metadata
+ */
+class ProfileIntegrityError extends ProfileError {
+  /**
+   * @param {string} path - The path of the file being fetched
+   * @param {string} integrity - The integrity metadata the file did not match
+   */
+  constructor(path, integrity) {
+    super(`${path} does not match its integrity metadata ${integrity}`, path);
+    this.name = 'ProfileIntegrityError';
+    this.integrity = integrity;
+  }
+}
+
+/**
+ * @description Thrown when a profiles list entry uses a major schema version this package does not
+ * understand
+ */
+class ProfileSchemaError extends ProfileError {
+  /**
+   * @param {string} path - The path of the profile, which is not fetched
+   * @param {string} profileId - The profile id of the entry
+   * @param {string} schemaVersion - The schema version of the entry
+   * @param {number} supportedVersion - The major schema version this package understands
+   */
+  constructor(path, profileId, schemaVersion, supportedVersion) {
+    super(`Profile ${profileId} uses schema version ${schemaVersion}, but only version ${supportedVersion}.x is supported`, path);
+    this.name = 'ProfileSchemaError';
+    this.profileId = profileId;
+    this.schemaVersion = schemaVersion;
+    this.supportedVersion = supportedVersion;
+  }
+}
+
+/**
+ * @description Thrown when fetching is cancelled by an AbortSignal. The name matches the error
+ * thrown by fetch() when it is aborted.
+ */
+class ProfileAbortError extends ProfileError {
+  /**
+   * @param {string} [path] - The path of the file being fetched, if any
+   */
+  constructor(path) {
+    super(path ? `Fetching ${path} was aborted` : 'Fetching profiles was aborted', path);
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * @description Thrown when none of an input source's profile ids, nor the default profile id, are
+ * in the profiles list
+ */
+class NoMatchingProfileError extends ProfileError {
+  /**
+   * @param {string[]} profileIds - The profile ids which were looked for
+   * @param {string} [message] - Describes the failure. Defaults to a generic message.
+   */
+  constructor(profileIds, message = 'No matching profile name found') {
+    super(message);
+    this.name = 'NoMatchingProfileError';
+    this.profileIds = profileIds;
+  }
+}
+
+export {
+  ProfileError,
+  ProfileNetworkError,
+  ProfileTimeoutError,
+  ProfileHttpError,
+  ProfileParseError,
+  ProfileIntegrityError,
+  ProfileSchemaError,
+  ProfileAbortError,
+  NoMatchingProfileError
+};
@@ -1,9 +1,47 @@
+import { ProfileCache, ProfileRequestOptions } from './profileCache';
+
 export as namespace Profiles;
 
-export function fetchProfilesList(basePath: string): { [key: string]: string };
+export interface ProfileSourceConflict {
+  profileId: string;
+  sourceIndex: number;
+  overriddenSourceIndices: number[];
+}
+
+export interface FetchOptions extends ProfileRequestOptions {
+  cache?: ProfileCache;
+  conflicts?: ProfileSourceConflict[];
+}
+
+export interface ProfileBundle {
+  files: { [relativePath: string]: any };
+  basePath?: string;
+  resolvePath?: (relativePath: string) => string;
+}
+
+export type ProfileLoader = (relativePath: string, options: { signal?: AbortSignal }) => any;
+
+export type ProfileSource = string | ProfileBundle | ProfileLoader;
+
+export const defaultProfileCache: ProfileCache;
+
+export function findLayoutHandedness(
+  profile: { layouts: { [handedness: string]: object } },
+  handedness: string
+): string | undefined;
+export function fetchProfilesList(
+  basePath: ProfileSource | ProfileSource[],
+  options?: FetchOptions
+): Promise<{ [key: string]: object }>;
 export function fetchProfile(
   xrInputSource: object,
-  basePath: string,
+  basePath: ProfileSource | ProfileSource[],
   defaultProfileId?: string,
-  getAssetPath?: boolean
-): { profile: object; assetPath?: string };
+  getAssetPath?: boolean,
+  options?: FetchOptions
+): Promise<{
+  profile: object;
+  assetPath?: string;
+  assetIntegrity?: string;
+  resolutionPath: string[];
+}>;
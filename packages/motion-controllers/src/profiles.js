@@ -1,27 +1,299 @@
+import { Constants } from './constants';
+import { ProfileCache } from './profileCache';
+import {
+  NoMatchingProfileError, ProfileAbortError, ProfileSchemaError
+} from './profileErrors';
+
+/**
+ * @description The layouts to try, in order, for each handedness an XRInputSource may report.
+ * 'any' is never reported by an XRInputSource, but allows a profile to be inspected without one.
+ * @constant {Object}
+ */
+const HandednessFallbacks = {
+  [Constants.Handedness.NONE]: [
+    Constants.Handedness.NONE, Constants.Handedness.LEFT, Constants.Handedness.RIGHT
+  ],
+  [Constants.Handedness.LEFT]: [Constants.Handedness.LEFT],
+  [Constants.Handedness.RIGHT]: [Constants.Handedness.RIGHT],
+  any: [Constants.Handedness.NONE, Constants.Handedness.LEFT, Constants.Handedness.RIGHT]
+};
+
+/**
+ * @description The major version of the profile format this package understands. Profiles list
+ * entries with a different major schemaVersion are rejected by fetchProfile().
+ * @constant {number}
+ */
+const SupportedSchemaVersion = 1;
+
+/**
+ * @description The key of the profiles list under which profiles without assets of their own are
+ * listed. Keeping them apart from the entries with a path stops clients which do not walk fallback
+ * chains from matching them. Profile ids always contain a hyphen, so cannot collide with it.
+ * @constant {string}
+ */
+const FallbackProfilesKey = 'fallbackProfiles';
+
 /**
- * @description Static helper function to fetch a JSON file and turn it into a JS object
- * @param {string} path - Path to JSON file to be fetched
+ * @description The cache used by fetchProfilesList() and fetchProfile() when none is supplied
  */
-async function fetchJsonFile(path) {
-  const response = await fetch(path);
-  if (!response.ok) {
-    throw new Error(response.statusText);
-  } else {
-    return response.json();
+const defaultProfileCache = new ProfileCache();
+
+/**
+ * @description Finds the handedness of the profile's layout that best fits the supplied
+ * handedness. An input source reporting 'none' uses the 'none' layout if there is one, otherwise
+ * the 'left' then 'right' layout, as some devices report 'none' for profiles that only describe
+ * left and right layouts. 'left' and 'right' only match their own layout.
+ * @param {Object} profile - The profile whose layouts are searched
+ * @param {string} handedness - The handedness reported by the input source, or 'any'
+ * @returns {string} The key of the matching layout, or undefined if no layout fits
+ */
+function findLayoutHandedness(profile, handedness) {
+  const candidates = HandednessFallbacks[handedness] || [];
+  return candidates.find(candidate => !!profile.layouts[candidate]);
+}
+
+/**
+ * @description Throws a ProfileAbortError if the signal has been aborted
+ * @param {AbortSignal} [signal]
+ * @param {string} path - The path of the file being loaded
+ */
+function throwIfAborted(signal, path) {
+  if (signal && signal.aborted) {
+    throw new ProfileAbortError(path);
   }
 }
 
-async function fetchProfilesList(basePath) {
+/**
+ * @description Lists the profiles under the FallbackProfilesKey of a profiles list alongside its
+ * other entries, so all profile ids can be looked up in the same way
+ * @param {Object} profilesList - The contents of a profilesList.json file
+ * @returns {Object} The entry of every profile id in the list
+ */
+function flattenProfilesList(profilesList) {
+  const { [FallbackProfilesKey]: fallbackProfiles, ...profileEntries } = profilesList;
+  return { ...fallbackProfiles, ...profileEntries };
+}
+
+/**
+ * @description Wraps the place profiles are loaded from so that files can be read, and assets
+ * located, without knowing whether they are fetched, already in memory, or supplied by a loader.
+ * Only fetched files are checked against their integrity metadata. Files from bundles and loader
+ * functions are already parsed, so are not available as they were served, and their integrity
+ * metadata is ignored without error.
+ * @param {string|Object|Function} basePath - The folder containing the profilesList.json file, a
+ * profile bundle, or a function returning the parsed contents of a file
+ * @param {Object} basePath.files - The parsed contents of the bundle's JSON files, keyed by their
+ * path relative to the profilesList.json file
+ * @param {string} [basePath.basePath] - The folder containing the bundle's assets
+ * @param {Function} [basePath.resolvePath] - Returns the path of one of the bundle's assets.
+ * Takes priority over basePath.basePath.
+ * @param {ProfileCache} cache - The cache used to fetch files
+ * @param {Object} requestOptions - The signal, timeout, retries, and retryDelay passed to the
+ * cache. Loader functions are passed the signal.
+ */
+function createProfileSource(basePath, cache, requestOptions = {}) {
+  const { signal } = requestOptions;
+  if (typeof basePath === 'string') {
+    return {
+      fetchJson: (relativePath, integrity) => (
+        cache.fetchJson(`${basePath}/${relativePath}`, { ...requestOptions, integrity })
+      ),
+      resolvePath: relativePath => `${basePath}/${relativePath}`
+    };
+  }
+
+  if (typeof basePath === 'function') {
+    return {
+      fetchJson: async (relativePath) => {
+        throwIfAborted(signal, relativePath);
+        const json = await basePath(relativePath, { signal });
+        throwIfAborted(signal, relativePath);
+        if (json === undefined) {
+          throw new Error(`${relativePath} was not found by the profile loader`);
+        }
+        return json;
+      },
+      resolvePath: relativePath => relativePath
+    };
+  }
+
+  if (!basePath.files) {
+    throw new Error('Profile bundle has no files');
+  }
+
+  let resolvePath = relativePath => relativePath;
+  if (basePath.resolvePath) {
+    ({ resolvePath } = basePath);
+  } else if (basePath.basePath) {
+    resolvePath = relativePath => `${basePath.basePath}/${relativePath}`;
+  }
+
+  return {
+    fetchJson: async (relativePath) => {
+      throwIfAborted(signal, relativePath);
+      const json = basePath.files[relativePath];
+      if (json === undefined) {
+        throw new Error(`${relativePath} is not in the profile bundle`);
+      }
+
+      // Copy the file so callers may safely modify it, as they can files from the cache
+      return JSON.parse(JSON.stringify(json));
+    },
+    resolvePath
+  };
+}
+
+/**
+ * @description Fetches the profiles list from each of the supplied sources and merges them. When
+ * more than one source lists a profile id, the entry from the earliest source is used and the
+ * conflict is recorded.
+ * @param {string|Object|Function|Array} basePath - A source accepted by createProfileSource, or
+ * an array of them in priority order
+ * @param {ProfileCache} cache - The cache used to fetch files
+ * @param {Object[]} [conflicts] - Collects the profile ids listed by more than one source
+ * @param {Object} [requestOptions] - The signal, timeout, retries, and retryDelay used to fetch
+ * files
+ * @returns {Object} The merged profiles list, and the source each of its entries came from
+ */
+async function fetchMergedProfilesList(basePath, cache, conflicts, requestOptions) {
+  const basePaths = Array.isArray(basePath) ? basePath : [basePath];
+  if (basePaths.length === 0 || basePaths.some(path => !path)) {
+    throw new Error('No basePath supplied');
+  }
+
+  const sources = basePaths.map(path => createProfileSource(path, cache, requestOptions));
+  const profilesLists = await Promise.all(
+    sources.map(source => source.fetchJson('profilesList.json'))
+  );
+
+  const profilesList = {};
+  const entrySources = {};
+  const sourceIndices = {};
+  profilesLists.map(flattenProfilesList).forEach((sourceProfilesList, sourceIndex) => {
+    Object.keys(sourceProfilesList).forEach((profileId) => {
+      if (!profilesList[profileId]) {
+        profilesList[profileId] = sourceProfilesList[profileId];
+        entrySources[profileId] = sources[sourceIndex];
+        sourceIndices[profileId] = [sourceIndex];
+      } else {
+        sourceIndices[profileId].push(sourceIndex);
+      }
+    });
+  });
+
+  if (conflicts) {
+    Object.keys(sourceIndices).filter(profileId => sourceIndices[profileId].length > 1)
+      .forEach((profileId) => {
+        const [sourceIndex, ...overriddenSourceIndices] = sourceIndices[profileId];
+        conflicts.push({ profileId, sourceIndex, overriddenSourceIndices });
+      });
+  }
+
+  return { profilesList, entrySources };
+}
+
+/**
+ * @description Fetches the profiles list from the supplied basePath. Profiles listed under the
+ * fallbackProfiles key are returned alongside the other entries, without a path.
+ * @param {string|Object|Function|Array} basePath - The folder containing the profilesList.json
+ * file, a profile bundle whose files are already in memory, a function returning the parsed
+ * contents of a file, or an array of these in priority order whose lists are merged
+ * @param {Object} options
+ * @param {ProfileCache} options.cache - The cache used to fetch the file. Defaults to the
+ * defaultProfileCache.
+ * @param {Object[]} options.conflicts - Collects each profile id listed by more than one source,
+ * with the index of the source used and of those overridden
+ * @param {AbortSignal} options.signal - Cancels fetching with a ProfileAbortError
+ * @param {number} options.timeout - Milliseconds allowed for each attempt to download a file.
+ * Defaults to the cache's timeout.
+ * @param {number} options.retries - The number of times a failed download is retried. Defaults to
+ * the cache's retries.
+ * @param {number} options.retryDelay - Milliseconds to wait before the first retry, doubling for
+ * each further retry. Defaults to the cache's retryDelay.
+ */
+async function fetchProfilesList(
+  basePath, { cache = defaultProfileCache, conflicts, ...requestOptions } = {}
+) {
   if (!basePath) {
     throw new Error('No basePath supplied');
   }
 
-  const profileListFileName = 'profilesList.json';
-  const profilesList = await fetchJsonFile(`${basePath}/${profileListFileName}`);
+  const { profilesList } = await fetchMergedProfilesList(
+    basePath, cache, conflicts, requestOptions
+  );
   return profilesList;
 }
 
-async function fetchProfile(xrInputSource, basePath, defaultProfile = null, getAssetPath = true) {
+/**
+ * @description Finds the chain of profile ids leading from the supplied profile id to an entry in
+ * the profiles list that has a path. Entries without a path are followed recursively through their
+ * fallbackProfileIds.
+ * @param {string} profileId - The profile id to start resolving from
+ * @param {Object} supportedProfilesList - The contents of the profilesList.json file
+ * @param {Set} visitedProfileIds - Profile ids already examined. Prevents cycles in the fallback
+ * chain from causing infinite recursion.
+ * @returns {string[]} The resolved chain of profile ids, or null if none could be resolved
+ */
+function resolveProfileId(profileId, supportedProfilesList, visitedProfileIds) {
+  if (visitedProfileIds.has(profileId)) {
+    return null;
+  }
+  visitedProfileIds.add(profileId);
+
+  const supportedProfile = supportedProfilesList[profileId];
+  if (!supportedProfile) {
+    return null;
+  }
+
+  if (supportedProfile.path) {
+    return [profileId];
+  }
+
+  let resolutionPath = null;
+  const fallbackProfileIds = supportedProfile.fallbackProfileIds || [];
+  fallbackProfileIds.some((fallbackProfileId) => {
+    const fallbackResolutionPath = resolveProfileId(
+      fallbackProfileId, supportedProfilesList, visitedProfileIds
+    );
+    if (fallbackResolutionPath) {
+      resolutionPath = [profileId, ...fallbackResolutionPath];
+    }
+    return !!resolutionPath;
+  });
+
+  return resolutionPath;
+}
+
+/**
+ * @description Fetches the best matching profile, and optionally its asset path, for the supplied
+ * XRInputSource. If the profiles list includes integrity metadata for the profile, a downloaded
+ * profile must match it; profiles from bundles and loader functions are not checked. The asset is
+ * never downloaded here, so any integrity metadata for it is only returned as assetIntegrity for
+ * the asset's loader to check.
+ * Throws a ProfileSchemaError if the matched entry's major schemaVersion is not understood.
+ * @param {Object} xrInputSource - The XRInputSource whose profiles array is used for matching
+ * @param {string|Object|Function|Array} basePath - The folder containing the profilesList.json
+ * file, a profile bundle, a loader function, or an array of these in priority order. The profile
+ * and its asset are loaded from the source whose list supplied the matched profile id.
+ * @param {string} defaultProfile - The profile id to use if none of the input source's match
+ * @param {boolean} getAssetPath - Indicates if the asset path should be returned
+ * @param {Object} options
+ * @param {ProfileCache} options.cache - The cache used to fetch files. Defaults to the
+ * defaultProfileCache.
+ * @param {Object[]} options.conflicts - Collects each profile id listed by more than one source
+ * @param {AbortSignal} options.signal - Cancels fetching with a ProfileAbortError
+ * @param {number} options.timeout - Milliseconds allowed for each attempt to download a file.
+ * Defaults to the cache's timeout.
+ * @param {number} options.retries - The number of times a failed download is retried. Defaults to
+ * the cache's retries.
+ * @param {number} options.retryDelay - Milliseconds to wait before the first retry, doubling for
+ * each further retry. Defaults to the cache's retryDelay.
+ */
+async function fetchProfile(
+  xrInputSource, basePath, defaultProfile = null, getAssetPath = true, options = {}
+) {
+  const { cache = defaultProfileCache, conflicts, ...requestOptions } = options;
+
   if (!xrInputSource) {
     throw new Error('No xrInputSource supplied');
   }
@@ -31,61 +303,74 @@ async function fetchProfile(xrInputSource, basePath, defaultProfile = null, getA
   }
 
   // Get the list of profiles
-  const supportedProfilesList = await fetchProfilesList(basePath);
+  const {
+    profilesList: supportedProfilesList, entrySources
+  } = await fetchMergedProfilesList(basePath, cache, conflicts, requestOptions);
 
-  // Find the relative path to the first requested profile that is recognized
-  let match;
+  // Find the relative path to the first requested profile that is recognized, walking the
+  // fallback chain of any recognized profile that has no assets of its own
+  const visitedProfileIds = new Set();
+  let resolutionPath;
   xrInputSource.profiles.some((profileId) => {
-    const supportedProfile = supportedProfilesList[profileId];
-    if (supportedProfile) {
-      match = {
-        profileId,
-        profilePath: `${basePath}/${supportedProfile.path}`,
-        deprecated: !!supportedProfile.deprecated
-      };
-    }
-    return !!match;
+    resolutionPath = resolveProfileId(profileId, supportedProfilesList, visitedProfileIds);
+    return !!resolutionPath;
   });
 
-  if (!match) {
+  if (!resolutionPath) {
     if (!defaultProfile) {
-      throw new Error('No matching profile name found');
+      throw new NoMatchingProfileError(xrInputSource.profiles);
     }
 
-    const supportedProfile = supportedProfilesList[defaultProfile];
-    if (!supportedProfile) {
-      throw new Error(`No matching profile name found and default profile "${defaultProfile}" missing.`);
+    resolutionPath = resolveProfileId(defaultProfile, supportedProfilesList, visitedProfileIds);
+    if (!resolutionPath) {
+      throw new NoMatchingProfileError(
+        [...xrInputSource.profiles, defaultProfile],
+        `No matching profile name found and default profile "${defaultProfile}" missing.`
+      );
     }
+  }
 
-    match = {
-      profileId: defaultProfile,
-      profilePath: `${basePath}/${supportedProfile.path}`,
-      deprecated: !!supportedProfile.deprecated
-    };
+  const matchedProfileId = resolutionPath[resolutionPath.length - 1];
+  const supportedProfile = supportedProfilesList[matchedProfileId];
+  const source = entrySources[matchedProfileId];
+  if (supportedProfile.schemaVersion !== undefined) {
+    const majorVersion = Number(String(supportedProfile.schemaVersion).split('.')[0]);
+    if (majorVersion !== SupportedSchemaVersion) {
+      throw new ProfileSchemaError(
+        source.resolvePath(supportedProfile.path),
+        matchedProfileId,
+        supportedProfile.schemaVersion,
+        SupportedSchemaVersion
+      );
+    }
   }
 
-  const profile = await fetchJsonFile(match.profilePath);
+  const profile = await source.fetchJson(supportedProfile.path, supportedProfile.integrity);
 
   let assetPath;
+  let assetIntegrity;
   if (getAssetPath) {
-    let layout;
-    if (xrInputSource.handedness === 'any') {
-      layout = profile.layouts[Object.keys(profile.layouts)[0]];
-    } else {
-      layout = profile.layouts[xrInputSource.handedness];
-    }
-    if (!layout) {
+    const layoutHandedness = findLayoutHandedness(profile, xrInputSource.handedness);
+    if (!layoutHandedness) {
       throw new Error(
-        `No matching handedness, ${xrInputSource.handedness}, in profile ${match.profileId}`
+        `No matching handedness, ${xrInputSource.handedness}, in profile ${matchedProfileId}`
       );
     }
 
-    if (layout.assetPath) {
-      assetPath = match.profilePath.replace('profile.json', layout.assetPath);
+    const { assetPath: layoutAssetPath } = profile.layouts[layoutHandedness];
+    if (layoutAssetPath) {
+      assetPath = source.resolvePath(supportedProfile.path.replace('profile.json', layoutAssetPath));
+      if (supportedProfile.assetIntegrity) {
+        assetIntegrity = supportedProfile.assetIntegrity[layoutAssetPath];
+      }
     }
   }
 
-  return { profile, assetPath };
+  return {
+    profile, assetPath, assetIntegrity, resolutionPath
+  };
 }
 
-export { fetchProfilesList, fetchProfile };
+export {
+  fetchProfilesList, fetchProfile, findLayoutHandedness, defaultProfileCache
+};
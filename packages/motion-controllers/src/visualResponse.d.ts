@@ -1,6 +1,11 @@
 import { Component } from './component';
 import { Constants } from './constants';
 
+export function normalizeAxes(
+  x?: number,
+  y?: number
+): { normalizedXAxis: number; normalizedYAxis: number };
+
 export class VisualResponse {
   constructor(visualResponseDescription: object);
 
@@ -18,6 +23,7 @@ export class VisualResponse {
     state: Constants.ComponentState;
     button?: number;
     xAxis?: number;
-    yAxis?: number 
+    yAxis?: number;
+    zAxis?: number;
   }): void;
 }
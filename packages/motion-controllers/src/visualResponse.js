@@ -4,6 +4,7 @@ import { Constants } from './constants';
 const defaultComponentValues = {
   xAxis: 0,
   yAxis: 0,
+  zAxis: 0,
   button: 0,
   state: Constants.ComponentState.DEFAULT
 };
@@ -68,13 +69,17 @@ class VisualResponse {
    * @param {Object} componentValues - The component from which to update
    * @param {number} xAxis - The reported X axis value of the component
    * @param {number} yAxis - The reported Y axis value of the component
+   * @param {number} zAxis - The reported Z axis value of the component
    * @param {number} button - The reported value of the component's button
    * @param {string} state - The component's active state
    */
   updateFromComponent({
-    xAxis, yAxis, button, state
+    xAxis, yAxis, zAxis, button, state
   }) {
     const { normalizedXAxis, normalizedYAxis } = normalizeAxes(xAxis, yAxis);
+
+    // The z axis is not bounded by the x, y circle so is only moved into the interpolation range
+    const normalizedZAxis = ((zAxis || 0) * 0.5) + 0.5;
     switch (this.componentProperty) {
       case Constants.ComponentProperty.X_AXIS:
         this.value = (this.states.includes(state)) ? normalizedXAxis : 0.5;
@@ -82,6 +87,9 @@ class VisualResponse {
       case Constants.ComponentProperty.Y_AXIS:
         this.value = (this.states.includes(state)) ? normalizedYAxis : 0.5;
         break;
+      case Constants.ComponentProperty.Z_AXIS:
+        this.value = (this.states.includes(state)) ? normalizedZAxis : 0.5;
+        break;
       case Constants.ComponentProperty.BUTTON:
         this.value = (this.states.includes(state)) ? button : 0;
         break;
@@ -98,4 +106,4 @@ class VisualResponse {
   }
 }
 
-export { VisualResponse };
+export { VisualResponse, normalizeAxes };
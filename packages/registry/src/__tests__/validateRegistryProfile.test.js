@@ -0,0 +1,228 @@
+import validateRegistryProfile from '../validateRegistryProfile';
+
+/**
+ * Builds a registry profile with a single layout, which has a trigger, a touchpad and a
+ * reserved button
+ */
+function buildProfile() {
+  return {
+    profileId: 'test-profile',
+    fallbackProfileIds: [],
+    layouts: {
+      'left-right': {
+        selectComponentId: 'trigger',
+        components: {
+          trigger: { type: 'trigger' },
+          touchpad: { type: 'touchpad' },
+          system: { type: 'button', reserved: true }
+        },
+        gamepad: {
+          mapping: '',
+          buttons: ['trigger', null, 'touchpad'],
+          axes: [
+            { componentId: 'touchpad', axis: 'x-axis' },
+            { componentId: 'touchpad', axis: 'y-axis' }
+          ]
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Validates a profile and returns the ids of the rules it broke
+ * @param {Object} profile
+ */
+function getRuleIds(profile) {
+  return validateRegistryProfile(profile, []).map(({ ruleId }) => ruleId);
+}
+
+test('A valid profile has no diagnostics', () => {
+  expect(validateRegistryProfile(buildProfile(), [])).toEqual([]);
+  expect(() => { validateRegistryProfile(buildProfile()); }).not.toThrow();
+});
+
+test('The first problem is thrown when no diagnostics array is supplied', () => {
+  const profile = buildProfile();
+  profile.layouts['left-right'].selectComponentId = 'grip';
+  expect(() => { validateRegistryProfile(profile); }).toThrow(expect.objectContaining({
+    name: 'RegistryProfileError',
+    profileId: 'test-profile',
+    handedness: 'left-right',
+    pointer: '/layouts/left-right/selectComponentId',
+    ruleId: 'select-component'
+  }));
+});
+
+describe('Gamepad', () => {
+  test('An unknown component in gamepad.buttons', () => {
+    const profile = buildProfile();
+    profile.layouts['left-right'].gamepad.buttons[1] = 'grip';
+    expect(validateRegistryProfile(profile, [])).toEqual([{
+      profileId: 'test-profile',
+      handedness: 'left-right',
+      pointer: '/layouts/left-right/gamepad/buttons/1',
+      severity: 'error',
+      message: 'Component id grip at gamepad.buttons[1] does not match a defined component',
+      ruleId: 'button-component'
+    }]);
+  });
+
+  test('An unknown component in gamepad.axes', () => {
+    const profile = buildProfile();
+    profile.layouts['left-right'].gamepad.axes.push({ componentId: 'thumbstick', axis: 'x-axis' });
+    expect(getRuleIds(profile)).toEqual(['axis-component']);
+  });
+
+  test('A component missing from the gamepad', () => {
+    const profile = buildProfile();
+    profile.layouts['left-right'].components.menu = { type: 'button' };
+    expect(validateRegistryProfile(profile, [])).toEqual([{
+      profileId: 'test-profile',
+      handedness: 'left-right',
+      pointer: '/layouts/left-right/components/menu',
+      severity: 'error',
+      message: 'Component menu is not in gamepad.buttons or gamepad.axes, so must be reserved',
+      ruleId: 'component-indices'
+    }]);
+  });
+
+  test('A component only in gamepad.axes is not missing', () => {
+    const profile = buildProfile();
+    profile.layouts['left-right'].gamepad.buttons[2] = null;
+    expect(getRuleIds(profile)).toEqual([]);
+  });
+
+  test('A duplicate button index', () => {
+    const profile = buildProfile();
+    profile.layouts['left-right'].gamepad.buttons[1] = 'trigger';
+    expect(getRuleIds(profile)).toEqual(['duplicate-buttons']);
+  });
+
+  test('A duplicate axis index', () => {
+    const profile = buildProfile();
+    profile.layouts['left-right'].gamepad.axes.push({ componentId: 'touchpad', axis: 'y-axis' });
+    expect(getRuleIds(profile)).toContain('duplicate-axes');
+  });
+
+  test('A z-axis following the x-axis and y-axis of a touchpad', () => {
+    const profile = buildProfile();
+    const { axes } = profile.layouts['left-right'].gamepad;
+    axes.push({ componentId: 'touchpad', axis: 'z-axis' });
+    expect(getRuleIds(profile)).toEqual([]);
+
+    axes.splice(1, 1);
+    expect(getRuleIds(profile)).toEqual(['z-axis-order']);
+  });
+
+  test('A z-axis on its own for a trigger or squeeze', () => {
+    const profile = buildProfile();
+    const layout = profile.layouts['left-right'];
+    layout.components.squeeze = { type: 'squeeze' };
+    layout.gamepad.buttons.push('squeeze');
+    layout.gamepad.axes.push(
+      { componentId: 'trigger', axis: 'z-axis' },
+      { componentId: 'squeeze', axis: 'z-axis' }
+    );
+    expect(getRuleIds(profile)).toEqual([]);
+  });
+
+  test('An x-axis or y-axis for a trigger', () => {
+    const profile = buildProfile();
+    profile.layouts['left-right'].gamepad.axes.push(
+      { componentId: 'trigger', axis: 'x-axis' },
+      { componentId: 'trigger', axis: 'y-axis' }
+    );
+    const diagnostics = validateRegistryProfile(profile, []);
+    expect(diagnostics.map(({ ruleId }) => ruleId)).toEqual([
+      'axis-component-type', 'axis-component-type'
+    ]);
+    expect(diagnostics[0].message).toEqual('gamepad.axes[2] maps to trigger which cannot report x-axis data');
+  });
+
+  test('Every problem in every layout is reported', () => {
+    const profile = buildProfile();
+    const layout = profile.layouts['left-right'];
+    layout.gamepad.buttons.push('grip', 'trigger');
+    profile.layouts.none = JSON.parse(JSON.stringify(layout));
+    delete profile.layouts.none.components.trigger;
+
+    const diagnostics = validateRegistryProfile(profile, []);
+    expect(diagnostics.map(({ handedness, ruleId }) => `${handedness} ${ruleId}`)).toEqual([
+      'left-right button-component',
+      'left-right duplicate-buttons',
+      'none select-component',
+      'none button-component',
+      'none button-component',
+      'none button-component',
+      'none duplicate-buttons'
+    ]);
+  });
+});
+
+describe('Sensors', () => {
+  /**
+   * Builds a registry profile whose layout has a finger curl sensor and a force sensitive grip
+   */
+  function buildSensorProfile() {
+    const profile = buildProfile();
+    const layout = profile.layouts['left-right'];
+    layout.components['finger-curl'] = { type: 'finger-curl' };
+    layout.components.grip = { type: 'force-sensor' };
+    layout.gamepad.buttons.push('finger-curl', 'grip');
+    return profile;
+  }
+
+  test('A valid sensor layout has no diagnostics', () => {
+    expect(validateRegistryProfile(buildSensorProfile(), [])).toEqual([]);
+  });
+
+  test('A sensor missing from gamepad.buttons', () => {
+    const profile = buildSensorProfile();
+    const { gamepad } = profile.layouts['left-right'];
+    gamepad.buttons = gamepad.buttons.filter(componentId => componentId !== 'grip');
+    expect(validateRegistryProfile(profile, [])).toContainEqual({
+      profileId: 'test-profile',
+      handedness: 'left-right',
+      pointer: '/layouts/left-right/components/grip',
+      severity: 'error',
+      message: 'Component grip of type force-sensor must be in gamepad.buttons',
+      ruleId: 'sensor-button'
+    });
+  });
+
+  test('A reserved sensor need not be in gamepad.buttons', () => {
+    const profile = buildSensorProfile();
+    const layout = profile.layouts['left-right'];
+    layout.components.grip.reserved = true;
+    layout.gamepad.buttons = layout.gamepad.buttons.filter(componentId => componentId !== 'grip');
+    expect(getRuleIds(profile)).toEqual([]);
+  });
+
+  test('A sensor reported only through gamepad.axes', () => {
+    const profile = buildSensorProfile();
+    const { gamepad } = profile.layouts['left-right'];
+    gamepad.buttons = gamepad.buttons.filter(componentId => componentId !== 'finger-curl');
+    gamepad.axes.push({ componentId: 'finger-curl', axis: 'x-axis' });
+    expect(getRuleIds(profile)).toEqual(['axis-component-type', 'sensor-button']);
+  });
+
+  test('A sensor which is never pressed as the select component', () => {
+    const profile = buildSensorProfile();
+    profile.layouts['left-right'].selectComponentId = 'finger-curl';
+    expect(validateRegistryProfile(profile, [])).toEqual([{
+      profileId: 'test-profile',
+      handedness: 'left-right',
+      pointer: '/layouts/left-right/selectComponentId',
+      severity: 'error',
+      message: 'Component finger-curl of type finger-curl is never pressed so cannot be the selectComponentId',
+      ruleId: 'sensor-select'
+    }]);
+  });
+
+  test('A force sensor may be the select component', () => {
+    const profile = buildSensorProfile();
+    profile.layouts['left-right'].selectComponentId = 'grip';
+    expect(getRuleIds(profile)).toEqual([]);
+  });
+});
@@ -11,9 +11,39 @@ class RegistryProfileError extends Error {
   }
 }
 
-function validateComponents(registryInfo, handedness) {
+/**
+ * Builds a JSON pointer from a list of property names and array indices
+ * @param {Array} path
+ */
+function toJsonPointer(path) {
+  const escapedPath = path.map(segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1'));
+  return escapedPath.map(segment => `/${segment}`).join('');
+}
+
+function validateLayoutComponents(registryInfo, handedness, report) {
+  const layout = registryInfo.layouts[handedness];
+
+  // Validate the select component exists
+  if (!layout.components[layout.selectComponentId]) {
+    report('select-component', ['selectComponentId'], `The selectComponentId ${layout.selectComponentId} does not match a defined component`);
+  }
+
+  // Validate every component is reported by the gamepad, as expandRegistryProfile drops those
+  // which are not. Hand layouts report their components in component order.
+  if (!layout.hand) {
+    const { buttons, axes } = layout.gamepad;
+    Object.keys(layout.components).forEach((componentId) => {
+      const isInButtons = buttons.includes(componentId);
+      const isInAxes = axes.some(axis => axis !== null && axis.componentId === componentId);
+      if (!layout.components[componentId].reserved && !isInButtons && !isInAxes) {
+        report('component-indices', ['components', componentId], `Component ${componentId} is not in gamepad.buttons or gamepad.axes, so must be reserved`);
+      }
+    });
+  }
+}
+
+function validateComponents(registryInfo, handedness, report) {
   if (registryInfo.layouts[handedness].gamepad.mapping === 'xr-standard') {
-    const { profileId } = registryInfo;
     const { components } = registryInfo.layouts[handedness];
     const XR_STANDARD_COMPONENTS = {
       'xr-standard-trigger': { type: 'trigger' },
@@ -24,12 +54,12 @@ function validateComponents(registryInfo, handedness) {
 
     // Ensure that at least the trigger is present
     if (!components['xr-standard-trigger']) {
-      throw new RegistryProfileError(profileId, handedness, '\'xr-standard\' requres the presence of the \'xr-standard-trigger\'');
+      report('xr-standard-trigger', ['components'], '\'xr-standard\' requres the presence of the \'xr-standard-trigger\'');
     }
 
     // Ensure that the selection component is the trigger
     if (registryInfo.layouts[handedness].selectComponentId !== 'xr-standard-trigger') {
-      throw new RegistryProfileError(profileId, handedness, '\'xr-standard\' requires the selectComponentId to be the \'xr-standard-trigger\'');
+      report('xr-standard-select', ['selectComponentId'], '\'xr-standard\' requires the selectComponentId to be the \'xr-standard-trigger\'');
     }
 
     // Validate all xr-standard components are of the correct type
@@ -38,15 +68,14 @@ function validateComponents(registryInfo, handedness) {
       if (standardComponent) {
         const component = components[componentId];
         if (component.type !== standardComponent.type) {
-          throw new RegistryProfileError(profileId, handedness, `'xr-standard' component ${componentId} must be type ${standardComponent.type}`);
+          report('xr-standard-component-type', ['components', componentId, 'type'], `'xr-standard' component ${componentId} must be type ${standardComponent.type}`);
         }
       }
     });
   }
 }
 
-function validateGamepadButtons(registryInfo, handedness) {
-  const { profileId } = registryInfo;
+function validateGamepadButtons(registryInfo, handedness, report) {
   const { components } = registryInfo.layouts[handedness];
   const { buttons } = registryInfo.layouts[handedness].gamepad;
   const XR_STANDARD_BUTTONS_MAPPING = [
@@ -60,14 +89,14 @@ function validateGamepadButtons(registryInfo, handedness) {
     if (componentId !== null) {
       // Validate gamepad buttons match a component
       if (!components[componentId]) {
-        throw new RegistryProfileError(profileId, handedness, `Component id ${componentId} at gamepad.buttons[${index}] does not match a defined component`);
+        report('button-component', ['gamepad', 'buttons', index], `Component id ${componentId} at gamepad.buttons[${index}] does not match a defined component`);
       }
 
       // Validate mapping order, if applicable
       if (registryInfo.layouts[handedness].gamepad.mapping === 'xr-standard' && index < XR_STANDARD_BUTTONS_MAPPING.length) {
         const standardComponentId = XR_STANDARD_BUTTONS_MAPPING[index];
         if (componentId !== standardComponentId) {
-          throw new RegistryProfileError(profileId, handedness, `The 'xr-standard' mapping requires button index ${index} to match the ${standardComponentId} component`);
+          report('xr-standard-buttons', ['gamepad', 'buttons', index], `The 'xr-standard' mapping requires button index ${index} to match the ${standardComponentId} component`);
         }
       }
     }
@@ -77,12 +106,11 @@ function validateGamepadButtons(registryInfo, handedness) {
   const noNulls = buttons.filter(item => item !== null);
   const noDuplicates = new Set(noNulls);
   if (noNulls.length !== noDuplicates.size) {
-    throw new RegistryProfileError(profileId, handedness, 'Buttons array contains duplicate componentIds');
+    report('duplicate-buttons', ['gamepad', 'buttons'], 'Buttons array contains duplicate componentIds');
   }
 }
 
-function validateGamepadAxes(registryInfo, handedness) {
-  const { profileId } = registryInfo;
+function validateGamepadAxes(registryInfo, handedness, report) {
   const { components } = registryInfo.layouts[handedness];
   const { axes } = registryInfo.layouts[handedness].gamepad;
   const XR_STANDARD_AXES_MAPPING = [
@@ -96,7 +124,7 @@ function validateGamepadAxes(registryInfo, handedness) {
   const noNulls = axes.filter(item => item !== null).map(item => JSON.stringify(item));
   const noDuplicates = new Set(noNulls);
   if (noNulls.length !== noDuplicates.size) {
-    throw new RegistryProfileError(profileId, handedness, 'Axes array contains duplicates');
+    report('duplicate-axes', ['gamepad', 'axes'], 'Axes array contains duplicates');
   }
 
   // Validate each axis description
@@ -106,21 +134,34 @@ function validateGamepadAxes(registryInfo, handedness) {
 
       // Validate gamepad axes match a component
       if (!component) {
-        throw new RegistryProfileError(profileId, handedness, `No matching component for gamepad.axes[${index}]`);
+        report('axis-component', ['gamepad', 'axes', index, 'componentId'], `No matching component for gamepad.axes[${index}]`);
+        return;
       }
 
-      // Validate the matching component can report axes
-      if (component.type !== 'thumbstick' && component.type !== 'touchpad') {
-        throw new RegistryProfileError(profileId, handedness, `gamepad.axes[${index}] maps to ${axisInfo.componentId} which cannot report axis data`);
+      // Validate the matching component can report the axis. Triggers and squeezes may only report
+      // a z-axis, such as the force applied to them.
+      const reportsXYAxes = component.type === 'thumbstick' || component.type === 'touchpad';
+      const reportsZAxis = component.type === 'trigger' || component.type === 'squeeze';
+      if (!reportsXYAxes && !(reportsZAxis && axisInfo.axis === 'z-axis')) {
+        report('axis-component-type', ['gamepad', 'axes', index, 'componentId'], `gamepad.axes[${index}] maps to ${axisInfo.componentId} which cannot report ${axisInfo.axis} data`);
       }
 
       // Validate that axes are in x,y,z order, if present, for each component
-      if (index > 0) {
-        const previousAxisInfo = axes[index - 1];
-        if (previousAxisInfo && previousAxisInfo.componentId === axisInfo.componentId) {
-          if (axisInfo.axis === 'x-axis' || (axisInfo.axis === 'y-axis' && previousAxisInfo.axis !== 'x-axis')) {
-            throw new RegistryProfileError(profileId, handedness, `Axes must be in x, y, z order for ${axisInfo.componentId}`);
-          }
+      const previousAxisInfo = (index > 0) ? axes[index - 1] : null;
+      const followsSameComponent = !!previousAxisInfo
+        && previousAxisInfo.componentId === axisInfo.componentId;
+      if (followsSameComponent) {
+        if (axisInfo.axis === 'x-axis' || (axisInfo.axis === 'y-axis' && previousAxisInfo.axis !== 'x-axis')) {
+          report('axis-order', ['gamepad', 'axes', index, 'axis'], `Axes must be in x, y, z order for ${axisInfo.componentId}`);
+        }
+      }
+
+      // Validate that the z-axis of a thumbstick or touchpad follows its x-axis and y-axis
+      if (axisInfo.axis === 'z-axis' && reportsXYAxes) {
+        const xAxisInfo = (index > 1) ? axes[index - 2] : null;
+        const followsXAxis = !!xAxisInfo && xAxisInfo.componentId === axisInfo.componentId && xAxisInfo.axis === 'x-axis';
+        if (!followsXAxis || !followsSameComponent || previousAxisInfo.axis !== 'y-axis') {
+          report('z-axis-order', ['gamepad', 'axes', index, 'axis'], `The z-axis of ${axisInfo.componentId} must immediately follow its x-axis and y-axis`);
         }
       }
 
@@ -129,24 +170,157 @@ function validateGamepadAxes(registryInfo, handedness) {
         const standardAxisInfo = XR_STANDARD_AXES_MAPPING[index];
 
         if (axisInfo.componentId !== standardAxisInfo.componentId) {
-          throw new RegistryProfileError(profileId, handedness, `The 'xr-standard' mapping requires axis index ${index} to match the ${standardAxisInfo.componentId} component`);
+          report('xr-standard-axes', ['gamepad', 'axes', index, 'componentId'], `The 'xr-standard' mapping requires axis index ${index} to match the ${standardAxisInfo.componentId} component`);
         }
 
         if (axisInfo.axis !== standardAxisInfo.axis) {
-          throw new RegistryProfileError(profileId, handedness, `The 'xr-standard' mapping requires axis index ${index} to match the ${standardAxisInfo.axis}`);
+          report('xr-standard-axes', ['gamepad', 'axes', index, 'axis'], `The 'xr-standard' mapping requires axis index ${index} to match the ${standardAxisInfo.axis}`);
         }
       }
     }
   });
 }
 
-// Validate the layouts conform with requirements not expressable in schema validation
-function validateProfile(registryInfo) {
+function validateSensorComponents(registryInfo, handedness, report) {
+  const layout = registryInfo.layouts[handedness];
+  const SENSOR_TYPES = ['finger-curl', 'force-sensor', 'proximity'];
+  const UNPRESSABLE_TYPES = ['finger-curl', 'proximity'];
+
+  Object.keys(layout.components).forEach((componentId) => {
+    const { type, reserved } = layout.components[componentId];
+    if (!SENSOR_TYPES.includes(type)) {
+      return;
+    }
+
+    // Validate sensors report their measurement through a gamepad button's value
+    if (!reserved && !layout.gamepad.buttons.includes(componentId)) {
+      report('sensor-button', ['components', componentId], `Component ${componentId} of type ${type} must be in gamepad.buttons`);
+    }
+
+    // Validate the select component can be pressed
+    if (UNPRESSABLE_TYPES.includes(type) && layout.selectComponentId === componentId) {
+      report('sensor-select', ['selectComponentId'], `Component ${componentId} of type ${type} is never pressed so cannot be the selectComponentId`);
+    }
+  });
+}
+
+function validateHandComponents(registryInfo, handedness, report) {
+  const layout = registryInfo.layouts[handedness];
+
+  Object.keys(layout.components).forEach((componentId) => {
+    const { gesture } = layout.components[componentId];
+
+    // Validate components in hand layouts are derived from a gesture, and only those are
+    if (layout.hand && !gesture) {
+      report('hand-gesture', ['components', componentId], `Component ${componentId} in a hand layout must have a gesture`);
+    } else if (!layout.hand && gesture) {
+      report('hand-gesture', ['components', componentId, 'gesture'], `Component ${componentId} cannot have a gesture outside a hand layout`);
+    }
+  });
+
+  // Validate the distance ranges are in closed, open order
+  if (layout.hand) {
+    ['pinchDistance', 'curlDistance'].forEach((rangeName) => {
+      const range = layout.hand[rangeName];
+      if (range && range.closed >= range.open) {
+        report('hand-distance', ['hand', rangeName], `hand.${rangeName}.closed must be less than hand.${rangeName}.open`);
+      }
+    });
+  }
+}
+
+function validateTouchpadRegions(registryInfo, handedness, report) {
+  const layout = registryInfo.layouts[handedness];
+
+  Object.keys(layout.components).forEach((componentId) => {
+    const { type, regions } = layout.components[componentId];
+    if (!regions) {
+      return;
+    }
+
+    // Validate regions are only declared on clickable touchpads
+    if (type !== 'touchpad') {
+      report('region-component-type', ['components', componentId, 'regions'], `Component ${componentId} of type ${type} cannot have regions`);
+    }
+
+    if (!layout.gamepad.buttons.includes(componentId)) {
+      report('region-button', ['components', componentId, 'regions'], `Component ${componentId} must be in gamepad.buttons to have regions`);
+    }
+
+    // Presets are known to be valid
+    if (typeof regions === 'string') {
+      return;
+    }
+
+    Object.keys(regions).forEach((regionId) => {
+      const {
+        startAngle, endAngle, minRadius = 0, maxRadius = 1
+      } = regions[regionId];
+
+      // Validate the region's component id does not collide with a real component
+      const regionComponentId = `${componentId}-${regionId}`;
+      if (layout.components[regionComponentId]) {
+        report('region-id', ['components', componentId, 'regions', regionId], `Region ${regionId} of ${componentId} has the same id as component ${regionComponentId}`);
+      }
+
+      // Validate the region covers some area
+      if (minRadius >= maxRadius) {
+        report('region-radius', ['components', componentId, 'regions', regionId], `Region ${regionId} of ${componentId} must have a minRadius less than its maxRadius`);
+      }
+
+      if (startAngle !== undefined && startAngle === endAngle) {
+        report('region-angle', ['components', componentId, 'regions', regionId], `Region ${regionId} of ${componentId} must have different start and end angles`);
+      }
+    });
+  });
+}
+
+/**
+ * Validate the layouts conform with requirements not expressable in schema validation. By default
+ * the first problem found is thrown as a RegistryProfileError. If a diagnostics array is supplied,
+ * a diagnostic describing every problem found is added to it instead.
+ *
+ * Each diagnostic has the profileId, the handedness of the layout, a JSON pointer to the problem in
+ * the registry profile, a severity, a message, and the id of the rule which was broken.
+ * @param {Object} registryInfo - A registry profile which has passed schema validation
+ * @param {Object[]} [diagnostics] - Collects the problems found
+ * @returns {Object[]} The diagnostics array, if supplied
+ */
+function validateProfile(registryInfo, diagnostics) {
+  const { profileId } = registryInfo;
   Object.keys(registryInfo.layouts).forEach((layoutId) => {
-    validateComponents(registryInfo, layoutId);
-    validateGamepadButtons(registryInfo, layoutId);
-    validateGamepadAxes(registryInfo, layoutId);
+    const report = (ruleId, path, message) => {
+      const pointer = toJsonPointer(['layouts', layoutId, ...path]);
+      if (!diagnostics) {
+        const error = new RegistryProfileError(profileId, layoutId, message);
+        Object.assign(error, { pointer, ruleId });
+        throw error;
+      }
+
+      diagnostics.push({
+        profileId,
+        handedness: layoutId,
+        pointer,
+        severity: 'error',
+        message,
+        ruleId
+      });
+    };
+
+    validateLayoutComponents(registryInfo, layoutId, report);
+    validateHandComponents(registryInfo, layoutId, report);
+
+    // Hand layouts are derived from joint poses and have no gamepad to validate
+    if (!registryInfo.layouts[layoutId].hand) {
+      validateComponents(registryInfo, layoutId, report);
+      validateGamepadButtons(registryInfo, layoutId, report);
+      validateGamepadAxes(registryInfo, layoutId, report);
+      validateSensorComponents(registryInfo, layoutId, report);
+      validateTouchpadRegions(registryInfo, layoutId, report);
+    }
   });
+
+  return diagnostics;
 }
 
 module.exports = validateProfile;
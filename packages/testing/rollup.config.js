@@ -0,0 +1,21 @@
+const license = require('rollup-plugin-license');
+
+const DIST_FOLDER = 'dist';
+
+export default [
+  {
+    plugins: [
+      license({
+        banner: '<%= pkg.name %> <%= pkg.version %> https://github.com/immersive-web/webxr-input-profiles'
+      })
+    ],
+    input: ['src/index.js'],
+    external: ['@webxr-input-profiles/motion-controllers'],
+    output: [
+      {
+        format: 'es',
+        file: `${DIST_FOLDER}/testing.module.js`
+      }
+    ]
+  }
+];
@@ -0,0 +1,187 @@
+import { Constants } from '../../../motion-controllers/src/constants';
+import { MotionController } from '../../../motion-controllers/src/motionController';
+import { GestureRecognizer } from '../../../motion-controllers/src/gestureRecognizer';
+import { MockGamepad, MockXRInputSource } from '../index';
+
+const profile = {
+  profileId: 'mock-controller',
+  layouts: {
+    left: {
+      selectComponentId: 'mock-trigger',
+      gamepadMapping: 'xr-standard',
+      components: {
+        'mock-trigger': {
+          type: Constants.ComponentType.TRIGGER,
+          gamepadIndices: { button: 0 },
+          visualResponses: {}
+        },
+        'mock-touchpad': {
+          type: Constants.ComponentType.TOUCHPAD,
+          gamepadIndices: { button: 2, xAxis: 0, yAxis: 1 },
+          visualResponses: {}
+        },
+        'mock-thumbstick': {
+          type: Constants.ComponentType.THUMBSTICK,
+          gamepadIndices: { button: 3, xAxis: 2, yAxis: 3 },
+          visualResponses: {}
+        },
+        'mock-wheel': {
+          type: Constants.ComponentType.THUMBSTICK,
+          gamepadIndices: { xAxis: 4 },
+          visualResponses: {}
+        }
+      }
+    }
+  }
+};
+
+describe('MockGamepad', () => {
+  test('Fails to construct with invalid arguments', () => {
+    expect(() => {
+      // eslint-disable-next-line no-unused-vars
+      const gamepad = new MockGamepad(undefined, undefined);
+    }).toThrow();
+
+    expect(() => {
+      // eslint-disable-next-line no-unused-vars
+      const gamepad = new MockGamepad(profile, undefined);
+    }).toThrow();
+
+    expect(() => {
+      // eslint-disable-next-line no-unused-vars
+      const gamepad = new MockGamepad(profile, Constants.Handedness.RIGHT);
+    }).toThrow(/No layout/);
+  });
+
+  test('Sizes buttons and axes to match the layout', () => {
+    const gamepad = new MockGamepad(profile, Constants.Handedness.LEFT);
+    expect(gamepad.id).toEqual('mock-controller');
+    expect(gamepad.mapping).toEqual('xr-standard');
+    expect(gamepad.buttons).toHaveLength(4);
+    expect(gamepad.axes).toEqual([0, 0, 0, 0, 0]);
+    gamepad.buttons.forEach((button) => {
+      expect(button).toEqual({ value: 0, touched: false, pressed: false });
+    });
+  });
+
+  test('Presses, touches and releases buttons by component id', () => {
+    const gamepad = new MockGamepad(profile, Constants.Handedness.LEFT);
+
+    gamepad.press('mock-trigger');
+    expect(gamepad.buttons[0]).toEqual({ value: 1, touched: true, pressed: true });
+
+    gamepad.press('mock-trigger', 0.4);
+    expect(gamepad.buttons[0]).toEqual({ value: 0.4, touched: true, pressed: true });
+
+    gamepad.touch('mock-touchpad');
+    expect(gamepad.buttons[2]).toEqual({ value: 0, touched: true, pressed: false });
+
+    gamepad.release('mock-trigger');
+    expect(gamepad.buttons[0]).toEqual({ value: 0, touched: false, pressed: false });
+
+    expect(() => { gamepad.press('mock-trigger', 0); }).toThrow();
+    expect(() => { gamepad.press('mock-trigger', 2); }).toThrow();
+    expect(() => { gamepad.press('made-up-id'); }).toThrow(/No component/);
+    expect(() => { gamepad.touch('mock-wheel'); }).toThrow(/no button/);
+  });
+
+  test('Sets axes by component id', () => {
+    const gamepad = new MockGamepad(profile, Constants.Handedness.LEFT);
+
+    gamepad.setAxes('mock-thumbstick', 0.5, -1);
+    expect(gamepad.axes).toEqual([0, 0, 0.5, -1, 0]);
+
+    gamepad.setAxes('mock-wheel', -0.25);
+    expect(gamepad.axes[4]).toEqual(-0.25);
+
+    expect(() => { gamepad.setAxes('mock-wheel', 0, 1); }).toThrow(/no y axis/);
+    expect(() => { gamepad.setAxes('mock-touchpad', 1.5, 0); }).toThrow();
+    expect(() => { gamepad.setAxes('mock-trigger', 1, 0); }).toThrow(/no x axis/);
+    expect(() => { gamepad.setAxes('mock-thumbstick', 0, 0, 1); }).toThrow(/no z axis/);
+  });
+
+  test('Sets the z axis by component id', () => {
+    const pressureProfile = {
+      profileId: 'mock-pressure',
+      layouts: {
+        none: {
+          selectComponentId: 'mock-touchpad',
+          components: {
+            'mock-touchpad': {
+              type: Constants.ComponentType.TOUCHPAD,
+              gamepadIndices: {
+                button: 0, xAxis: 0, yAxis: 1, zAxis: 2
+              },
+              visualResponses: {}
+            }
+          }
+        }
+      }
+    };
+    const gamepad = new MockGamepad(pressureProfile, Constants.Handedness.NONE);
+    expect(gamepad.axes).toEqual([0, 0, 0]);
+
+    gamepad.setAxes('mock-touchpad', 0.5, 0, 0.75);
+    expect(gamepad.axes).toEqual([0.5, 0, 0.75]);
+  });
+
+  test('Resets all buttons and axes', () => {
+    const gamepad = new MockGamepad(profile, Constants.Handedness.LEFT);
+    gamepad.press('mock-trigger');
+    gamepad.setAxes('mock-touchpad', 1, 1);
+    gamepad.reset();
+    expect(gamepad.buttons[0]).toEqual({ value: 0, touched: false, pressed: false });
+    expect(gamepad.axes).toEqual([0, 0, 0, 0, 0]);
+  });
+});
+
+describe('MockXRInputSource', () => {
+  test('Fails to construct without handedness', () => {
+    expect(() => {
+      // eslint-disable-next-line no-unused-vars
+      const xrInputSource = new MockXRInputSource(['mock-controller'], {}, undefined);
+    }).toThrow();
+  });
+
+  test('Drives a MotionController', () => {
+    const xrInputSource = MockXRInputSource.fromProfile(profile, Constants.Handedness.LEFT);
+    expect(xrInputSource.profiles).toEqual(['mock-controller']);
+
+    const motionController = new MotionController(xrInputSource, profile, 'assetUrl string');
+    const { gamepad } = xrInputSource;
+
+    gamepad.press('mock-trigger');
+    gamepad.touch('mock-touchpad');
+    gamepad.setAxes('mock-thumbstick', 0, 1);
+    motionController.updateFromGamepad();
+
+    const { components } = motionController;
+    expect(components['mock-trigger'].values.state).toEqual(Constants.ComponentState.PRESSED);
+    expect(components['mock-touchpad'].values.state).toEqual(Constants.ComponentState.TOUCHED);
+    expect(components['mock-thumbstick'].values.yAxis).toEqual(1);
+    expect(components['mock-thumbstick'].values.state).toEqual(Constants.ComponentState.TOUCHED);
+  });
+
+  test('Drives a GestureRecognizer', () => {
+    const xrInputSource = MockXRInputSource.fromProfile(profile, Constants.Handedness.LEFT);
+    const motionController = new MotionController(xrInputSource, profile, 'assetUrl string');
+    const recognizer = new GestureRecognizer(motionController.components['mock-touchpad']);
+    const swipes = [];
+    recognizer.addEventListener(Constants.GestureEvent.SWIPE, (event) => {
+      swipes.push(event.direction);
+    });
+
+    const { gamepad } = xrInputSource;
+    [[0, -0.4], [200, 0], [400, 0.4]].forEach(([timestamp, x]) => {
+      gamepad.touch('mock-touchpad');
+      gamepad.setAxes('mock-touchpad', x, 0);
+      motionController.updateFromGamepad();
+      recognizer.update(timestamp);
+    });
+
+    gamepad.reset();
+    motionController.updateFromGamepad();
+    recognizer.update(450);
+    expect(swipes).toEqual([Constants.GestureDirection.RIGHT]);
+  });
+});
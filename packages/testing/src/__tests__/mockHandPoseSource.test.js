@@ -0,0 +1,90 @@
+import { Constants } from '../../../motion-controllers/src/constants';
+import { HandController } from '../../../motion-controllers/src/handController';
+import { MockHandPoseSource, HandPoses } from '../index';
+
+const handLayout = {
+  selectComponentId: 'pinch',
+  hand: {
+    pinchDistance: { closed: 0.015, open: 0.05 },
+    curlDistance: { closed: 0.08, open: 0.15 }
+  },
+  components: {
+    pinch: {
+      type: Constants.ComponentType.TRIGGER,
+      gesture: Constants.HandGesture.PINCH,
+      gamepadIndices: { button: 0 },
+      visualResponses: {}
+    },
+    grab: {
+      type: Constants.ComponentType.SQUEEZE,
+      gesture: Constants.HandGesture.GRAB,
+      gamepadIndices: { button: 1 },
+      visualResponses: {}
+    },
+    point: {
+      type: Constants.ComponentType.BUTTON,
+      gesture: Constants.HandGesture.POINT,
+      gamepadIndices: { button: 2 },
+      visualResponses: {}
+    }
+  }
+};
+
+const profile = {
+  profileId: 'generic-hand',
+  layouts: { left: handLayout, right: handLayout }
+};
+
+describe('MockHandPoseSource', () => {
+  test('Tracks no joints until a pose is set', () => {
+    const poseSource = new MockHandPoseSource();
+    Object.values(Constants.HandJoint).forEach((jointName) => {
+      expect(poseSource.getJointPosition(jointName)).toBeNull();
+    });
+  });
+
+  test('Sets joint positions', () => {
+    const poseSource = new MockHandPoseSource();
+    poseSource.setJointPosition(Constants.HandJoint.WRIST, 1, 2, 3);
+    expect(poseSource.getJointPosition(Constants.HandJoint.WRIST)).toEqual({ x: 1, y: 2, z: 3 });
+
+    poseSource.clear();
+    expect(poseSource.getJointPosition(Constants.HandJoint.WRIST)).toBeNull();
+  });
+
+  test('Sets every joint from a pose', () => {
+    const poseSource = new MockHandPoseSource();
+    Object.keys(HandPoses).forEach((poseName) => {
+      poseSource.setPose(poseName);
+      Object.values(Constants.HandJoint).forEach((jointName) => {
+        expect(poseSource.getJointPosition(jointName)).toEqual(HandPoses[poseName][jointName]);
+      });
+    });
+
+    expect(() => { poseSource.setPose('made-up-pose'); }).toThrow();
+  });
+
+  test('Drives a HandController', () => {
+    const poseSource = new MockHandPoseSource();
+    const xrInputSource = { handedness: Constants.Handedness.RIGHT, profiles: ['generic-hand'] };
+    const handController = new HandController(xrInputSource, profile, undefined, { poseSource });
+    const { pinch, grab, point } = handController.components;
+
+    const expectations = {
+      open: { pinch: false, grab: false, point: false },
+      pinch: { pinch: true, grab: false, point: false },
+      fist: { pinch: false, grab: true, point: false },
+      point: { pinch: false, grab: false, point: true }
+    };
+    Object.keys(expectations).forEach((poseName) => {
+      poseSource.setPose(poseName);
+      handController.updateFromGamepad();
+      const pressed = component => component.values.state === Constants.ComponentState.PRESSED;
+      expect({
+        pinch: pressed(pinch),
+        grab: pressed(grab),
+        point: pressed(point)
+      }).toEqual(expectations[poseName]);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { Constants } from '../../../motion-controllers/src/constants';
+import { MotionController } from '../../../motion-controllers/src/motionController';
+import {
+  MockGamepad, MockXRInputSource, MockHapticActuator, MockVibrationActuator
+} from '../index';
+
+/**
+ * @param {Object} haptics - The layout's haptics description
+ */
+function buildProfile(haptics) {
+  return {
+    profileId: 'mock-controller',
+    layouts: {
+      none: {
+        selectComponentId: 'mock-trigger',
+        haptics,
+        components: {
+          'mock-trigger': {
+            type: Constants.ComponentType.TRIGGER,
+            gamepadIndices: { button: 0 },
+            visualResponses: {}
+          }
+        }
+      }
+    }
+  };
+}
+
+describe('MockHapticActuator', () => {
+  test('Records pulses', async () => {
+    const actuator = new MockHapticActuator();
+    expect(await actuator.pulse(0.5, 100)).toBe(true);
+    expect(actuator.calls).toEqual([{ intensity: 0.5, duration: 100 }]);
+  });
+
+  test('Is added to MockGamepads for each actuator in the profile', () => {
+    const gamepad = new MockGamepad(buildProfile({ actuators: 2 }), Constants.Handedness.NONE);
+    expect(gamepad.hapticActuators).toHaveLength(2);
+    expect(gamepad.hapticActuators[0]).toBeInstanceOf(MockHapticActuator);
+
+    const noHaptics = new MockGamepad(buildProfile(undefined), Constants.Handedness.NONE);
+    expect(noHaptics.hapticActuators).toHaveLength(0);
+  });
+
+  test('Records pulses from a MotionController', async () => {
+    const profile = buildProfile({ actuators: 1 });
+    const xrInputSource = MockXRInputSource.fromProfile(profile, Constants.Handedness.NONE);
+    const motionController = new MotionController(xrInputSource, profile, 'assetUrl string');
+
+    expect(motionController.supportsHaptics).toBe(true);
+    expect(await motionController.pulse(0.75, 30)).toBe(true);
+    expect(xrInputSource.gamepad.hapticActuators[0].calls)
+      .toEqual([{ intensity: 0.75, duration: 30 }]);
+  });
+});
+
+describe('MockVibrationActuator', () => {
+  test('Records effects and resets', async () => {
+    const actuator = new MockVibrationActuator();
+    expect(await actuator.playEffect('dual-rumble', { duration: 10 })).toEqual('complete');
+    await actuator.reset();
+    expect(actuator.calls).toEqual([
+      { type: 'dual-rumble', params: { duration: 10 } },
+      { type: 'reset' }
+    ]);
+  });
+
+  test('Records pulses from a MotionController', async () => {
+    const profile = buildProfile(undefined);
+    const gamepad = new MockGamepad(profile, Constants.Handedness.NONE);
+    const vibrationActuator = new MockVibrationActuator();
+    Object.assign(gamepad, { vibrationActuator });
+    const xrInputSource = new MockXRInputSource(
+      [profile.profileId], gamepad, Constants.Handedness.NONE
+    );
+    const motionController = new MotionController(xrInputSource, profile, 'assetUrl string');
+
+    expect(await motionController.pulse(1, 20)).toBe(true);
+    expect(vibrationActuator.calls).toEqual([{
+      type: 'dual-rumble',
+      params: { duration: 20, strongMagnitude: 1, weakMagnitude: 1 }
+    }]);
+  });
+});
@@ -0,0 +1,6 @@
+export * from './mockGamepad';
+export * from './mockXRInputSource';
+export * from './mockHapticActuator';
+export * from './mockHandPoseSource';
+
+export as namespace WebXRInputProfilesTesting;
@@ -0,0 +1,4 @@
+export { MockGamepad } from './mockGamepad';
+export { MockXRInputSource } from './mockXRInputSource';
+export { MockHapticActuator, MockVibrationActuator } from './mockHapticActuator';
+export { MockHandPoseSource, HandPoses } from './mockHandPoseSource';
@@ -0,0 +1,33 @@
+import { MockHapticActuator } from './mockHapticActuator';
+
+export interface MockGamepadButton {
+  value: number;
+  touched: boolean;
+  pressed: boolean;
+}
+
+export class MockGamepad {
+  constructor(profileDescription: object, handedness: string);
+
+  readonly id: string;
+  readonly mapping: string;
+  readonly connected: boolean;
+  timestamp: number;
+  readonly components: { [componentId: string]: object };
+  readonly buttons: MockGamepadButton[];
+  readonly axes: number[];
+  readonly hapticActuators: MockHapticActuator[];
+
+  getGamepadIndices(componentId: string): {
+    button?: number;
+    xAxis?: number;
+    yAxis?: number;
+    zAxis?: number;
+  };
+  getButton(componentId: string): MockGamepadButton;
+  press(componentId: string, value?: number): void;
+  touch(componentId: string): void;
+  release(componentId: string): void;
+  setAxes(componentId: string, x?: number, y?: number, z?: number): void;
+  reset(): void;
+}
@@ -0,0 +1,182 @@
+import { Constants } from '@webxr-input-profiles/motion-controllers';
+import { MockHapticActuator } from './mockHapticActuator';
+
+/**
+ * A false gamepad to be used in tests. The buttons and axes arrays are sized to match a layout in
+ * an asset profile, and helper methods set their values using component ids rather than indices.
+ */
+class MockGamepad {
+  /**
+   * @param {Object} profileDescription - The asset profile to parse to determine the length
+   * of the button and axes arrays
+   * @param {string} handedness - The gamepad's handedness
+   */
+  constructor(profileDescription, handedness) {
+    if (!profileDescription) {
+      throw new Error('No profileDescription supplied');
+    }
+
+    if (!handedness) {
+      throw new Error('No handedness supplied');
+    }
+
+    const layout = profileDescription.layouts[handedness];
+    if (!layout) {
+      throw new Error(`No layout for ${handedness} handedness in ${profileDescription.profileId}`);
+    }
+
+    this.id = profileDescription.profileId;
+    this.mapping = layout.gamepadMapping;
+    this.connected = true;
+    this.timestamp = 0;
+    this.components = layout.components;
+
+    // Loop through the profile description to determine how many elements to put in the buttons
+    // and axes arrays
+    let maxButtonIndex = -1;
+    let maxAxisIndex = -1;
+    Object.values(layout.components).forEach(({ gamepadIndices }) => {
+      const {
+        [Constants.ComponentProperty.BUTTON]: buttonIndex,
+        [Constants.ComponentProperty.X_AXIS]: xAxisIndex,
+        [Constants.ComponentProperty.Y_AXIS]: yAxisIndex,
+        [Constants.ComponentProperty.Z_AXIS]: zAxisIndex
+      } = gamepadIndices;
+
+      if (buttonIndex !== undefined && buttonIndex > maxButtonIndex) {
+        maxButtonIndex = buttonIndex;
+      }
+
+      if (xAxisIndex !== undefined && (xAxisIndex > maxAxisIndex)) {
+        maxAxisIndex = xAxisIndex;
+      }
+
+      if (yAxisIndex !== undefined && (yAxisIndex > maxAxisIndex)) {
+        maxAxisIndex = yAxisIndex;
+      }
+
+      if (zAxisIndex !== undefined && (zAxisIndex > maxAxisIndex)) {
+        maxAxisIndex = zAxisIndex;
+      }
+    });
+
+    // Fill the axes array
+    this.axes = [];
+    while (this.axes.length <= maxAxisIndex) {
+      this.axes.push(0);
+    }
+
+    // Fill the buttons array
+    this.buttons = [];
+    while (this.buttons.length <= maxButtonIndex) {
+      this.buttons.push({
+        value: 0,
+        touched: false,
+        pressed: false
+      });
+    }
+
+    // Add an actuator for each one the profile describes
+    this.hapticActuators = [];
+    const actuatorCount = layout.haptics ? layout.haptics.actuators : 0;
+    while (this.hapticActuators.length < actuatorCount) {
+      this.hapticActuators.push(new MockHapticActuator());
+    }
+  }
+
+  /**
+   * @description Returns the gamepadIndices of a component in the gamepad's layout
+   * @param {string} componentId - The id of the component
+   */
+  getGamepadIndices(componentId) {
+    const component = this.components[componentId];
+    if (!component) {
+      throw new Error(`No component ${componentId} in ${this.id}`);
+    }
+    return component.gamepadIndices;
+  }
+
+  /**
+   * @description Returns the button a component is mapped to
+   * @param {string} componentId - The id of the component
+   */
+  getButton(componentId) {
+    const { [Constants.ComponentProperty.BUTTON]: buttonIndex } = this.getGamepadIndices(
+      componentId
+    );
+    if (buttonIndex === undefined) {
+      throw new Error(`Component ${componentId} in ${this.id} has no button`);
+    }
+    return this.buttons[buttonIndex];
+  }
+
+  /**
+   * @description Presses a component's button. Pressed buttons are always touched.
+   * @param {string} componentId - The id of the component
+   * @param {number} value - The button value, greater than 0 and no more than 1. Defaults to 1.
+   */
+  press(componentId, value = 1) {
+    if (typeof value !== 'number' || !(value > 0 && value <= 1)) {
+      throw new Error(`Invalid press value ${value}. Must be greater than 0 and no more than 1`);
+    }
+
+    Object.assign(this.getButton(componentId), { value, touched: true, pressed: true });
+  }
+
+  /**
+   * @description Touches a component's button without pressing it
+   * @param {string} componentId - The id of the component
+   */
+  touch(componentId) {
+    Object.assign(this.getButton(componentId), { value: 0, touched: true, pressed: false });
+  }
+
+  /**
+   * @description Returns a component's button to its untouched, unpressed state
+   * @param {string} componentId - The id of the component
+   */
+  release(componentId) {
+    Object.assign(this.getButton(componentId), { value: 0, touched: false, pressed: false });
+  }
+
+  /**
+   * @description Sets the axes a component is mapped to. Axes the component does not have must be
+   * left at 0.
+   * @param {string} componentId - The id of the component
+   * @param {number} x - The x axis value in the range -1 to 1
+   * @param {number} y - The y axis value in the range -1 to 1
+   * @param {number} z - The z axis value in the range -1 to 1
+   */
+  setAxes(componentId, x = 0, y = 0, z = 0) {
+    const {
+      [Constants.ComponentProperty.X_AXIS]: xAxisIndex,
+      [Constants.ComponentProperty.Y_AXIS]: yAxisIndex,
+      [Constants.ComponentProperty.Z_AXIS]: zAxisIndex
+    } = this.getGamepadIndices(componentId);
+
+    const axes = [[xAxisIndex, x, 'x'], [yAxisIndex, y, 'y'], [zAxisIndex, z, 'z']];
+    axes.forEach(([index, value, name]) => {
+      if (typeof value !== 'number' || !(value >= -1 && value <= 1)) {
+        throw new Error(`Invalid ${name} axis value ${value}. Must be a number from -1 to 1`);
+      }
+
+      if (index !== undefined) {
+        this.axes[index] = value;
+      } else if (value !== 0) {
+        throw new Error(`Component ${componentId} in ${this.id} has no ${name} axis`);
+      }
+    });
+  }
+
+  /**
+   * @description Releases all buttons and centers all axes
+   */
+  reset() {
+    this.buttons.forEach((button) => {
+      Object.assign(button, { value: 0, touched: false, pressed: false });
+    });
+    this.axes.fill(0);
+  }
+}
+
+export { MockGamepad };
@@ -0,0 +1,18 @@
+export interface MockJointPosition {
+  x: number;
+  y: number;
+  z: number;
+}
+
+export const HandPoses: { [poseName: string]: { [jointName: string]: MockJointPosition } };
+
+export class MockHandPoseSource {
+  constructor();
+
+  readonly positions: { [jointName: string]: MockJointPosition };
+
+  getJointPosition(jointName: string): MockJointPosition | null;
+  setJointPosition(jointName: string, x: number, y: number, z: number): void;
+  setPose(poseName: string): void;
+  clear(): void;
+}
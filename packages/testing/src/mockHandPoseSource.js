@@ -0,0 +1,96 @@
+import { Constants } from '@webxr-input-profiles/motion-controllers';
+
+/**
+ * @description Joint positions, in meters relative to the wrist, for common hand poses. Fingers
+ * point along -z.
+ * @constant {Object}
+ */
+const HandPoses = {
+  open: {
+    [Constants.HandJoint.WRIST]: { x: 0, y: 0, z: 0 },
+    [Constants.HandJoint.THUMB_TIP]: { x: 0.05, y: 0, z: -0.08 },
+    [Constants.HandJoint.INDEX_FINGER_TIP]: { x: 0.02, y: 0, z: -0.17 },
+    [Constants.HandJoint.MIDDLE_FINGER_TIP]: { x: 0, y: 0, z: -0.18 },
+    [Constants.HandJoint.RING_FINGER_TIP]: { x: -0.02, y: 0, z: -0.17 },
+    [Constants.HandJoint.PINKY_FINGER_TIP]: { x: -0.04, y: 0, z: -0.155 }
+  },
+  pinch: {
+    [Constants.HandJoint.WRIST]: { x: 0, y: 0, z: 0 },
+    [Constants.HandJoint.THUMB_TIP]: { x: 0.03, y: 0, z: -0.1 },
+    [Constants.HandJoint.INDEX_FINGER_TIP]: { x: 0.03, y: 0.005, z: -0.1 },
+    [Constants.HandJoint.MIDDLE_FINGER_TIP]: { x: 0, y: 0, z: -0.18 },
+    [Constants.HandJoint.RING_FINGER_TIP]: { x: -0.02, y: 0, z: -0.17 },
+    [Constants.HandJoint.PINKY_FINGER_TIP]: { x: -0.04, y: 0, z: -0.155 }
+  },
+  fist: {
+    [Constants.HandJoint.WRIST]: { x: 0, y: 0, z: 0 },
+    [Constants.HandJoint.THUMB_TIP]: { x: 0.05, y: 0.02, z: -0.04 },
+    [Constants.HandJoint.INDEX_FINGER_TIP]: { x: 0.02, y: -0.03, z: -0.05 },
+    [Constants.HandJoint.MIDDLE_FINGER_TIP]: { x: 0, y: -0.03, z: -0.05 },
+    [Constants.HandJoint.RING_FINGER_TIP]: { x: -0.02, y: -0.03, z: -0.05 },
+    [Constants.HandJoint.PINKY_FINGER_TIP]: { x: -0.035, y: -0.03, z: -0.045 }
+  },
+  point: {
+    [Constants.HandJoint.WRIST]: { x: 0, y: 0, z: 0 },
+    [Constants.HandJoint.THUMB_TIP]: { x: 0.05, y: 0.02, z: -0.04 },
+    [Constants.HandJoint.INDEX_FINGER_TIP]: { x: 0.02, y: 0, z: -0.17 },
+    [Constants.HandJoint.MIDDLE_FINGER_TIP]: { x: 0, y: -0.03, z: -0.05 },
+    [Constants.HandJoint.RING_FINGER_TIP]: { x: -0.02, y: -0.03, z: -0.05 },
+    [Constants.HandJoint.PINKY_FINGER_TIP]: { x: -0.035, y: -0.03, z: -0.045 }
+  }
+};
+
+/**
+ * A fake source of hand joint positions which can be passed to a HandController in place of an
+ * XRHandPoseSource. No joints are tracked until a position or pose is set.
+ */
+class MockHandPoseSource {
+  constructor() {
+    this.positions = {};
+  }
+
+  /**
+   * @param {string} jointName - A Constants.HandJoint
+   * @returns {Object} The joint's position, or null if it is not tracked
+   */
+  getJointPosition(jointName) {
+    return this.positions[jointName] || null;
+  }
+
+  /**
+   * @description Sets the position of a single joint
+   * @param {string} jointName - A Constants.HandJoint
+   * @param {number} x - The joint's x position in meters
+   * @param {number} y - The joint's y position in meters
+   * @param {number} z - The joint's z position in meters
+   */
+  setJointPosition(jointName, x, y, z) {
+    this.positions[jointName] = { x, y, z };
+  }
+
+  /**
+   * @description Sets every joint to match one of the HandPoses
+   * @param {string} poseName - The name of the pose
+   */
+  setPose(poseName) {
+    const pose = HandPoses[poseName];
+    if (!pose) {
+      throw new Error(`Unknown hand pose ${poseName}`);
+    }
+
+    this.positions = {};
+    Object.keys(pose).forEach((jointName) => {
+      const { x, y, z } = pose[jointName];
+      this.setJointPosition(jointName, x, y, z);
+    });
+  }
+
+  /**
+   * @description Stops tracking all joints, as happens when the hand leaves the tracking volume
+   */
+  clear() {
+    this.positions = {};
+  }
+}
+
+export { MockHandPoseSource, HandPoses };
@@ -0,0 +1,18 @@
+export class MockHapticActuator {
+  constructor();
+
+  readonly type: string;
+  readonly calls: { intensity: number; duration: number }[];
+
+  pulse(intensity: number, duration: number): Promise<boolean>;
+}
+
+export class MockVibrationActuator {
+  constructor();
+
+  readonly type: string;
+  readonly calls: { type: string; params?: object }[];
+
+  playEffect(type: string, params: object): Promise<string>;
+  reset(): Promise<string>;
+}
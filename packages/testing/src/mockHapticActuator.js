@@ -0,0 +1,44 @@
+/**
+ * A fake GamepadHapticActuator, as found in Gamepad.hapticActuators, which records each pulse
+ */
+class MockHapticActuator {
+  constructor() {
+    this.type = 'vibration';
+    this.calls = [];
+  }
+
+  /**
+   * @param {number} intensity - The strength of the pulse, from 0 to 1
+   * @param {number} duration - The length of the pulse in milliseconds
+   */
+  pulse(intensity, duration) {
+    this.calls.push({ intensity, duration });
+    return Promise.resolve(true);
+  }
+}
+
+/**
+ * A fake Gamepad.vibrationActuator which records each effect played and each reset
+ */
+class MockVibrationActuator {
+  constructor() {
+    this.type = 'dual-rumble';
+    this.calls = [];
+  }
+
+  /**
+   * @param {string} type - The type of effect to play
+   * @param {Object} params - The effect's duration and magnitudes
+   */
+  playEffect(type, params) {
+    this.calls.push({ type, params });
+    return Promise.resolve('complete');
+  }
+
+  reset() {
+    this.calls.push({ type: 'reset' });
+    return Promise.resolve('complete');
+  }
+}
+
+export { MockHapticActuator, MockVibrationActuator };
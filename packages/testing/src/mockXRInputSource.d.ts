@@ -0,0 +1,13 @@
+import { MockGamepad } from './mockGamepad';
+
+export class MockXRInputSource {
+  constructor(profiles: string[], gamepad: MockGamepad | object, handedness: string);
+
+  readonly gamepad: MockGamepad | object;
+  readonly handedness: string;
+  readonly profiles: ReadonlyArray<string>;
+
+  static fromProfile(
+    profileDescription: object, handedness: string
+  ): MockXRInputSource & { readonly gamepad: MockGamepad };
+}
@@ -0,0 +1,34 @@
+import { MockGamepad } from './mockGamepad';
+
+/**
+ * A fake XRInputSource that can be used to initialize a MotionController
+ */
+class MockXRInputSource {
+  /**
+   * @param {string[]} profiles - The profile ids to report, in order of preference
+   * @param {Object} gamepad - The Gamepad object that provides the button and axis data
+   * @param {string} handedness - The handedness to report
+   */
+  constructor(profiles, gamepad, handedness) {
+    this.gamepad = gamepad;
+
+    if (!handedness) {
+      throw new Error('No handedness supplied');
+    }
+
+    this.handedness = handedness;
+    this.profiles = Object.freeze(profiles);
+  }
+
+  /**
+   * @description Creates a MockXRInputSource whose MockGamepad matches a layout in an asset profile
+   * @param {Object} profileDescription - The asset profile to build the gamepad from
+   * @param {string} handedness - The handedness to report
+   */
+  static fromProfile(profileDescription, handedness) {
+    const gamepad = new MockGamepad(profileDescription, handedness);
+    return new MockXRInputSource([profileDescription.profileId], gamepad, handedness);
+  }
+}
+
+export { MockXRInputSource };
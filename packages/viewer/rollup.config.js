@@ -21,9 +21,11 @@ export default [
       './ajv/ajv.min.js',
       './motion-controllers.module.js',
       '../motion-controllers.module.js',
+      './testing.module.js',
       './registryTools/validateRegistryProfile.js',
       './assetTools/expandRegistryProfile.js',
-      './assetTools/buildAssetProfile.js'
+      './assetTools/buildAssetProfile.js',
+      './assetTools/migrateAssetOverrides.js'
     ],
     plugins: [
       copy(
@@ -75,5 +77,19 @@ export default [
         { verbose: true, watch: process.env.ROLLUP_WATCH }
       )
     ]
+  },
+  {
+    // The testing package imports the motion-controllers package, which the viewer serves as a file
+    input: ['../testing/src/index.js'],
+    output: [
+      {
+        format: 'es',
+        file: `${DIST_FOLDER}/testing.module.js`,
+        paths: {
+          '@webxr-input-profiles/motion-controllers': './motion-controllers.module.js'
+        }
+      }
+    ],
+    external: ['@webxr-input-profiles/motion-controllers']
   }
 ];
@@ -3,6 +3,7 @@ import './ajv/ajv.min.js';
 import validateRegistryProfile from './registryTools/validateRegistryProfile.js';
 import expandRegistryProfile from './assetTools/expandRegistryProfile.js';
 import buildAssetProfile from './assetTools/buildAssetProfile.js';
+import migrateAssetOverrides from './assetTools/migrateAssetOverrides.js';
 /* eslint-enable */
 
 import AssetError from './assetError.js';
@@ -106,33 +107,108 @@ class LocalProfile extends EventTarget {
    * @param {*} assetJsonFile
    */
   async buildProfile(registryJsonFile, assetJsonFile) {
+    const issues = [];
+
     // Load the registry JSON and validate it against the schema
     const registryJson = await LocalProfile.loadLocalJson(registryJsonFile);
     const isRegistryJsonValid = this.registrySchemaValidator(registryJson);
     if (!isRegistryJsonValid) {
-      throw new AssetError(JSON.stringify(this.registrySchemaValidator.errors, null, 2));
+      this.registrySchemaValidator.errors.forEach(({ dataPath, message }) => {
+        issues.push({
+          fileName: registryJsonFile.name, severity: 'error', pointer: dataPath, message
+        });
+      });
     }
 
     // Load the asset JSON and validate it against the schema.
     // If no asset JSON present, use the default definiton
     let assetJson;
+    const assetJsonFileName = assetJsonFile ? assetJsonFile.name : 'profile.json';
     if (!assetJsonFile) {
       assetJson = { profileId: registryJson.profileId, overrides: {} };
     } else {
-      assetJson = await LocalProfile.loadLocalJson(assetJsonFile);
+      // Overrides written for older versions of the schema are updated before being validated
+      const migrationDiagnostics = [];
+      assetJson = migrateAssetOverrides(
+        await LocalProfile.loadLocalJson(assetJsonFile), migrationDiagnostics
+      );
+      issues.push(...migrationDiagnostics.map(
+        diagnostic => ({ fileName: assetJsonFileName, ...diagnostic })
+      ));
+
       const isAssetJsonValid = this.assetSchemaValidator(assetJson);
       if (!isAssetJsonValid) {
-        throw new AssetError(JSON.stringify(this.assetSchemaValidator.errors, null, 2));
+        this.assetSchemaValidator.errors.forEach(({ dataPath, message }) => {
+          issues.push({
+            fileName: assetJsonFileName, severity: 'error', pointer: dataPath, message
+          });
+        });
+      }
+    }
+
+    // Validate non-schema requirements, which assume the files conform to their schemas, and
+    // build a combined profile
+    let profile;
+    if (!issues.some(({ severity }) => severity === 'error')) {
+      const registryDiagnostics = validateRegistryProfile(registryJson, []);
+      issues.push(...registryDiagnostics.map(
+        diagnostic => ({ fileName: registryJsonFile.name, ...diagnostic })
+      ));
+
+      if (!registryDiagnostics.some(({ severity }) => severity === 'error')) {
+        const assetDiagnostics = [];
+        const expandedRegistryProfile = expandRegistryProfile(registryJson);
+        profile = buildAssetProfile(assetJson, expandedRegistryProfile, assetDiagnostics);
+        issues.push(...assetDiagnostics.map(
+          diagnostic => ({ fileName: assetJsonFileName, ...diagnostic })
+        ));
       }
     }
 
-    // Validate non-schema requirements and build a combined profile
-    validateRegistryProfile(registryJson);
-    const expandedRegistryProfile = expandRegistryProfile(registryJson);
-    this.profile = buildAssetProfile(assetJson, expandedRegistryProfile);
+    // List every issue found, but only reject the profile if there are errors
+    issues.forEach((issue) => { AssetError.log(LocalProfile.formatIssue(issue)); });
+    const errorCount = issues.filter(({ severity }) => severity === 'error').length;
+    if (errorCount > 0) {
+      throw new AssetError(`Unable to build the local profile due to ${errorCount} error(s)`);
+    }
+
+    this.profile = profile;
     this.profileId = this.profile.profileId;
   }
 
+  /**
+   * A profile source containing only the local profile, which can be placed ahead of the published
+   * profiles passed to fetchProfile(). Its assets resolve to the selected files.
+   */
+  get source() {
+    if (!this.profile) {
+      return null;
+    }
+
+    const profilePath = `${this.profileId}/profile.json`;
+    return {
+      files: {
+        'profilesList.json': { [this.profileId]: { path: profilePath } },
+        [profilePath]: this.profile
+      },
+      resolvePath: (relativePath) => {
+        const assetName = relativePath.substr(relativePath.lastIndexOf('/') + 1);
+        return this.assets[assetName] || assetName;
+      }
+    };
+  }
+
+  /**
+   * Helper to describe a schema error or validation diagnostic
+   * @param {Object} issue
+   */
+  static formatIssue({
+    fileName, severity, pointer, message, ruleId
+  }) {
+    const rule = ruleId ? ` (${ruleId})` : '';
+    return `${severity}: ${fileName} ${pointer || '/'}: ${message}${rule}`;
+  }
+
   /**
    * Helper to load JSON from a local file
    * @param {File} jsonFile
@@ -167,7 +243,7 @@ class LocalProfile extends EventTarget {
     }
 
     // eslint-disable-next-line no-undef
-    const ajv = new Ajv();
+    const ajv = new Ajv({ allErrors: true, jsonPointers: true });
     const schemas = await response.json();
     schemas.dependencies.forEach((schema) => {
       ajv.addSchema(schema);
@@ -75,16 +75,23 @@ function build(sourceMotionController) {
     headingElement.innerText = `${component.id}`;
     componentControlsElement.appendChild(headingElement);
 
-    if (component.gamepadIndices.button !== undefined) {
-      addButtonControls(componentControlsElement, component.gamepadIndices.button);
-    }
-
-    if (component.gamepadIndices.xAxis !== undefined) {
-      addAxisControls(componentControlsElement, 'xAxis', component.gamepadIndices.xAxis);
-    }
-
-    if (component.gamepadIndices.yAxis !== undefined) {
-      addAxisControls(componentControlsElement, 'yAxis', component.gamepadIndices.yAxis);
+    // Touchpad regions are driven by their touchpad's controls
+    if (!component.parentComponent) {
+      if (component.gamepadIndices.button !== undefined) {
+        addButtonControls(componentControlsElement, component.gamepadIndices.button);
+      }
+
+      if (component.gamepadIndices.xAxis !== undefined) {
+        addAxisControls(componentControlsElement, 'xAxis', component.gamepadIndices.xAxis);
+      }
+
+      if (component.gamepadIndices.yAxis !== undefined) {
+        addAxisControls(componentControlsElement, 'yAxis', component.gamepadIndices.yAxis);
+      }
+
+      if (component.gamepadIndices.zAxis !== undefined) {
+        addAxisControls(componentControlsElement, 'zAxis', component.gamepadIndices.zAxis);
+      }
     }
 
     const dataElement = document.createElement('pre');
@@ -3,6 +3,7 @@ import * as THREE from './three/build/three.module.js';
 import { OrbitControls } from './three/examples/jsm/controls/OrbitControls.js';
 import { RGBELoader } from './three/examples/jsm/loaders/RGBELoader.js';
 import { VRButton } from './three/examples/jsm/webxr/VRButton.js';
+import { MockGamepad, MockXRInputSource } from './testing.module.js';
 /* eslint-enable */
 
 import ManualControls from './manualControls.js';
@@ -10,8 +11,6 @@ import ControllerModel from './controllerModel.js';
 import ProfileSelector from './profileSelector.js';
 import BackgroundSelector from './backgroundSelector.js';
 import AssetError from './assetError.js';
-import MockGamepad from './mocks/mockGamepad.js';
-import MockXRInputSource from './mocks/mockXRInputSource.js';
 
 const three = {};
 let canvasParentElement;
@@ -30,6 +29,7 @@ let isImmersive = false;
  */
 function initializeVRController(index) {
   const vrControllerGrip = three.renderer.xr.getControllerGrip(index);
+  let loadController = null;
 
   vrControllerGrip.addEventListener('connected', async (event) => {
     const controllerModel = new ControllerModel();
@@ -45,7 +45,19 @@ function initializeVRController(index) {
       );
     }
 
-    const motionController = await profileSelector.createMotionController(xrInputSource);
+    // Stop loading the profile if the controller disconnects first
+    loadController = new AbortController();
+    let motionController;
+    try {
+      motionController = await profileSelector.createMotionController(
+        xrInputSource, loadController.signal
+      );
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return;
+      }
+      throw error;
+    }
     await controllerModel.initialize(motionController);
 
     if (three.environmentMap) {
@@ -54,6 +66,10 @@ function initializeVRController(index) {
   });
 
   vrControllerGrip.addEventListener('disconnected', () => {
+    if (loadController) {
+      loadController.abort();
+      loadController = null;
+    }
     vrControllerGrip.remove(vrControllerGrip.children[0]);
   });
 
@@ -1,5 +1,10 @@
 /* eslint-disable import/no-unresolved */
-import { fetchProfile, fetchProfilesList, MotionController } from './motion-controllers.module.js';
+import {
+  fetchProfile,
+  fetchProfilesList,
+  MotionController,
+  ProfileCache
+} from './motion-controllers.module.js';
 /* eslint-enable */
 
 import AssetError from './assetError.js';
@@ -7,6 +12,9 @@ import LocalProfile from './localProfile.js';
 
 const profilesBasePath = './profiles';
 
+// Give up on stalled downloads rather than leaving the selectors disabled
+const profileCache = new ProfileCache({ timeout: 10000, retries: 2 });
+
 /**
  * Loads profiles from the distribution folder next to the viewer's location
  */
@@ -29,6 +37,7 @@ class ProfileSelector extends EventTarget {
     this.localProfile.addEventListener('localprofilechange', (event) => { this.onLocalProfileChange(event); });
 
     this.profilesList = null;
+    this.profileLoadController = null;
     this.populateProfileSelector();
   }
 
@@ -41,6 +50,15 @@ class ProfileSelector extends EventTarget {
     this.handedness = null;
   }
 
+  /**
+   * The sources profiles are loaded from. The local profile, if any, takes priority over the
+   * published profiles.
+   */
+  get profileSources() {
+    const { source } = this.localProfile;
+    return source ? [source, profilesBasePath] : [profilesBasePath];
+  }
+
   /**
    * Retrieves the full list of available profiles and populates the dropdown
    */
@@ -52,38 +70,28 @@ class ProfileSelector extends EventTarget {
     const storedProfileId = window.localStorage.getItem('profileId');
     window.localStorage.removeItem('profileId');
 
-    // Load the list of profiles
-    if (!this.profilesList) {
-      try {
-        this.profileIdSelectorElement.innerHTML = '<option value="loading">Loading...</option>';
-        this.profilesList = await fetchProfilesList(profilesBasePath);
-      } catch (error) {
-        this.profileIdSelectorElement.innerHTML = 'Failed to load list';
-        AssetError.log(error.message);
-        throw error;
-      }
+    // Load the list of profiles, including the local profile. The published list is cached, so
+    // is only downloaded once.
+    try {
+      this.profileIdSelectorElement.innerHTML = '<option value="loading">Loading...</option>';
+      this.profilesList = await fetchProfilesList(this.profileSources, { cache: profileCache });
+    } catch (error) {
+      this.profileIdSelectorElement.innerHTML = 'Failed to load list';
+      AssetError.log(error.message);
+      throw error;
     }
 
-    // Add each profile to the dropdown
+    // Add each profile to the dropdown. Skip deprecated ids and those without assets of their own
     this.profileIdSelectorElement.innerHTML = '';
     Object.keys(this.profilesList).forEach((profileId) => {
       const profile = this.profilesList[profileId];
-      if (!profile.deprecated) {
+      if (!profile.deprecated && profile.path) {
         this.profileIdSelectorElement.innerHTML += `
         <option value='${profileId}'>${profileId}</option>
         `;
       }
     });
 
-    // Add the local profile if it isn't already included
-    if (this.localProfile.profileId
-     && !Object.keys(this.profilesList).includes(this.localProfile.profileId)) {
-      this.profileIdSelectorElement.innerHTML += `
-      <option value='${this.localProfile.profileId}'>${this.localProfile.profileId}</option>
-      `;
-      this.profilesList[this.localProfile.profileId] = this.localProfile;
-    }
-
     // Override the default selection if values were present in local storage
     if (storedProfileId) {
       this.profileIdSelectorElement.value = storedProfileId;
@@ -103,26 +111,32 @@ class ProfileSelector extends EventTarget {
     const profileId = this.profileIdSelectorElement.value;
     window.localStorage.setItem('profileId', profileId);
 
-    if (profileId === this.localProfile.profileId) {
-      this.profile = this.localProfile.profile;
+    // Attempt to load the profile, abandoning any profile still loading for an earlier selection
+    if (this.profileLoadController) {
+      this.profileLoadController.abort();
+    }
+    const profileLoadController = new AbortController();
+    this.profileLoadController = profileLoadController;
+    this.profileIdSelectorElement.disabled = true;
+    this.handednessSelectorElement.disabled = true;
+    const options = { cache: profileCache, signal: profileLoadController.signal };
+    fetchProfile({ profiles: [profileId], handedness: 'any' }, this.profileSources, null, false, options).then(({ profile }) => {
+      this.profile = profile;
       this.populateHandednessSelector();
-    } else {
-      // Attempt to load the profile
-      this.profileIdSelectorElement.disabled = true;
-      this.handednessSelectorElement.disabled = true;
-      fetchProfile({ profiles: [profileId], handedness: 'any' }, profilesBasePath, null, false).then(({ profile }) => {
-        this.profile = profile;
-        this.populateHandednessSelector();
-      })
-        .catch((error) => {
+    })
+      .catch((error) => {
+        if (error.name !== 'AbortError') {
           AssetError.log(error.message);
           throw error;
-        })
-        .finally(() => {
+        }
+      })
+      .finally(() => {
+        if (this.profileLoadController === profileLoadController) {
+          this.profileLoadController = null;
           this.profileIdSelectorElement.disabled = false;
           this.handednessSelectorElement.disabled = false;
-        });
-    }
+        }
+      });
   }
 
   /**
@@ -189,32 +203,16 @@ class ProfileSelector extends EventTarget {
   }
 
   /**
-   * Builds a MotionController either based on the supplied input source using the local profile
-   * if it is the best match, otherwise uses the remote assets
+   * Builds a MotionController based on the supplied input source, using the local profile if it is
+   * the best match, otherwise the remote assets
    * @param {XRInputSource} xrInputSource
+   * @param {AbortSignal} [signal] - Cancels loading the profile, such as when the input source
+   * disconnects
    */
-  async createMotionController(xrInputSource) {
-    let profile;
-    let assetPath;
-
-    // Check if local override should be used
-    let useLocalProfile = false;
-    if (this.localProfile.profileId) {
-      xrInputSource.profiles.some((profileId) => {
-        const matchFound = Object.keys(this.profilesList).includes(profileId);
-        useLocalProfile = matchFound && (profileId === this.localProfile.profileId);
-        return matchFound;
-      });
-    }
-
-    // Get profile and asset path
-    if (useLocalProfile) {
-      ({ profile } = this.localProfile);
-      const assetName = this.localProfile.profile.layouts[xrInputSource.handedness].assetPath;
-      assetPath = this.localProfile.assets[assetName] || assetName;
-    } else {
-      ({ profile, assetPath } = await fetchProfile(xrInputSource, profilesBasePath));
-    }
+  async createMotionController(xrInputSource, signal) {
+    const { profile, assetPath } = await fetchProfile(
+      xrInputSource, this.profileSources, null, true, { cache: profileCache, signal }
+    );
 
     // Build motion controller
     const motionController = new MotionController(